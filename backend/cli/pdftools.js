@@ -0,0 +1,482 @@
+#!/usr/bin/env node
+/**
+ * PDF Tools CLI
+ * Headless access to every PDF operation, using the same code as the website
+ *
+ *   pdftools merge a.pdf b.pdf -o out.pdf
+ *   pdftools split report.pdf --range 1-3,5
+ *   cat in.pdf | pdftools watermark --text DRAFT > out.pdf
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { TOOLS, resolveTool, optionNames, normalizeOptions, run } = require('../lib/tools');
+const { version } = require('../package.json');
+
+// ============================================
+// EXIT CODES
+// ============================================
+const EXIT = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2,
+    INPUT: 3,
+    PASSWORD: 4,
+    INVALID: 5,
+    UNSUPPORTED: 6,
+    ABORTED: 130
+};
+
+// Flags handled by the CLI itself rather than passed to the operation
+const BOOLEAN_FLAGS = new Set(['help', 'progress', 'quiet']);
+const SHORT_FLAGS = { o: 'output', h: 'help', q: 'quiet' };
+
+// Operation options whose value is a file the CLI reads for them
+const FILE_OPTIONS = new Set(['image', 'fontFile']);
+
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT.USAGE;
+    return error;
+}
+
+function inputError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT.INPUT;
+    return error;
+}
+
+// ============================================
+// ARGUMENTS
+// ============================================
+function camelCase(flag) {
+    return flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+// "-" (standard input) and negative numbers are values, not flags
+function isFlag(arg) {
+    return arg.length > 1 && arg.startsWith('-') && isNaN(Number(arg));
+}
+
+/**
+ * Splits argv into positional inputs and flags. `--name value`, `--name=value`
+ * and `--no-name` are accepted; a flag with no value that follows is true.
+ */
+function parseArgs(argv) {
+    const inputs = [];
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--') {
+            inputs.push(...argv.slice(i + 1));
+            break;
+        }
+
+        if (arg.startsWith('--')) {
+            const [rawName, inlineValue] = arg.slice(2).split(/=(.*)/s);
+            if (rawName.startsWith('no-') && inlineValue === undefined) {
+                flags[camelCase(rawName.slice(3))] = false;
+                continue;
+            }
+            const name = camelCase(rawName);
+            if (inlineValue !== undefined) {
+                flags[name] = inlineValue;
+            } else if (BOOLEAN_FLAGS.has(name) || i + 1 >= argv.length || isFlag(argv[i + 1])) {
+                flags[name] = true;
+            } else {
+                flags[name] = argv[++i];
+            }
+            continue;
+        }
+
+        if (arg.length > 1 && arg.startsWith('-') && SHORT_FLAGS[arg.slice(1)]) {
+            const name = SHORT_FLAGS[arg.slice(1)];
+            if (BOOLEAN_FLAGS.has(name)) {
+                flags[name] = true;
+            } else if (i + 1 < argv.length) {
+                flags[name] = argv[++i];
+            } else {
+                throw usageError(`${arg} needs a value`);
+            }
+            continue;
+        }
+
+        if (isFlag(arg)) {
+            throw usageError(`Unknown option: ${arg}`);
+        }
+
+        inputs.push(arg);
+    }
+
+    return { inputs, flags };
+}
+
+function readOptionsFile(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw inputError(`Cannot read options file ${file}: ${error.message}`);
+    }
+    try {
+        const options = JSON.parse(text);
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            throw new Error('expected a JSON object');
+        }
+        return options;
+    } catch (error) {
+        throw usageError(`Invalid options file ${file}: ${error.message}`);
+    }
+}
+
+function buildOptions(name, flags) {
+    const { output, options: optionsFile, progress, quiet, help, ...rest } = flags;
+    // A misspelt or unsupported flag would otherwise be dropped, and the
+    // tool run without it (an unrestricted file from a mistyped --deny)
+    const known = optionNames(name);
+    const unknown = Object.keys(rest).filter(key => !known.has(key)).map(key =>
+        `--${rest[key] === false ? 'no-' : ''}${key.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase())}`);
+    if (unknown.length) {
+        throw usageError(`Unknown option${unknown.length > 1 ? 's' : ''} for ${name}: ${unknown.join(', ')}. Run "pdftools ${name} --help" for its options.`);
+    }
+    const options = { ...(optionsFile ? readOptionsFile(optionsFile) : {}), ...rest };
+    Object.keys(options).filter(key => FILE_OPTIONS.has(key) && typeof options[key] === 'string').forEach(key => {
+        try {
+            options[key] = new Uint8Array(fs.readFileSync(options[key]));
+        } catch (error) {
+            throw inputError(`Cannot read ${options[key]}: ${error.message}`);
+        }
+    });
+    return normalizeOptions(name, options);
+}
+
+// ============================================
+// INPUT
+// ============================================
+// Characters that make an input a pattern rather than a file name
+const GLOB_CHARS = /[*?[{]/;
+
+// Index of the `}` closing the `{` at `open`, if the set between them has a
+// comma at its own level; otherwise the braces are literal, as in the shell
+function braceEnd(pattern, open) {
+    let depth = 0;
+    let comma = false;
+    for (let i = open; i < pattern.length; i++) {
+        if (pattern[i] === '{') depth++;
+        else if (pattern[i] === ',' && depth === 1) comma = true;
+        else if (pattern[i] === '}' && --depth === 0) return comma ? i : -1;
+    }
+    return -1;
+}
+
+function globToRegExp(pattern) {
+    let source = '';
+    const groups = [];
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // `**/` matches zero or more directories
+            if (pattern[i + 2] === '/') {
+                source += '(?:[^/]*/)*';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            // [abc], [a-z] and [!abc]; a `]` right after the opening is literal
+            const close = pattern.indexOf(']', i + 2);
+            let set = pattern.slice(i + 1, close);
+            const negate = set[0] === '!' || set[0] === '^';
+            if (negate) set = set.slice(1);
+            source += `(?!/)[${negate ? '^' : ''}${set.replace(/[\\\]^]/g, '\\$&')}]`;
+            i = close;
+        } else if (char === '{' && braceEnd(pattern, i) !== -1) {
+            groups.push(braceEnd(pattern, i));
+            source += '(?:';
+        } else if (char === ',' && groups.length) {
+            source += '|';
+        } else if (char === '}' && groups[groups.length - 1] === i) {
+            groups.pop();
+            source += ')';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Expands `*`, `?`, `**`, `[...]` and `{a,b}` in a path. Shells usually do
+ * this already; it matters for quoted patterns and shells without globbing.
+ */
+function expandGlob(pattern) {
+    const normalized = pattern.split(path.sep).join('/');
+    if (!GLOB_CHARS.test(normalized) || fs.existsSync(pattern)) return [pattern];
+
+    const segments = normalized.split('/');
+    const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+    const base = segments.slice(0, firstGlob).join('/') || (normalized.startsWith('/') ? '/' : '.');
+    const rest = segments.slice(firstGlob).join('/');
+    // A brace set may hold paths of different depths
+    const maxDepth = rest.includes('**') || /\{[^}]*\//.test(rest) ? Infinity : segments.length - firstGlob;
+    const matcher = globToRegExp(rest);
+    const matches = [];
+
+    function walk(dir, relative, depth) {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            if (entry.name.startsWith('.')) continue;
+            const entryRelative = relative ? `${relative}/${entry.name}` : entry.name;
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (depth + 1 < maxDepth) walk(entryPath, entryRelative, depth + 1);
+            } else if (matcher.test(entryRelative)) {
+                matches.push(entryPath);
+            }
+        }
+    }
+
+    walk(base, '', 0);
+    return matches.sort();
+}
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return new Uint8Array(Buffer.concat(chunks));
+}
+
+async function readInputs(patterns) {
+    const usesStdin = patterns.length === 0 || patterns.includes('-');
+    if (usesStdin && process.stdin.isTTY) {
+        throw usageError('No input files given');
+    }
+
+    const inputs = [];
+    for (const pattern of patterns.length ? patterns : ['-']) {
+        if (pattern === '-') {
+            inputs.push({ name: 'stdin', label: 'Standard input', bytes: await readStdin(), stdin: true });
+            continue;
+        }
+
+        const files = expandGlob(pattern);
+        if (files.length === 0) {
+            throw inputError(`No files match ${pattern}`);
+        }
+        for (const file of files) {
+            let bytes;
+            try {
+                bytes = new Uint8Array(fs.readFileSync(file));
+            } catch (error) {
+                throw inputError(error.code === 'ENOENT' ? `File not found: ${file}` : `Cannot read ${file}: ${error.message}`);
+            }
+            inputs.push({ name: path.parse(file).name, label: file, bytes });
+        }
+    }
+    return inputs;
+}
+
+// ============================================
+// OUTPUT
+// ============================================
+function writeStdout(bytes) {
+    return new Promise((resolve, reject) => {
+        process.stdout.write(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length), error => (error ? reject(error) : resolve()));
+    });
+}
+
+/**
+ * Writes outputs to `-o` (a file, a directory ending in /, or - for stdout).
+ * Without -o, piped input goes to stdout and files land in the working directory.
+ */
+async function writeOutputs(outputs, target, fromStdin) {
+    if (outputs.length === 0) return [];
+
+    if (target === '-' || (target === undefined && fromStdin)) {
+        if (outputs.length > 1) {
+            throw usageError(`This produced ${outputs.length} files; use -o <directory>/ instead of standard output`);
+        }
+        await writeStdout(outputs[0].bytes);
+        return ['-'];
+    }
+
+    const isDirectory = target === undefined || /[\\/]$/.test(target) ||
+        (fs.existsSync(target) && fs.statSync(target).isDirectory());
+
+    if (!isDirectory && outputs.length > 1) {
+        throw usageError(`This produced ${outputs.length} files; use -o <directory>/ to write them all`);
+    }
+
+    const written = [];
+    if (isDirectory) {
+        const dir = target || '.';
+        fs.mkdirSync(dir, { recursive: true });
+        for (const { name, bytes } of outputs) {
+            const file = path.join(dir, name);
+            fs.writeFileSync(file, bytes);
+            written.push(file);
+        }
+    } else {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, outputs[0].bytes);
+        written.push(target);
+    }
+    return written;
+}
+
+function summarize(result) {
+    const notes = [];
+    if (result.originalSize && result.size) {
+        const saved = Math.round((1 - result.size / result.originalSize) * 100);
+        notes.push(`${result.originalSize} → ${result.size} bytes (${saved}% smaller)`);
+    }
+    if (result.removed) notes.push(`removed ${result.removed} page(s)`);
+    if (result.watermarks) notes.push(`removed ${result.watermarks.length} watermark(s) from ${result.pages} page(s)`);
+    if (result.bates) result.bates.forEach(range => notes.push(`${range.file} is ${range.first} to ${range.last}`));
+    if (result.added) notes.push(`added ${result.added} page(s)`);
+    if (result.fixes) {
+        const count = Object.values(result.fixes).reduce((sum, amount) => sum + amount, 0);
+        notes.push(`applied ${count} PDF/A fix(es)`);
+    }
+    return notes;
+}
+
+// ============================================
+// HELP
+// ============================================
+function helpText(name) {
+    if (name) {
+        const tool = TOOLS[name];
+        return [
+            `Usage: pdftools ${name} <input...> [-o <output>] ${tool.usage || ''}`.trimEnd(),
+            '',
+            tool.description,
+            tool.multiple ? 'All inputs go to one run, in the order given.' : 'Each input is processed on its own.'
+        ].join('\n');
+    }
+
+    const width = Math.max(...Object.keys(TOOLS).map(key => key.length));
+    return [
+        'Usage: pdftools <command> <input...> [options]',
+        '',
+        'Commands:',
+        ...Object.entries(TOOLS).map(([key, tool]) => `  ${key.padEnd(width)}  ${tool.description}`),
+        '',
+        'Inputs are files or glob patterns ("scans/**/*.pdf", "part[1-3].pdf", "{front,back}.pdf");',
+        '"-" or a pipe reads standard input.',
+        '',
+        'Options:',
+        '  -o, --output <path>    output file, directory (ending in /) or - for standard output',
+        '  --options <file.json>  read operation options from a JSON file; flags take precedence',
+        '  --progress             show progress on standard error',
+        '  -q, --quiet            only print errors',
+        '  -h, --help             show help for a command',
+        '',
+        'Exit codes: 0 success, 1 failure, 2 usage error, 3 bad input, 4 wrong password,',
+        '            5 validation failed, 6 not supported here, 130 cancelled'
+    ].join('\n');
+}
+
+// ============================================
+// MAIN
+// ============================================
+function exitCodeFor(error) {
+    if (error.exitCode) return error.exitCode;
+    if (error.code === 'INVALID_OPTIONS') return EXIT.USAGE;
+    if (error.code === 'INVALID_INPUT') return EXIT.INPUT;
+    if (error.code === 'UNSUPPORTED') return EXIT.UNSUPPORTED;
+    if (error.code === 'INCORRECT_PASSWORD') return EXIT.PASSWORD;
+    if (error.code === 'NOT_CONFORMING') return EXIT.INVALID;
+    if (error.code === 'ABORTED') return EXIT.ABORTED;
+    return EXIT.FAILURE;
+}
+
+async function main(argv) {
+    const [rawName, ...rest] = argv;
+
+    if (!rawName || rawName === '--help' || rawName === '-h' || rawName === 'help') {
+        process.stdout.write(helpText() + '\n');
+        return rawName ? EXIT.OK : EXIT.USAGE;
+    }
+    if (rawName === '--version') {
+        process.stdout.write(version + '\n');
+        return EXIT.OK;
+    }
+
+    const name = resolveTool(rawName);
+    if (!name) {
+        throw usageError(`Unknown command: ${rawName}. Run "pdftools --help" for the list.`);
+    }
+
+    const { inputs: patterns, flags } = parseArgs(rest);
+    if (flags.help) {
+        process.stdout.write(helpText(name) + '\n');
+        return EXIT.OK;
+    }
+
+    const options = buildOptions(name, flags);
+    const inputs = await readInputs(patterns);
+    const log = message => { if (!flags.quiet) process.stderr.write(message + '\n'); };
+
+    // Ctrl+C cancels the running operation; a second one exits immediately
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        controller.abort();
+        process.once('SIGINT', () => process.exit(EXIT.ABORTED));
+    });
+
+    let lastLabel = null;
+    const onProgress = flags.progress
+        ? (fraction, message, label) => {
+            if (lastLabel !== null && label !== lastLabel) process.stderr.write('\n');
+            lastLabel = label;
+            process.stderr.write(`\r[${String(Math.round(fraction * 100)).padStart(3)}%] ${label}${message ? ` ${message}` : ''}`);
+        }
+        : undefined;
+
+    const { outputs, reports, results } = await run(name, inputs, options, { onProgress, signal: controller.signal });
+    if (lastLabel !== null) process.stderr.write('\n');
+
+    results.forEach(({ label, result }) => {
+        const notes = summarize(result);
+        if (notes.length) log(`${label}: ${notes.join(', ')}`);
+    });
+
+    // Reports go to standard output as one JSON document
+    if (reports.length) {
+        process.stdout.write(JSON.stringify(reports.length > 1 ? reports : reports[0], null, 2) + '\n');
+    }
+
+    const fromStdin = inputs.some(input => input.stdin);
+    const written = await writeOutputs(outputs, flags.output, fromStdin);
+    written.filter(file => file !== '-').forEach(file => log(`Wrote ${file}`));
+    return reports.some(report => report.compliant === false) ? EXIT.INVALID : EXIT.OK;
+}
+
+if (require.main === module) {
+    // A closed pipe (e.g. `| head`) is not an error
+    process.stdout.on('error', error => {
+        if (error.code === 'EPIPE') process.exit(process.exitCode || EXIT.OK);
+        throw error;
+    });
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            process.stderr.write(`pdftools: ${error.message}\n`);
+            process.exitCode = exitCodeFor(error);
+        });
+}
+
+module.exports = { main, EXIT };
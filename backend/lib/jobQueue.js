@@ -0,0 +1,350 @@
+/**
+ * Job Queue
+ * Persistent queue for server-side processing. Each job runs in its own
+ * worker thread; state is kept in <dataDir>/jobs.json and files in
+ * <dataDir>/jobs/<id>/
+ * so queued jobs survive a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { v4: uuidv4 } = require('uuid');
+
+const WORKER_FILE = path.join(__dirname, 'jobWorker.js');
+
+// Failures worth another attempt: the worker died, ran out of time, or hit a resource limit
+const TRANSIENT_CODES = new Set([
+    'WORKER_CRASHED',
+    'JOB_TIMEOUT',
+    'INTERRUPTED',
+    'ERR_WORKER_OUT_OF_MEMORY',
+    'EAGAIN',
+    'EBUSY',
+    'EMFILE',
+    'ENFILE',
+    'ENOMEM'
+]);
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function jobError(message, code) {
+    return { message, code };
+}
+
+class JobQueue {
+    /**
+     * @param {Object} config
+     * @param {string} config.dataDir - directory holding jobs.json and the job folders
+     * @param {number} config.concurrency - jobs run at the same time
+     * @param {number} config.maxAttempts - attempts before a transient failure is final
+     * @param {number} config.retryDelayMs - delay before the first retry, doubled each time
+     * @param {number} config.timeoutMs - a running job is stopped after this long
+     * @param {number} config.resultTTLMs - how long finished jobs keep their results
+     */
+    constructor(config) {
+        this.config = config;
+        this.stateFile = path.join(config.dataDir, 'jobs.json');
+        this.jobsDir = path.join(config.dataDir, 'jobs');
+        this.uploadDir = path.join(this.jobsDir, 'uploads');
+        this.jobs = new Map();
+        this.workers = new Map();
+        this.retryTimer = null;
+    }
+
+    // ============================================
+    // PERSISTENCE
+    // ============================================
+    load() {
+        // Only the server may read the job folders
+        fs.mkdirSync(this.uploadDir, { recursive: true, mode: 0o700 });
+        if (!fs.existsSync(this.stateFile)) return;
+
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            (saved.jobs || []).forEach(job => this.jobs.set(job.id, job));
+        } catch (error) {
+            console.error('Error loading jobs:', error.message);
+        }
+    }
+
+    // Written to a temporary file first so a crash never leaves half a file.
+    // Options can hold passwords, so the file is only readable by the server.
+    save() {
+        const temp = `${this.stateFile}.tmp`;
+        const data = { updated: new Date().toISOString(), jobs: [...this.jobs.values()] };
+        fs.writeFileSync(temp, JSON.stringify(data, null, 2), { mode: 0o600 });
+        fs.renameSync(temp, this.stateFile);
+    }
+
+    jobDir(id) {
+        return path.join(this.jobsDir, id);
+    }
+
+    /**
+     * Loads saved jobs and starts processing. Jobs that were running when the
+     * server stopped go back in the queue; that counts as an attempt, so a job
+     * that crashes the whole process cannot do so forever.
+     */
+    start() {
+        this.load();
+
+        for (const job of this.jobs.values()) {
+            if (job.status === 'running') {
+                this.fail(job, jobError('The server restarted while the job was running', 'INTERRUPTED'));
+            }
+        }
+
+        // Uploads not claimed by a job belong to requests that never finished
+        fs.readdirSync(this.uploadDir).forEach(name => fs.rmSync(path.join(this.uploadDir, name), { force: true }));
+
+        this.save();
+        this.sweep();
+        setInterval(() => this.sweep(), SWEEP_INTERVAL_MS).unref();
+        this.schedule();
+    }
+
+    // ============================================
+    // JOBS
+    // ============================================
+
+    /**
+     * Queues a job. Input files (multer uploads in uploadDir) are moved into
+     * the job's folder.
+     * @param {{tool: string, options: Object, files: Array<{path, originalname}>}} request
+     */
+    submit({ tool, options, files }) {
+        const id = uuidv4();
+        const dir = this.jobDir(id);
+        fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+
+        const inputs = files.map((file, index) => {
+            const name = `input-${index}`;
+            fs.renameSync(file.path, path.join(dir, name));
+            return {
+                name: path.parse(file.originalname).name || 'document',
+                label: file.originalname,
+                file: name,
+                size: file.size
+            };
+        });
+
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            tool,
+            options,
+            status: 'queued',
+            progress: 0,
+            message: null,
+            attempts: 0,
+            error: null,
+            inputs,
+            outputs: [],
+            reports: [],
+            createdAt: now,
+            updatedAt: now,
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: null,
+            retryAt: null
+        };
+
+        this.jobs.set(id, job);
+        this.save();
+        this.schedule();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * Stops a job if it is running and deletes it with its files.
+     */
+    async remove(id) {
+        const job = this.jobs.get(id);
+        if (!job) return false;
+
+        this.jobs.delete(id);
+        const worker = this.workers.get(id);
+        if (worker) {
+            this.workers.delete(id);
+            await worker.terminate();
+        }
+        fs.rmSync(this.jobDir(id), { recursive: true, force: true });
+        this.save();
+        this.schedule();
+        return true;
+    }
+
+    /**
+     * Reads a completed job's outputs back from disk.
+     */
+    readOutputs(job) {
+        const dir = this.jobDir(job.id);
+        return job.outputs.map(output => ({
+            name: output.name,
+            type: output.type,
+            bytes: new Uint8Array(fs.readFileSync(path.join(dir, output.file)))
+        }));
+    }
+
+    // ============================================
+    // SCHEDULING
+    // ============================================
+    schedule() {
+        const now = Date.now();
+        let nextRetry = Infinity;
+
+        // Oldest first
+        const waiting = [...this.jobs.values()]
+            .filter(job => job.status === 'queued')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of waiting) {
+            if (this.workers.size >= this.config.concurrency) break;
+            const retryAt = job.retryAt ? Date.parse(job.retryAt) : 0;
+            if (retryAt > now) {
+                nextRetry = Math.min(nextRetry, retryAt);
+                continue;
+            }
+            this.run(job);
+        }
+
+        clearTimeout(this.retryTimer);
+        if (nextRetry !== Infinity) {
+            this.retryTimer = setTimeout(() => this.schedule(), nextRetry - now).unref();
+        }
+    }
+
+    run(job) {
+        job.status = 'running';
+        job.attempts += 1;
+        job.progress = 0;
+        job.message = null;
+        job.retryAt = null;
+        job.startedAt = new Date().toISOString();
+        job.updatedAt = job.startedAt;
+        this.save();
+
+        const worker = new Worker(WORKER_FILE, {
+            workerData: {
+                tool: job.tool,
+                options: job.options,
+                inputs: job.inputs,
+                jobDir: this.jobDir(job.id)
+            }
+        });
+        this.workers.set(job.id, worker);
+
+        let settled = false;
+        const settle = (handler) => {
+            if (settled || this.workers.get(job.id) !== worker) return;
+            settled = true;
+            clearTimeout(timeout);
+            this.workers.delete(job.id);
+            worker.terminate();
+            handler();
+            this.save();
+            this.schedule();
+        };
+
+        const timeout = setTimeout(() => {
+            settle(() => this.fail(job, jobError('The job took too long', 'JOB_TIMEOUT')));
+        }, this.config.timeoutMs);
+
+        worker.on('message', message => {
+            if (message.type === 'progress') {
+                // Kept in memory only; written with the next state change
+                job.progress = message.progress;
+                job.message = message.message || null;
+                job.updatedAt = new Date().toISOString();
+            } else if (message.type === 'done') {
+                settle(() => this.complete(job, message));
+            } else if (message.type === 'error') {
+                settle(() => this.fail(job, message.error));
+            }
+        });
+
+        worker.on('error', error => {
+            settle(() => this.fail(job, jobError(error.message, error.code || 'WORKER_CRASHED')));
+        });
+
+        worker.on('exit', code => {
+            settle(() => this.fail(job, jobError(`The worker stopped unexpectedly (exit code ${code})`, 'WORKER_CRASHED')));
+        });
+    }
+
+    complete(job, { outputs, reports }) {
+        const now = new Date();
+        job.status = 'completed';
+        job.progress = 1;
+        job.message = null;
+        job.error = null;
+        job.outputs = outputs;
+        job.reports = reports;
+        job.finishedAt = now.toISOString();
+        job.updatedAt = job.finishedAt;
+        job.expiresAt = new Date(now.getTime() + this.config.resultTTLMs).toISOString();
+        this.finish(job);
+    }
+
+    fail(job, error) {
+        const now = new Date();
+        job.error = error;
+        job.updatedAt = now.toISOString();
+
+        if (TRANSIENT_CODES.has(error.code) && job.attempts < this.config.maxAttempts) {
+            const delay = this.config.retryDelayMs * 2 ** (job.attempts - 1);
+            job.status = 'queued';
+            job.retryAt = new Date(now.getTime() + delay).toISOString();
+            return;
+        }
+
+        job.status = 'failed';
+        job.finishedAt = job.updatedAt;
+        job.expiresAt = new Date(now.getTime() + this.config.resultTTLMs).toISOString();
+        this.finish(job);
+    }
+
+    // Inputs and options (which may hold passwords) are not needed once a job is done
+    finish(job) {
+        const dir = this.jobDir(job.id);
+        job.inputs.forEach(input => fs.rmSync(path.join(dir, input.file), { force: true }));
+        job.options = {};
+    }
+
+    // ============================================
+    // EXPIRY
+    // ============================================
+
+    /**
+     * Deletes the files of jobs past their expiry. The record stays for
+     * another TTL so clients polling it see "expired" rather than 404.
+     */
+    sweep() {
+        const now = Date.now();
+        let changed = false;
+
+        for (const job of [...this.jobs.values()]) {
+            if (!job.expiresAt || Date.parse(job.expiresAt) > now) continue;
+
+            if (job.status !== 'expired') {
+                fs.rmSync(this.jobDir(job.id), { recursive: true, force: true });
+                job.status = 'expired';
+                job.outputs = [];
+                job.reports = [];
+                changed = true;
+            } else if (Date.parse(job.expiresAt) + this.config.resultTTLMs <= now) {
+                this.jobs.delete(job.id);
+                changed = true;
+            }
+        }
+
+        if (changed) this.save();
+    }
+}
+
+module.exports = { JobQueue, TRANSIENT_CODES };
@@ -0,0 +1,39 @@
+/**
+ * Job Worker
+ * Runs one queued job in a worker thread so the server stays responsive.
+ * Reads the inputs from disk, writes the outputs next to them and reports
+ * progress to the queue via postMessage.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const fs = require('fs');
+const path = require('path');
+const { run } = require('./tools');
+
+async function main() {
+    const { tool, options, inputs, jobDir } = workerData;
+
+    const loaded = inputs.map(input => ({
+        name: input.name,
+        label: input.label,
+        bytes: new Uint8Array(fs.readFileSync(path.join(jobDir, input.file)))
+    }));
+
+    const onProgress = (fraction, message, label, overall) => {
+        parentPort.postMessage({ type: 'progress', progress: overall, message: message || label });
+    };
+
+    const { outputs, reports } = await run(tool, loaded, options, { onProgress });
+
+    const written = outputs.map((output, index) => {
+        const file = `output-${index}`;
+        fs.writeFileSync(path.join(jobDir, file), output.bytes);
+        return { name: output.name, type: output.type, size: output.bytes.length, file };
+    });
+
+    parentPort.postMessage({ type: 'done', outputs: written, reports });
+}
+
+main().catch(error => {
+    parentPort.postMessage({ type: 'error', error: { message: error.message, code: error.code || null } });
+});
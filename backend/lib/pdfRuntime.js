@@ -0,0 +1,97 @@
+/**
+ * PDF Runtime
+ * Loads the browser operation modules (js/) into Node so the CLI and
+ * server run exactly the same pdf-lib code paths as the website
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+// Load order matters: each module only references the ones before it
+const MODULES = [
+    'pdfCrypto.js',
+    'pdfEncryption.js',
+    'pdfLinearizer.js',
+    'pdfOptimizer.js',
+    'pdfArchive.js',
+    'pdfOutline.js',
+    'pdfMerger.js',
+    'pdfWatermark.js',
+    'pdfNumbering.js',
+    'pdfOps.js'
+];
+
+let ops = null;
+
+const OPTIONAL = {
+    pdfjsLib: 'pdfjs-dist/legacy/build/pdf.js',
+    jspdf: 'jspdf',
+    fontkit: '@pdf-lib/fontkit'
+};
+
+function isInstalled(name) {
+    try {
+        require.resolve(name);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Optional libraries are only required when an operation first touches them
+function defineLazyGlobal(name, moduleName) {
+    if (name in globalThis) return;
+    Object.defineProperty(globalThis, name, {
+        configurable: true,
+        get() {
+            const value = isInstalled(moduleName) ? require(moduleName) : undefined;
+            Object.defineProperty(globalThis, name, { configurable: true, writable: true, value });
+            return value;
+        }
+    });
+}
+
+/**
+ * Which optional libraries are available in this process.
+ * pdf.js powers the text extraction tools, jsPDF the text/markdown tools,
+ * fontkit custom watermark fonts.
+ */
+function capabilities() {
+    return {
+        pdfjs: isInstalled(OPTIONAL.pdfjsLib),
+        jspdf: isInstalled(OPTIONAL.jspdf),
+        fontkit: isInstalled(OPTIONAL.fontkit),
+        canvas: typeof globalThis.OffscreenCanvas !== 'undefined',
+        dom: typeof globalThis.document !== 'undefined'
+    };
+}
+
+/**
+ * Returns PDFTools.ops, evaluating the browser modules on first use.
+ * The scripts run in this realm so Uint8Arrays pass between them and
+ * Node without copying.
+ */
+function load() {
+    if (ops) return ops;
+
+    globalThis.window = globalThis;
+    globalThis.self = globalThis;
+    globalThis.PDFLib = require('pdf-lib');
+    // Encryption keys come from crypto.getRandomValues, a global only from Node 19 on
+    if (!globalThis.crypto) globalThis.crypto = require('crypto').webcrypto;
+
+    Object.entries(OPTIONAL).forEach(([name, moduleName]) => defineLazyGlobal(name, moduleName));
+
+    for (const file of MODULES) {
+        const filename = path.join(JS_DIR, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename });
+    }
+
+    ops = globalThis.PDFTools.ops;
+    return ops;
+}
+
+module.exports = { load, capabilities };
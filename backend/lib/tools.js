@@ -0,0 +1,237 @@
+/**
+ * Tool Definitions
+ * The PDF operations exposed by the CLI and the processing API,
+ * with the option handling the web forms do implicitly
+ */
+
+const runtime = require('./pdfRuntime');
+
+// op: name in PDFTools.ops; input: what each input file must be;
+// multiple: all inputs go to one run (otherwise each file is processed on its own);
+// needs: optional runtime capability; usage: the options the tool reads, and the
+// only flags the CLI accepts for it
+const TOOLS = {
+    merge: { op: 'merge', input: 'pdf', multiple: true, description: 'Combine PDFs in the order given', usage: '[--mode interleave [--no-reverse-backs]] [--separator blank|title] [--no-outline] [--file-bookmarks]' },
+    split: { op: 'split', input: 'pdf', description: 'Split into pages, a page range or fixed-size chunks', usage: '--range 1-3,5 | --interval 2 | --method all | --method bookmarks [--bookmark-level 2] | --max-size <MB> | --method blank | --separator-text <text> [--keep-separators]' },
+    compress: { op: 'compress', input: 'pdf', description: 'Reduce file size', usage: '--level low|medium|high | --target <MB>' },
+    rotate: { op: 'rotatePages', input: 'pdf', description: 'Rotate pages', usage: '--angle 90|180|270 --pages all|odd|even' },
+    extract: { op: 'extractPages', input: 'pdf', description: 'Keep only the given pages', usage: '--range 1-3,5' },
+    delete: { op: 'deletePages', input: 'pdf', description: 'Remove the given pages', usage: '--range 2,4' },
+    'add-blank': { op: 'addBlankPages', input: 'pdf', description: 'Insert blank pages', usage: '--count 1 --position start|end --page-size a4|letter|legal' },
+    duplicate: { op: 'duplicatePages', input: 'pdf', description: 'Duplicate pages in place', usage: '--range 1' },
+    reorder: { op: 'reorderPages', input: 'pdf', description: 'Rearrange pages', usage: '--order 3,1,2' },
+    protect: { op: 'protect', input: 'pdf', description: 'Encrypt with a password', usage: '--password <pw> [--owner-password <pw>] [--algorithm aes-256|aes-128|rc4-128]' },
+    permissions: { op: 'permissions', input: 'pdf', description: 'Report permissions, or restrict them with an owner password', usage: '[--owner-password <pw> [--user-password <pw>] --deny print,copy | --allow print] [--current-password <owner pw of a protected file>] [--algorithm aes-256|aes-128|rc4-128]' },
+    unlock: { op: 'unlock', input: 'pdf', description: 'Remove password protection', usage: '--password <pw>' },
+    'change-password': { op: 'changePassword', input: 'pdf', description: 'Replace the password', usage: '--current-password <pw> --new-password <pw> [--owner-password <pw>] [--algorithm aes-256|aes-128|rc4-128]' },
+    pdfa: { op: 'pdfToPdfa', input: 'pdf', description: 'Convert to PDF/A', usage: '--level 2b|1b [--password <pw>]' },
+    'validate-pdfa': { op: 'validatePdfa', input: 'pdf', description: 'Check PDF/A conformance', usage: '[--level 2b|1b]' },
+    watermark: { op: 'addWatermark', input: 'pdf', description: 'Stamp text or an image on the pages', usage: '--text DRAFT | --image logo.png [--position center|diagonal|top|bottom|tile] [--font times-bold | --font-file font.ttf] [--font-size 48] [--color ff0000] [--scale 0.5] [--rotation 30] [--spacing 0.5] [--opacity 0.3] [--pages 1-3] [--behind]' },
+    'find-watermarks': { op: 'detectWatermarks', input: 'pdf', description: 'List what looks like a watermark, with ids for remove-watermark' },
+    'remove-watermark': { op: 'removeWatermark', input: 'pdf', description: 'Remove watermarks', usage: '[--scope marked|all | --remove artifact-1,text-2]' },
+    'page-numbers': { op: 'pageNumbers', input: 'pdf', multiple: true, description: 'Number the pages, or Bates-number several files in order', usage: '[--format "Page {page} of {total}"] [--style decimal|lower-roman|upper-roman|lower-alpha|upper-alpha] [--pages 2-10] [--start-number 1] [--sections "1: skip; 2-5: lower-roman; 6-: from 1"] | --bates-prefix ACME [--bates-start 1] [--bates-digits 6] [--bates-suffix -C], with [--position bottom-center] [--font times | --font-file font.ttf] [--font-size 12] [--color 000000] [--no-page-labels]' },
+    'image-to-pdf': { op: 'imageToPdf', input: 'image', multiple: true, description: 'Put JPEG/PNG images into one PDF', usage: '--page-size a4|letter|legal|fit --orientation auto|portrait|landscape' },
+    'pdf-to-text': { op: 'pdfToText', input: 'pdf', needs: 'pdfjs', description: 'Extract text' },
+    'pdf-to-word': { op: 'pdfToWord', input: 'pdf', needs: 'pdfjs', description: 'Extract text into a Word document' },
+    'pdf-to-excel': { op: 'pdfToExcel', input: 'pdf', needs: 'pdfjs', description: 'Extract text lines into CSV' },
+    'pdf-to-image': { op: 'pdfToImage', input: 'pdf', needs: 'canvas', description: 'Render pages as images', usage: '[--format png|jpeg] [--scale 2]' },
+    'text-to-pdf': { op: 'textToPdf', input: 'text', needs: 'jspdf', description: 'Typeset a text file' },
+    'markdown-to-pdf': { op: 'markdownToPdf', input: 'text', needs: 'jspdf', description: 'Typeset a Markdown file' },
+    'html-to-pdf': { op: 'htmlToPdf', input: 'text', needs: 'dom', description: 'Render an HTML file' }
+};
+
+const ALIASES = { encrypt: 'protect', decrypt: 'unlock', numbers: 'page-numbers' };
+
+const NEEDS = {
+    pdfjs: 'the pdfjs-dist package',
+    jspdf: 'the jspdf package',
+    fontkit: 'the @pdf-lib/fontkit package',
+    canvas: 'a canvas implementation, which Node does not provide',
+    dom: 'a browser DOM, which Node does not provide'
+};
+
+function toolError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function resolveTool(name) {
+    const key = ALIASES[name] || name;
+    return Object.prototype.hasOwnProperty.call(TOOLS, key) ? key : null;
+}
+
+/**
+ * The options a tool takes on the command line: the flags its usage lists,
+ * by option name ("--no-outline" is outline)
+ */
+function optionNames(name) {
+    const flags = (TOOLS[name].usage || '').matchAll(/--(?:no-)?([a-z][a-z-]*)/g);
+    return new Set(Array.from(flags, ([, flag]) => flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())));
+}
+
+function splitList(value) {
+    return Array.isArray(value) ? value : String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Fills in the choices the web form makes implicitly and converts
+ * shorthand options (--target, --allow/--deny, percentage opacity).
+ * Throws with code INVALID_OPTIONS.
+ */
+function normalizeOptions(name, input = {}) {
+    const options = { ...input };
+
+    if (name === 'split') {
+        if (options.maxSize !== undefined) {
+            options.maxSizeMB = options.maxSize;
+            delete options.maxSize;
+        }
+        if (!options.method) {
+            if (options.range !== undefined) options.method = 'range';
+            else if (options.interval !== undefined) options.method = 'interval';
+            else if (options.maxSizeMB !== undefined) options.method = 'size';
+            else if (options.separatorText !== undefined) options.method = 'separator';
+        }
+        // Finding separator pages reads the page content with pdf.js
+        if (['blank', 'separator'].includes(options.method) && !runtime.capabilities().pdfjs) {
+            throw toolError(`Splitting at ${options.method} pages needs ${NEEDS.pdfjs}`, 'UNSUPPORTED');
+        }
+    }
+
+    if (name === 'compress' && options.target !== undefined) {
+        options.level = 'target';
+        options.targetSizeMB = options.target;
+        delete options.target;
+    }
+
+    if (name === 'watermark' || name === 'page-numbers') {
+        if (options.fontFile !== undefined && options.font === undefined) options.font = 'custom';
+        if (options.font === 'custom' && !runtime.capabilities().fontkit) {
+            throw toolError(`Custom fonts need ${NEEDS.fontkit}`, 'UNSUPPORTED');
+        }
+    }
+
+    if (name === 'page-numbers' && !options.numbering) {
+        const bates = ['batesPrefix', 'batesStart', 'batesDigits', 'batesSuffix'].some(key => options[key] !== undefined);
+        options.numbering = bates ? 'bates' : 'pages';
+    }
+
+    if (name === 'watermark') {
+        if (!options.type) options.type = options.image !== undefined ? 'image' : 'text';
+        // Accept both 0.3 and 30 (percent, as in the web form)
+        ['opacity', 'scale'].filter(key => options[key] !== undefined).forEach(key => {
+            const value = parseFloat(options[key]);
+            if (isNaN(value) || value < 0 || value > 100) {
+                throw toolError(`${key} must be between 0 and 1 (or a percentage)`, 'INVALID_OPTIONS');
+            }
+            options[key] = value > 1 ? value / 100 : value;
+        });
+    }
+
+    if (name === 'remove-watermark' && options.remove !== undefined) {
+        options.remove = splitList(options.remove);
+    }
+
+    if (name === 'permissions') {
+        if (options.mode === undefined) options.mode = options.ownerPassword ? 'set' : 'report';
+        runtime.load();
+        const known = Object.keys(globalThis.PDFEncryption.PERMISSION_BITS);
+        const check = list => list.forEach(permission => {
+            if (!known.includes(permission)) {
+                throw toolError(`Unknown permission "${permission}". Use: ${known.join(', ')}`, 'INVALID_OPTIONS');
+            }
+        });
+        if (options.allow !== undefined) {
+            const allowed = splitList(options.allow);
+            check(allowed);
+            options.permissions = Object.fromEntries(known.map(p => [p, allowed.includes(p)]));
+        }
+        if (options.deny !== undefined) {
+            const denied = splitList(options.deny);
+            check(denied);
+            options.permissions = { ...options.permissions, ...Object.fromEntries(denied.map(p => [p, false])) };
+        }
+        delete options.allow;
+        delete options.deny;
+    }
+
+    if (name === 'reorder' && Array.isArray(options.order)) {
+        options.order = options.order.join(',');
+    }
+
+    return options;
+}
+
+/**
+ * Rejects inputs the tool cannot read. Throws with code INVALID_INPUT.
+ */
+function checkInput(name, bytes, label) {
+    if (bytes.length === 0) {
+        throw toolError(`${label} is empty`, 'INVALID_INPUT');
+    }
+    if (TOOLS[name].input === 'pdf' && !Buffer.from(bytes.buffer, bytes.byteOffset, Math.min(bytes.length, 1024)).includes('%PDF-')) {
+        throw toolError(`${label} is not a PDF file`, 'INVALID_INPUT');
+    }
+}
+
+/**
+ * Runs a tool over named inputs ({ name, bytes }). Tools that take one
+ * file run once per input and prefix the results with the input name.
+ * controls.onProgress receives (fraction, message, label, overallFraction).
+ * @returns {Promise<{outputs: Array, reports: Array, results: Array<{label, result}>}>}
+ */
+async function run(name, inputs, options = {}, controls = {}) {
+    const tool = TOOLS[name];
+    if (!tool) {
+        throw toolError(`Unknown tool: ${name}`, 'INVALID_OPTIONS');
+    }
+
+    const ops = runtime.load();
+    if (tool.needs && !runtime.capabilities()[tool.needs]) {
+        throw toolError(`"${name}" needs ${NEEDS[tool.needs]}`, 'UNSUPPORTED');
+    }
+    if (inputs.length === 0) {
+        throw toolError('No input files given', 'INVALID_INPUT');
+    }
+    inputs.forEach(input => checkInput(name, input.bytes, input.label || input.name));
+
+    const runs = tool.multiple ? [inputs] : inputs.map(input => [input]);
+    const outputs = [];
+    const reports = [];
+    const results = [];
+
+    for (let i = 0; i < runs.length; i++) {
+        const group = runs[i];
+        const label = group.length === 1 ? group[0].name : `${group.length} files`;
+        // Reports the fraction of this run and of the whole batch
+        const onProgress = controls.onProgress
+            ? (fraction, message) => controls.onProgress(fraction, message, label, (i + fraction) / runs.length)
+            : undefined;
+
+        let result;
+        try {
+            // Combining tools name their bookmarks after the inputs
+            const runOptions = tool.multiple ? { ...options, names: group.map(input => input.name) } : options;
+            result = await ops[tool.op](group.map(input => input.bytes), runOptions, { onProgress, signal: controls.signal });
+        } catch (error) {
+            // pdf-lib refuses encrypted files with a message meant for developers
+            if (/is encrypted/.test(error.message)) {
+                throw toolError(`${label} is password protected. Unlock it first.`, 'INVALID_INPUT');
+            }
+            throw error;
+        }
+
+        const report = result.report || result.info;
+        if (report) reports.push(runs.length > 1 ? { file: group[0].name, ...report } : report);
+
+        // Results of a batch are prefixed with their source so they don't collide
+        const prefix = !tool.multiple && runs.length > 1 ? `${group[0].name}_` : '';
+        outputs.push(...result.outputs.map(out => ({ ...out, name: prefix + out.name })));
+        results.push({ label, result });
+    }
+
+    return { outputs, reports, results };
+}
+
+module.exports = { TOOLS, ALIASES, resolveTool, optionNames, normalizeOptions, checkInput, run };
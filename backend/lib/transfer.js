@@ -0,0 +1,112 @@
+/**
+ * File Transfer Helpers
+ * Multipart uploads in, PDF/ZIP downloads out
+ */
+
+const fs = require('fs');
+const multer = require('multer');
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_FILE_SIZE = (parseInt(process.env.MAX_FILE_SIZE_MB) || 100) * 1024 * 1024;
+const MAX_FILES = 50;
+
+// Error codes from the tools mapped to HTTP statuses
+const STATUS_BY_CODE = {
+    INVALID_OPTIONS: 400,
+    INVALID_INPUT: 400,
+    INCORRECT_PASSWORD: 422,
+    TARGET_NOT_REACHED: 422,
+    UNSUPPORTED: 501
+};
+
+/**
+ * Middleware storing the `files` field in `destination`. Multer errors other
+ * than the size limit (handled globally as 413) are answered as 400.
+ */
+function receiveFiles(destination) {
+    fs.mkdirSync(destination, { recursive: true });
+    const upload = multer({
+        storage: multer.diskStorage({
+            destination,
+            filename: (req, file, cb) => cb(null, uuidv4())
+        }),
+        limits: {
+            fileSize: MAX_FILE_SIZE,
+            files: MAX_FILES
+        }
+    }).array('files', MAX_FILES);
+
+    return (req, res, next) => upload(req, res, error => {
+        if (error instanceof multer.MulterError && error.code !== 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                error: error.code === 'LIMIT_FILE_COUNT'
+                    ? `Too many files (maximum ${MAX_FILES})`
+                    : `Unexpected upload field "${error.field}". Send files as "files".`
+            });
+        }
+        next(error);
+    });
+}
+
+async function removeUploads(files = []) {
+    await Promise.all(files.map(file => fs.promises.rm(file.path, { force: true })));
+}
+
+// Options come from an `options` JSON field and/or individual form fields
+function parseOptions(body = {}) {
+    const { options, ...fields } = body;
+    let parsed = {};
+    if (options) {
+        try {
+            parsed = JSON.parse(options);
+        } catch (error) {
+            const invalid = new Error('The "options" field must be valid JSON');
+            invalid.code = 'INVALID_OPTIONS';
+            throw invalid;
+        }
+    }
+    return { ...parsed, ...fields };
+}
+
+// Operation errors carry user-facing messages, so they are passed on as-is
+function sendToolError(res, error) {
+    res.status(STATUS_BY_CODE[error.code] || 422).json({
+        success: false,
+        error: error.message,
+        code: error.code
+    });
+}
+
+function sendFile(res, { name, type, bytes }) {
+    res.type(type);
+    res.attachment(name);
+    res.end(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length));
+}
+
+function sendZip(res, name, outputs) {
+    const zip = new JSZip();
+    outputs.forEach(output => zip.file(output.name, output.bytes));
+    res.type('application/zip');
+    res.attachment(name);
+    return new Promise((resolve, reject) => {
+        zip.generateNodeStream({ type: 'nodebuffer', streamFiles: true, compression: 'DEFLATE' })
+            .on('error', reject)
+            .pipe(res)
+            .on('finish', resolve)
+            .on('error', reject);
+    });
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_FILES,
+    STATUS_BY_CODE,
+    receiveFiles,
+    removeUploads,
+    parseOptions,
+    sendToolError,
+    sendFile,
+    sendZip
+};
@@ -0,0 +1,162 @@
+/**
+ * Job Routes
+ * Queue large processing jobs and fetch their results later
+ *
+ * Send the same fields as POST /api/process/:tool, plus the tool's name,
+ * then poll the job until its status is completed and fetch the result:
+ *
+ *   curl -F tool=compress -F level=high -F files=@scan.pdf http://localhost:3001/api/jobs
+ *   curl http://localhost:3001/api/jobs/<id>
+ *   curl -o scan_small.pdf http://localhost:3001/api/jobs/<id>/result
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveTool, normalizeOptions, checkInput } = require('../lib/tools');
+const { STATUS_BY_CODE, receiveFiles, removeUploads, parseOptions, sendFile, sendZip, sendToolError } = require('../lib/transfer');
+const { JobQueue } = require('../lib/jobQueue');
+
+// Job files hold other users' documents and options (passwords included),
+// so they are kept outside the directory the server serves files from
+const DATA_DIR = process.env.JOB_DATA_DIR || path.join(os.tmpdir(), 'pdftools-jobs');
+
+const queue = new JobQueue({
+    dataDir: DATA_DIR,
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000,
+    timeoutMs: (parseInt(process.env.JOB_TIMEOUT_MINUTES) || 10) * 60 * 1000,
+    resultTTLMs: (parseInt(process.env.JOB_RESULT_TTL_MINUTES) || 60) * 60 * 1000
+});
+queue.start();
+
+const receiveUploads = receiveFiles(queue.uploadDir);
+
+// Only the first bytes are needed to reject files the tool cannot read
+function readHead(file) {
+    const handle = fs.openSync(file, 'r');
+    try {
+        const buffer = Buffer.alloc(1024);
+        const length = fs.readSync(handle, buffer, 0, buffer.length, 0);
+        return new Uint8Array(buffer.buffer, 0, length);
+    } finally {
+        fs.closeSync(handle);
+    }
+}
+
+// What clients see of a job: no options (they may hold passwords) or file paths
+function describe(job) {
+    return {
+        id: job.id,
+        tool: job.tool,
+        status: job.status,
+        progress: job.progress,
+        message: job.message,
+        attempts: job.attempts,
+        error: job.error,
+        inputs: job.inputs.map(input => ({ name: input.label, size: input.size })),
+        outputs: job.outputs.map(output => ({ name: output.name, type: output.type, size: output.size })),
+        report: job.reports.length > 1 ? job.reports : job.reports[0] || null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        expiresAt: job.expiresAt,
+        retryAt: job.retryAt,
+        resultUrl: job.status === 'completed' && job.outputs.length ? `/api/jobs/${job.id}/result` : null
+    };
+}
+
+function findJob(req, res) {
+    const job = queue.get(req.params.id);
+    if (!job) {
+        res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    return job;
+}
+
+// POST /api/jobs - Queue a tool run; responds 202 with the job id
+router.post('/', receiveUploads, (req, res, next) => {
+    const files = req.files || [];
+
+    try {
+        const { tool: requested, ...fields } = req.body || {};
+        const tool = resolveTool(requested);
+        if (!tool) {
+            removeUploads(files);
+            return res.status(400).json({
+                success: false,
+                error: requested ? `Unknown tool: ${requested}` : 'Please choose a tool'
+            });
+        }
+        if (files.length === 0) {
+            return res.status(400).json({ success: false, error: 'No files uploaded. Send files as "files".' });
+        }
+
+        const options = normalizeOptions(tool, parseOptions(fields));
+        files.forEach(file => checkInput(tool, readHead(file.path), file.originalname));
+
+        const job = queue.submit({ tool, options, files });
+        res.status(202)
+            .location(`/api/jobs/${job.id}`)
+            .json({ success: true, job: describe(job) });
+    } catch (error) {
+        removeUploads(files);
+        if (STATUS_BY_CODE[error.code]) return sendToolError(res, error);
+        next(error);
+    }
+});
+
+// GET /api/jobs/:id - Status and progress
+router.get('/:id', (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    res.json({ success: true, job: describe(job) });
+});
+
+// GET /api/jobs/:id/result - Download the output (a ZIP when there are several)
+router.get('/:id/result', async (req, res, next) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    if (job.status === 'expired') {
+        return res.status(410).json({ success: false, error: 'The result has expired' });
+    }
+    if (job.status === 'failed') {
+        return res.status(409).json({ success: false, error: job.error.message, code: job.error.code, status: job.status });
+    }
+    if (job.status !== 'completed') {
+        return res.status(409).json({ success: false, error: 'The job has not finished yet', status: job.status });
+    }
+
+    try {
+        const outputs = queue.readOutputs(job);
+        if (outputs.length === 0) {
+            return res.json({ success: true, report: describe(job).report });
+        }
+        if (outputs.length === 1) {
+            return sendFile(res, outputs[0]);
+        }
+        await sendZip(res, `${job.tool}.zip`, outputs);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// DELETE /api/jobs/:id - Cancel a job and delete its files
+router.delete('/:id', async (req, res, next) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    try {
+        await queue.remove(job.id);
+        res.json({ success: true, message: 'Job deleted' });
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+/**
+ * Processing Routes
+ * Run the PDF tools server-side on uploaded files
+ *
+ * Upload the files as multipart "files" fields. Options are form fields
+ * named as in the usage GET /api/process lists, in camelCase, or one
+ * "options" field holding them as JSON:
+ *
+ *   curl -F files=@report.pdf -F level=2b -o report_pdfa.pdf http://localhost:3001/api/process/pdfa
+ *   curl -F files=@a.pdf -F files=@b.pdf -F 'options={"mode":"interleave"}' -o merged.pdf \
+ *        http://localhost:3001/api/process/merge
+ *
+ * Failures are JSON ({ success: false, error, code }) with a 4xx status.
+ * Large files are better sent to /api/jobs, which runs them in the background.
+ */
+
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TOOLS, resolveTool, normalizeOptions, run } = require('../lib/tools');
+const {
+    MAX_FILE_SIZE, MAX_FILES, STATUS_BY_CODE,
+    receiveFiles, removeUploads, parseOptions, sendFile, sendZip, sendToolError
+} = require('../lib/transfer');
+const runtime = require('../lib/pdfRuntime');
+
+// Uploads are written here and removed as soon as they have been read
+const UPLOAD_DIR = path.join(os.tmpdir(), 'pdftools-uploads');
+const STALE_UPLOAD_MS = 60 * 60 * 1000; // 1 hour
+
+const receiveUploads = receiveFiles(UPLOAD_DIR);
+
+// Remove uploads left behind by a crash or restart
+function sweepStaleUploads() {
+    const cutoff = Date.now() - STALE_UPLOAD_MS;
+    fs.readdirSync(UPLOAD_DIR).forEach(name => {
+        const file = path.join(UPLOAD_DIR, name);
+        try {
+            if (fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+        } catch (error) {
+            // Already gone
+        }
+    });
+}
+sweepStaleUploads();
+setInterval(sweepStaleUploads, STALE_UPLOAD_MS).unref();
+
+// GET /api/process - List the tools available on this server
+router.get('/', (req, res) => {
+    const capabilities = runtime.capabilities();
+    res.json({
+        success: true,
+        maxFileSizeMB: MAX_FILE_SIZE / 1024 / 1024,
+        maxFiles: MAX_FILES,
+        tools: Object.entries(TOOLS).map(([id, tool]) => ({
+            id,
+            description: tool.description,
+            input: tool.input,
+            multiple: !!tool.multiple,
+            usage: tool.usage || '',
+            available: !tool.needs || capabilities[tool.needs]
+        }))
+    });
+});
+
+// POST /api/process/:tool - Run a tool on the uploaded files
+// Responds with the resulting file, a ZIP when there are several, or JSON for reports
+router.post('/:tool', receiveUploads, async (req, res, next) => {
+    const name = resolveTool(req.params.tool);
+    const files = req.files || [];
+
+    let inputs;
+    let options;
+    try {
+        if (!name) {
+            return res.status(404).json({ success: false, error: `Unknown tool: ${req.params.tool}` });
+        }
+        if (files.length === 0) {
+            return res.status(400).json({ success: false, error: 'No files uploaded. Send files as "files".' });
+        }
+
+        options = normalizeOptions(name, parseOptions(req.body));
+        inputs = await Promise.all(files.map(async file => ({
+            name: path.parse(file.originalname).name || 'document',
+            label: file.originalname,
+            bytes: new Uint8Array(await fs.promises.readFile(file.path))
+        })));
+    } catch (error) {
+        return STATUS_BY_CODE[error.code] ? sendToolError(res, error) : next(error);
+    } finally {
+        await removeUploads(files);
+    }
+
+    // Stop working on the request if the client goes away
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort();
+    });
+
+    try {
+        const { outputs, reports } = await run(name, inputs, options, { signal: controller.signal });
+
+        if (outputs.length === 0) {
+            return res.json({ success: true, tool: name, report: reports.length > 1 ? reports : reports[0] });
+        }
+        if (outputs.length === 1) {
+            return sendFile(res, outputs[0]);
+        }
+        await sendZip(res, `${name}.zip`, outputs);
+    } catch (error) {
+        if (error.code === 'ABORTED' || res.headersSent) return;
+        // Operations throw plain Errors with user-facing messages for bad input;
+        // anything else is a bug and goes to the global handler
+        if (error instanceof TypeError || error instanceof ReferenceError || error instanceof RangeError) {
+            return next(error);
+        }
+        sendToolError(res, error);
+    }
+});
+
+module.exports = router;
@@ -15,6 +15,8 @@ const path = require('path');
 const authRoutes = require('./routes/auth');
 const analyticsRoutes = require('./routes/analytics');
 const securityRoutes = require('./routes/security');
+const processRoutes = require('./routes/process');
+const jobRoutes = require('./routes/jobs');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
@@ -33,7 +35,8 @@ app.use(helmet({
     contentSecurityPolicy: {
         directives: {
             defaultSrc: ["'self'"],
-            scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'", "https://cdnjs.cloudflare.com", "https://unpkg.com"],
+            // blob: runs plugins installed from a local file (js/pluginManager.js)
+            scriptSrc: ["'self'", "'unsafe-inline'", "'unsafe-eval'", "blob:", "https://cdnjs.cloudflare.com", "https://unpkg.com"],
             scriptSrcAttr: ["'unsafe-inline'"], // Allow inline event handlers
             styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
             fontSrc: ["'self'", "https://fonts.gstatic.com"],
@@ -49,6 +52,7 @@ app.use(cors({
     origin: process.env.CORS_ORIGIN || '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
+    exposedHeaders: ['Content-Disposition'],
     credentials: true
 }));
 
@@ -79,6 +83,16 @@ const authLimiter = rateLimit({
     }
 });
 
+// Processing is CPU heavy, so it gets its own, tighter limit
+const processLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: parseInt(process.env.PROCESS_RATE_LIMIT_MAX) || 20,
+    message: {
+        success: false,
+        error: 'Too many processing requests, please try again later.'
+    }
+});
+
 // ============================================
 // BODY PARSING & LOGGING
 // ============================================
@@ -92,13 +106,33 @@ if (process.env.NODE_ENV !== 'production') {
 }
 app.use(requestLogger);
 
-// Bot detection
-app.use(botDetection);
+// Bot detection. The processing API is meant to be called from scripts
+// (curl, wget, CI jobs), so it is left to its own rate limits instead.
+const SCRIPT_APIS = ['/api/process', '/api/jobs'];
+app.use((req, res, next) => {
+    const isScriptApi = SCRIPT_APIS.some(prefix => req.path === prefix || req.path.startsWith(prefix + '/'));
+    return isScriptApi ? next() : botDetection(req, res, next);
+});
 
 // ============================================
 // STATIC FILES
 // ============================================
 
+// The backend's code and data sit inside the frontend's root; never serve them.
+// The path is checked as the static handler resolves it (decoded, with ../ applied).
+app.use((req, res, next) => {
+    let resolved = req.path;
+    try {
+        resolved = path.posix.normalize(decodeURIComponent(req.path));
+    } catch (error) {
+        // Malformed escapes are rejected by the static handler
+    }
+    if (/^\/+backend(\/|$)/i.test(resolved)) {
+        return res.status(404).json({ success: false, error: 'Not found' });
+    }
+    next();
+});
+
 // Serve frontend files
 app.use(express.static(path.join(__dirname, '..')));
 
@@ -109,6 +143,9 @@ app.use(express.static(path.join(__dirname, '..')));
 app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/security', securityRoutes);
+app.use('/api/process', processLimiter, processRoutes);
+app.post('/api/jobs', processLimiter); // status polling is not limited this tightly
+app.use('/api/jobs', jobRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
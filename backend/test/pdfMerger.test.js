@@ -0,0 +1,69 @@
+/**
+ * Merge Tests
+ * Bookmarks of files merged with a page range
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument, PDFName, PDFHexString, PDFArray } = require('pdf-lib');
+const runtime = require('../lib/pdfRuntime');
+
+// Four pages with a bookmark to each, "Page 1" to "Page 4"
+async function bookmarkedPdf() {
+    const doc = await PDFDocument.create();
+    const pages = [0, 1, 2, 3].map(() => doc.addPage([200, 200]));
+    const context = doc.context;
+    const rootRef = context.nextRef();
+    const refs = pages.map(() => context.nextRef());
+    refs.forEach((ref, i) => {
+        const item = { Title: PDFHexString.fromText(`Page ${i + 1}`), Parent: rootRef, Dest: [pages[i].ref, 'Fit'] };
+        if (i > 0) item.Prev = refs[i - 1];
+        if (i < refs.length - 1) item.Next = refs[i + 1];
+        context.assign(ref, context.obj(item));
+    });
+    context.assign(rootRef, context.obj({ Type: 'Outlines', First: refs[0], Last: refs[3], Count: 4 }));
+    doc.catalog.set(PDFName.of('Outlines'), rootRef);
+    return doc.save();
+}
+
+// Title and destination page number of every bookmark, depth first
+function bookmarks(pdf) {
+    const pageRefs = pdf.getPages().map(page => page.ref);
+    const found = [];
+    const visit = (ref) => {
+        for (let item = ref && pdf.context.lookup(ref); item; item = item.lookup(PDFName.of('Next'))) {
+            const dest = item.lookup(PDFName.of('Dest'));
+            found.push({
+                title: item.lookup(PDFName.of('Title')).decodeText(),
+                page: dest instanceof PDFArray ? pageRefs.indexOf(dest.get(0)) + 1 : null
+            });
+            visit(item.get(PDFName.of('First')));
+        }
+    };
+    visit(pdf.context.lookup(pdf.catalog.get(PDFName.of('Outlines'))).get(PDFName.of('First')));
+    return found;
+}
+
+test('bookmarks to pages a range leaves out move to the nearest kept page', async () => {
+    const ops = runtime.load();
+    const source = await bookmarkedPdf();
+    const { outputs } = await ops.merge([source, source], {
+        names: ['first.pdf', 'second.pdf'],
+        files: [{ range: '1,3' }, { range: '4' }]
+    });
+    const merged = await PDFDocument.load(outputs[0].bytes);
+
+    assert.strictEqual(merged.getPageCount(), 3);
+    assert.deepStrictEqual(bookmarks(merged), [
+        { title: 'first', page: 1 },
+        { title: 'Page 1', page: 1 },
+        { title: 'Page 2', page: 2 },
+        { title: 'Page 3', page: 2 },
+        { title: 'Page 4', page: 2 },
+        { title: 'second', page: 3 },
+        { title: 'Page 1', page: 3 },
+        { title: 'Page 2', page: 3 },
+        { title: 'Page 3', page: 3 },
+        { title: 'Page 4', page: 3 }
+    ]);
+});
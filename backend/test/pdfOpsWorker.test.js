@@ -0,0 +1,43 @@
+/**
+ * Operations Worker Client Tests
+ * Which operations stay on the page instead of going to the Web Worker
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The page globals the client reads when it loads
+function loadClient() {
+    const page = {
+        document: { currentScript: { src: 'http://localhost/js/pdfOpsWorker.js' } },
+        location: { href: 'http://localhost/tool.html' },
+        URL
+    };
+    page.window = page;
+    const filename = path.join(__dirname, '..', '..', 'js', 'pdfOpsWorker.js');
+    vm.runInNewContext(fs.readFileSync(filename, 'utf8'), page, { filename });
+    return page.PDFOpsWorker;
+}
+
+test('blank-page splits run on the main thread, where pdf.js can render scans', () => {
+    const { needsMainThread } = loadClient();
+    assert.strictEqual(needsMainThread('split', { method: 'blank' }), true);
+    assert.strictEqual(needsMainThread('splitPreview', { method: 'blank' }), true);
+});
+
+test('other splits still run in the worker', () => {
+    const { needsMainThread } = loadClient();
+    ['all', 'range', 'interval', 'bookmarks', 'size', 'separator'].forEach(method => {
+        assert.strictEqual(needsMainThread('split', { method }), false, method);
+    });
+    assert.strictEqual(needsMainThread('merge', {}), false);
+});
+
+test('rendering and DOM operations run on the main thread', () => {
+    const { needsMainThread } = loadClient();
+    assert.strictEqual(needsMainThread('pdfToImage'), true);
+    assert.strictEqual(needsMainThread('htmlToPdf'), true);
+});
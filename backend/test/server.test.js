@@ -0,0 +1,69 @@
+/**
+ * Server Tests
+ * Starts the server on a spare port and checks what it serves
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const PORT = 3900 + Math.floor(Math.random() * 100);
+const BASE = `http://127.0.0.1:${PORT}`;
+
+let server;
+let jobDataDir;
+
+async function waitForServer() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            const response = await fetch(`${BASE}/api/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error('The server did not start');
+}
+
+before(async () => {
+    jobDataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdftools-test-jobs-'));
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+        env: { ...process.env, PORT: String(PORT), JOB_DATA_DIR: jobDataDir, NODE_ENV: 'test' },
+        stdio: 'ignore'
+    });
+    await waitForServer();
+});
+
+after(() => {
+    server.kill();
+    fs.rmSync(jobDataDir, { recursive: true, force: true });
+});
+
+test('job state is kept outside the served directory', () => {
+    assert.ok(fs.existsSync(path.join(jobDataDir, 'jobs')));
+});
+
+test('backend files are not served', async () => {
+    const paths = [
+        '/backend/data/jobs.json',
+        '/backend/data/admin.json',
+        '/backend/data/jobs/uploads',
+        '/backend/server.js',
+        '/BACKEND/package.json',
+        '/%62ackend/package.json',
+        '/js/../backend/package.json'
+    ];
+    for (const url of paths) {
+        const response = await fetch(BASE + url);
+        assert.strictEqual(response.status, 404, url);
+    }
+});
+
+test('frontend files are still served', async () => {
+    const response = await fetch(`${BASE}/index.html`);
+    assert.strictEqual(response.status, 200);
+});
@@ -255,61 +255,207 @@ async function tiffToPDF(files) {
 
 // ============================================
 // BATCH CONVERSION QUEUE
+// Runs one registry tool (toolRegistry.js) over many files. Each file is
+// its own item with a status, so failures can be inspected and retried.
 // ============================================
+
 class BatchQueue {
-    constructor() {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.concurrency=2] - files processed at the same time
+     */
+    constructor(config = {}) {
+        this.concurrency = config.concurrency || 2;
         this.queue = [];
         this.processing = false;
         this.results = [];
+        this.nextId = 1;
     }
 
+    /**
+     * Queues a file. Operations that combine their inputs (merge) take an
+     * array of files as a single item.
+     * @returns {Object} the queued item
+     */
     add(file, operation, options = {}) {
-        this.queue.push({ file, operation, options, status: 'pending' });
+        const tool = ToolRegistry.get(operation);
+        if (!tool?.op) {
+            throw new Error('Unknown operation: ' + operation);
+        }
+        const files = Array.isArray(file) ? file : [file];
+        const item = {
+            id: this.nextId++,
+            files,
+            name: files.length === 1 ? files[0].name : `${files.length} files`,
+            operation: tool.id,
+            options,
+            status: 'pending',
+            progress: 0,
+            attempts: 0,
+            error: null,
+            result: null
+        };
+        this.queue.push(item);
+        return item;
+    }
+
+    remove(id) {
+        this.queue = this.queue.filter(item => item.id !== id || item.status === 'processing');
     }
 
-    async processAll(onProgress, onComplete) {
+    /**
+     * Processes every pending item, a few at a time.
+     * @param {Function} [onProgress] - (done, total, item), called whenever an item changes
+     * @param {Function} [onComplete] - (results) once the queue is drained
+     * @param {AbortSignal} [signal] - stops the run; unfinished items go back to pending
+     */
+    async processAll(onProgress, onComplete, signal) {
+        if (this.processing) {
+            throw new Error('The batch is already running');
+        }
         this.processing = true;
-        this.results = [];
 
-        for (let i = 0; i < this.queue.length; i++) {
-            const item = this.queue[i];
-            item.status = 'processing';
-            onProgress?.(i, this.queue.length, item);
-
-            try {
-                const result = await this.processItem(item);
-                item.status = 'complete';
-                item.result = result;
-                this.results.push(result);
-            } catch (error) {
-                item.status = 'error';
-                item.error = error.message;
+        const pending = this.queue.filter(item => item.status === 'pending');
+        const total = this.queue.length;
+        const done = () => this.queue.filter(item => item.status === 'complete' || item.status === 'error').length;
+        const report = item => onProgress?.(done(), total, item);
+
+        const next = async () => {
+            let item;
+            while (!signal?.aborted && (item = pending.shift())) {
+                item.status = 'processing';
+                item.progress = 0;
+                item.error = null;
+                item.attempts++;
+                report(item);
+
+                try {
+                    item.result = await this.processItem(item, {
+                        signal,
+                        onProgress: (fraction) => {
+                            item.progress = fraction;
+                            report(item);
+                        }
+                    });
+                    item.status = 'complete';
+                    item.progress = 1;
+                } catch (error) {
+                    if (error.name === 'AbortError') {
+                        item.status = 'pending';
+                        item.progress = 0;
+                    } else {
+                        item.status = 'error';
+                        item.error = error.message || 'Processing failed';
+                    }
+                }
+                report(item);
             }
+        };
 
-            onProgress?.(i + 1, this.queue.length, item);
+        try {
+            await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, next));
+        } finally {
+            this.processing = false;
         }
 
-        this.processing = false;
+        this.results = this.queue.filter(item => item.status === 'complete').map(item => item.result);
         onComplete?.(this.results);
+        return this.results;
     }
 
-    async processItem(item) {
-        const { file, operation, options } = item;
-
-        switch (operation) {
-            case 'compress':
-                return await compressSinglePDF(file, options);
-            case 'rotate':
-                return await rotateSinglePDF(file, options.angle);
-            case 'convert-image':
-                return await convertToImage(file, options.format);
-            default:
-                throw new Error('Unknown operation: ' + operation);
+    async processItem(item, controls = {}) {
+        const { op } = ToolRegistry.get(item.operation);
+        const inputs = await Promise.all(item.files.map(async file => new Uint8Array(await file.arrayBuffer())));
+        const options = { ...item.options, names: item.files.map(file => file.name) };
+
+        // In a worker when the page loads pdfOpsWorker.js
+        if (typeof PDFOpsWorker !== 'undefined') {
+            return PDFOpsWorker.run(op, inputs, options, controls);
         }
+        return PDFTools.ops[op](inputs, options, controls);
+    }
+
+    /**
+     * Puts failed items (or the given one) back in the queue; call processAll to run them.
+     */
+    retry(id) {
+        this.queue
+            .filter(item => item.status === 'error' && (id === undefined || item.id === id))
+            .forEach(item => {
+                item.status = 'pending';
+                item.progress = 0;
+                item.error = null;
+            });
+    }
+
+    get failed() {
+        return this.queue.filter(item => item.status === 'error');
+    }
+
+    /**
+     * Bundles the outputs of finished items with a manifest.json describing
+     * every item, including the ones that failed.
+     * @returns {Promise<Blob>}
+     */
+    async toZip() {
+        const zip = new JSZip();
+        const used = new Set(['manifest.json']);
+        const unique = (name) => {
+            let candidate = name;
+            for (let n = 2; used.has(candidate); n++) {
+                candidate = name.replace(/(\.[^.]*)?$/, `_${n}$1`);
+            }
+            used.add(candidate);
+            return candidate;
+        };
+
+        const items = this.queue.map(item => {
+            const base = item.files.length === 1 ? item.files[0].name.replace(/\.[^.]+$/, '') : 'batch';
+            const { outputs = [], ...details } = item.result || {};
+            const files = outputs.map(out => {
+                const name = unique(`${base}_${out.name}`);
+                zip.file(name, out.bytes);
+                return { name, type: out.type, size: out.bytes.length };
+            });
+
+            return {
+                operation: item.operation,
+                input: item.files.map(file => ({ name: file.name, size: file.size })),
+                status: item.status,
+                attempts: item.attempts,
+                error: item.error,
+                outputs: files,
+                details: Object.keys(details).length ? details : undefined
+            };
+        });
+
+        const first = this.queue[0];
+        const manifest = {
+            operation: first?.operation || null,
+            options: first ? BatchQueue.publicOptions(first.operation, first.options) : {},
+            createdAt: new Date().toISOString(),
+            summary: {
+                total: items.length,
+                completed: items.filter(item => item.status === 'complete').length,
+                failed: items.filter(item => item.status === 'error').length
+            },
+            items
+        };
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        return zip.generateAsync({ type: 'blob' });
+    }
+
+    // Options without passwords, for the manifest
+    static publicOptions(operation, options) {
+        const secret = new Set((ToolRegistry.get(operation)?.fields || [])
+            .filter(field => field.type === 'password')
+            .map(field => field.name));
+        return Object.fromEntries(Object.entries(options).filter(([name]) => !secret.has(name)));
     }
 
     clear() {
-        this.queue = [];
+        this.queue = this.queue.filter(item => item.status === 'processing');
         this.results = [];
     }
 }
@@ -392,6 +538,7 @@ async function splitToZip(files) {
     const fileData = await files[0].file.arrayBuffer();
     const srcPdf = await PDFDocument.load(fileData);
     const totalPages = srcPdf.getPageCount();
+    const pages = [];
 
     for (let i = 0; i < totalPages; i++) {
         showProgress((i / totalPages) * 90);
@@ -401,9 +548,13 @@ async function splitToZip(files) {
         newPdf.addPage(page);
 
         const pdfBytes = await newPdf.save();
-        zip.file(`page_${String(i + 1).padStart(3, '0')}.pdf`, pdfBytes);
+        pages.push({ name: `page_${String(i + 1).padStart(3, '0')}.pdf`, tokens: { page: i + 1, start: i + 1, end: i + 1 }, bytes: pdfBytes });
     }
 
+    // Named by the tool's output template, if one is set
+    const names = FileNaming.names(pages);
+    pages.forEach((page, i) => zip.file(names[i], page.bytes));
+
     showProgress(95);
 
     const zipBlob = await zip.generateAsync({ type: 'blob' });
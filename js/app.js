@@ -280,6 +280,11 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Every page loads this file, so templates anywhere can use escapeHtml
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 function getFileTypeLabel(mimeType) {
   const types = {
     'application/pdf': 'PDF',
@@ -465,5 +470,6 @@ window.PDFTools = {
   handleFiles,
   clearAllFiles,
   formatFileSize,
+  escapeHtml,
   generateId
 };
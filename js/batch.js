@@ -0,0 +1,265 @@
+/* ============================================
+   PDF Tools - Batch Page
+   Drop many files, pick one operation, follow each file's status
+   ============================================ */
+
+// State
+const batchQueue = new BatchQueue();
+let batchController = null;
+
+const STATUS_LABELS = {
+    pending: ['Waiting', '--text-muted'],
+    processing: ['Processing', '--primary'],
+    complete: ['Done', '--success'],
+    error: ['Failed', '--danger']
+};
+
+// DOM Elements
+const BatchDOM = {
+    operation: document.getElementById('batchOperation'),
+    options: document.getElementById('batchOptions'),
+    dropzone: document.getElementById('batchDropzone'),
+    fileInput: document.getElementById('batchFileInput'),
+    card: document.getElementById('batchCard'),
+    list: document.getElementById('batchList'),
+    summary: document.getElementById('batchSummary'),
+    progressBar: document.getElementById('batchProgressBar'),
+    startBtn: document.getElementById('startBatchBtn'),
+    cancelBtn: document.getElementById('cancelBatchBtn'),
+    retryFailedBtn: document.getElementById('retryFailedBtn'),
+    downloadBtn: document.getElementById('downloadZipBtn'),
+    clearBtn: document.getElementById('clearBatchBtn')
+};
+
+// Initialize
+function initBatch() {
+    BatchDOM.operation.innerHTML = ToolRegistry.operations()
+        .map(tool => `<option value="${tool.id}">${escapeHtml(tool.name)}</option>`)
+        .join('');
+
+    // Preselect from ?tool= so tool pages can link here
+    const requested = ToolRegistry.get(new URLSearchParams(location.search).get('tool'));
+    if (requested?.op) BatchDOM.operation.value = requested.id;
+
+    BatchDOM.operation.addEventListener('change', renderOptions);
+    renderOptions();
+
+    // File upload
+    BatchDOM.dropzone.addEventListener('click', () => BatchDOM.fileInput.click());
+    BatchDOM.fileInput.addEventListener('change', (e) => {
+        addFiles(e.target.files);
+        BatchDOM.fileInput.value = '';
+    });
+
+    // Drag and drop
+    BatchDOM.dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        BatchDOM.dropzone.classList.add('dragover');
+    });
+    BatchDOM.dropzone.addEventListener('dragleave', () => BatchDOM.dropzone.classList.remove('dragover'));
+    BatchDOM.dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        BatchDOM.dropzone.classList.remove('dragover');
+        addFiles(e.dataTransfer.files);
+    });
+
+    // Row actions
+    BatchDOM.list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const id = Number(button.dataset.id);
+
+        if (button.dataset.action === 'retry') {
+            batchQueue.retry(id);
+            startBatch();
+        } else if (button.dataset.action === 'remove') {
+            batchQueue.remove(id);
+            renderList();
+        }
+    });
+
+    // Buttons
+    BatchDOM.startBtn.addEventListener('click', startBatch);
+    BatchDOM.cancelBtn.addEventListener('click', () => batchController?.abort());
+    BatchDOM.retryFailedBtn.addEventListener('click', () => {
+        batchQueue.retry();
+        startBatch();
+    });
+    BatchDOM.downloadBtn.addEventListener('click', downloadZip);
+    BatchDOM.clearBtn.addEventListener('click', () => {
+        batchQueue.clear();
+        renderList();
+    });
+}
+
+// ============================================
+// OPTIONS
+// ============================================
+function currentOperation() {
+    return ToolRegistry.get(BatchDOM.operation.value);
+}
+
+function renderOptions() {
+    const { fields, accept } = currentOperation();
+    BatchDOM.fileInput.accept = accept;
+    BatchDOM.options.innerHTML = OptionFields.render(fields, 'batch-opt-');
+    OptionFields.bind(BatchDOM.options, fields, 'batch-opt-');
+}
+
+function readOptions() {
+    return OptionFields.read(currentOperation().fields, 'batch-opt-');
+}
+
+// ============================================
+// QUEUE
+// ============================================
+function addFiles(fileList) {
+    const files = Array.from(fileList);
+    if (files.length === 0) return;
+
+    const operationId = BatchDOM.operation.value;
+    files.forEach(file => batchQueue.add(file, operationId));
+    renderList();
+    PDFTools.showToast('success', 'Files Added', `${files.length} file(s) added to the batch`);
+}
+
+function isAccepted(file, accept) {
+    const ext = '.' + file.name.split('.').pop().toLowerCase();
+    return accept.split(',').includes(ext);
+}
+
+async function startBatch() {
+    if (batchQueue.processing) return;
+
+    const operationId = BatchDOM.operation.value;
+    const operation = currentOperation();
+    let options;
+    try {
+        options = ToolRegistry.validate(operation, readOptions());
+    } catch (error) {
+        PDFTools.showToast('error', 'Check Options', error.message);
+        return;
+    }
+    let pending = batchQueue.queue.filter(item => item.status === 'pending');
+
+    if (pending.length === 0) {
+        PDFTools.showToast('error', 'No Files', 'Please add files first');
+        return;
+    }
+
+    // Files this tool cannot read fail straight away, with the reason on their row
+    pending.forEach(item => {
+        const rejected = item.files.find(file => !isAccepted(file, operation.accept));
+        if (rejected) {
+            item.status = 'error';
+            item.error = `${operation.name} only accepts ${operation.accept.split(',').join(', ')} files`;
+        }
+    });
+    pending = pending.filter(item => item.status === 'pending');
+
+    // A combining tool (merge) turns all waiting files into one item
+    if (operation.combine && pending.length > 1) {
+        pending.forEach(item => batchQueue.remove(item.id));
+        pending = [batchQueue.add(pending.flatMap(item => item.files), operationId)];
+    }
+    pending.forEach(item => {
+        item.operation = operationId;
+        item.options = options;
+    });
+
+    batchController = new AbortController();
+    setRunning(true);
+    renderList();
+
+    try {
+        await batchQueue.processAll((done, total, item) => {
+            renderItem(item);
+            renderSummary();
+        }, null, batchController.signal);
+    } finally {
+        const cancelled = batchController.signal.aborted;
+        batchController = null;
+        setRunning(false);
+        renderList();
+
+        const failed = batchQueue.failed.length;
+        if (cancelled) {
+            PDFTools.showToast('info', 'Cancelled', 'Unfinished files are still in the queue');
+        } else if (failed) {
+            PDFTools.showToast('warning', 'Batch Finished', `${failed} file(s) failed. You can retry them.`);
+        } else {
+            PDFTools.showToast('success', 'Batch Finished', 'All files were processed');
+        }
+    }
+}
+
+async function downloadZip() {
+    const blob = await batchQueue.toZip();
+    saveAs(blob, `batch_${BatchDOM.operation.value}.zip`);
+    PDFTools.showToast('success', 'Downloaded', 'Results saved as ZIP');
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function setRunning(running) {
+    BatchDOM.startBtn.disabled = running;
+    BatchDOM.clearBtn.disabled = running;
+    BatchDOM.operation.disabled = running;
+    BatchDOM.cancelBtn.classList.toggle('hidden', !running);
+}
+
+function renderList() {
+    const items = batchQueue.queue;
+    BatchDOM.card.classList.toggle('hidden', items.length === 0);
+    BatchDOM.list.innerHTML = items.map(item => `<div class="file-item" id="batch-item-${item.id}"></div>`).join('');
+    items.forEach(renderItem);
+    renderSummary();
+}
+
+function renderItem(item) {
+    const row = document.getElementById(`batch-item-${item.id}`);
+    if (!row) return;
+
+    const [label, color] = STATUS_LABELS[item.status];
+    const progress = item.status === 'processing' ? ` ${Math.round(item.progress * 100)}%` : '';
+    const outputs = item.result?.outputs?.length;
+    const size = item.files.reduce((sum, file) => sum + file.size, 0);
+
+    row.innerHTML = `
+        <div class="file-info">
+            <div class="file-name">${escapeHtml(item.name)}</div>
+            <div class="file-meta">
+                <span>${formatFileSize(size)}</span>
+                <span style="color: var(${color});">${label}${progress}</span>
+                ${outputs ? `<span>${outputs} output file(s)</span>` : ''}
+                ${item.attempts > 1 ? `<span>Attempt ${item.attempts}</span>` : ''}
+            </div>
+            ${item.error ? `<div class="text-xs" style="color: var(--danger);">${escapeHtml(item.error)}</div>` : ''}
+        </div>
+        <div class="file-actions">
+            ${item.status === 'error' && !batchQueue.processing ? `<button class="btn btn-ghost btn-sm" data-action="retry" data-id="${item.id}">Retry</button>` : ''}
+            ${item.status !== 'processing' && !batchQueue.processing ? `<button class="file-action" data-action="remove" data-id="${item.id}" title="Remove">✕</button>` : ''}
+        </div>
+    `;
+}
+
+function renderSummary() {
+    const items = batchQueue.queue;
+    const count = status => items.filter(item => item.status === status).length;
+    const finished = count('complete') + count('error');
+
+    BatchDOM.summary.textContent = `${count('complete')} done · ${count('error')} failed · ${count('pending') + count('processing')} waiting`;
+    BatchDOM.progressBar.style.width = (items.length ? (finished / items.length) * 100 : 0) + '%';
+
+    const idle = !batchQueue.processing;
+    BatchDOM.retryFailedBtn.classList.toggle('hidden', !idle || count('error') === 0);
+    BatchDOM.downloadBtn.classList.toggle('hidden', !idle || count('complete') === 0);
+}
+
+// Initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initBatch);
+} else {
+    initBatch();
+}
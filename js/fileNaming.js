@@ -0,0 +1,183 @@
+/* ============================================
+   PDF Tools - Output File Names
+   Naming templates such as "{name}_{tool}_{page:3}" for the files a tool
+   produces, and file names that are safe on Windows, macOS and Linux.
+
+   Tokens:
+     {name}      input file name without extension
+     {tool}      tool id, e.g. split
+     {page}      page number (first page of a part)
+     {start}     first page of a part
+     {end}       last page of a part
+     {bookmark}  bookmark the part was split at
+     {date}      today, YYYY-MM-DD
+     {index}     position of the file in the results, from 1
+   A width pads numbers with zeros: {index:3} → 001.
+   Tokens an output has no value for are left empty.
+   ============================================ */
+
+const FileNaming = (() => {
+    const TOKENS = ['name', 'tool', 'page', 'start', 'end', 'bookmark', 'date', 'index'];
+    const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+    // Device names Windows refuses as file names, with any extension
+    const RESERVED = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+    // Bytes, not characters: the usual limit is 255 bytes per name, and
+    // ZIP entries and duplicate suffixes need some room
+    const MAX_BYTES = 200;
+
+    const encoder = new TextEncoder();
+
+    // Template and values of the job the current page is running
+    let current = { template: '', tool: '', source: '' };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    function splitExtension(fileName) {
+        const match = String(fileName).match(/^(.*?)(\.[a-z0-9]{1,5})$/i);
+        return match ? [match[1], match[2]] : [String(fileName), ''];
+    }
+
+    function today() {
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    function truncate(text, maxBytes) {
+        if (encoder.encode(text).length <= maxBytes) return text;
+        let result = '';
+        let bytes = 0;
+        for (const char of text) {
+            const size = encoder.encode(char).length;
+            if (bytes + size > maxBytes) break;
+            result += char;
+            bytes += size;
+        }
+        return result;
+    }
+
+    // ============================================
+    // TEMPLATES
+    // ============================================
+
+    /**
+     * Rejects templates with tokens that don't exist.
+     * @throws {Error} code INVALID_OPTIONS
+     */
+    function check(template) {
+        const unknown = [...String(template || '').matchAll(TOKEN_PATTERN)]
+            .map(([, token]) => token)
+            .filter(token => !TOKENS.includes(token));
+        if (unknown.length > 0) {
+            const error = new Error(`Unknown file name token {${unknown[0]}}. Use ${TOKENS.map(token => `{${token}}`).join(', ')}`);
+            error.code = 'INVALID_OPTIONS';
+            throw error;
+        }
+    }
+
+    // An empty token takes the separator in front of it along, so
+    // "{name}_{bookmark}" gives "report", not "report_"
+    function format(template, values) {
+        const EMPTY = '\u0000';
+        return String(template)
+            .replace(TOKEN_PATTERN, (match, token, width) => {
+                if (!TOKENS.includes(token)) return match;
+                const value = values[token];
+                if (value === undefined || value === null || value === '') return EMPTY;
+                const text = String(value);
+                return width && /^\d+$/.test(text) ? text.padStart(Number(width), '0') : text;
+            })
+            .replace(/[ _-]?\u0000/g, '')
+            .replace(/^[ _-]+/, '');
+    }
+
+    /**
+     * Makes a name every major file system accepts: no reserved characters
+     * or device names, no leading dots (hidden on Unix), no trailing dots or
+     * spaces (dropped by Windows), and a bounded length. Keeps the extension.
+     */
+    function sanitize(fileName, fallback = 'file') {
+        const [base, extension] = splitExtension(fileName);
+        let clean = base
+            .normalize('NFC')
+            .replace(/[<>:"/\\|?*\x00-\x1f\x7f]/g, '_')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^\.+/, '')
+            .replace(/[. ]+$/, '');
+        clean = truncate(clean, MAX_BYTES).replace(/[. ]+$/, '');
+        if (!clean) clean = fallback;
+        if (RESERVED.test(clean)) clean = `_${clean}`;
+        return clean + extension.toLowerCase();
+    }
+
+    // Appends _2, _3... to repeats; case-insensitive, as on Windows and macOS
+    function unique(names) {
+        const used = new Set();
+        return names.map(fileName => {
+            const [base, extension] = splitExtension(fileName);
+            let name = fileName;
+            for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}${extension}`;
+            used.add(name.toLowerCase());
+            return name;
+        });
+    }
+
+    // ============================================
+    // NAMING RESULTS
+    // ============================================
+
+    /**
+     * Sets the template for the job about to run on this page.
+     * @param {Object} job - { template, tool, source: first input file name }
+     */
+    function use(job) {
+        current = { template: '', tool: '', source: '', ...job };
+    }
+
+    /**
+     * The name for one result. Without a template the tool's own name is
+     * kept; the extension always is.
+     * @param {string} fileName - the name the tool gave the result
+     * @param {Object} [tokens] - page, start, end, bookmark of this result
+     * @param {number} [index] - position in the results, from 0
+     */
+    function name(fileName, tokens = {}, index = 0) {
+        const [, extension] = splitExtension(fileName);
+        if (!current.template) return sanitize(fileName);
+
+        let base = format(current.template, {
+            name: splitExtension(current.source)[0],
+            tool: current.tool,
+            date: today(),
+            index: index + 1,
+            ...tokens
+        });
+        if (extension && base.toLowerCase().endsWith(extension.toLowerCase())) {
+            base = base.slice(0, -extension.length);
+        }
+        return sanitize(base + extension, splitExtension(fileName)[0]);
+    }
+
+    // Names for several results ({ name, tokens }), without repeats
+    function names(outputs) {
+        return unique(outputs.map((item, index) => name(item.name, item.tokens, index)));
+    }
+
+    return {
+        TOKENS,
+        check,
+        format,
+        sanitize,
+        unique,
+        use,
+        name,
+        names
+    };
+})();
+
+// Export
+window.FileNaming = FileNaming;
@@ -13,9 +13,10 @@ let currentFile = null;
 let pdfDoc = null;
 let resultBlob = null;
 let originalSize = 0;
+let analysisReport = null;
 
 // DOM Elements
-const DOM = {
+const OptimizerDOM = {
     dropzone: document.getElementById('dropzone'),
     fileInput: document.getElementById('fileInput'),
     fileInfo: document.getElementById('fileInfo'),
@@ -31,6 +32,12 @@ const DOM = {
     originalSize: document.getElementById('originalSize'),
     newSize: document.getElementById('newSize'),
     savedPercent: document.getElementById('savedPercent'),
+    stepReport: document.getElementById('stepReport'),
+    analysisCard: document.getElementById('analysisCard'),
+    analysisCategories: document.getElementById('analysisCategories'),
+    analysisSuggestions: document.getElementById('analysisSuggestions'),
+    analysisImages: document.getElementById('analysisImages'),
+    analysisFonts: document.getElementById('analysisFonts'),
     imageQuality: document.getElementById('imageQuality'),
     qualityValue: document.getElementById('qualityValue')
 };
@@ -38,18 +45,18 @@ const DOM = {
 // Initialize
 function initOptimizer() {
     // File upload
-    DOM.dropzone?.addEventListener('click', () => DOM.fileInput.click());
-    DOM.fileInput?.addEventListener('change', handleFileSelect);
+    OptimizerDOM.dropzone?.addEventListener('click', () => OptimizerDOM.fileInput.click());
+    OptimizerDOM.fileInput?.addEventListener('change', handleFileSelect);
 
     // Drag and drop
-    DOM.dropzone?.addEventListener('dragover', (e) => {
+    OptimizerDOM.dropzone?.addEventListener('dragover', (e) => {
         e.preventDefault();
-        DOM.dropzone.classList.add('dragover');
+        OptimizerDOM.dropzone.classList.add('dragover');
     });
-    DOM.dropzone?.addEventListener('dragleave', () => DOM.dropzone.classList.remove('dragover'));
-    DOM.dropzone?.addEventListener('drop', (e) => {
+    OptimizerDOM.dropzone?.addEventListener('dragleave', () => OptimizerDOM.dropzone.classList.remove('dragover'));
+    OptimizerDOM.dropzone?.addEventListener('drop', (e) => {
         e.preventDefault();
-        DOM.dropzone.classList.remove('dragover');
+        OptimizerDOM.dropzone.classList.remove('dragover');
         if (e.dataTransfer.files[0]) handleFile(e.dataTransfer.files[0]);
     });
 
@@ -57,13 +64,16 @@ function initOptimizer() {
     document.getElementById('removeFile')?.addEventListener('click', resetFile);
 
     // Image quality slider
-    DOM.imageQuality?.addEventListener('input', (e) => {
-        DOM.qualityValue.textContent = e.target.value + '%';
+    OptimizerDOM.imageQuality?.addEventListener('input', (e) => {
+        OptimizerDOM.qualityValue.textContent = e.target.value + '%';
     });
 
     // Buttons
     document.getElementById('resetBtn')?.addEventListener('click', resetOptions);
     document.getElementById('optimizeBtn')?.addEventListener('click', optimizePDF);
+    document.getElementById('analyzeBtn')?.addEventListener('click', analyzePDF);
+    document.getElementById('exportAnalysisBtn')?.addEventListener('click', exportAnalysis);
+    document.getElementById('applySuggestionsBtn')?.addEventListener('click', applySuggestions);
     document.getElementById('downloadBtn')?.addEventListener('click', downloadResult);
 
     console.log('PDF Optimizer initialized');
@@ -90,13 +100,15 @@ async function handleFile(file) {
         const arrayBuffer = await file.arrayBuffer();
         pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 
-        DOM.fileName.textContent = file.name;
-        DOM.fileSize.textContent = formatFileSize(file.size);
-        DOM.filePages.textContent = pdfDoc.numPages;
+        OptimizerDOM.fileName.textContent = file.name;
+        OptimizerDOM.fileSize.textContent = formatFileSize(file.size);
+        OptimizerDOM.filePages.textContent = pdfDoc.numPages;
 
-        DOM.fileInfo.classList.remove('hidden');
-        DOM.actionButtons.style.display = 'flex';
-        DOM.resultCard.classList.add('hidden');
+        OptimizerDOM.fileInfo.classList.remove('hidden');
+        OptimizerDOM.actionButtons.style.display = 'flex';
+        OptimizerDOM.resultCard.classList.add('hidden');
+        OptimizerDOM.analysisCard.classList.add('hidden');
+        analysisReport = null;
 
     } catch (error) {
         console.error('Error loading PDF:', error);
@@ -108,22 +120,26 @@ function resetFile() {
     currentFile = null;
     pdfDoc = null;
     originalSize = 0;
-
-    DOM.fileInfo.classList.add('hidden');
-    DOM.actionButtons.style.display = 'none';
-    DOM.resultCard.classList.add('hidden');
-    DOM.progressCard.classList.add('hidden');
-    DOM.fileInput.value = '';
+    analysisReport = null;
+
+    OptimizerDOM.analysisCard.classList.add('hidden');
+    OptimizerDOM.fileInfo.classList.add('hidden');
+    OptimizerDOM.actionButtons.style.display = 'none';
+    OptimizerDOM.resultCard.classList.add('hidden');
+    OptimizerDOM.progressCard.classList.add('hidden');
+    OptimizerDOM.fileInput.value = '';
 }
 
 function resetOptions() {
     // Reset all checkboxes and inputs to defaults
     document.getElementById('compressImages').checked = true;
     document.getElementById('imageQuality').value = 70;
-    DOM.qualityValue.textContent = '70%';
+    OptimizerDOM.qualityValue.textContent = '70%';
     document.getElementById('reduceDPI').checked = true;
     document.getElementById('targetDPI').value = '150';
     document.getElementById('useObjectStreams').checked = true;
+    document.getElementById('targetSizeMode').checked = false;
+    document.getElementById('targetSizeMB').value = '2';
 
     document.getElementById('removeThumbnails').checked = false;
     document.getElementById('removeMetadata').checked = false;
@@ -139,6 +155,7 @@ function resetOptions() {
     document.getElementById('pdfVersion').value = '';
     document.getElementById('optimizeWeb').checked = false;
     document.getElementById('convertPDFA').checked = false;
+    document.getElementById('pdfaLevel').value = '2b';
 
     PDFTools?.showToast?.('info', 'Reset', 'Options reset to defaults');
 }
@@ -169,63 +186,50 @@ async function optimizePDF() {
         flattenForms: document.getElementById('flattenForms').checked,
         flattenLayers: document.getElementById('flattenLayers').checked,
 
+        targetSizeMode: document.getElementById('targetSizeMode').checked,
+        targetSizeMB: parseFloat(document.getElementById('targetSizeMB').value),
+
         pdfVersion: document.getElementById('pdfVersion').value,
         optimizeWeb: document.getElementById('optimizeWeb').checked,
-        convertPDFA: document.getElementById('convertPDFA').checked
+        convertPDFA: document.getElementById('convertPDFA').checked,
+        pdfaLevel: document.getElementById('pdfaLevel').value
     };
 
-    DOM.progressCard.classList.remove('hidden');
-    DOM.resultCard.classList.add('hidden');
+    OptimizerDOM.progressCard.classList.remove('hidden');
+    OptimizerDOM.resultCard.classList.add('hidden');
     updateProgress(0, 'Loading PDF...');
 
     try {
-        const { PDFDocument } = PDFLib;
         const arrayBuffer = await currentFile.arrayBuffer();
-        const pdf = await PDFDocument.load(arrayBuffer, { ignoreEncryption: true });
-
-        updateProgress(20, 'Applying optimizations...');
-
-        // Remove metadata
-        if (options.removeMetadata) {
-            pdf.setTitle('');
-            pdf.setAuthor('');
-            pdf.setSubject('');
-            pdf.setKeywords([]);
-            pdf.setProducer('');
-            pdf.setCreator('');
-            pdf.setCreationDate(new Date(0));
-            pdf.setModificationDate(new Date(0));
-        }
-
-        updateProgress(40, 'Processing pages...');
-
-        // Process each page
-        const pages = pdf.getPages();
-        for (let i = 0; i < pages.length; i++) {
-            updateProgress(40 + (i / pages.length) * 40, `Processing page ${i + 1}/${pages.length}...`);
+        const onProgress = (fraction, message) => updateProgress(5 + fraction * 90, message);
 
-            const page = pages[i];
-
-            // Remove annotations if requested
-            if (options.removeAnnotations) {
-                const annots = page.node.lookup(PDFLib.PDFName.of('Annots'));
-                if (annots) {
-                    page.node.delete(PDFLib.PDFName.of('Annots'));
-                }
+        let optimizedBytes;
+        let report;
+        if (options.targetSizeMode) {
+            if (!(options.targetSizeMB > 0)) {
+                throw new Error('Please enter a target size');
+            }
+            const result = await PDFOptimizer.compressToTarget(arrayBuffer, options.targetSizeMB * 1024 * 1024, options, onProgress);
+            optimizedBytes = result.bytes;
+            report = result.report;
+            report.push({
+                id: 'target',
+                label: 'Target size',
+                unit: result.imageQuality
+                    ? `steps tried, settled on ${Math.round(result.imageQuality * 100)}% quality at ${result.targetDPI} DPI`
+                    : 'step tried, reached without touching images',
+                removed: result.attempts,
+                bytesSaved: 0
+            });
+        } else {
+            const result = await PDFOptimizer.optimize(arrayBuffer, options, onProgress);
+            optimizedBytes = result.bytes;
+            report = result.report;
+            if (result.imageStats && !result.imageStats.supported) {
+                PDFTools?.showToast?.('warning', 'Images', 'Image optimization is not supported in this browser');
             }
         }
 
-        updateProgress(80, 'Compressing...');
-
-        // Save with options
-        const saveOptions = {
-            useObjectStreams: options.useObjectStreams,
-            addDefaultPage: false,
-            objectsPerTick: 50
-        };
-
-        const optimizedBytes = await pdf.save(saveOptions);
-
         updateProgress(95, 'Finalizing...');
 
         // Create result
@@ -237,29 +241,144 @@ async function optimizePDF() {
         updateProgress(100, 'Complete!');
 
         // Show result
-        DOM.originalSize.textContent = formatFileSize(originalSize);
-        DOM.newSize.textContent = formatFileSize(newSize);
-        DOM.savedPercent.textContent = savedPercent > 0 ? `-${savedPercent}%` : '+' + Math.abs(savedPercent) + '%';
-        DOM.savedPercent.className = savedPercent > 0 ? 'font-semibold text-success' : 'font-semibold text-error';
+        OptimizerDOM.originalSize.textContent = formatFileSize(originalSize);
+        OptimizerDOM.newSize.textContent = formatFileSize(newSize);
+        OptimizerDOM.savedPercent.textContent = savedPercent > 0 ? `-${savedPercent}%` : '+' + Math.abs(savedPercent) + '%';
+        OptimizerDOM.savedPercent.className = savedPercent > 0 ? 'font-semibold text-success' : 'font-semibold text-error';
+        renderStepReport(report);
 
         setTimeout(() => {
-            DOM.progressCard.classList.add('hidden');
-            DOM.resultCard.classList.remove('hidden');
+            OptimizerDOM.progressCard.classList.add('hidden');
+            OptimizerDOM.resultCard.classList.remove('hidden');
         }, 500);
 
         PDFTools?.showToast?.('success', 'Optimized!', `Reduced by ${savedPercent}%`);
 
     } catch (error) {
         console.error('Optimization error:', error);
-        DOM.progressCard.classList.add('hidden');
+        OptimizerDOM.progressCard.classList.add('hidden');
         PDFTools?.showToast?.('error', 'Error', 'Optimization failed: ' + error.message);
     }
 }
 
+// Size analysis
+async function analyzePDF() {
+    if (!currentFile) {
+        PDFTools?.showToast?.('error', 'Error', 'Please select a PDF file first');
+        return;
+    }
+
+    OptimizerDOM.progressCard.classList.remove('hidden');
+    updateProgress(10, 'Analyzing PDF...');
+
+    try {
+        const { PDFDocument } = PDFLib;
+        const arrayBuffer = await currentFile.arrayBuffer();
+        const pdf = await PDFDocument.load(arrayBuffer, { ignoreEncryption: true, updateMetadata: false });
+
+        updateProgress(50, 'Measuring objects...');
+        analysisReport = PDFOptimizer.analyze(pdf, originalSize);
+        analysisReport.fileName = currentFile.name;
+
+        renderAnalysis(analysisReport);
+        updateProgress(100, 'Complete!');
+        OptimizerDOM.progressCard.classList.add('hidden');
+        OptimizerDOM.analysisCard.classList.remove('hidden');
+    } catch (error) {
+        console.error('Analysis error:', error);
+        OptimizerDOM.progressCard.classList.add('hidden');
+        PDFTools?.showToast?.('error', 'Error', 'Analysis failed: ' + error.message);
+    }
+}
+
+function renderAnalysis(report) {
+    const total = Object.values(report.categories).reduce((sum, c) => sum + c.bytes, 0) || 1;
+
+    OptimizerDOM.analysisCategories.innerHTML = Object.values(report.categories)
+        .filter(category => category.bytes > 0)
+        .sort((a, b) => b.bytes - a.bytes)
+        .map(category => {
+            const percent = Math.round(category.bytes / total * 100);
+            return `
+                <div class="mb-3">
+                    <div class="flex justify-between text-sm mb-1">
+                        <span>${category.label} <span class="text-muted">(${category.objects} objects)</span></span>
+                        <span>${formatFileSize(category.bytes)} · ${percent}%</span>
+                    </div>
+                    <div class="progress"><div class="progress-bar" style="width: ${percent}%"></div></div>
+                </div>
+            `;
+        }).join('');
+
+    OptimizerDOM.analysisSuggestions.innerHTML = report.suggestions.length
+        ? report.suggestions.map(suggestion => `
+            <div class="flex justify-between text-sm mb-2">
+                <span>${suggestion.reason}</span>
+                <span class="text-success">${suggestion.estimatedSavings > 0 ? '~' + formatFileSize(suggestion.estimatedSavings) : ''}</span>
+            </div>
+        `).join('')
+        : '<p class="text-sm text-muted">This file is already lean.</p>';
+
+    OptimizerDOM.analysisImages.innerHTML = report.images.length
+        ? report.images.map(image => `
+            <div class="flex justify-between mb-1">
+                <span>${image.width}×${image.height} ${image.colorSpace} (${image.filter})${image.pages.length ? ' · page ' + image.pages.join(', ') : ''}</span>
+                <span>${image.effectiveDPI ? image.effectiveDPI + ' DPI · ' : ''}${formatFileSize(image.bytes)}</span>
+            </div>
+        `).join('')
+        : '<p class="text-muted">No images</p>';
+
+    OptimizerDOM.analysisFonts.innerHTML = report.fonts.length
+        ? report.fonts.map(font => `
+            <div class="flex justify-between mb-1">
+                <span>${escapeHtml(font.name)} <span class="text-muted">(${font.type})</span></span>
+                <span>${font.embedded ? (font.subset ? 'Subset' : 'Fully embedded') + ' · ' + formatFileSize(font.bytes) : 'Not embedded'}</span>
+            </div>
+        `).join('')
+        : '<p class="text-muted">No fonts</p>';
+}
+
+function exportAnalysis() {
+    if (!analysisReport) return;
+    const blob = new Blob([JSON.stringify(analysisReport, null, 2)], { type: 'application/json' });
+    saveAs(blob, currentFile.name.replace(/\.pdf$/i, '') + '_analysis.json');
+}
+
+// Ticks the optimizer options the analysis recommends
+function applySuggestions() {
+    if (!analysisReport) return;
+    let applied = 0;
+    analysisReport.suggestions.forEach(suggestion => {
+        const checkbox = suggestion.option && document.getElementById(suggestion.option);
+        if (checkbox && !checkbox.checked) {
+            checkbox.checked = true;
+            applied++;
+        }
+    });
+    PDFTools?.showToast?.('info', 'Suggestions', applied ? `Enabled ${applied} option(s)` : 'Suggested options are already enabled');
+}
+
+// Lists what each optimization step removed and how much it saved
+function renderStepReport(report) {
+    if (!OptimizerDOM.stepReport) return;
+
+    if (report.length === 0) {
+        OptimizerDOM.stepReport.innerHTML = '';
+        return;
+    }
+
+    OptimizerDOM.stepReport.innerHTML = report.map(step => `
+        <div class="flex justify-between text-sm mb-2">
+            <span>${step.label}: ${step.removed} ${step.unit}</span>
+            <span class="${step.bytesSaved > 0 ? 'text-success' : 'text-muted'}">${step.bytesSaved > 0 ? '-' + formatFileSize(step.bytesSaved) : '0 B'}</span>
+        </div>
+    `).join('');
+}
+
 function updateProgress(percent, status) {
-    DOM.progressBar.style.width = percent + '%';
-    DOM.progressPercent.textContent = Math.round(percent) + '%';
-    if (status) DOM.progressStatus.textContent = status;
+    OptimizerDOM.progressBar.style.width = percent + '%';
+    OptimizerDOM.progressPercent.textContent = Math.round(percent) + '%';
+    if (status) OptimizerDOM.progressStatus.textContent = status;
 }
 
 function downloadResult() {
@@ -0,0 +1,834 @@
+/* ============================================
+   PDF Tools - PDF/A Conversion & Validation
+   PDF/A-1b (ISO 19005-1) and PDF/A-2b (ISO 19005-2)
+   ============================================ */
+
+const PDFArchive = (() => {
+    const LEVELS = {
+        '1b': { part: 1, conformance: 'B', label: 'PDF/A-1b', version: [1, 4] },
+        '2b': { part: 2, conformance: 'B', label: 'PDF/A-2b', version: [1, 7] }
+    };
+
+    const OUTPUT_CONDITION = 'sRGB IEC61966-2.1';
+
+    // Actions that may not appear in a PDF/A file (ISO 19005-1 6.6.1, 19005-2 6.5.1)
+    const FORBIDDEN_ACTIONS = ['Launch', 'Sound', 'Movie', 'ResetForm', 'ImportData', 'JavaScript',
+        'Hide', 'SetOCGState', 'Rendition', 'Trans', 'GoTo3DView'];
+    const ALLOWED_NAMED_ACTIONS = ['NextPage', 'PrevPage', 'FirstPage', 'LastPage'];
+
+    const FORBIDDEN_ANNOTATIONS = {
+        '1b': ['Sound', 'Movie', 'Screen', '3D', 'FileAttachment', 'RichMedia'],
+        '2b': ['Sound', 'Movie', 'Screen', '3D', 'RichMedia']
+    };
+
+    const ANNOTATION_SUBTYPES = ['Text', 'Link', 'FreeText', 'Line', 'Square', 'Circle', 'Polygon', 'PolyLine',
+        'Highlight', 'Underline', 'Squiggly', 'StrikeOut', 'Stamp', 'Caret', 'Ink', 'Popup', 'FileAttachment',
+        'Sound', 'Movie', 'Widget', 'Screen', 'PrinterMark', 'TrapNet', 'Watermark', '3D', 'Redact', 'RichMedia'];
+
+    // Annotation flags (PDF 32000-1 12.5.3)
+    const ANNOT_INVISIBLE = 1;
+    const ANNOT_HIDDEN = 2;
+    const ANNOT_PRINT = 4;
+    const ANNOT_NOVIEW = 32;
+    const ANNOT_TOGGLE_NOVIEW = 256;
+
+    /**
+     * Every check the validator knows about. `levels` lists the conformance
+     * levels the rule applies to; clause references are to part 1 / part 2.
+     */
+    const RULES = {
+        encrypted: { levels: ['1b', '2b'], clause: '6.1.3 / 6.1.3', message: 'The file is encrypted' },
+        header: { levels: ['1b', '2b'], clause: '6.1.2 / 6.1.2', message: 'The header is not followed by a binary comment line' },
+        trailerId: { levels: ['1b', '2b'], clause: '6.1.3 / 6.1.3', message: 'The trailer has no file identifier (/ID)' },
+        objectStreams: { levels: ['1b'], clause: '6.1.4', message: 'Object streams or cross-reference streams are used (not part of PDF 1.4)' },
+        externalStreams: { levels: ['1b', '2b'], clause: '6.1.7 / 6.1.7', message: 'Streams refer to external files (/F, /FFilter, /FDecodeParms)' },
+        lzw: { levels: ['1b', '2b'], clause: '6.1.10 / 6.1.7', message: 'Streams use the LZWDecode filter' },
+        outputIntent: { levels: ['1b', '2b'], clause: '6.2.2 / 6.2.3', message: 'No PDF/A output intent with an embedded ICC profile' },
+        cmyk: { levels: ['1b', '2b'], clause: '6.2.3 / 6.2.4', message: 'DeviceCMYK is used but the output intent is RGB' },
+        interpolate: { levels: ['1b', '2b'], clause: '6.2.4 / 6.2.8', message: 'Images request interpolation' },
+        imageAlternates: { levels: ['1b', '2b'], clause: '6.2.4 / 6.2.8', message: 'Images have alternates or OPI comments' },
+        postscript: { levels: ['1b', '2b'], clause: '6.2.7 / 6.2.9', message: 'PostScript XObjects are used' },
+        transferFunctions: { levels: ['1b', '2b'], clause: '6.2.8 / 6.2.5', message: 'Graphics states use transfer functions (/TR)' },
+        transparency: { levels: ['1b'], clause: '6.4', message: 'Transparency is used (soft masks, opacity, blend modes or transparency groups)' },
+        fontsNotEmbedded: { levels: ['1b', '2b'], clause: '6.3.4 / 6.2.11.4', message: 'Fonts are not embedded' },
+        annotationFlags: { levels: ['1b', '2b'], clause: '6.5.3 / 6.3.2', message: 'Annotations are hidden or not set to print' },
+        forbiddenAnnotations: { levels: ['1b', '2b'], clause: '6.5.2 / 6.3.1', message: 'Annotation types that are not allowed are present' },
+        forbiddenActions: { levels: ['1b', '2b'], clause: '6.6.1 / 6.5.1', message: 'Actions that are not allowed are present (JavaScript, Launch, multimedia...)' },
+        additionalActions: { levels: ['1b', '2b'], clause: '6.6.2 / 6.5.2', message: 'Additional-actions (/AA) entries are present' },
+        javascript: { levels: ['1b', '2b'], clause: '6.6.1 / 6.5.1', message: 'The document contains document-level JavaScript' },
+        needAppearances: { levels: ['1b', '2b'], clause: '6.9 / 6.4.1', message: 'The form asks viewers to generate appearances (/NeedAppearances)' },
+        xfa: { levels: ['1b', '2b'], clause: '6.9 / 6.4.2', message: 'The form contains XFA data' },
+        embeddedFiles: { levels: ['1b', '2b'], clause: '6.1.11 / 6.8', message: 'The document contains embedded files' },
+        optionalContent: { levels: ['1b'], clause: '6.1.13', message: 'Optional content (layers) is used' },
+        metadata: { levels: ['1b', '2b'], clause: '6.7.2 / 6.6.2', message: 'The catalog has no XMP metadata stream' },
+        metadataFiltered: { levels: ['1b'], clause: '6.7.2', message: 'The XMP metadata stream is compressed' },
+        identification: { levels: ['1b', '2b'], clause: '6.7.11 / 6.6.4', message: 'The XMP metadata does not identify the file as PDF/A' },
+        infoMismatch: { levels: ['1b', '2b'], clause: '6.7.3 / 6.6.3', message: 'The document information dictionary does not match the XMP metadata' }
+    };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    function name(value) {
+        return value instanceof PDFLib.PDFName ? value.decodeText() : null;
+    }
+
+    function filterNames(dict) {
+        const { PDFName, PDFArray } = PDFLib;
+        const filter = dict.lookup(PDFName.of('Filter'));
+        if (filter instanceof PDFArray) return filter.asArray().map(name).filter(Boolean);
+        return filter ? [name(filter)] : [];
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function unescapeXml(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&amp;/g, '&');
+    }
+
+    function xmpDate(date) {
+        return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    }
+
+    function textOf(dict, key) {
+        const { PDFName, PDFString, PDFHexString } = PDFLib;
+        const value = dict.lookup(PDFName.of(key));
+        return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : undefined;
+    }
+
+    function annotationFlags(annot) {
+        const flags = annot.lookup(PDFLib.PDFName.of('F'));
+        return flags instanceof PDFLib.PDFNumber ? flags.asNumber() : 0;
+    }
+
+    function isAnnotation(dict) {
+        const { PDFName } = PDFLib;
+        if (dict.get(PDFName.of('Type')) === PDFName.of('Annot')) return true;
+        return dict.has(PDFName.of('Rect')) && ANNOTATION_SUBTYPES.includes(name(dict.get(PDFName.of('Subtype'))));
+    }
+
+    function isTransparencyGroup(dict) {
+        const { PDFName, PDFDict } = PDFLib;
+        const group = dict.lookup(PDFName.of('Group'));
+        return group instanceof PDFDict && group.get(PDFName.of('S')) === PDFName.of('Transparency');
+    }
+
+    // Indirect objects reachable from the trailer
+    function collectReachable(context) {
+        const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+        const reachable = new Set();
+        const stack = [];
+        const push = object => {
+            if (object instanceof PDFRef) {
+                if (!reachable.has(object)) stack.push(object);
+            } else if (object instanceof PDFStream) {
+                push(object.dict);
+            } else if (object instanceof PDFDict) {
+                for (const [, value] of object.entries()) push(value);
+            } else if (object instanceof PDFArray) {
+                object.asArray().forEach(push);
+            }
+        };
+
+        const { Root, Info, Encrypt, ID } = context.trailerInfo;
+        [Root, Info, Encrypt, ID].forEach(push);
+        while (stack.length) {
+            const ref = stack.pop();
+            if (reachable.has(ref)) continue;
+            const object = context.lookup(ref);
+            if (!object) continue;
+            reachable.add(ref);
+            push(object);
+        }
+        return reachable;
+    }
+
+    function removeUnreachable(context) {
+        const reachable = collectReachable(context);
+        context.enumerateIndirectObjects().forEach(([ref]) => {
+            if (!reachable.has(ref)) context.delete(ref);
+        });
+    }
+
+    /**
+     * Calls visit(dict, stream, ref) for every dictionary reachable from the
+     * trailer, including direct dictionaries nested inside other objects.
+     */
+    function forEachDictionary(context, visit) {
+        const { PDFDict, PDFArray, PDFStream } = PDFLib;
+        const walk = (object, ref, depth) => {
+            if (depth > 64) return;
+            if (object instanceof PDFStream) {
+                visit(object.dict, object, ref);
+                walk(object.dict, null, depth + 1);
+            } else if (object instanceof PDFDict) {
+                if (depth > 0 || ref) visit(object, null, ref);
+                for (const [, value] of object.entries()) walk(value, null, depth + 1);
+            } else if (object instanceof PDFArray) {
+                object.asArray().forEach(value => walk(value, null, depth + 1));
+            }
+        };
+        collectReachable(context).forEach(ref => {
+            const object = context.lookup(ref);
+            if (object instanceof PDFStream) {
+                visit(object.dict, object, ref);
+                for (const [, value] of object.dict.entries()) walk(value, null, 1);
+            } else if (object instanceof PDFDict) {
+                visit(object, null, ref);
+                for (const [, value] of object.entries()) walk(value, null, 1);
+            } else {
+                walk(object, ref, 0);
+            }
+        });
+    }
+
+    // ============================================
+    // ICC PROFILE
+    // ============================================
+    let cachedProfile = null;
+
+    /**
+     * Builds a compact ICC v2 display profile for sRGB
+     * (D50-adapted primaries and the sRGB tone curve).
+     */
+    function buildSRGBProfile() {
+        if (cachedProfile) return cachedProfile;
+
+        const fixed = value => Math.round(value * 65536);
+        const ascii = text => Array.from(text, ch => ch.charCodeAt(0));
+        const u32 = value => [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+        const u16 = value => [(value >>> 8) & 0xff, value & 0xff];
+        const xyz = (x, y, z) => [...ascii('XYZ '), 0, 0, 0, 0, ...u32(fixed(x)), ...u32(fixed(y)), ...u32(fixed(z))];
+
+        const description = [
+            ...ascii('desc'), 0, 0, 0, 0,
+            ...u32(OUTPUT_CONDITION.length + 1), ...ascii(OUTPUT_CONDITION), 0,
+            0, 0, 0, 0, 0, 0, 0, 0, // Unicode language code and count
+            0, 0, 0, ...new Array(67).fill(0) // ScriptCode code, count and description
+        ];
+        const copyright = [...ascii('text'), 0, 0, 0, 0, ...ascii('No copyright, use freely'), 0];
+
+        const curve = [...ascii('curv'), 0, 0, 0, 0, ...u32(1024)];
+        for (let i = 0; i < 1024; i++) {
+            const v = i / 1023;
+            const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+            curve.push(...u16(Math.round(linear * 65535)));
+        }
+
+        const tags = [
+            ['desc', description],
+            ['cprt', copyright],
+            ['wtpt', xyz(0.9642, 1.0, 0.8249)],
+            ['rXYZ', xyz(0.4360747, 0.2225045, 0.0139322)],
+            ['gXYZ', xyz(0.3850649, 0.7168786, 0.0971045)],
+            ['bXYZ', xyz(0.1430804, 0.0606169, 0.7141733)],
+            ['rTRC', curve],
+            ['gTRC', curve],
+            ['bTRC', curve]
+        ];
+
+        // Lay out tag data after the header and tag table (4-byte aligned, TRCs shared)
+        const tableSize = 4 + tags.length * 12;
+        let offset = 128 + tableSize;
+        const placed = new Map();
+        const table = [...u32(tags.length)];
+        const data = [];
+        tags.forEach(([signature, bytes]) => {
+            if (!placed.has(bytes)) {
+                placed.set(bytes, offset);
+                data.push(...bytes);
+                while (data.length % 4) data.push(0);
+                offset = 128 + tableSize + data.length;
+            }
+            table.push(...ascii(signature), ...u32(placed.get(bytes)), ...u32(bytes.length));
+        });
+
+        const size = 128 + tableSize + data.length;
+        const header = [
+            ...u32(size), 0, 0, 0, 0,
+            0x02, 0x10, 0x00, 0x00, // version 2.1
+            ...ascii('mntr'), ...ascii('RGB '), ...ascii('XYZ '),
+            ...u16(2024), ...u16(1), ...u16(1), 0, 0, 0, 0, 0, 0,
+            ...ascii('acsp'),
+            ...new Array(24).fill(0), // platform, flags, manufacturer, model, attributes
+            0, 0, 0, 0, // perceptual intent
+            ...xyz(0.9642, 1.0, 0.8249).slice(8),
+            ...new Array(48).fill(0) // creator, profile ID, reserved
+        ];
+
+        cachedProfile = new Uint8Array([...header, ...table, ...data]);
+        return cachedProfile;
+    }
+
+    // ============================================
+    // XMP METADATA
+    // ============================================
+    function buildXmp(info, level) {
+        const { part, conformance } = LEVELS[level];
+        const lines = [
+            '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+            '<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">',
+            `<pdfaid:part>${part}</pdfaid:part>`,
+            `<pdfaid:conformance>${conformance}</pdfaid:conformance>`,
+            '</rdf:Description>',
+            '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+            '<dc:format>application/pdf</dc:format>'
+        ];
+        if (info.title !== undefined) {
+            lines.push(`<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.title)}</rdf:li></rdf:Alt></dc:title>`);
+        }
+        if (info.author !== undefined) {
+            lines.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(info.author)}</rdf:li></rdf:Seq></dc:creator>`);
+        }
+        if (info.subject !== undefined) {
+            lines.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(info.subject)}</rdf:li></rdf:Alt></dc:description>`);
+        }
+        lines.push('</rdf:Description>');
+
+        lines.push('<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">');
+        if (info.creationDate) lines.push(`<xmp:CreateDate>${xmpDate(info.creationDate)}</xmp:CreateDate>`);
+        lines.push(`<xmp:ModifyDate>${xmpDate(info.modificationDate)}</xmp:ModifyDate>`);
+        lines.push(`<xmp:MetadataDate>${xmpDate(info.modificationDate)}</xmp:MetadataDate>`);
+        if (info.creator !== undefined) lines.push(`<xmp:CreatorTool>${escapeXml(info.creator)}</xmp:CreatorTool>`);
+        lines.push('</rdf:Description>');
+
+        lines.push('<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">');
+        lines.push(`<pdf:Producer>${escapeXml(info.producer)}</pdf:Producer>`);
+        if (info.keywords !== undefined) lines.push(`<pdf:Keywords>${escapeXml(info.keywords)}</pdf:Keywords>`);
+        lines.push('</rdf:Description>');
+
+        lines.push('</rdf:RDF>', '</x:xmpmeta>');
+        // Padding lets other tools edit the packet in place
+        lines.push(...new Array(20).fill(' '.repeat(99)));
+        lines.push('<?xpacket end="w"?>');
+        return new TextEncoder().encode(lines.join('\n'));
+    }
+
+    function readXmp(pdf) {
+        const { PDFName, PDFStream, decodePDFRawStream, PDFRawStream } = PDFLib;
+        const stream = pdf.catalog.lookup(PDFName.of('Metadata'));
+        if (!(stream instanceof PDFStream)) return null;
+
+        let bytes = stream instanceof PDFRawStream ? stream.contents : stream.getContents();
+        if (stream instanceof PDFRawStream && filterNames(stream.dict).length) {
+            try {
+                bytes = decodePDFRawStream(stream).decode();
+            } catch (error) {
+                return { text: '', filtered: true };
+            }
+        }
+        return { text: new TextDecoder().decode(bytes), filtered: filterNames(stream.dict).length > 0 };
+    }
+
+    // Reads a simple XMP property written either as an element or an attribute
+    function xmpProperty(text, property) {
+        const element = new RegExp(`<${property}>([\\s\\S]*?)</${property}>`).exec(text);
+        if (element) {
+            const item = /<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/.exec(element[1]);
+            return unescapeXml((item ? item[1] : element[1]).trim());
+        }
+        const attribute = new RegExp(`${property}\\s*=\\s*["']([^"']*)["']`).exec(text);
+        return attribute ? unescapeXml(attribute[1]) : undefined;
+    }
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+    function createCollector(level) {
+        const found = new Map();
+        return {
+            add(id, example) {
+                if (!RULES[id].levels.includes(level)) return;
+                if (!found.has(id)) found.set(id, { count: 0, examples: [] });
+                const entry = found.get(id);
+                entry.count++;
+                if (example && entry.examples.length < 5 && !entry.examples.includes(example)) {
+                    entry.examples.push(example);
+                }
+            },
+            list() {
+                return Array.from(found, ([id, entry]) => ({
+                    id,
+                    clause: RULES[id].clause,
+                    message: RULES[id].message,
+                    count: entry.count,
+                    examples: entry.examples
+                }));
+            }
+        };
+    }
+
+    function hasPDFAOutputIntent(pdf) {
+        const { PDFName, PDFArray, PDFDict, PDFStream } = PDFLib;
+        const intents = pdf.catalog.lookup(PDFName.of('OutputIntents'));
+        if (!(intents instanceof PDFArray)) return null;
+        for (const ref of intents.asArray()) {
+            const intent = pdf.context.lookup(ref);
+            if (!(intent instanceof PDFDict) || intent.get(PDFName.of('S')) !== PDFName.of('GTS_PDFA1')) continue;
+            const profile = intent.lookup(PDFName.of('DestOutputProfile'));
+            if (!(profile instanceof PDFStream)) continue;
+            const components = profile.dict.lookup(PDFName.of('N'));
+            return { components: components ? components.asNumber() : 3 };
+        }
+        return null;
+    }
+
+    function isFontEmbedded(font) {
+        const { PDFName, PDFDict } = PDFLib;
+        const descriptor = font.lookup(PDFName.of('FontDescriptor'));
+        if (!(descriptor instanceof PDFDict)) return false;
+        return ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+    }
+
+    function checkDictionary(dict, stream, collect, state) {
+        const { PDFName, PDFDict, PDFNumber, PDFArray } = PDFLib;
+        const type = name(dict.get(PDFName.of('Type')));
+        const subtype = name(dict.get(PDFName.of('Subtype')));
+
+        // Streams
+        if (stream) {
+            if (filterNames(dict).includes('LZWDecode')) collect.add('lzw');
+            if (['F', 'FFilter', 'FDecodeParms'].some(key => dict.has(PDFName.of(key)))) collect.add('externalStreams');
+        }
+
+        // Fonts (Type3 fonts are drawn from content streams; Type0 fonts are checked through their descendants)
+        if (type === 'Font' && subtype && !['Type3', 'Type0'].includes(subtype) && !isFontEmbedded(dict)) {
+            const baseFont = name(dict.get(PDFName.of('BaseFont')));
+            collect.add('fontsNotEmbedded', baseFont || subtype);
+        }
+
+        // Images and other XObjects
+        if (subtype === 'Image' && stream) {
+            const interpolate = dict.lookup(PDFName.of('Interpolate'));
+            if (interpolate && interpolate.asBoolean && interpolate.asBoolean()) collect.add('interpolate');
+            if (dict.has(PDFName.of('Alternates')) || dict.has(PDFName.of('OPI'))) collect.add('imageAlternates');
+            if (dict.has(PDFName.of('SMask')) || dict.has(PDFName.of('SMaskInData'))) collect.add('transparency', 'image soft mask');
+            if (name(dict.get(PDFName.of('ColorSpace'))) === 'DeviceCMYK') state.usesCMYK = true;
+        }
+        if (subtype === 'PS' || dict.has(PDFName.of('PS'))) collect.add('postscript');
+        if (subtype === 'Form' && dict.has(PDFName.of('OPI'))) collect.add('imageAlternates');
+
+        // Colour spaces declared in resource dictionaries
+        const colorSpaces = dict.lookup(PDFName.of('ColorSpace'));
+        if (colorSpaces instanceof PDFDict) {
+            for (const [, value] of colorSpaces.entries()) {
+                const resolved = dict.context ? dict.context.lookup(value) : value;
+                const first = resolved instanceof PDFArray ? resolved.get(0) : resolved;
+                if (name(first) === 'DeviceCMYK') state.usesCMYK = true;
+            }
+        }
+
+        // Graphics states
+        const softMask = dict.get(PDFName.of('SMask'));
+        if (subtype !== 'Image' && softMask && name(softMask) !== 'None') collect.add('transparency', 'soft mask');
+        ['CA', 'ca'].forEach(key => {
+            const opacity = dict.lookup(PDFName.of(key));
+            if (opacity instanceof PDFNumber && opacity.asNumber() < 1) collect.add('transparency', 'opacity');
+        });
+        const blendMode = dict.get(PDFName.of('BM'));
+        if (blendMode && !['Normal', 'Compatible'].includes(name(blendMode))) collect.add('transparency', `blend mode ${name(blendMode) || ''}`.trim());
+        if (dict.has(PDFName.of('TR'))) collect.add('transferFunctions');
+        if (isTransparencyGroup(dict)) collect.add('transparency', 'transparency group');
+
+        // Annotations
+        if (isAnnotation(dict)) {
+            if (FORBIDDEN_ANNOTATIONS[state.level].includes(subtype)) collect.add('forbiddenAnnotations', subtype);
+            if (subtype !== 'Popup') {
+                const flags = annotationFlags(dict);
+                if (!(flags & ANNOT_PRINT) || (flags & (ANNOT_INVISIBLE | ANNOT_HIDDEN | ANNOT_NOVIEW | ANNOT_TOGGLE_NOVIEW))) {
+                    collect.add('annotationFlags', subtype);
+                }
+            }
+        }
+
+        // Actions
+        const action = name(dict.get(PDFName.of('S')));
+        if (FORBIDDEN_ACTIONS.includes(action)) collect.add('forbiddenActions', action);
+        if (action === 'Named' && !ALLOWED_NAMED_ACTIONS.includes(name(dict.get(PDFName.of('N'))))) {
+            collect.add('forbiddenActions', `Named ${name(dict.get(PDFName.of('N'))) || ''}`.trim());
+        }
+        if (dict.has(PDFName.of('AA'))) collect.add('additionalActions');
+
+        if (type === 'Filespec' && (dict.has(PDFName.of('EF')))) collect.add('embeddedFiles');
+        if (dict.has(PDFName.of('OC'))) collect.add('optionalContent');
+    }
+
+    /**
+     * Checks a PDF against PDF/A-1b or PDF/A-2b and lists every violation found.
+     * The level defaults to the one claimed in the file's metadata, or 2b.
+     * @returns {Promise<{level: string, claimedLevel: string|null, compliant: boolean, violations: Array}>}
+     */
+    async function validate(pdfBytes, options = {}) {
+        const { PDFDocument, PDFName, PDFDict, PDFBool } = PDFLib;
+        const bytes = pdfBytes instanceof Uint8Array ? pdfBytes : new Uint8Array(pdfBytes);
+        const pdf = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+        const context = pdf.context;
+
+        const xmp = context.trailerInfo.Encrypt ? null : readXmp(pdf);
+        let claimedLevel = null;
+        if (xmp) {
+            const part = xmpProperty(xmp.text, 'pdfaid:part');
+            const conformance = (xmpProperty(xmp.text, 'pdfaid:conformance') || '').toLowerCase();
+            if (part) claimedLevel = `${part}${conformance}`;
+        }
+        const level = options.level || (LEVELS[claimedLevel] ? claimedLevel : '2b');
+        if (!LEVELS[level]) throw new Error(`Unknown PDF/A level: ${level}`);
+
+        const collect = createCollector(level);
+        const state = { level, usesCMYK: false };
+
+        // File structure
+        if (context.trailerInfo.Encrypt) collect.add('encrypted');
+        if (!context.trailerInfo.ID) collect.add('trailerId');
+        const headerEnd = bytes.indexOf(0x0a);
+        const comment = bytes.subarray(headerEnd + 1, headerEnd + 6);
+        if (comment[0] !== 0x25 || Array.from(comment.subarray(1, 5)).some(byte => byte < 128)) collect.add('header');
+        const raw = new TextDecoder('latin1').decode(bytes);
+        if (/\/Type\s*\/(ObjStm|XRef)\b/.test(raw)) collect.add('objectStreams');
+
+        // Document catalog
+        const catalog = pdf.catalog;
+        const names = catalog.lookup(PDFName.of('Names'));
+        if (names instanceof PDFDict) {
+            if (names.has(PDFName.of('JavaScript'))) collect.add('javascript');
+            if (names.has(PDFName.of('EmbeddedFiles'))) collect.add('embeddedFiles');
+        }
+        if (catalog.has(PDFName.of('OCProperties'))) collect.add('optionalContent');
+        const acroForm = catalog.lookup(PDFName.of('AcroForm'));
+        if (acroForm instanceof PDFDict) {
+            if (acroForm.lookup(PDFName.of('NeedAppearances')) === PDFBool.True) collect.add('needAppearances');
+            if (acroForm.has(PDFName.of('XFA'))) collect.add('xfa');
+        }
+
+        const outputIntent = hasPDFAOutputIntent(pdf);
+        if (!outputIntent) collect.add('outputIntent');
+
+        // Metadata
+        if (!context.trailerInfo.Encrypt) {
+            if (!xmp) {
+                collect.add('metadata');
+            } else {
+                if (xmp.filtered) collect.add('metadataFiltered');
+                const { part, conformance } = LEVELS[level];
+                const claimedPart = xmpProperty(xmp.text, 'pdfaid:part');
+                const claimedConformance = xmpProperty(xmp.text, 'pdfaid:conformance');
+                if (claimedPart !== String(part) || (claimedConformance || '').toUpperCase() !== conformance) {
+                    collect.add('identification');
+                }
+
+                const infoDict = context.lookup(context.trailerInfo.Info);
+                if (infoDict instanceof PDFDict) {
+                    [['Title', 'dc:title'], ['Author', 'dc:creator'], ['Subject', 'dc:description'],
+                        ['Keywords', 'pdf:Keywords'], ['Creator', 'xmp:CreatorTool'], ['Producer', 'pdf:Producer']]
+                        .forEach(([key, property]) => {
+                            const value = textOf(infoDict, key);
+                            if (value !== undefined && value !== xmpProperty(xmp.text, property)) {
+                                collect.add('infoMismatch', key);
+                            }
+                        });
+                }
+            }
+        }
+
+        // Every dictionary in the file
+        forEachDictionary(context, (dict, stream) => checkDictionary(dict, stream, collect, state));
+        if (state.usesCMYK && outputIntent && outputIntent.components !== 4) collect.add('cmyk');
+
+        const violations = collect.list();
+        return {
+            level,
+            label: LEVELS[level].label,
+            claimedLevel,
+            compliant: violations.length === 0,
+            violations
+        };
+    }
+
+    // ============================================
+    // CONVERSION
+    // ============================================
+
+    // Removes forbidden actions from an action entry and its /Next chain
+    function cleanAction(context, dict, key) {
+        const { PDFName, PDFDict, PDFArray } = PDFLib;
+        const action = dict.lookup(PDFName.of(key));
+        if (!(action instanceof PDFDict)) return 0;
+
+        const type = name(action.get(PDFName.of('S')));
+        const named = name(action.get(PDFName.of('N')));
+        if (FORBIDDEN_ACTIONS.includes(type) || (type === 'Named' && !ALLOWED_NAMED_ACTIONS.includes(named))) {
+            dict.delete(PDFName.of(key));
+            return 1;
+        }
+
+        const next = action.lookup(PDFName.of('Next'));
+        if (next instanceof PDFArray) {
+            let removed = 0;
+            const kept = next.asArray().filter(ref => {
+                const holder = context.obj({ Next: ref });
+                const count = cleanAction(context, holder, 'Next');
+                removed += count;
+                return count === 0;
+            });
+            if (removed) action.set(PDFName.of('Next'), context.obj(kept));
+            return removed;
+        }
+        return next ? cleanAction(context, action, 'Next') : 0;
+    }
+
+    /**
+     * Rewrites a document in place so it can meet the given level.
+     * Returns the number of changes made per rule id.
+     */
+    function fixDocument(pdf, level) {
+        const { PDFName, PDFDict, PDFNumber, PDFBool, PDFRawStream, PDFHexString, decodePDFRawStream } = PDFLib;
+        const context = pdf.context;
+        const fixes = {};
+        const count = (id, amount = 1) => {
+            if (amount) fixes[id] = (fixes[id] || 0) + amount;
+        };
+
+        // Catalog-level content
+        const catalog = pdf.catalog;
+        const names = catalog.lookup(PDFName.of('Names'));
+        if (names instanceof PDFDict) {
+            ['JavaScript', 'EmbeddedFiles'].forEach(key => {
+                if (names.has(PDFName.of(key))) {
+                    names.delete(PDFName.of(key));
+                    count(key === 'JavaScript' ? 'javascript' : 'embeddedFiles');
+                }
+            });
+        }
+        if (catalog.has(PDFName.of('AF'))) catalog.delete(PDFName.of('AF'));
+        if (level === '1b' && catalog.has(PDFName.of('OCProperties'))) {
+            catalog.delete(PDFName.of('OCProperties'));
+            count('optionalContent');
+        }
+        const acroForm = catalog.lookup(PDFName.of('AcroForm'));
+        if (acroForm instanceof PDFDict) {
+            if (acroForm.has(PDFName.of('NeedAppearances'))) {
+                if (acroForm.lookup(PDFName.of('NeedAppearances')) === PDFBool.True) count('needAppearances');
+                acroForm.delete(PDFName.of('NeedAppearances'));
+            }
+            if (acroForm.has(PDFName.of('XFA'))) {
+                acroForm.delete(PDFName.of('XFA'));
+                count('xfa');
+            }
+        }
+
+        // Annotations that may not appear at all
+        const forbidden = FORBIDDEN_ANNOTATIONS[level];
+        pdf.getPages().forEach(page => {
+            const annots = page.node.Annots();
+            if (!annots) return;
+            const kept = annots.asArray().filter(ref => {
+                const annot = context.lookup(ref);
+                const remove = annot instanceof PDFDict && forbidden.includes(name(annot.get(PDFName.of('Subtype'))));
+                if (remove) count('forbiddenAnnotations');
+                return !remove;
+            });
+            if (kept.length !== annots.size()) page.node.set(PDFName.of('Annots'), context.obj(kept));
+        });
+
+        // Everything that can be fixed dictionary by dictionary
+        const lzwStreams = [];
+        forEachDictionary(context, (dict, stream, ref) => {
+            const subtype = name(dict.get(PDFName.of('Subtype')));
+
+            if (dict.has(PDFName.of('AA'))) {
+                dict.delete(PDFName.of('AA'));
+                count('additionalActions');
+            }
+            ['A', 'OpenAction'].forEach(key => count('forbiddenActions', cleanAction(context, dict, key)));
+
+            if (isAnnotation(dict) && subtype !== 'Popup') {
+                const flags = annotationFlags(dict);
+                const fixed = (flags | ANNOT_PRINT) & ~(ANNOT_INVISIBLE | ANNOT_HIDDEN | ANNOT_NOVIEW | ANNOT_TOGGLE_NOVIEW);
+                if (fixed !== flags || !dict.has(PDFName.of('F'))) {
+                    dict.set(PDFName.of('F'), PDFNumber.of(fixed));
+                    count('annotationFlags');
+                }
+            }
+
+            if (subtype === 'Image') {
+                const interpolate = dict.lookup(PDFName.of('Interpolate'));
+                if (interpolate && interpolate.asBoolean && interpolate.asBoolean()) {
+                    dict.set(PDFName.of('Interpolate'), PDFBool.False);
+                    count('interpolate');
+                }
+                ['Alternates', 'OPI'].forEach(key => {
+                    if (dict.has(PDFName.of(key))) {
+                        dict.delete(PDFName.of(key));
+                        count('imageAlternates');
+                    }
+                });
+            }
+            if (subtype === 'Form' && dict.has(PDFName.of('OPI'))) {
+                dict.delete(PDFName.of('OPI'));
+                count('imageAlternates');
+            }
+            if (dict.has(PDFName.of('TR'))) {
+                dict.delete(PDFName.of('TR'));
+                count('transferFunctions');
+            }
+            if (dict.get(PDFName.of('Type')) === PDFName.of('Filespec') && dict.has(PDFName.of('EF'))) {
+                dict.delete(PDFName.of('EF'));
+                count('embeddedFiles');
+            }
+
+            if (level === '1b') {
+                if (dict.has(PDFName.of('OC'))) {
+                    dict.delete(PDFName.of('OC'));
+                    count('optionalContent');
+                }
+                // PDF/A-1 has no transparency: drop soft masks, opacity and blend modes
+                if (subtype === 'Image') {
+                    ['SMask', 'SMaskInData'].forEach(key => {
+                        if (dict.has(PDFName.of(key))) {
+                            dict.delete(PDFName.of(key));
+                            count('transparency');
+                        }
+                    });
+                } else if (dict.has(PDFName.of('SMask')) && name(dict.get(PDFName.of('SMask'))) !== 'None') {
+                    dict.set(PDFName.of('SMask'), PDFName.of('None'));
+                    count('transparency');
+                }
+                ['CA', 'ca'].forEach(key => {
+                    const opacity = dict.lookup(PDFName.of(key));
+                    if (opacity instanceof PDFNumber && opacity.asNumber() < 1) {
+                        dict.set(PDFName.of(key), PDFNumber.of(1));
+                        count('transparency');
+                    }
+                });
+                const blendMode = dict.get(PDFName.of('BM'));
+                if (blendMode && !['Normal', 'Compatible'].includes(name(blendMode))) {
+                    dict.set(PDFName.of('BM'), PDFName.of('Normal'));
+                    count('transparency');
+                }
+                if (isTransparencyGroup(dict)) {
+                    dict.delete(PDFName.of('Group'));
+                    count('transparency');
+                }
+            }
+
+            if (stream && ref && stream instanceof PDFRawStream && filterNames(dict).includes('LZWDecode')) {
+                lzwStreams.push([ref, stream]);
+            }
+        });
+
+        // LZW is not allowed; store those streams with Flate instead
+        lzwStreams.forEach(([ref, stream]) => {
+            const decoded = decodePDFRawStream(stream).decode();
+            const dict = {};
+            for (const [key, value] of stream.dict.entries()) {
+                if (!['Filter', 'DecodeParms', 'Length'].includes(key.decodeText())) dict[key.decodeText()] = value;
+            }
+            context.assign(ref, context.flateStream(decoded, dict));
+            count('lzw');
+        });
+
+        // Output intent with an embedded sRGB profile
+        if (!hasPDFAOutputIntent(pdf)) {
+            const profile = context.stream(buildSRGBProfile(), { N: 3 });
+            const intent = context.obj({
+                Type: 'OutputIntent',
+                S: 'GTS_PDFA1',
+                OutputConditionIdentifier: PDFLib.PDFString.of(OUTPUT_CONDITION),
+                Info: PDFLib.PDFString.of(OUTPUT_CONDITION),
+                RegistryName: PDFLib.PDFString.of('http://www.color.org'),
+                DestOutputProfile: context.register(profile)
+            });
+            catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(intent)]));
+            count('outputIntent');
+        }
+
+        // Document information and matching XMP
+        const info = {
+            title: pdf.getTitle(),
+            author: pdf.getAuthor(),
+            subject: pdf.getSubject(),
+            keywords: pdf.getKeywords(),
+            creator: pdf.getCreator(),
+            producer: pdf.getProducer() || 'PDF Tools',
+            creationDate: pdf.getCreationDate(),
+            modificationDate: new Date()
+        };
+        pdf.setProducer(info.producer);
+        pdf.setModificationDate(info.modificationDate);
+        const metadata = context.stream(buildXmp(info, level), { Type: 'Metadata', Subtype: 'XML' });
+        catalog.set(PDFName.of('Metadata'), context.register(metadata));
+        count('metadata');
+
+        if (!context.trailerInfo.ID) {
+            const id = Array.from(PDFCrypto.randomBytes(16), byte => byte.toString(16).padStart(2, '0')).join('');
+            context.trailerInfo.ID = context.obj([PDFHexString.of(id), PDFHexString.of(id)]);
+            count('trailerId');
+        }
+
+        removeUnreachable(context);
+        return fixes;
+    }
+
+    /**
+     * Converts a PDF to PDF/A-1b or PDF/A-2b.
+     * When problems remain that cannot be repaired automatically (such as
+     * fonts that are not embedded) no file is returned: a file that claims
+     * PDF/A without conforming would be rejected by archives that trust the
+     * claim. The error's code is NOT_CONFORMING and its `violations` list them.
+     * @returns {Promise<{bytes: Uint8Array, level: string, fixes: Object}>}
+     */
+    async function convert(pdfBytes, options = {}) {
+        const level = options.level || '2b';
+        if (!LEVELS[level]) throw new Error(`Unknown PDF/A level: ${level}`);
+
+        const { pdf, wasEncrypted } = await PDFEncryption.decrypt(pdfBytes, options.password || '');
+        const fixes = fixDocument(pdf, level);
+        if (wasEncrypted) fixes.encrypted = 1;
+
+        const bytes = await pdf.save({
+            useObjectStreams: level !== '1b',
+            addDefaultPage: false,
+            updateFieldAppearances: false,
+            objectsPerTick: 50
+        });
+
+        // pdf-lib always writes a 1.7 header; the version digits have a fixed width
+        const [major, minor] = LEVELS[level].version;
+        bytes.set(new TextEncoder().encode(`${major}.${minor}`), 5);
+
+        const { violations } = await validate(bytes, { level });
+        if (violations.length) {
+            const issues = violations.map(violation =>
+                violation.examples.length ? `${violation.message} (${violation.examples.join(', ')})` : violation.message);
+            const error = new Error(`Cannot convert to ${LEVELS[level].label}: ${issues.join('; ')}`);
+            error.code = 'NOT_CONFORMING';
+            error.violations = violations;
+            throw error;
+        }
+        return { bytes, level, fixes };
+    }
+
+    return {
+        LEVELS,
+        RULES,
+        convert,
+        validate,
+        buildSRGBProfile
+    };
+})();
+
+// Export
+window.PDFArchive = PDFArchive;
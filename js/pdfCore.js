@@ -1,6 +1,6 @@
 /* ============================================
-   PDF Tools - Core PDF Processing Functions
-   Uses pdf-lib, PDF.js, jsPDF
+   PDF Tools - Core PDF Tool Functions
+   Page adapters over PDFTools.ops (pdfOps.js)
    ============================================ */
 
 // Set PDF.js worker
@@ -9,572 +9,410 @@ if (typeof pdfjsLib !== 'undefined') {
 }
 
 // ============================================
-// MERGE PDFs
+// OPERATION ADAPTER
+// The tool functions below are the handlers named in toolRegistry.js.
+// They receive options already checked by ToolRegistry.validate and run
+// the matching PDFTools.ops operation (see pdfOps.js), in a worker when
+// possible (pdfOpsWorker.js). controls.signal cancels the run.
 // ============================================
-async function mergePDFs(files) {
-    const { PDFDocument } = PDFLib;
-    const mergedPdf = await PDFDocument.create();
-
-    for (let i = 0; i < files.length; i++) {
-        showProgress((i / files.length) * 80);
-
-        const fileData = await files[i].file.arrayBuffer();
-        const pdf = await PDFDocument.load(fileData);
-        const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-        pages.forEach(page => mergedPdf.addPage(page));
-    }
-
-    showProgress(90);
-    const mergedPdfBytes = await mergedPdf.save();
-    const blob = new Blob([mergedPdfBytes], { type: 'application/pdf' });
-
-    showProgress(100);
-    showResult(blob, 'merged.pdf');
+async function runOperation(name, files, options = {}, controls = {}) {
+    const inputs = await Promise.all(files.map(async item => new Uint8Array(await item.file.arrayBuffer())));
+    let ready = 0;
+    let percent = 0;
+    return PDFOpsWorker.run(name, inputs, options, {
+        signal: controls.signal,
+        onProgress: fraction => {
+            percent = fraction * 100;
+            showProgress(percent, ready ? `${ready} file(s) ready` : undefined);
+        },
+        onOutput: () => {
+            ready++;
+            showProgress(percent, `${ready} file(s) ready`);
+        }
+    });
 }
 
-// ============================================
-// SPLIT PDF
-// ============================================
-async function splitPDF(files) {
-    const { PDFDocument } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
-    const totalPages = pdf.getPageCount();
-
-    const method = document.getElementById('splitMethod')?.value || 'all';
-    resultFiles = [];
-
-    if (method === 'all') {
-        // Extract each page as separate PDF
-        for (let i = 0; i < totalPages; i++) {
-            showProgress((i / totalPages) * 90);
-
-            const newPdf = await PDFDocument.create();
-            const [page] = await newPdf.copyPages(pdf, [i]);
-            newPdf.addPage(page);
-
-            const pdfBytes = await newPdf.save();
-            const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-            resultFiles.push({ name: `page_${i + 1}.pdf`, blob });
-        }
-    } else if (method === 'range') {
-        const rangeStr = document.getElementById('pageRange')?.value || '';
-        const ranges = parsePageRanges(rangeStr, totalPages);
-
-        const newPdf = await PDFDocument.create();
-        const pages = await newPdf.copyPages(pdf, ranges.map(p => p - 1));
-        pages.forEach(page => newPdf.addPage(page));
-
-        const pdfBytes = await newPdf.save();
-        const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-        resultFiles.push({ name: 'extracted_pages.pdf', blob });
-    } else if (method === 'interval') {
-        const interval = parseInt(document.getElementById('splitInterval')?.value) || 1;
-
-        for (let start = 0; start < totalPages; start += interval) {
-            showProgress((start / totalPages) * 90);
-
-            const end = Math.min(start + interval, totalPages);
-            const newPdf = await PDFDocument.create();
-            const pageIndices = [];
-            for (let i = start; i < end; i++) pageIndices.push(i);
-
-            const pages = await newPdf.copyPages(pdf, pageIndices);
-            pages.forEach(page => newPdf.addPage(page));
-
-            const pdfBytes = await newPdf.save();
-            const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-            resultFiles.push({ name: `pages_${start + 1}-${end}.pdf`, blob });
-        }
+// Offers a single output for download, or several as a ZIP
+function showOutputs(outputs, summary) {
+    if (outputs.length === 1) {
+        showResult(new Blob([outputs[0].bytes], { type: outputs[0].type }), outputs[0].name, outputs[0].tokens);
+        return;
     }
 
-    showProgress(100);
+    const names = FileNaming.names(outputs);
+    const files = outputs.map((item, i) => ({ name: names[i], blob: new Blob([item.bytes], { type: item.type }) }));
 
-    if (resultFiles.length === 1) {
-        showResult(resultFiles[0].blob, resultFiles[0].name);
-    } else {
-        hideProgress();
-        document.getElementById('resultArea').classList.remove('hidden');
-        document.getElementById('resultFileName').textContent = `${resultFiles.length} files`;
-        document.getElementById('resultFileSize').textContent = 'Download as ZIP';
-        document.getElementById('downloadBtn').innerHTML = `
+    resultBlob = null;
+    resultFiles = files;
+    hideProgress();
+    document.getElementById('resultArea').classList.remove('hidden');
+    document.getElementById('resultFileName').textContent = `${files.length} files`;
+    document.getElementById('resultFileSize').textContent = 'Download as ZIP';
+    document.getElementById('downloadBtn').innerHTML = `
       <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
       </svg>
       Download ZIP
     `;
-        PDFTools.showToast('success', 'Complete!', `Split into ${resultFiles.length} files`);
-    }
+    PDFTools.showToast('success', 'Complete!', summary);
 }
 
-// ============================================
-// COMPRESS PDF
-// ============================================
-async function compressPDF(files) {
-    const { PDFDocument } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
-
-    showProgress(50);
-
-    // Note: True compression requires server-side processing
-    // This creates a "cleaned" version without extra data
-    const compressedBytes = await pdf.save({
-        useObjectStreams: true,
-        addDefaultPage: false,
-        objectsPerTick: 50
+// Page numbers as runs: [1, 2, 3, 5] → "1-3, 5"
+function describePages(pages) {
+    const runs = [];
+    pages.forEach(page => {
+        const last = runs[runs.length - 1];
+        if (last && page === last[1] + 1) last[1] = page;
+        else runs.push([page, page]);
     });
+    return runs.map(([start, end]) => start === end ? start : `${start}-${end}`).join(', ');
+}
 
-    showProgress(100);
-
-    const blob = new Blob([compressedBytes], { type: 'application/pdf' });
-    const originalSize = files[0].file.size;
-    const newSize = blob.size;
-    const reduction = Math.round((1 - newSize / originalSize) * 100);
-
-    showResult(blob, 'compressed.pdf');
+// ============================================
+// MERGE PDFs
+// ============================================
+async function mergePDFs(files, options, controls) {
+    const { outputs, renamedFields } = await runOperation('merge', files, { ...options, names: files.map(item => item.file.name) }, controls);
+    showOutputs(outputs);
 
-    if (reduction > 0) {
-        PDFTools.showToast('info', 'Size Reduced', `Reduced by ${reduction}%`);
+    if (renamedFields.length > 0) {
+        const list = renamedFields.map(field => `${escapeHtml(field.from)} → ${escapeHtml(field.to)} (${escapeHtml(field.file)})`).join(', ');
+        PDFTools.showToast('warning', 'Form Fields Renamed', `Fields with the same name would share their values: ${list}`);
     }
 }
 
 // ============================================
-// ROTATE PDF
+// SPLIT PDF
 // ============================================
-async function rotatePDF(files) {
-    const { PDFDocument, degrees } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
+async function splitPDF(files, options, controls) {
+    const { outputs, oversized } = await runOperation('split', files, options, controls);
+    showOutputs(outputs, `Split into ${outputs.length} files`);
 
-    const angle = parseInt(document.getElementById('rotationAngle')?.value) || 90;
-    const applyTo = document.getElementById('rotatePages')?.value || 'all';
-    const totalPages = pdf.getPageCount();
+    if (oversized && oversized.length > 0) {
+        PDFTools.showToast('warning', 'Over the Size Limit', `Page ${oversized.join(', ')} alone is larger than ${options.maxSizeMB} MB`);
+    }
+}
 
-    for (let i = 0; i < totalPages; i++) {
-        showProgress((i / totalPages) * 90);
+async function previewSplit(files, options, controls) {
+    const preview = await runOperation('splitPreview', files, options, controls);
+    hideProgress();
+    renderSplitPreview(preview, files[0].name);
+}
 
-        let shouldRotate = false;
-        if (applyTo === 'all') shouldRotate = true;
-        else if (applyTo === 'odd' && (i + 1) % 2 === 1) shouldRotate = true;
-        else if (applyTo === 'even' && (i + 1) % 2 === 0) shouldRotate = true;
+// One row per output file: its name and the pages it will hold
+function renderSplitPreview(preview, fileName) {
+    const container = document.getElementById('toolReport');
+    if (!container) return;
 
-        if (shouldRotate) {
-            const page = pdf.getPage(i);
-            const currentRotation = page.getRotation().angle;
-            page.setRotation(degrees(currentRotation + angle));
-        }
+    const shown = preview.segments.slice(0, 100);
+    const rows = shown.map((segment, index) => `
+        <div class="flex justify-between gap-4 text-sm mb-2">
+            <span>${index + 1}. ${escapeHtml(segment.name)}</span>
+            <span class="text-muted">
+                ${segment.pages.length === 1 ? 'page' : 'pages'} ${describePages(segment.pages)}${segment.size !== undefined ? ` · ${PDFTools.formatFileSize(segment.size)}` : ''}
+            </span>
+        </div>
+    `).join('');
+
+    const notes = [];
+    if (preview.separators) {
+        notes.push(preview.separators.length
+            ? `Separator pages: ${describePages(preview.separators)}`
+            : 'No separator pages found');
+    }
+    if (preview.oversized && preview.oversized.length) {
+        notes.push(`Larger than the limit on their own: page ${preview.oversized.join(', ')}`);
     }
 
-    showProgress(95);
-    const pdfBytes = await pdf.save();
-    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-
-    showProgress(100);
-    showResult(blob, 'rotated.pdf');
+    container.innerHTML = `
+        <div class="card mt-4">
+            <div class="font-semibold mb-2">${escapeHtml(fileName)}: ${preview.segments.length} ${preview.segments.length === 1 ? 'file' : 'files'} from ${preview.totalPages} pages</div>
+            ${notes.map(note => `<div class="text-sm text-muted mb-2">${note}</div>`).join('')}
+            <div class="mt-4">${rows}</div>
+            ${preview.segments.length > shown.length ? `<div class="text-sm text-muted">and ${preview.segments.length - shown.length} more</div>` : ''}
+        </div>
+    `;
 }
 
 // ============================================
-// PROTECT PDF (Add Password)
+// COMPRESS PDF
 // ============================================
-async function protectPDF(files) {
-    const password = document.getElementById('pdfPassword')?.value;
-    const confirmPassword = document.getElementById('pdfPasswordConfirm')?.value;
+async function compressPDF(files, options, controls) {
+    const result = await runOperation('compress', files, options, controls);
+    showOutputs(result.outputs);
 
-    if (!password) {
-        throw new Error('Please enter a password');
+    const reduction = Math.round((1 - result.size / result.originalSize) * 100);
+    if (result.imageQuality) {
+        PDFTools.showToast('info', 'Target Reached', `Images saved at ${Math.round(result.imageQuality * 100)}% quality, ${result.targetDPI} DPI`);
     }
-
-    if (password !== confirmPassword) {
-        throw new Error('Passwords do not match');
+    if (reduction > 0) {
+        PDFTools.showToast('success', 'Compressed!', `Reduced by ${reduction}% (${PDFTools.formatFileSize(result.originalSize)} → ${PDFTools.formatFileSize(result.size)})`);
+    } else {
+        PDFTools.showToast('info', 'Note', 'File was already optimized. Minimal compression achieved.');
     }
-
-    const { PDFDocument } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
-
-    showProgress(50);
-
-    // Note: pdf-lib doesn't support encryption natively
-    // This is a simplified version - for real encryption, use a server-side solution
-    const pdfBytes = await pdf.save();
-    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-
-    showProgress(100);
-    showResult(blob, 'protected.pdf');
-
-    PDFTools.showToast('warning', 'Note', 'Client-side encryption has limitations. For strong security, use a desktop PDF tool.');
 }
 
 // ============================================
-// PDF TO IMAGE
+// ROTATE PDF
 // ============================================
-async function pdfToImage(files) {
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await pdfjsLib.getDocument({ data: fileData }).promise;
-    const totalPages = pdf.numPages;
-
-    const format = document.getElementById('imageFormat')?.value || 'png';
-    const scale = parseFloat(document.getElementById('imageQuality')?.value) || 2;
-
-    resultFiles = [];
-
-    for (let i = 1; i <= totalPages; i++) {
-        showProgress((i / totalPages) * 90);
-
-        const page = await pdf.getPage(i);
-        const viewport = page.getViewport({ scale });
-
-        const canvas = document.createElement('canvas');
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
-        const ctx = canvas.getContext('2d');
-
-        await page.render({ canvasContext: ctx, viewport }).promise;
-
-        const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
-        const dataUrl = canvas.toDataURL(mimeType, 0.9);
+async function rotatePDF(files, options, controls) {
+    const { outputs } = await runOperation('rotatePages', files, options, controls);
+    showOutputs(outputs);
+}
 
-        // Convert data URL to blob
-        const response = await fetch(dataUrl);
-        const blob = await response.blob();
+// ============================================
+// PROTECT PDF (Add Password)
+// ============================================
+async function protectPDF(files, options, controls) {
+    const { outputs } = await runOperation('protect', files, options, controls);
+    showOutputs(outputs);
+}
 
-        resultFiles.push({
-            name: `page_${i}.${format}`,
-            blob
-        });
+// ============================================
+// PERMISSIONS
+// ============================================
+async function setPermissions(files, options, controls) {
+    if (options.mode === 'report') {
+        const { info } = await runOperation('permissions', files, options, controls);
+        renderPermissionsReport(info, files[0].name);
+        hideProgress();
+        PDFTools.showToast('info', 'Permissions', info.encrypted ? `Encrypted with ${info.algorithm}` : 'This PDF has no restrictions');
+        return;
     }
 
-    showProgress(100);
+    const { outputs } = await runOperation('permissions', files, options, controls);
+    showOutputs(outputs);
+}
 
-    if (resultFiles.length === 1) {
-        showResult(resultFiles[0].blob, resultFiles[0].name);
-    } else {
-        hideProgress();
-        document.getElementById('resultArea').classList.remove('hidden');
-        document.getElementById('resultFileName').textContent = `${resultFiles.length} images`;
-        document.getElementById('resultFileSize').textContent = 'Download as ZIP';
-        document.getElementById('downloadBtn').innerHTML = `
-      <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/>
-      </svg>
-      Download ZIP
+function renderPermissionsReport(info, fileName) {
+    const container = document.getElementById('toolReport');
+    if (!container) return;
+
+    const permissions = info.permissions || {};
+    const rows = Object.entries(PDFEncryption.PERMISSION_LABELS).map(([name, label]) => {
+        const allowed = !info.encrypted || permissions[name];
+        return `
+            <div class="flex justify-between text-sm mb-2">
+                <span>${label}</span>
+                <span style="color: var(${allowed ? '--success' : '--danger'});">${allowed ? '✓ Allowed' : '✕ Not allowed'}</span>
+            </div>
+        `;
+    }).join('');
+
+    const summary = info.encrypted
+        ? `${info.algorithm} (revision ${info.revision}), ${info.requiresPassword ? 'password required to open' : 'opens without a password'}`
+        : 'Not encrypted';
+
+    container.innerHTML = `
+        <div class="card mt-4">
+            <div class="font-semibold mb-2" id="permissionsReportName"></div>
+            <div class="text-sm text-muted mb-4">${summary}</div>
+            ${rows}
+        </div>
     `;
-        PDFTools.showToast('success', 'Complete!', `Converted ${resultFiles.length} pages to images`);
-    }
+    document.getElementById('permissionsReportName').textContent = fileName;
 }
 
 // ============================================
-// IMAGE TO PDF
+// PDF/A
 // ============================================
-async function imageToPDF(files) {
-    const { jsPDF } = window.jspdf;
-    const pageSize = document.getElementById('pageSize')?.value || 'a4';
-    const orientation = document.getElementById('orientation')?.value || 'auto';
-
-    let pdf;
+async function convertToPDFA(files, options, controls) {
+    const result = await runOperation('pdfToPdfa', files, options, controls);
+    renderPDFAReport([], PDFArchive.LEVELS[options.level].label, files[0].name);
 
-    for (let i = 0; i < files.length; i++) {
-        showProgress((i / files.length) * 90);
-
-        const file = files[i].file;
-        const img = await loadImage(file);
+    const [converted] = result.outputs;
+    converted.name = files[0].name.replace(/\.pdf$/i, '') + '_pdfa.pdf';
+    showOutputs([converted]);
+}
 
-        // Determine orientation
-        let orient = orientation;
-        if (orient === 'auto') {
-            orient = img.width > img.height ? 'landscape' : 'portrait';
-        }
+async function validatePDFA(files, options, controls) {
+    const { report } = await runOperation('validatePdfa', files, options, controls);
+    renderPDFAReport(report.violations, report.label, files[0].name);
+    hideProgress();
 
-        // Create PDF on first image or add page
-        if (i === 0) {
-            if (pageSize === 'fit') {
-                pdf = new jsPDF({
-                    orientation: orient,
-                    unit: 'px',
-                    format: [img.width, img.height]
-                });
-                pdf.addImage(img, 'JPEG', 0, 0, img.width, img.height);
-            } else {
-                pdf = new jsPDF({
-                    orientation: orient,
-                    unit: 'mm',
-                    format: pageSize
-                });
-                addImageToPage(pdf, img, orient, pageSize);
-            }
-        } else {
-            if (pageSize === 'fit') {
-                pdf.addPage([img.width, img.height], orient);
-                pdf.addImage(img, 'JPEG', 0, 0, img.width, img.height);
-            } else {
-                pdf.addPage(pageSize, orient);
-                addImageToPage(pdf, img, orient, pageSize);
-            }
-        }
+    if (report.compliant) {
+        PDFTools.showToast('success', report.label, 'No violations found');
+    } else {
+        PDFTools.showToast('warning', report.label, `${report.violations.length} types of violations found`);
     }
-
-    showProgress(95);
-    const pdfBlob = pdf.output('blob');
-
-    showProgress(100);
-    showResult(pdfBlob, 'images.pdf');
 }
 
-function addImageToPage(pdf, img, orientation, pageSize) {
-    const pageWidth = pdf.internal.pageSize.getWidth();
-    const pageHeight = pdf.internal.pageSize.getHeight();
-
-    const margin = 10;
-    const maxWidth = pageWidth - margin * 2;
-    const maxHeight = pageHeight - margin * 2;
-
-    let width = img.width;
-    let height = img.height;
-
-    // Scale to fit
-    if (width > maxWidth) {
-        const ratio = maxWidth / width;
-        width = maxWidth;
-        height = height * ratio;
-    }
-    if (height > maxHeight) {
-        const ratio = maxHeight / height;
-        height = maxHeight;
-        width = width * ratio;
-    }
+function renderPDFAReport(violations, label, fileName) {
+    const container = document.getElementById('toolReport');
+    if (!container) return;
 
-    // Center on page
-    const x = (pageWidth - width) / 2;
-    const y = (pageHeight - height) / 2;
+    const rows = violations.map(violation => `
+        <div class="text-sm mb-3">
+            <div class="flex justify-between">
+                <span style="color: var(--danger);">✕ ${violation.message}</span>
+                <span class="text-muted">${violation.count}×</span>
+            </div>
+            <div class="text-xs text-muted">Clause ${violation.clause}${violation.examples.length ? ' · ' + violation.examples.map(example => Sanitizer.text(example)).join(', ') : ''}</div>
+        </div>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="card mt-4">
+            <div class="font-semibold mb-2" id="pdfaReportName"></div>
+            <div class="text-sm text-muted mb-4">${violations.length ? `${label}: ${violations.length} types of violations` : `${label}: no violations found`}</div>
+            ${rows}
+        </div>
+    `;
+    document.getElementById('pdfaReportName').textContent = fileName;
+}
 
-    pdf.addImage(img, 'JPEG', x, y, width, height);
+// ============================================
+// PDF TO IMAGE
+// ============================================
+async function pdfToImage(files, options, controls) {
+    const { outputs } = await runOperation('pdfToImage', files, options, controls);
+    showOutputs(outputs, `Converted ${outputs.length} pages to images`);
 }
 
-function loadImage(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => resolve(img);
-            img.onerror = reject;
-            img.src = e.target.result;
-        };
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
+// ============================================
+// IMAGE TO PDF
+// ============================================
+async function imageToPDF(files, options, controls) {
+    const { outputs } = await runOperation('imageToPdf', files, options, controls);
+    showOutputs(outputs);
 }
 
 // ============================================
 // ADD WATERMARK
 // ============================================
-async function addWatermark(files) {
-    const { PDFDocument, rgb, StandardFonts } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
-
-    const text = document.getElementById('watermarkText')?.value || 'WATERMARK';
-    const position = document.getElementById('watermarkPosition')?.value || 'center';
-    const opacity = (parseInt(document.getElementById('watermarkOpacity')?.value) || 30) / 100;
-
-    const font = await pdf.embedFont(StandardFonts.Helvetica);
-    const pages = pdf.getPages();
-
-    for (let i = 0; i < pages.length; i++) {
-        showProgress((i / pages.length) * 90);
-
-        const page = pages[i];
-        const { width, height } = page.getSize();
-        const fontSize = Math.min(width, height) / 10;
-
-        let x, y, rotate = 0;
-
-        if (position === 'center') {
-            x = width / 2 - (text.length * fontSize * 0.3);
-            y = height / 2;
-        } else if (position === 'diagonal') {
-            x = width / 4;
-            y = height / 2;
-            rotate = -45;
-        } else if (position === 'top') {
-            x = width / 2 - (text.length * fontSize * 0.3);
-            y = height - 50;
-        } else {
-            x = width / 2 - (text.length * fontSize * 0.3);
-            y = 50;
-        }
+async function addWatermark(files, options, controls) {
+    const { outputs } = await runOperation('addWatermark', files, options, controls);
+    showOutputs(outputs);
+}
 
-        page.drawText(text, {
-            x,
-            y,
-            size: fontSize,
-            font,
-            color: rgb(0.5, 0.5, 0.5),
-            opacity,
-            rotate: PDFLib.degrees(rotate)
-        });
-    }
+// The first watermarked page, drawn in the preview card; runs as the options change
+async function previewWatermark(files, options, controls) {
+    const bytes = new Uint8Array(await files[0].file.arrayBuffer());
+    const { page, preview } = await PDFOpsWorker.run('watermarkPreview', [bytes], options, { signal: controls.signal });
+    hideProgress();
 
-    showProgress(95);
-    const pdfBytes = await pdf.save();
-    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
+    const area = document.getElementById('previewArea');
+    const container = document.getElementById('pdfPreview');
+    if (!area || !container) return;
+    area.classList.remove('hidden');
 
-    showProgress(100);
-    showResult(blob, 'watermarked.pdf');
+    const pdf = await pdfjsLib.getDocument({ data: preview }).promise;
+    try {
+        const pdfPage = await pdf.getPage(1);
+        const width = pdfPage.getViewport({ scale: 1 }).width;
+        const scale = Math.min(2, (container.clientWidth || 600) / width) * (window.devicePixelRatio || 1);
+        const viewport = pdfPage.getViewport({ scale });
+
+        const canvas = document.createElement('canvas');
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        canvas.style.width = '100%';
+        await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        PDFOps.throwIfAborted(controls.signal);
+
+        const caption = document.createElement('p');
+        caption.className = 'text-sm text-muted text-center';
+        caption.textContent = `Page ${page} of ${files[0].name}`;
+        container.replaceChildren(canvas, caption);
+    } finally {
+        pdf.destroy();
+    }
 }
 
 // ============================================
-// ADD PAGE NUMBERS
+// REMOVE WATERMARK
 // ============================================
-async function addPageNumbers(files) {
-    const { PDFDocument, rgb, StandardFonts } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
 
-    const position = document.getElementById('numberPosition')?.value || 'bottom-center';
-    const format = document.getElementById('numberFormat')?.value || '1';
-    const startPage = parseInt(document.getElementById('startPage')?.value) || 1;
+// The file last reviewed and the candidates ticked in the review; the
+// report is cleared when the tool runs, so the choice is kept here
+let watermarkReview = { file: null, picked: new Set() };
 
-    const font = await pdf.embedFont(StandardFonts.Helvetica);
-    const pages = pdf.getPages();
-    const fontSize = 12;
+async function removeWatermark(files, options, controls) {
+    const reviewed = watermarkReview.file === files[0].file;
+    const { outputs, watermarks } = await runOperation('removeWatermark', files,
+        reviewed ? { ...options, remove: [...watermarkReview.picked] } : options, controls);
 
-    for (let i = startPage - 1; i < pages.length; i++) {
-        showProgress((i / pages.length) * 90);
+    if (watermarks.length === 0) {
+        hideProgress();
+        PDFTools.showToast('info', 'Nothing Removed', reviewed ? 'Tick the watermarks to remove' : 'No watermarks found');
+        return;
+    }
+    showOutputs(outputs);
+    PDFTools.showToast('success', 'Watermarks Removed', watermarks.map(candidate => escapeHtml(candidate.label)).join(', '));
+}
 
-        const page = pages[i];
-        const { width, height } = page.getSize();
-        const pageNum = i + 1;
+// Lists the candidates to tick; runs as the file or the selection changes
+async function findWatermarks(files, options, controls) {
+    const { report } = await runOperation('detectWatermarks', files, options, controls);
+    hideProgress();
 
-        let text = format.replace('1', pageNum.toString());
-        const textWidth = font.widthOfTextAtSize(text, fontSize);
+    const picked = report.candidates.filter(candidate => options.scope === 'all' || candidate.likely);
+    watermarkReview = { file: files[0].file, picked: new Set(picked.map(candidate => candidate.id)) };
+    renderWatermarkReview(report, files[0].name);
+}
 
-        let x, y;
-        const margin = 30;
+function renderWatermarkReview(report, fileName) {
+    const container = document.getElementById('toolReport');
+    if (!container) return;
 
-        if (position.includes('left')) x = margin;
-        else if (position.includes('right')) x = width - textWidth - margin;
-        else x = (width - textWidth) / 2;
+    const rows = report.candidates.map(candidate => `
+        <label class="flex justify-between items-center gap-4 text-sm mb-2">
+            <span class="flex items-center gap-2">
+                <input type="checkbox" value="${escapeHtml(candidate.id)}"${watermarkReview.picked.has(candidate.id) ? ' checked' : ''}>
+                <span>${escapeHtml(candidate.label)}</span>
+            </span>
+            <span class="text-muted">
+                ${candidate.pages.length === 1 ? 'page' : 'pages'} ${describePages(candidate.pages)}${candidate.count > candidate.pages.length ? ` · ${candidate.count}×` : ''}
+            </span>
+        </label>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="card mt-4">
+            <div class="font-semibold mb-2">${escapeHtml(fileName)}: ${report.candidates.length ? 'tick what to remove' : 'no watermarks found'}</div>
+            <div class="text-sm text-muted mb-4">Marked watermarks come first; repeated text and images may be headers, footers or logos</div>
+            ${rows}
+        </div>
+    `;
+    container.querySelectorAll('input[type="checkbox"]').forEach(box => box.addEventListener('change', () => {
+        if (box.checked) watermarkReview.picked.add(box.value);
+        else watermarkReview.picked.delete(box.value);
+    }));
+}
 
-        if (position.includes('top')) y = height - margin;
-        else y = margin;
+// ============================================
+// ADD PAGE NUMBERS
+// ============================================
+async function addPageNumbers(files, options, controls) {
+    const { outputs, bates } = await runOperation('pageNumbers', files, { ...options, names: files.map(item => item.file.name) }, controls);
+    showOutputs(outputs, `Numbered ${outputs.length} files`);
 
-        page.drawText(text, {
-            x,
-            y,
-            size: fontSize,
-            font,
-            color: rgb(0, 0, 0)
-        });
+    if (bates) {
+        const list = bates.map(range => `${escapeHtml(range.file)}: ${escapeHtml(range.first)} – ${escapeHtml(range.last)}`).join(', ');
+        PDFTools.showToast('info', 'Bates Numbers', list);
     }
-
-    showProgress(95);
-    const pdfBytes = await pdf.save();
-    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-
-    showProgress(100);
-    showResult(blob, 'numbered.pdf');
 }
 
 // ============================================
 // EXTRACT PAGES
 // ============================================
-async function extractPages(files) {
-    const { PDFDocument } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
-    const totalPages = pdf.getPageCount();
-
-    const rangeStr = document.getElementById('extractRange')?.value || '1';
-    const pageIndices = parsePageRanges(rangeStr, totalPages).map(p => p - 1);
-
-    if (pageIndices.length === 0) {
-        throw new Error('No valid pages specified');
-    }
-
-    showProgress(50);
-
-    const newPdf = await PDFDocument.create();
-    const pages = await newPdf.copyPages(pdf, pageIndices);
-    pages.forEach(page => newPdf.addPage(page));
-
-    showProgress(90);
-    const pdfBytes = await newPdf.save();
-    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-
-    showProgress(100);
-    showResult(blob, 'extracted.pdf');
+async function extractPages(files, options, controls) {
+    const { outputs } = await runOperation('extractPages', files, options, controls);
+    showOutputs(outputs);
 }
 
 // ============================================
 // DELETE PAGES
 // ============================================
-async function deletePages(files) {
-    const { PDFDocument } = PDFLib;
-    const fileData = await files[0].file.arrayBuffer();
-    const pdf = await PDFDocument.load(fileData);
-    const totalPages = pdf.getPageCount();
-
-    const rangeStr = document.getElementById('deleteRange')?.value || '';
-    const pagesToDelete = parsePageRanges(rangeStr, totalPages);
-
-    if (pagesToDelete.length === 0) {
-        throw new Error('No valid pages specified');
-    }
-
-    if (pagesToDelete.length >= totalPages) {
-        throw new Error('Cannot delete all pages');
-    }
-
-    showProgress(50);
-
-    // Get pages to keep
-    const pagesToKeep = [];
-    for (let i = 1; i <= totalPages; i++) {
-        if (!pagesToDelete.includes(i)) {
-            pagesToKeep.push(i - 1);
-        }
-    }
-
-    const newPdf = await PDFDocument.create();
-    const pages = await newPdf.copyPages(pdf, pagesToKeep);
-    pages.forEach(page => newPdf.addPage(page));
-
-    showProgress(90);
-    const pdfBytes = await newPdf.save();
-    const blob = new Blob([pdfBytes], { type: 'application/pdf' });
-
-    showProgress(100);
-    showResult(blob, 'modified.pdf');
-    PDFTools.showToast('info', 'Pages Deleted', `Removed ${pagesToDelete.length} page(s)`);
+async function deletePages(files, options, controls) {
+    const { outputs, removed } = await runOperation('deletePages', files, options, controls);
+    showOutputs(outputs);
+    PDFTools.showToast('info', 'Pages Deleted', `Removed ${removed} page(s)`);
 }
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
-function parsePageRanges(rangeStr, totalPages) {
-    const pages = [];
-    const parts = rangeStr.split(',').map(s => s.trim());
-
-    for (const part of parts) {
-        if (part.includes('-')) {
-            const [start, end] = part.split('-').map(s => parseInt(s.trim()));
-            if (!isNaN(start) && !isNaN(end)) {
-                for (let i = Math.max(1, start); i <= Math.min(totalPages, end); i++) {
-                    if (!pages.includes(i)) pages.push(i);
-                }
-            }
-        } else {
-            const num = parseInt(part);
-            if (!isNaN(num) && num >= 1 && num <= totalPages && !pages.includes(num)) {
-                pages.push(num);
-            }
-        }
-    }
-
-    return pages.sort((a, b) => a - b);
-}
-
 // PDF Preview using PDF.js
 async function previewPDF(file, containerId) {
     const container = document.getElementById(containerId);
@@ -615,14 +453,22 @@ async function previewPDF(file, containerId) {
 }
 
 // Export functions
+window.runOperation = runOperation;
+window.showOutputs = showOutputs;
 window.mergePDFs = mergePDFs;
 window.splitPDF = splitPDF;
 window.compressPDF = compressPDF;
 window.rotatePDF = rotatePDF;
 window.protectPDF = protectPDF;
+window.setPermissions = setPermissions;
+window.convertToPDFA = convertToPDFA;
+window.validatePDFA = validatePDFA;
 window.pdfToImage = pdfToImage;
 window.imageToPDF = imageToPDF;
 window.addWatermark = addWatermark;
+window.previewWatermark = previewWatermark;
+window.removeWatermark = removeWatermark;
+window.findWatermarks = findWatermarks;
 window.addPageNumbers = addPageNumbers;
 window.extractPages = extractPages;
 window.deletePages = deletePages;
@@ -0,0 +1,559 @@
+/* ============================================
+   PDF Tools - Crypto Primitives
+   MD5, RC4, SHA-2 and AES used by the PDF
+   standard security handler (pure JavaScript)
+   ============================================ */
+
+const PDFCrypto = (() => {
+    // ============================================
+    // HELPERS
+    // ============================================
+    function concatBytes(...arrays) {
+        const total = arrays.reduce((sum, arr) => sum + arr.length, 0);
+        const out = new Uint8Array(total);
+        let offset = 0;
+        for (const arr of arrays) {
+            out.set(arr, offset);
+            offset += arr.length;
+        }
+        return out;
+    }
+
+    // Encryption keys and salts come from here, so there is no weaker fallback
+    function randomBytes(length) {
+        if (typeof crypto === 'undefined' || !crypto.getRandomValues) {
+            const error = new Error('Secure random numbers are not available');
+            error.code = 'UNSUPPORTED';
+            throw error;
+        }
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    // ============================================
+    // MD5
+    // ============================================
+    const MD5_SHIFTS = [
+        7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+        5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+        4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+        6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+    ];
+    const MD5_K = new Int32Array(64);
+    for (let i = 0; i < 64; i++) {
+        MD5_K[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0;
+    }
+
+    function md5(data) {
+        const length = data.length;
+        const paddedLength = (((length + 8) >> 6) + 1) << 6;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(data);
+        padded[length] = 0x80;
+        const bitLength = length * 8;
+        padded[paddedLength - 8] = bitLength & 0xff;
+        padded[paddedLength - 7] = (bitLength >>> 8) & 0xff;
+        padded[paddedLength - 6] = (bitLength >>> 16) & 0xff;
+        padded[paddedLength - 5] = (bitLength >>> 24) & 0xff;
+        padded[paddedLength - 4] = Math.floor(bitLength / 0x100000000) & 0xff;
+
+        let h0 = 0x67452301, h1 = 0xefcdab89 | 0, h2 = 0x98badcfe | 0, h3 = 0x10325476;
+        const w = new Int32Array(16);
+
+        for (let chunk = 0; chunk < paddedLength; chunk += 64) {
+            for (let j = 0; j < 16; j++) {
+                const o = chunk + j * 4;
+                w[j] = padded[o] | (padded[o + 1] << 8) | (padded[o + 2] << 16) | (padded[o + 3] << 24);
+            }
+
+            let a = h0, b = h1, c = h2, d = h3;
+            for (let j = 0; j < 64; j++) {
+                let f, g;
+                if (j < 16) {
+                    f = (b & c) | (~b & d);
+                    g = j;
+                } else if (j < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * j + 1) & 15;
+                } else if (j < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * j + 5) & 15;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * j) & 15;
+                }
+                const tmp = d;
+                d = c;
+                c = b;
+                const sum = (a + f + MD5_K[j] + w[g]) | 0;
+                b = (b + ((sum << MD5_SHIFTS[j]) | (sum >>> (32 - MD5_SHIFTS[j])))) | 0;
+                a = tmp;
+            }
+
+            h0 = (h0 + a) | 0;
+            h1 = (h1 + b) | 0;
+            h2 = (h2 + c) | 0;
+            h3 = (h3 + d) | 0;
+        }
+
+        const out = new Uint8Array(16);
+        [h0, h1, h2, h3].forEach((h, i) => {
+            out[i * 4] = h & 0xff;
+            out[i * 4 + 1] = (h >>> 8) & 0xff;
+            out[i * 4 + 2] = (h >>> 16) & 0xff;
+            out[i * 4 + 3] = (h >>> 24) & 0xff;
+        });
+        return out;
+    }
+
+    // ============================================
+    // RC4
+    // ============================================
+    function rc4(key, data) {
+        const s = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) s[i] = i;
+
+        for (let i = 0, j = 0; i < 256; i++) {
+            j = (j + s[i] + key[i % key.length]) & 0xff;
+            const tmp = s[i];
+            s[i] = s[j];
+            s[j] = tmp;
+        }
+
+        const out = new Uint8Array(data.length);
+        for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+            i = (i + 1) & 0xff;
+            j = (j + s[i]) & 0xff;
+            const tmp = s[i];
+            s[i] = s[j];
+            s[j] = tmp;
+            out[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+        }
+        return out;
+    }
+
+    // ============================================
+    // SHA-256
+    // ============================================
+    const SHA256_K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    // Pads a message for SHA-2: 0x80, zeros, then the big-endian bit length
+    function shaPad(data, blockSize, lengthBytes) {
+        const length = data.length;
+        const paddedLength = Math.ceil((length + 1 + lengthBytes) / blockSize) * blockSize;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(data);
+        padded[length] = 0x80;
+        const bitLength = length * 8;
+        padded[paddedLength - 1] = bitLength & 0xff;
+        padded[paddedLength - 2] = (bitLength >>> 8) & 0xff;
+        padded[paddedLength - 3] = (bitLength >>> 16) & 0xff;
+        padded[paddedLength - 4] = (bitLength >>> 24) & 0xff;
+        padded[paddedLength - 5] = Math.floor(bitLength / 0x100000000) & 0xff;
+        return padded;
+    }
+
+    function sha256(data) {
+        const padded = shaPad(data, 64, 8);
+        const h = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const w = new Uint32Array(64);
+
+        for (let chunk = 0; chunk < padded.length; chunk += 64) {
+            for (let j = 0; j < 16; j++) {
+                const o = chunk + j * 4;
+                w[j] = (padded[o] << 24) | (padded[o + 1] << 16) | (padded[o + 2] << 8) | padded[o + 3];
+            }
+            for (let j = 16; j < 64; j++) {
+                const x = w[j - 15], y = w[j - 2];
+                const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+                const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+                w[j] = (w[j - 16] + s0 + w[j - 7] + s1) | 0;
+            }
+
+            let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], k = h[7];
+            for (let j = 0; j < 64; j++) {
+                const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (k + S1 + ch + SHA256_K[j] + w[j]) | 0;
+                const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) | 0;
+                k = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+            h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+        }
+
+        const out = new Uint8Array(32);
+        for (let i = 0; i < 8; i++) {
+            out[i * 4] = h[i] >>> 24;
+            out[i * 4 + 1] = (h[i] >>> 16) & 0xff;
+            out[i * 4 + 2] = (h[i] >>> 8) & 0xff;
+            out[i * 4 + 3] = h[i] & 0xff;
+        }
+        return out;
+    }
+
+    // ============================================
+    // SHA-384 / SHA-512 (64-bit words as hi/lo pairs)
+    // ============================================
+    const SHA512_K = new Uint32Array([
+        0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+        0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+        0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+        0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+        0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+        0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+        0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+        0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+        0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+        0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+        0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+        0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+        0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+        0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+        0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+        0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+        0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+        0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+        0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+        0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+    ]);
+
+    const SHA512_IV = [
+        0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+        0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+    ];
+
+    const SHA384_IV = [
+        0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+        0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4
+    ];
+
+    function sha512Core(data, iv, outLength) {
+        const padded = shaPad(data, 128, 16);
+        const h = new Uint32Array(iv);
+        const w = new Uint32Array(160);
+
+        for (let chunk = 0; chunk < padded.length; chunk += 128) {
+            for (let j = 0; j < 32; j++) {
+                const o = chunk + j * 4;
+                w[j] = (padded[o] << 24) | (padded[o + 1] << 16) | (padded[o + 2] << 8) | padded[o + 3];
+            }
+            for (let j = 16; j < 80; j++) {
+                // sigma0 of w[j-15]
+                let xh = w[(j - 15) * 2], xl = w[(j - 15) * 2 + 1];
+                const s0h = ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+                const s0l = ((xl >>> 1) | (xh << 31)) ^ ((xl >>> 8) | (xh << 24)) ^ ((xl >>> 7) | (xh << 25));
+                // sigma1 of w[j-2]
+                xh = w[(j - 2) * 2];
+                xl = w[(j - 2) * 2 + 1];
+                const s1h = ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+                const s1l = ((xl >>> 19) | (xh << 13)) ^ ((xh >>> 29) | (xl << 3)) ^ ((xl >>> 6) | (xh << 26));
+
+                let lo = (w[(j - 16) * 2 + 1] >>> 0) + (s0l >>> 0) + (w[(j - 7) * 2 + 1] >>> 0) + (s1l >>> 0);
+                const hi = w[(j - 16) * 2] + s0h + w[(j - 7) * 2] + s1h + Math.floor(lo / 0x100000000);
+                w[j * 2] = hi;
+                w[j * 2 + 1] = lo;
+            }
+
+            let ah = h[0], al = h[1], bh = h[2], bl = h[3], ch = h[4], cl = h[5], dh = h[6], dl = h[7];
+            let eh = h[8], el = h[9], fh = h[10], fl = h[11], gh = h[12], gl = h[13], kh = h[14], kl = h[15];
+
+            for (let j = 0; j < 80; j++) {
+                const S1h = ((eh >>> 14) | (el << 18)) ^ ((eh >>> 18) | (el << 14)) ^ ((el >>> 9) | (eh << 23));
+                const S1l = ((el >>> 14) | (eh << 18)) ^ ((el >>> 18) | (eh << 14)) ^ ((eh >>> 9) | (el << 23));
+                const chh = (eh & fh) ^ (~eh & gh);
+                const chl = (el & fl) ^ (~el & gl);
+
+                let t1l = (kl >>> 0) + (S1l >>> 0) + (chl >>> 0) + SHA512_K[j * 2 + 1] + (w[j * 2 + 1] >>> 0);
+                const t1h = (kh + S1h + chh + SHA512_K[j * 2] + w[j * 2] + Math.floor(t1l / 0x100000000)) >>> 0;
+                t1l >>>= 0;
+
+                const S0h = ((ah >>> 28) | (al << 4)) ^ ((al >>> 2) | (ah << 30)) ^ ((al >>> 7) | (ah << 25));
+                const S0l = ((al >>> 28) | (ah << 4)) ^ ((ah >>> 2) | (al << 30)) ^ ((ah >>> 7) | (al << 25));
+                const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+                const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+
+                let t2l = (S0l >>> 0) + (majl >>> 0);
+                const t2h = (S0h + majh + Math.floor(t2l / 0x100000000)) >>> 0;
+                t2l >>>= 0;
+
+                kh = gh; kl = gl;
+                gh = fh; gl = fl;
+                fh = eh; fl = el;
+                let sumL = (dl >>> 0) + t1l;
+                eh = (dh + t1h + Math.floor(sumL / 0x100000000)) >>> 0;
+                el = sumL >>> 0;
+                dh = ch; dl = cl;
+                ch = bh; cl = bl;
+                bh = ah; bl = al;
+                sumL = t1l + t2l;
+                ah = (t1h + t2h + Math.floor(sumL / 0x100000000)) >>> 0;
+                al = sumL >>> 0;
+            }
+
+            const add = (idx, hi, lo) => {
+                const sum = (h[idx + 1] >>> 0) + (lo >>> 0);
+                h[idx] = h[idx] + hi + Math.floor(sum / 0x100000000);
+                h[idx + 1] = sum;
+            };
+            add(0, ah, al); add(2, bh, bl); add(4, ch, cl); add(6, dh, dl);
+            add(8, eh, el); add(10, fh, fl); add(12, gh, gl); add(14, kh, kl);
+        }
+
+        const out = new Uint8Array(outLength);
+        for (let i = 0; i < outLength / 4; i++) {
+            out[i * 4] = h[i] >>> 24;
+            out[i * 4 + 1] = (h[i] >>> 16) & 0xff;
+            out[i * 4 + 2] = (h[i] >>> 8) & 0xff;
+            out[i * 4 + 3] = h[i] & 0xff;
+        }
+        return out;
+    }
+
+    function sha384(data) {
+        return sha512Core(data, SHA384_IV, 48);
+    }
+
+    function sha512(data) {
+        return sha512Core(data, SHA512_IV, 64);
+    }
+
+    // ============================================
+    // AES (128/256-bit keys)
+    // ============================================
+    const SBOX = new Uint8Array(256);
+    const INV_SBOX = new Uint8Array(256);
+    const MUL2 = new Uint8Array(256);
+    const MUL3 = new Uint8Array(256);
+    const MUL9 = new Uint8Array(256);
+    const MUL11 = new Uint8Array(256);
+    const MUL13 = new Uint8Array(256);
+    const MUL14 = new Uint8Array(256);
+
+    // Build the S-boxes and GF(2^8) multiplication tables once
+    (function initAESTables() {
+        const gmul = (a, b) => {
+            let p = 0;
+            for (let i = 0; i < 8; i++) {
+                if (b & 1) p ^= a;
+                const hi = a & 0x80;
+                a = (a << 1) & 0xff;
+                if (hi) a ^= 0x1b;
+                b >>= 1;
+            }
+            return p;
+        };
+
+        for (let x = 0; x < 256; x++) {
+            // Multiplicative inverse (brute force is fine for a one-off table)
+            let inv = 0;
+            if (x !== 0) {
+                for (let y = 1; y < 256; y++) {
+                    if (gmul(x, y) === 1) {
+                        inv = y;
+                        break;
+                    }
+                }
+            }
+            let s = inv;
+            for (let i = 1; i <= 4; i++) {
+                s ^= ((inv << i) | (inv >> (8 - i))) & 0xff;
+            }
+            s ^= 0x63;
+            SBOX[x] = s;
+            INV_SBOX[s] = x;
+
+            MUL2[x] = gmul(x, 2);
+            MUL3[x] = gmul(x, 3);
+            MUL9[x] = gmul(x, 9);
+            MUL11[x] = gmul(x, 11);
+            MUL13[x] = gmul(x, 13);
+            MUL14[x] = gmul(x, 14);
+        }
+    })();
+
+    function expandKey(key) {
+        const nk = key.length / 4;
+        if (nk !== 4 && nk !== 8) {
+            throw new Error('AES key must be 16 or 32 bytes');
+        }
+        const rounds = nk + 6;
+        const expanded = new Uint8Array(16 * (rounds + 1));
+        expanded.set(key);
+
+        let rcon = 1;
+        for (let i = nk; i < 4 * (rounds + 1); i++) {
+            let t0 = expanded[(i - 1) * 4], t1 = expanded[(i - 1) * 4 + 1];
+            let t2 = expanded[(i - 1) * 4 + 2], t3 = expanded[(i - 1) * 4 + 3];
+
+            if (i % nk === 0) {
+                const tmp = t0;
+                t0 = SBOX[t1] ^ rcon;
+                t1 = SBOX[t2];
+                t2 = SBOX[t3];
+                t3 = SBOX[tmp];
+                rcon = MUL2[rcon];
+            } else if (nk > 6 && i % nk === 4) {
+                t0 = SBOX[t0];
+                t1 = SBOX[t1];
+                t2 = SBOX[t2];
+                t3 = SBOX[t3];
+            }
+
+            expanded[i * 4] = expanded[(i - nk) * 4] ^ t0;
+            expanded[i * 4 + 1] = expanded[(i - nk) * 4 + 1] ^ t1;
+            expanded[i * 4 + 2] = expanded[(i - nk) * 4 + 2] ^ t2;
+            expanded[i * 4 + 3] = expanded[(i - nk) * 4 + 3] ^ t3;
+        }
+
+        return { expanded, rounds };
+    }
+
+    function encryptBlock(state, { expanded, rounds }) {
+        for (let i = 0; i < 16; i++) state[i] ^= expanded[i];
+
+        for (let round = 1; round <= rounds; round++) {
+            // SubBytes + ShiftRows
+            const t = new Uint8Array(16);
+            for (let c = 0; c < 4; c++) {
+                for (let r = 0; r < 4; r++) {
+                    t[c * 4 + r] = SBOX[state[((c + r) % 4) * 4 + r]];
+                }
+            }
+
+            // MixColumns (skipped in the final round)
+            if (round !== rounds) {
+                for (let c = 0; c < 4; c++) {
+                    const a0 = t[c * 4], a1 = t[c * 4 + 1], a2 = t[c * 4 + 2], a3 = t[c * 4 + 3];
+                    t[c * 4] = MUL2[a0] ^ MUL3[a1] ^ a2 ^ a3;
+                    t[c * 4 + 1] = a0 ^ MUL2[a1] ^ MUL3[a2] ^ a3;
+                    t[c * 4 + 2] = a0 ^ a1 ^ MUL2[a2] ^ MUL3[a3];
+                    t[c * 4 + 3] = MUL3[a0] ^ a1 ^ a2 ^ MUL2[a3];
+                }
+            }
+
+            for (let i = 0; i < 16; i++) state[i] = t[i] ^ expanded[round * 16 + i];
+        }
+        return state;
+    }
+
+    function decryptBlock(state, { expanded, rounds }) {
+        for (let i = 0; i < 16; i++) state[i] ^= expanded[rounds * 16 + i];
+
+        for (let round = rounds - 1; round >= 0; round--) {
+            // InvShiftRows + InvSubBytes
+            const t = new Uint8Array(16);
+            for (let c = 0; c < 4; c++) {
+                for (let r = 0; r < 4; r++) {
+                    t[((c + r) % 4) * 4 + r] = INV_SBOX[state[c * 4 + r]];
+                }
+            }
+
+            for (let i = 0; i < 16; i++) t[i] ^= expanded[round * 16 + i];
+
+            // InvMixColumns (skipped after the last round key)
+            if (round !== 0) {
+                for (let c = 0; c < 4; c++) {
+                    const a0 = t[c * 4], a1 = t[c * 4 + 1], a2 = t[c * 4 + 2], a3 = t[c * 4 + 3];
+                    t[c * 4] = MUL14[a0] ^ MUL11[a1] ^ MUL13[a2] ^ MUL9[a3];
+                    t[c * 4 + 1] = MUL9[a0] ^ MUL14[a1] ^ MUL11[a2] ^ MUL13[a3];
+                    t[c * 4 + 2] = MUL13[a0] ^ MUL9[a1] ^ MUL14[a2] ^ MUL11[a3];
+                    t[c * 4 + 3] = MUL11[a0] ^ MUL13[a1] ^ MUL9[a2] ^ MUL14[a3];
+                }
+            }
+
+            state.set(t);
+        }
+        return state;
+    }
+
+    /**
+     * AES-CBC encryption. With `pad` the input gets PKCS#7 padding (as PDF
+     * AESV2/AESV3 streams require); without it the input must be block-aligned.
+     */
+    function aesEncryptCBC(key, iv, data, pad = true) {
+        const schedule = expandKey(key);
+        const padLength = pad ? 16 - (data.length % 16) : 0;
+        if (!pad && data.length % 16 !== 0) {
+            throw new Error('AES input is not a multiple of the block size');
+        }
+
+        const input = new Uint8Array(data.length + padLength);
+        input.set(data);
+        input.fill(padLength, data.length);
+
+        const out = new Uint8Array(input.length);
+        let prev = iv;
+        for (let offset = 0; offset < input.length; offset += 16) {
+            const block = input.slice(offset, offset + 16);
+            for (let i = 0; i < 16; i++) block[i] ^= prev[i];
+            encryptBlock(block, schedule);
+            out.set(block, offset);
+            prev = block;
+        }
+        return out;
+    }
+
+    /**
+     * AES-CBC decryption. Strips PKCS#7 padding when `unpad` is set; malformed
+     * padding is left in place rather than thrown on, as readers do.
+     */
+    function aesDecryptCBC(key, iv, data, unpad = true) {
+        const schedule = expandKey(key);
+        const length = data.length - (data.length % 16);
+        const out = new Uint8Array(length);
+
+        let prev = iv;
+        for (let offset = 0; offset < length; offset += 16) {
+            const cipherBlock = data.subarray(offset, offset + 16);
+            const block = decryptBlock(Uint8Array.from(cipherBlock), schedule);
+            for (let i = 0; i < 16; i++) block[i] ^= prev[i];
+            out.set(block, offset);
+            prev = cipherBlock;
+        }
+
+        if (unpad && length > 0) {
+            const padLength = out[length - 1];
+            if (padLength > 0 && padLength <= 16) {
+                return out.slice(0, length - padLength);
+            }
+        }
+        return out;
+    }
+
+    return {
+        concatBytes,
+        randomBytes,
+        md5,
+        rc4,
+        sha256,
+        sha384,
+        sha512,
+        aesEncryptCBC,
+        aesDecryptCBC
+    };
+})();
+
+// Export
+window.PDFCrypto = PDFCrypto;
@@ -0,0 +1,691 @@
+/* ============================================
+   PDF Tools - Standard Security Handler
+   Password encryption/decryption for pdf-lib
+   (RC4-128 R3, AES-128 R4, AES-256 R6)
+   ============================================ */
+
+const PDFEncryption = (() => {
+    const { concatBytes, randomBytes, md5, rc4, sha256, sha384, sha512, aesEncryptCBC, aesDecryptCBC } = PDFCrypto;
+
+    // 32-byte padding string from the PDF specification (Algorithm 2, step a)
+    const PASSWORD_PADDING = new Uint8Array([
+        0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+        0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+    ]);
+
+    const ZERO_IV = new Uint8Array(16);
+
+    const ALGORITHMS = {
+        'rc4-128': { label: 'RC4 128-bit', version: 2, revision: 3, keyLength: 16, method: 'V2', pdfVersion: 4 },
+        'aes-128': { label: 'AES 128-bit', version: 4, revision: 4, keyLength: 16, method: 'AESV2', pdfVersion: 6 },
+        'aes-256': { label: 'AES 256-bit', version: 5, revision: 6, keyLength: 32, method: 'AESV3', pdfVersion: 7 }
+    };
+
+    // Bit positions (1-based) of the user access permissions in /P
+    const PERMISSION_BITS = {
+        print: 3,
+        modify: 4,
+        copy: 5,
+        annotate: 6,
+        fillForms: 9,
+        extractForAccessibility: 10,
+        assemble: 11,
+        printHighQuality: 12
+    };
+
+    const PERMISSION_LABELS = {
+        print: 'Print',
+        printHighQuality: 'Print in high quality',
+        copy: 'Copy text and images',
+        modify: 'Modify contents',
+        annotate: 'Add comments and annotations',
+        fillForms: 'Fill in form fields',
+        extractForAccessibility: 'Extract for accessibility',
+        assemble: 'Assemble (insert, rotate, delete pages)'
+    };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    function passwordError() {
+        const error = new Error('Incorrect password. Please try again.');
+        error.code = 'INCORRECT_PASSWORD';
+        return error;
+    }
+
+    function toHex(bytes) {
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    function bytesEqual(a, b, length = Math.max(a.length, b.length)) {
+        if (a.length < length || b.length < length) return false;
+        for (let i = 0; i < length; i++) {
+            if (a[i] !== b[i]) return false;
+        }
+        return true;
+    }
+
+    function int32LE(value) {
+        return new Uint8Array([value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff]);
+    }
+
+    // Revisions 2-4 use PDFDocEncoding; Latin-1 covers the printable range
+    function legacyPasswordBytes(password) {
+        const bytes = new Uint8Array(Math.min(password.length, 32));
+        for (let i = 0; i < bytes.length; i++) {
+            const code = password.charCodeAt(i);
+            bytes[i] = code < 256 ? code : 0x3f;
+        }
+        return bytes;
+    }
+
+    function padPassword(passwordBytes) {
+        const padded = new Uint8Array(32);
+        padded.set(passwordBytes.subarray(0, 32));
+        padded.set(PASSWORD_PADDING.subarray(0, 32 - Math.min(passwordBytes.length, 32)), Math.min(passwordBytes.length, 32));
+        return padded;
+    }
+
+    // Revision 6 uses SASLprep'd UTF-8; NFKC normalisation is a close approximation
+    function utf8PasswordBytes(password) {
+        return new TextEncoder().encode(password.normalize('NFKC')).subarray(0, 127);
+    }
+
+    function objectBytes(pdfString) {
+        return pdfString.asBytes();
+    }
+
+    // ============================================
+    // PERMISSIONS
+    // ============================================
+    function permissionsToFlags(permissions = {}) {
+        // Bits 7-8 and 13-32 must be set, bits 1-2 must be clear
+        let flags = 0xfffff0c0 | 0;
+        for (const [name, bit] of Object.entries(PERMISSION_BITS)) {
+            if (permissions[name] !== false) {
+                flags |= 1 << (bit - 1);
+            }
+        }
+        return flags;
+    }
+
+    function flagsToPermissions(flags) {
+        const permissions = {};
+        for (const [name, bit] of Object.entries(PERMISSION_BITS)) {
+            permissions[name] = (flags & (1 << (bit - 1))) !== 0;
+        }
+        return permissions;
+    }
+
+    // ============================================
+    // REVISION 2-4 KEY DERIVATION
+    // ============================================
+
+    // Algorithm 2: file encryption key from the user password
+    function computeLegacyFileKey(passwordBytes, O, P, fileId, revision, keyLength, encryptMetadata) {
+        const parts = [padPassword(passwordBytes), O.subarray(0, 32), int32LE(P), fileId];
+        if (revision >= 4 && !encryptMetadata) {
+            parts.push(new Uint8Array([0xff, 0xff, 0xff, 0xff]));
+        }
+
+        let hash = md5(concatBytes(...parts));
+        if (revision >= 3) {
+            for (let i = 0; i < 50; i++) {
+                hash = md5(hash.subarray(0, keyLength));
+            }
+        }
+        return hash.subarray(0, revision >= 3 ? keyLength : 5);
+    }
+
+    // RC4 key derived from the owner password (Algorithm 3, steps a-d)
+    function computeOwnerKey(ownerBytes, revision, keyLength) {
+        let hash = md5(padPassword(ownerBytes));
+        if (revision >= 3) {
+            for (let i = 0; i < 50; i++) {
+                hash = md5(hash);
+            }
+        }
+        return hash.subarray(0, revision >= 3 ? keyLength : 5);
+    }
+
+    function xorKey(key, value) {
+        return key.map(b => b ^ value);
+    }
+
+    // Algorithm 3: the /O entry
+    function computeLegacyOwnerValue(ownerBytes, userBytes, revision, keyLength) {
+        const key = computeOwnerKey(ownerBytes, revision, keyLength);
+        let value = rc4(key, padPassword(userBytes));
+        if (revision >= 3) {
+            for (let i = 1; i <= 19; i++) {
+                value = rc4(xorKey(key, i), value);
+            }
+        }
+        return value;
+    }
+
+    // Algorithms 4 and 5: the /U entry
+    function computeLegacyUserValue(fileKey, fileId, revision) {
+        if (revision === 2) {
+            return rc4(fileKey, PASSWORD_PADDING);
+        }
+
+        let value = rc4(fileKey, md5(concatBytes(PASSWORD_PADDING, fileId)));
+        for (let i = 1; i <= 19; i++) {
+            value = rc4(xorKey(fileKey, i), value);
+        }
+        const result = new Uint8Array(32);
+        result.set(value);
+        result.set(randomBytes(16), 16);
+        return result;
+    }
+
+    // Algorithms 6 and 7: returns the file key, or null if the password is wrong
+    function authenticateLegacy(password, handler) {
+        const { O, U, P, fileId, revision, keyLength, encryptMetadata } = handler;
+        const passwordBytes = legacyPasswordBytes(password);
+        const compareLength = revision >= 3 ? 16 : 32;
+
+        const tryUserPassword = (userBytes) => {
+            const key = computeLegacyFileKey(userBytes, O, P, fileId, revision, keyLength, encryptMetadata);
+            const expected = computeLegacyUserValue(key, fileId, revision);
+            return bytesEqual(expected, U, compareLength) ? key : null;
+        };
+
+        const userKey = tryUserPassword(passwordBytes);
+        if (userKey) return { key: userKey, isOwner: false };
+
+        // Owner password: decrypt /O to recover the padded user password
+        const ownerKey = computeOwnerKey(passwordBytes, revision, keyLength);
+        let userPadded = O.subarray(0, 32);
+        if (revision === 2) {
+            userPadded = rc4(ownerKey, userPadded);
+        } else {
+            for (let i = 19; i >= 0; i--) {
+                userPadded = rc4(xorKey(ownerKey, i), userPadded);
+            }
+        }
+        const ownerResult = tryUserPassword(userPadded);
+        return ownerResult ? { key: ownerResult, isOwner: true } : null;
+    }
+
+    // ============================================
+    // REVISION 5/6 KEY DERIVATION
+    // ============================================
+
+    // Algorithm 2.B: iterated hash (revision 6) or plain SHA-256 (revision 5)
+    function hardenedHash(passwordBytes, salt, userData, revision) {
+        let k = sha256(concatBytes(passwordBytes, salt, userData));
+        if (revision < 6) return k;
+
+        let e = new Uint8Array(1);
+        for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+            const block = concatBytes(passwordBytes, k, userData);
+            const k1 = new Uint8Array(block.length * 64);
+            for (let i = 0; i < 64; i++) k1.set(block, i * block.length);
+
+            e = aesEncryptCBC(k.subarray(0, 16), k.subarray(16, 32), k1, false);
+
+            let remainder = 0;
+            for (let i = 0; i < 16; i++) remainder += e[i];
+            remainder %= 3;
+
+            k = remainder === 0 ? sha256(e) : remainder === 1 ? sha384(e) : sha512(e);
+        }
+        return k.subarray(0, 32);
+    }
+
+    function buildModernValues(userPassword, ownerPassword, P, encryptMetadata) {
+        const fileKey = randomBytes(32);
+        const userBytes = utf8PasswordBytes(userPassword);
+        const ownerBytes = utf8PasswordBytes(ownerPassword);
+
+        // Algorithm 8: /U and /UE
+        const userValidationSalt = randomBytes(8);
+        const userKeySalt = randomBytes(8);
+        const U = concatBytes(hardenedHash(userBytes, userValidationSalt, new Uint8Array(0), 6), userValidationSalt, userKeySalt);
+        const UE = aesEncryptCBC(hardenedHash(userBytes, userKeySalt, new Uint8Array(0), 6), ZERO_IV, fileKey, false);
+
+        // Algorithm 9: /O and /OE (salted with the full /U value)
+        const ownerValidationSalt = randomBytes(8);
+        const ownerKeySalt = randomBytes(8);
+        const O = concatBytes(hardenedHash(ownerBytes, ownerValidationSalt, U, 6), ownerValidationSalt, ownerKeySalt);
+        const OE = aesEncryptCBC(hardenedHash(ownerBytes, ownerKeySalt, U, 6), ZERO_IV, fileKey, false);
+
+        // Algorithm 10: /Perms
+        const perms = new Uint8Array(16);
+        perms.set(int32LE(P));
+        perms.set([0xff, 0xff, 0xff, 0xff], 4);
+        perms[8] = encryptMetadata ? 0x54 : 0x46; // 'T' / 'F'
+        perms.set([0x61, 0x64, 0x62], 9); // 'adb'
+        perms.set(randomBytes(4), 12);
+        const Perms = aesEncryptCBC(fileKey, ZERO_IV, perms, false);
+
+        return { fileKey, O, U, OE, UE, Perms };
+    }
+
+    // Algorithms 11 and 12 (plus 2.A for key recovery)
+    function authenticateModern(password, handler) {
+        const { O, U, OE, UE, revision } = handler;
+        const passwordBytes = utf8PasswordBytes(password);
+        const U48 = U.subarray(0, 48);
+
+        const ownerHash = hardenedHash(passwordBytes, O.subarray(32, 40), U48, revision);
+        if (bytesEqual(ownerHash, O, 32)) {
+            const intermediate = hardenedHash(passwordBytes, O.subarray(40, 48), U48, revision);
+            return { key: aesDecryptCBC(intermediate, ZERO_IV, OE, false), isOwner: true };
+        }
+
+        const userHash = hardenedHash(passwordBytes, U.subarray(32, 40), new Uint8Array(0), revision);
+        if (bytesEqual(userHash, U, 32)) {
+            const intermediate = hardenedHash(passwordBytes, U.subarray(40, 48), new Uint8Array(0), revision);
+            return { key: aesDecryptCBC(intermediate, ZERO_IV, UE, false), isOwner: false };
+        }
+
+        return null;
+    }
+
+    // ============================================
+    // OBJECT CIPHERS
+    // ============================================
+
+    // Algorithm 1: per-object key for revisions 2-4
+    function objectKey(fileKey, ref, useAES) {
+        const parts = [
+            fileKey,
+            new Uint8Array([
+                ref.objectNumber & 0xff, (ref.objectNumber >> 8) & 0xff, (ref.objectNumber >> 16) & 0xff,
+                ref.generationNumber & 0xff, (ref.generationNumber >> 8) & 0xff
+            ])
+        ];
+        if (useAES) parts.push(new Uint8Array([0x73, 0x41, 0x6c, 0x54])); // 'sAlT'
+        return md5(concatBytes(...parts)).subarray(0, Math.min(fileKey.length + 5, 16));
+    }
+
+    // Returns { encrypt, decrypt } working on raw bytes for a given object ref
+    function createCipher(fileKey, method) {
+        if (method === 'None' || method === 'Identity') {
+            return { encrypt: (data) => data, decrypt: (data) => data };
+        }
+
+        if (method === 'AESV3') {
+            return {
+                encrypt: (data) => {
+                    const iv = randomBytes(16);
+                    return concatBytes(iv, aesEncryptCBC(fileKey, iv, data));
+                },
+                decrypt: (data) => data.length < 16 ? new Uint8Array(0) : aesDecryptCBC(fileKey, data.subarray(0, 16), data.subarray(16))
+            };
+        }
+
+        if (method === 'AESV2') {
+            return {
+                encrypt: (data, ref) => {
+                    const iv = randomBytes(16);
+                    return concatBytes(iv, aesEncryptCBC(objectKey(fileKey, ref, true), iv, data));
+                },
+                decrypt: (data, ref) => data.length < 16 ? new Uint8Array(0) :
+                    aesDecryptCBC(objectKey(fileKey, ref, true), data.subarray(0, 16), data.subarray(16))
+            };
+        }
+
+        // RC4 (V2): symmetric
+        const apply = (data, ref) => rc4(objectKey(fileKey, ref, false), data);
+        return { encrypt: apply, decrypt: apply };
+    }
+
+    // Encrypts or decrypts every string inside a direct object, in place
+    function transformStrings(object, ref, transform, skipSignatureContents = true) {
+        const { PDFDict, PDFArray, PDFString, PDFHexString, PDFName } = PDFLib;
+
+        const convert = (value) => {
+            if (value instanceof PDFString || value instanceof PDFHexString) {
+                return PDFHexString.of(toHex(transform(objectBytes(value), ref)));
+            }
+            if (value instanceof PDFDict || value instanceof PDFArray) {
+                transformStrings(value, ref, transform, skipSignatureContents);
+            }
+            return value;
+        };
+
+        if (object instanceof PDFDict) {
+            // Signature /Contents are never encrypted
+            const isSignature = skipSignatureContents && object.get(PDFName.of('Type')) === PDFName.of('Sig');
+            for (const [key, value] of object.entries()) {
+                if (isSignature && key === PDFName.of('Contents')) continue;
+                const converted = convert(value);
+                if (converted !== value) object.set(key, converted);
+            }
+        } else if (object instanceof PDFArray) {
+            for (let i = 0; i < object.size(); i++) {
+                const value = object.get(i);
+                const converted = convert(value);
+                if (converted !== value) object.set(i, converted);
+            }
+        }
+    }
+
+    function isMetadataStream(stream) {
+        const { PDFName } = PDFLib;
+        return stream.dict.get(PDFName.of('Type')) === PDFName.of('Metadata');
+    }
+
+    function isXRefStream(stream) {
+        const { PDFName } = PDFLib;
+        return stream.dict.get(PDFName.of('Type')) === PDFName.of('XRef');
+    }
+
+    // Applies string/stream ciphers to one indirect object and stores the result
+    function transformObject(context, ref, object, handler, direction) {
+        const { PDFStream, PDFRawStream } = PDFLib;
+        const stringTransform = handler.stringCipher[direction];
+
+        if (object instanceof PDFStream) {
+            if (isXRefStream(object)) return;
+
+            transformStrings(object.dict, ref, stringTransform);
+
+            if (isMetadataStream(object) && !handler.encryptMetadata) return;
+
+            const contents = object.getContents();
+            const transformed = handler.streamCipher[direction](contents, ref);
+            context.assign(ref, PDFRawStream.of(object.dict, transformed));
+        } else {
+            transformStrings(object, ref, stringTransform);
+        }
+    }
+
+    // ============================================
+    // ENCRYPTION DICTIONARY
+    // ============================================
+    function getFileId(context) {
+        const { PDFArray } = PDFLib;
+        const id = context.lookup(context.trailerInfo.ID);
+        if (id instanceof PDFArray && id.size() > 0) {
+            const first = context.lookup(id.get(0));
+            if (first && first.asBytes) return first.asBytes();
+        }
+        return new Uint8Array(0);
+    }
+
+    function readBytes(dict, key, context) {
+        const value = context.lookup(dict.get(PDFLib.PDFName.of(key)));
+        return value && value.asBytes ? value.asBytes() : new Uint8Array(0);
+    }
+
+    function readNumber(dict, key, fallback) {
+        const value = dict.get(PDFLib.PDFName.of(key));
+        return value && typeof value.asNumber === 'function' ? value.asNumber() : fallback;
+    }
+
+    // Resolves the crypt filter method (V2/AESV2/AESV3/Identity) for StmF or StrF
+    function cryptFilterMethod(dict, context, filterKey, version) {
+        const { PDFName, PDFDict } = PDFLib;
+        if (version < 4) return 'V2';
+
+        const filterName = dict.get(PDFName.of(filterKey));
+        if (!filterName || filterName === PDFName.of('Identity')) return 'Identity';
+
+        const filters = context.lookup(dict.get(PDFName.of('CF')), PDFDict);
+        const filter = filters && context.lookup(filters.get(filterName), PDFDict);
+        const method = filter && filter.get(PDFName.of('CFM'));
+        return method ? method.decodeText() : 'None';
+    }
+
+    /**
+     * Reads the /Encrypt dictionary of a loaded document into a plain
+     * handler description. Returns null when the document is not encrypted.
+     */
+    function readEncryptionDictionary(context) {
+        const { PDFDict, PDFName, PDFBool } = PDFLib;
+        if (!context.trailerInfo.Encrypt) return null;
+        const dict = context.lookup(context.trailerInfo.Encrypt, PDFDict);
+
+        const filter = dict.get(PDFName.of('Filter'));
+        if (filter && filter !== PDFName.of('Standard')) {
+            throw new Error(`Unsupported security handler: ${filter.asString()}`);
+        }
+
+        const version = readNumber(dict, 'V', 0);
+        const revision = readNumber(dict, 'R', 2);
+        const lengthBits = readNumber(dict, 'Length', 40);
+        const encryptMetadataValue = dict.get(PDFName.of('EncryptMetadata'));
+
+        return {
+            version,
+            revision,
+            keyLength: revision >= 5 ? 32 : Math.floor(lengthBits / 8),
+            P: readNumber(dict, 'P', -4) | 0,
+            O: readBytes(dict, 'O', context),
+            U: readBytes(dict, 'U', context),
+            OE: readBytes(dict, 'OE', context),
+            UE: readBytes(dict, 'UE', context),
+            fileId: getFileId(context),
+            encryptMetadata: encryptMetadataValue !== PDFBool.False,
+            stringMethod: cryptFilterMethod(dict, context, 'StrF', version),
+            streamMethod: cryptFilterMethod(dict, context, 'StmF', version)
+        };
+    }
+
+    function describeHandler(handler) {
+        const method = handler.streamMethod !== 'Identity' ? handler.streamMethod : handler.stringMethod;
+        if (method === 'AESV3') return 'AES 256-bit';
+        if (method === 'AESV2') return 'AES 128-bit';
+        return `RC4 ${handler.revision === 2 ? 40 : handler.keyLength * 8}-bit`;
+    }
+
+    function ensureHeaderVersion(context, minorVersion) {
+        const { PDFHeader } = PDFLib;
+        const match = /%PDF-(\d+)\.(\d+)/.exec(context.header.toString());
+        if (match && (parseInt(match[1]) > 1 || parseInt(match[2]) >= minorVersion)) return;
+        context.header = PDFHeader.forVersion(1, minorVersion);
+    }
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Encrypts a PDF with the standard security handler.
+     * @param {Uint8Array|ArrayBuffer} pdfBytes - unencrypted PDF
+     * @param {object} options - { userPassword, ownerPassword, algorithm, permissions, encryptMetadata }
+     * @returns {Promise<Uint8Array>} encrypted PDF bytes
+     */
+    async function encrypt(pdfBytes, options = {}) {
+        const { PDFDocument, PDFWriter, PDFHexString, PDFName } = PDFLib;
+        const {
+            userPassword = '',
+            algorithm = 'aes-256',
+            permissions = {},
+            encryptMetadata = true
+        } = options;
+        const ownerPassword = options.ownerPassword || userPassword;
+
+        const config = ALGORITHMS[algorithm];
+        if (!config) {
+            throw new Error(`Unknown encryption algorithm: ${algorithm}`);
+        }
+
+        const pdf = await PDFDocument.load(pdfBytes, { updateMetadata: false });
+        const context = pdf.context;
+        const P = permissionsToFlags(permissions);
+
+        // Keep the permanent file identifier if there is one
+        let fileId = getFileId(context);
+        if (fileId.length === 0) fileId = randomBytes(16);
+        context.trailerInfo.ID = context.obj([PDFHexString.of(toHex(fileId)), PDFHexString.of(toHex(randomBytes(16)))]);
+
+        let fileKey;
+        const encryptDict = {
+            Filter: 'Standard',
+            V: config.version,
+            R: config.revision,
+            Length: config.keyLength * 8,
+            P
+        };
+
+        if (config.revision === 6) {
+            const values = buildModernValues(userPassword, ownerPassword, P, encryptMetadata);
+            fileKey = values.fileKey;
+            Object.assign(encryptDict, {
+                O: PDFHexString.of(toHex(values.O)),
+                U: PDFHexString.of(toHex(values.U)),
+                OE: PDFHexString.of(toHex(values.OE)),
+                UE: PDFHexString.of(toHex(values.UE)),
+                Perms: PDFHexString.of(toHex(values.Perms))
+            });
+        } else {
+            const userBytes = legacyPasswordBytes(userPassword);
+            const O = computeLegacyOwnerValue(legacyPasswordBytes(ownerPassword), userBytes, config.revision, config.keyLength);
+            fileKey = computeLegacyFileKey(userBytes, O, P, fileId, config.revision, config.keyLength, encryptMetadata);
+            const U = computeLegacyUserValue(fileKey, fileId, config.revision);
+            Object.assign(encryptDict, {
+                O: PDFHexString.of(toHex(O)),
+                U: PDFHexString.of(toHex(U))
+            });
+        }
+
+        if (config.version >= 4) {
+            Object.assign(encryptDict, {
+                CF: { StdCF: { AuthEvent: 'DocOpen', CFM: config.method, Length: config.keyLength } },
+                StmF: 'StdCF',
+                StrF: 'StdCF'
+            });
+            if (!encryptMetadata) encryptDict.EncryptMetadata = false;
+        }
+
+        const cipher = createCipher(fileKey, config.method);
+        const handler = { stringCipher: cipher, streamCipher: cipher, encryptMetadata };
+
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            transformObject(context, ref, object, handler, 'encrypt');
+        }
+
+        // The /Encrypt dictionary stays a direct trailer object so it is never encrypted itself
+        context.trailerInfo.Encrypt = context.obj(encryptDict);
+
+        ensureHeaderVersion(context, config.pdfVersion);
+        if (config.revision === 6) {
+            pdf.catalog.set(PDFName.of('Extensions'), context.obj({
+                ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 }
+            }));
+        }
+
+        return PDFWriter.forContext(context, 50).serializeToBuffer();
+    }
+
+    /**
+     * Describes the encryption of a PDF without needing its password.
+     * @returns {Promise<{encrypted: boolean, algorithm?: string, revision?: number, permissions?: object}>}
+     */
+    async function inspect(pdfBytes) {
+        const { PDFDocument } = PDFLib;
+        const pdf = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+        const handler = readEncryptionDictionary(pdf.context);
+        if (!handler) return { encrypted: false };
+
+        return {
+            encrypted: true,
+            algorithm: describeHandler(handler),
+            revision: handler.revision,
+            flags: handler.P,
+            permissions: flagsToPermissions(handler.P),
+            requiresPassword: !authenticate('', handler)
+        };
+    }
+
+    function authenticate(password, handler) {
+        return handler.revision >= 5 ? authenticateModern(password, handler) : authenticateLegacy(password, handler);
+    }
+
+    /**
+     * Opens an encrypted PDF with the user or owner password.
+     * Unencrypted files are loaded as-is.
+     * @returns {Promise<{pdf: PDFDocument, wasEncrypted: boolean, isOwner: boolean, permissions: object|null}>}
+     */
+    async function decrypt(pdfBytes, password = '') {
+        const { PDFDocument, PDFParser, PDFRawStream, PDFName } = PDFLib;
+
+        // First pass: read the trailer to find the security handler
+        const probe = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+        const handler = readEncryptionDictionary(probe.context);
+        if (!handler) {
+            return { pdf: probe, wasEncrypted: false, isOwner: true, permissions: null };
+        }
+
+        const auth = authenticate(password, handler);
+        if (!auth) throw passwordError();
+
+        handler.stringCipher = createCipher(auth.key, handler.stringMethod);
+        handler.streamCipher = createCipher(auth.key, handler.streamMethod);
+        const encryptRef = probe.context.trailerInfo.Encrypt;
+
+        // Second pass: decrypt objects as they are parsed, so object streams
+        // are readable before pdf-lib unpacks them
+        class DecryptingParser extends PDFParser {
+            parseIndirectObjectHeader() {
+                const ref = super.parseIndirectObjectHeader();
+                this.currentRef = ref;
+                this.skipCurrent = false;
+                return ref;
+            }
+
+            parseDictOrStream() {
+                const object = super.parseDictOrStream();
+                if (object instanceof PDFRawStream && this.currentRef) {
+                    const type = object.dict.get(PDFName.of('Type'));
+                    if (type === PDFName.of('ObjStm')) {
+                        this.skipCurrent = true;
+                        return PDFRawStream.of(object.dict, handler.streamCipher.decrypt(object.contents, this.currentRef));
+                    }
+                    if (type === PDFName.of('XRef')) {
+                        this.skipCurrent = true;
+                    }
+                }
+                return object;
+            }
+
+            async parseIndirectObject() {
+                const ref = await super.parseIndirectObject();
+                const object = this.context.lookup(ref);
+                if (object && !this.skipCurrent && ref !== encryptRef) {
+                    transformObject(this.context, ref, object, handler, 'decrypt');
+                }
+                this.currentRef = undefined;
+                return ref;
+            }
+        }
+
+        const bytes = pdfBytes instanceof Uint8Array ? pdfBytes : new Uint8Array(pdfBytes);
+        const context = await new DecryptingParser(bytes, 100, false, false).parseDocument();
+        delete context.trailerInfo.Encrypt;
+        if (encryptRef) context.delete(encryptRef);
+
+        const pdf = new PDFDocument(context, false, false);
+        return {
+            pdf,
+            wasEncrypted: true,
+            isOwner: auth.isOwner,
+            algorithm: describeHandler(handler),
+            permissions: flagsToPermissions(handler.P)
+        };
+    }
+
+    return {
+        ALGORITHMS,
+        PERMISSION_BITS,
+        PERMISSION_LABELS,
+        encrypt,
+        decrypt,
+        inspect,
+        permissionsToFlags,
+        flagsToPermissions
+    };
+})();
+
+// Export
+window.PDFEncryption = PDFEncryption;
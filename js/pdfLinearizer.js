@@ -0,0 +1,498 @@
+/* ============================================
+   PDF Tools - Linearizer
+   Writes "Fast Web View" files (PDF 1.7, Annex F)
+   ============================================ */
+
+const PDFLinearizer = (() => {
+    // Width used for values in the linearization dictionary and first-page
+    // trailer, so the layout can be computed before the values are known
+    const NUMBER_WIDTH = 10;
+
+    const encoder = new TextEncoder();
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    function ascii(text) {
+        return encoder.encode(text);
+    }
+
+    function padNumber(value, width = NUMBER_WIDTH) {
+        return String(value).padStart(width, '0');
+    }
+
+    function serialize(object) {
+        const bytes = new Uint8Array(object.sizeInBytes());
+        object.copyBytesInto(bytes, 0);
+        return bytes;
+    }
+
+    function bitsNeeded(value) {
+        return value > 0 ? Math.floor(Math.log2(value)) + 1 : 0;
+    }
+
+    function isStructuralNode(object) {
+        const { PDFName, PDFDict } = PDFLib;
+        if (!(object instanceof PDFDict)) return false;
+        const type = object.get(PDFName.of('Type'));
+        return type === PDFName.of('Page') || type === PDFName.of('Pages') || type === PDFName.of('Catalog');
+    }
+
+    // Calls visit(ref) for every reference held by an object
+    function forEachReference(object, visit) {
+        const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+        if (object instanceof PDFRef) {
+            visit(object);
+        } else if (object instanceof PDFStream) {
+            forEachReference(object.dict, visit);
+        } else if (object instanceof PDFDict) {
+            for (const [, value] of object.entries()) forEachReference(value, visit);
+        } else if (object instanceof PDFArray) {
+            for (const value of object.asArray()) forEachReference(value, visit);
+        }
+    }
+
+    // Replaces every reference inside an object using map (missing targets become null)
+    function renumber(object, map) {
+        const { PDFRef, PDFDict, PDFArray, PDFStream, PDFNull } = PDFLib;
+        const convert = (value) => {
+            if (value instanceof PDFRef) return map.get(value) || PDFNull;
+            renumber(value, map);
+            return value;
+        };
+
+        if (object instanceof PDFStream) {
+            renumber(object.dict, map);
+        } else if (object instanceof PDFDict) {
+            for (const [key, value] of object.entries()) {
+                const converted = convert(value);
+                if (converted !== value) object.set(key, converted);
+            }
+        } else if (object instanceof PDFArray) {
+            for (let i = 0; i < object.size(); i++) {
+                const value = object.get(i);
+                const converted = convert(value);
+                if (converted !== value) object.set(i, converted);
+            }
+        }
+    }
+
+    // Packs values MSB-first, as required by the hint tables
+    class BitWriter {
+        constructor() {
+            this.bytes = [];
+            this.current = 0;
+            this.bitCount = 0;
+        }
+
+        write(value, bits) {
+            for (let i = bits - 1; i >= 0; i--) {
+                this.current = (this.current << 1) | (Math.floor(value / Math.pow(2, i)) & 1);
+                this.bitCount++;
+                if (this.bitCount === 8) {
+                    this.bytes.push(this.current);
+                    this.current = 0;
+                    this.bitCount = 0;
+                }
+            }
+        }
+
+        // Pads to the next byte boundary
+        flush() {
+            if (this.bitCount > 0) this.write(0, 8 - this.bitCount);
+        }
+
+        toBytes() {
+            this.flush();
+            return new Uint8Array(this.bytes);
+        }
+    }
+
+    // ============================================
+    // OBJECT ORDERING
+    // ============================================
+
+    /**
+     * Splits the document into the parts of a linearized file:
+     * document-level objects, first page, other pages, shared and the rest.
+     */
+    function planParts(pdf) {
+        const { PDFName, PDFRef } = PDFLib;
+        const context = pdf.context;
+        const catalogRef = context.trailerInfo.Root;
+        const pageRefs = pdf.getPages().map(page => page.ref);
+
+        // Part 4: catalog plus the entries a viewer needs when opening
+        const documentLevel = [catalogRef];
+        ['ViewerPreferences', 'OpenAction', 'AcroForm'].forEach(key => {
+            const value = pdf.catalog.get(PDFName.of(key));
+            if (value instanceof PDFRef && !isStructuralNode(context.lookup(value))) documentLevel.push(value);
+        });
+        const documentSet = new Set(documentLevel);
+
+        // Objects used by each page (without following links to other pages)
+        const pageObjects = pageRefs.map(pageRef => {
+            const page = context.lookup(pageRef);
+            const seen = new Set([pageRef]);
+            const ordered = [pageRef];
+            const stack = [];
+
+            for (const [key, value] of page.entries()) {
+                if (key !== PDFName.of('Parent')) forEachReference(value, ref => stack.push(ref));
+            }
+            // Inherited resources are part of the page as well
+            if (!page.has(PDFName.of('Resources'))) {
+                forEachReference(page.getInheritableAttribute(PDFName.of('Resources')), ref => stack.push(ref));
+            }
+            stack.reverse();
+
+            while (stack.length) {
+                const ref = stack.pop();
+                if (seen.has(ref) || documentSet.has(ref)) continue;
+                const object = context.lookup(ref);
+                if (!object || isStructuralNode(object)) continue;
+
+                seen.add(ref);
+                ordered.push(ref);
+                const children = [];
+                forEachReference(object, child => children.push(child));
+                for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+            }
+            return ordered;
+        });
+
+        const usage = new Map();
+        pageObjects.forEach((refs, index) => {
+            refs.forEach(ref => {
+                if (!usage.has(ref)) usage.set(ref, new Set());
+                usage.get(ref).add(index);
+            });
+        });
+
+        // Part 6: everything the first page needs
+        const firstPage = pageObjects[0];
+        const firstPageSet = new Set(firstPage);
+
+        // Part 7: each remaining page with its private objects; part 8: shared objects
+        const otherPages = [];
+        const shared = [];
+        const sharedSet = new Set();
+        pageObjects.slice(1).forEach(refs => {
+            const group = [];
+            refs.forEach(ref => {
+                if (firstPageSet.has(ref)) return;
+                if (usage.get(ref).size === 1) {
+                    group.push(ref);
+                } else if (!sharedSet.has(ref)) {
+                    sharedSet.add(ref);
+                    shared.push(ref);
+                }
+            });
+            otherPages.push(group);
+        });
+
+        // Part 9: everything else still reachable from the trailer
+        const placed = new Set([...documentLevel, ...firstPage, ...shared, ...otherPages.flat()]);
+        const rest = [];
+        const stack = [catalogRef, context.trailerInfo.Info].filter(ref => ref instanceof PDFRef);
+        const visited = new Set();
+        while (stack.length) {
+            const ref = stack.pop();
+            if (visited.has(ref)) continue;
+            visited.add(ref);
+            const object = context.lookup(ref);
+            if (!object) continue;
+            if (!placed.has(ref)) rest.push(ref);
+            const children = [];
+            forEachReference(object, child => children.push(child));
+            for (let i = children.length - 1; i >= 0; i--) stack.push(children[i]);
+        }
+        // Keep the original object order for the tail of the file
+        rest.sort((a, b) => a.objectNumber - b.objectNumber);
+
+        return { pageRefs, pageObjects, documentLevel, firstPage, otherPages, shared, rest };
+    }
+
+    // ============================================
+    // HINT TABLES
+    // ============================================
+
+    /**
+     * Builds the primary hint stream data (page offset and shared object
+     * hint tables). Offsets are expressed as if the hint stream were absent.
+     */
+    function buildHintData(layout) {
+        const { pages, sharedEntries, firstSharedObjectNumber, firstSharedOffset, firstPageCount } = layout;
+        const writer = new BitWriter();
+
+        // Page offset hint table (Table F.3 / F.4)
+        const objectCounts = pages.map(page => page.objectCount);
+        const lengths = pages.map(page => page.length);
+        const sharedCounts = pages.map(page => page.sharedIds.length);
+
+        const minObjects = Math.min(...objectCounts);
+        const minLength = Math.min(...lengths);
+        const objectBits = bitsNeeded(Math.max(...objectCounts) - minObjects);
+        const lengthBits = bitsNeeded(Math.max(...lengths) - minLength);
+        const sharedCountBits = bitsNeeded(Math.max(...sharedCounts));
+        const sharedIdBits = bitsNeeded(Math.max(0, sharedEntries.length - 1));
+
+        writer.write(minObjects, 32);
+        writer.write(pages[0].offset, 32);
+        writer.write(objectBits, 16);
+        writer.write(minLength, 32);
+        writer.write(lengthBits, 16);
+        writer.write(0, 32); // least content stream offset
+        writer.write(0, 16);
+        writer.write(minLength, 32); // content length hints mirror page lengths
+        writer.write(lengthBits, 16);
+        writer.write(sharedCountBits, 16);
+        writer.write(sharedIdBits, 16);
+        writer.write(0, 16); // numerator bits (no fractional positions)
+        writer.write(1, 16); // denominator
+
+        pages.forEach(page => writer.write(page.objectCount - minObjects, objectBits));
+        writer.flush();
+        pages.forEach(page => writer.write(page.length - minLength, lengthBits));
+        writer.flush();
+        pages.forEach(page => writer.write(page.sharedIds.length, sharedCountBits));
+        writer.flush();
+        pages.forEach(page => page.sharedIds.forEach(id => writer.write(id, sharedIdBits)));
+        writer.flush();
+        // Fractional positions use zero bits; content stream offsets likewise
+        pages.forEach(page => writer.write(page.length - minLength, lengthBits));
+        writer.flush();
+
+        const sharedTableOffset = writer.toBytes().length;
+
+        // Shared object hint table (Table F.5 / F.6), one object per group
+        const groupLengths = sharedEntries.map(entry => entry.length);
+        const minGroupLength = groupLengths.length ? Math.min(...groupLengths) : 0;
+        const groupLengthBits = bitsNeeded((groupLengths.length ? Math.max(...groupLengths) : 0) - minGroupLength);
+
+        writer.write(firstSharedObjectNumber, 32);
+        writer.write(firstSharedOffset, 32);
+        writer.write(firstPageCount, 32);
+        writer.write(sharedEntries.length, 32);
+        writer.write(0, 16); // every group holds a single object
+        writer.write(minGroupLength, 32);
+        writer.write(groupLengthBits, 16);
+
+        sharedEntries.forEach(entry => writer.write(entry.length - minGroupLength, groupLengthBits));
+        writer.flush();
+        sharedEntries.forEach(() => writer.write(0, 1)); // no MD5 signatures
+        writer.flush();
+
+        return { data: writer.toBytes(), sharedTableOffset };
+    }
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Rewrites a PDF as a linearized ("Fast Web View") file.
+     * @param {Uint8Array|ArrayBuffer} pdfBytes
+     * @returns {Promise<Uint8Array>}
+     */
+    async function linearize(pdfBytes) {
+        const { PDFDocument, PDFRef, PDFHexString, PDFNumber, PDFRawStream } = PDFLib;
+        const pdf = await PDFDocument.load(pdfBytes, { ignoreEncryption: true, updateMetadata: false });
+        const context = pdf.context;
+
+        if (pdf.isEncrypted) {
+            throw new Error('Encrypted PDFs cannot be linearized. Remove the password first.');
+        }
+        if (pdf.getPageCount() === 0) {
+            throw new Error('The document has no pages');
+        }
+
+        const parts = planParts(pdf);
+
+        // Main section (parts 7-9) takes numbers 1..m, first-page section follows
+        const mainOrder = [...parts.otherPages.flat(), ...parts.shared, ...parts.rest];
+        const firstOrder = [...parts.documentLevel, ...parts.firstPage];
+        const map = new Map();
+        mainOrder.forEach((ref, index) => map.set(ref, PDFRef.of(index + 1)));
+
+        const linearizationNumber = mainOrder.length + 1;
+        const hintNumber = linearizationNumber + 1 + parts.documentLevel.length;
+        parts.documentLevel.forEach((ref, index) => map.set(ref, PDFRef.of(linearizationNumber + 1 + index)));
+        parts.firstPage.forEach((ref, index) => map.set(ref, PDFRef.of(hintNumber + 1 + index)));
+        const size = hintNumber + parts.firstPage.length + 1;
+
+        // Renumber every kept object and serialize it
+        const bodies = new Map();
+        [...mainOrder, ...firstOrder].forEach(ref => {
+            const object = context.lookup(ref);
+            renumber(object, map);
+            const number = map.get(ref).objectNumber;
+            const body = serialize(object);
+            const head = ascii(`${number} 0 obj\n`);
+            const tail = ascii('\nendobj\n');
+            const bytes = new Uint8Array(head.length + body.length + tail.length);
+            bytes.set(head);
+            bytes.set(body, head.length);
+            bytes.set(tail, head.length + body.length);
+            bodies.set(ref, bytes);
+        });
+
+        const root = map.get(context.trailerInfo.Root);
+        const info = context.trailerInfo.Info instanceof PDFRef ? map.get(context.trailerInfo.Info) : null;
+        let id = context.lookup(context.trailerInfo.ID);
+        if (!id) {
+            const random = Array.from({ length: 16 }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, '0')).join('');
+            id = context.obj([PDFHexString.of(random), PDFHexString.of(random)]);
+        }
+        const idText = new TextDecoder('latin1').decode(serialize(id));
+
+        // Fixed-size leading parts
+        const headerBytes = serialize(context.header);
+        const header = new Uint8Array(headerBytes.length + 1);
+        header.set(headerBytes);
+        header[headerBytes.length] = 0x0a;
+        const linearizationLength = ascii(
+            `${linearizationNumber} 0 obj\n<< /Linearized 1 /L ${padNumber(0)} /H [ ${padNumber(0)} ${padNumber(0)} ] ` +
+            `/O ${padNumber(0)} /E ${padNumber(0)} /N ${padNumber(0)} /T ${padNumber(0)} >>\nendobj\n`
+        ).length;
+
+        const firstXrefCount = firstOrder.length + 2; // plus linearization dict and hint stream
+        const buildFirstTrailer = (prev) => ascii(
+            `trailer\n<< /Size ${size} /Root ${root.toString()}${info ? ` /Info ${info.toString()}` : ''} /ID ${idText} /Prev ${padNumber(prev)} >>\n` +
+            'startxref\n0\n%%EOF\n'
+        );
+        const firstXrefHeader = ascii(`xref\n${linearizationNumber} ${firstXrefCount}\n`);
+        const firstXrefLength = firstXrefHeader.length + firstXrefCount * 20 + buildFirstTrailer(0).length;
+
+        const firstXrefOffset = header.length + linearizationLength;
+        const documentOffset = firstXrefOffset + firstXrefLength;
+
+        const lengthOf = ref => bodies.get(ref).length;
+        const documentLength = parts.documentLevel.reduce((sum, ref) => sum + lengthOf(ref), 0);
+        const hintOffset = documentOffset + documentLength;
+
+        // Offsets "as if the hint stream were not there" for the hint tables
+        const offsetsWithoutHint = new Map();
+        let cursor = hintOffset;
+        parts.firstPage.forEach(ref => {
+            offsetsWithoutHint.set(ref, cursor);
+            cursor += lengthOf(ref);
+        });
+        const endFirstWithoutHint = cursor;
+        mainOrder.forEach(ref => {
+            offsetsWithoutHint.set(ref, cursor);
+            cursor += lengthOf(ref);
+        });
+
+        // Shared object identifiers: first-page objects, then part 8
+        const sharedEntries = [...parts.firstPage, ...parts.shared].map(ref => ({ ref, length: lengthOf(ref) }));
+        const sharedIndex = new Map(sharedEntries.map((entry, index) => [entry.ref, index]));
+
+        const pages = parts.pageRefs.map((pageRef, index) => {
+            if (index === 0) {
+                return {
+                    objectCount: parts.firstPage.length,
+                    offset: offsetsWithoutHint.get(pageRef),
+                    length: endFirstWithoutHint - offsetsWithoutHint.get(pageRef),
+                    sharedIds: []
+                };
+            }
+            const group = parts.otherPages[index - 1];
+            return {
+                objectCount: group.length,
+                offset: offsetsWithoutHint.get(pageRef),
+                length: group.reduce((sum, ref) => sum + lengthOf(ref), 0),
+                sharedIds: parts.pageObjects[index]
+                    .filter(ref => sharedIndex.has(ref))
+                    .map(ref => sharedIndex.get(ref))
+            };
+        });
+
+        const hint = buildHintData({
+            pages,
+            sharedEntries,
+            firstSharedObjectNumber: parts.shared.length ? map.get(parts.shared[0]).objectNumber : 0,
+            firstSharedOffset: parts.shared.length ? offsetsWithoutHint.get(parts.shared[0]) : 0,
+            firstPageCount: parts.firstPage.length
+        });
+
+        const hintDict = context.obj({ S: PDFNumber.of(hint.sharedTableOffset) });
+        const hintStream = PDFRawStream.of(hintDict, hint.data);
+        const hintHead = ascii(`${hintNumber} 0 obj\n`);
+        const hintBody = serialize(hintStream);
+        const hintTail = ascii('\nendobj\n');
+        const hintLength = hintHead.length + hintBody.length + hintTail.length;
+
+        // Real offsets
+        const offsets = new Map();
+        cursor = documentOffset;
+        parts.documentLevel.forEach(ref => {
+            offsets.set(ref, cursor);
+            cursor += lengthOf(ref);
+        });
+        cursor += hintLength;
+        parts.firstPage.forEach(ref => {
+            offsets.set(ref, cursor);
+            cursor += lengthOf(ref);
+        });
+        const endOfFirstPage = cursor;
+        mainOrder.forEach(ref => {
+            offsets.set(ref, cursor);
+            cursor += lengthOf(ref);
+        });
+
+        const mainXrefOffset = cursor;
+        const xrefEntry = offset => `${padNumber(offset)} 00000 n \n`;
+        const mainXrefHead = `xref\n0 ${mainOrder.length + 1}`;
+        const mainXref = ascii(
+            `${mainXrefHead}\n0000000000 65535 f \n` +
+            mainOrder.map(ref => xrefEntry(offsets.get(ref))).join('') +
+            `trailer\n<< /Size ${size} >>\nstartxref\n${firstXrefOffset}\n%%EOF\n`
+        );
+        const fileLength = mainXrefOffset + mainXref.length;
+
+        const linearization = ascii(
+            `${linearizationNumber} 0 obj\n<< /Linearized 1 /L ${padNumber(fileLength)} ` +
+            `/H [ ${padNumber(hintOffset)} ${padNumber(hintLength)} ] /O ${padNumber(map.get(parts.pageRefs[0]).objectNumber)} ` +
+            `/E ${padNumber(endOfFirstPage)} /N ${padNumber(parts.pageRefs.length)} ` +
+            `/T ${padNumber(mainXrefOffset + mainXrefHead.length)} >>\nendobj\n`
+        );
+
+        const firstXref = ascii(
+            `xref\n${linearizationNumber} ${firstXrefCount}\n` +
+            xrefEntry(header.length) +
+            parts.documentLevel.map(ref => xrefEntry(offsets.get(ref))).join('') +
+            xrefEntry(hintOffset) +
+            parts.firstPage.map(ref => xrefEntry(offsets.get(ref))).join('')
+        );
+
+        // Assemble the file
+        const output = new Uint8Array(fileLength);
+        let position = 0;
+        const append = bytes => {
+            output.set(bytes, position);
+            position += bytes.length;
+        };
+
+        append(header);
+        append(linearization);
+        append(firstXref);
+        append(buildFirstTrailer(mainXrefOffset));
+        parts.documentLevel.forEach(ref => append(bodies.get(ref)));
+        append(hintHead);
+        append(hintBody);
+        append(hintTail);
+        parts.firstPage.forEach(ref => append(bodies.get(ref)));
+        mainOrder.forEach(ref => append(bodies.get(ref)));
+        append(mainXref);
+
+        return output;
+    }
+
+    return {
+        linearize
+    };
+})();
+
+// Export
+window.PDFLinearizer = PDFLinearizer;
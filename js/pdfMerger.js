@@ -0,0 +1,444 @@
+/* ============================================
+   PDF Tools - Merger
+   Joins PDFs - whole or selected pages, appended or interleaved - while
+   keeping bookmarks, links, named destinations and form fields working
+   ============================================ */
+
+const PDFMerger = (() => {
+    // ============================================
+    // HELPERS
+    // ============================================
+    function key(name) {
+        return PDFLib.PDFName.of(name);
+    }
+
+    function text(value) {
+        if (value instanceof PDFLib.PDFString || value instanceof PDFLib.PDFHexString || value instanceof PDFLib.PDFName) {
+            return value.decodeText();
+        }
+        return null;
+    }
+
+    // Literal strings for plain ASCII (as most files write them), UTF-16 otherwise
+    function pdfText(value) {
+        return /^[\x20-\x7e]*$/.test(value)
+            ? PDFLib.PDFString.of(value.replace(/[\\()]/g, '\\$&'))
+            : PDFLib.PDFHexString.fromText(value);
+    }
+
+    function lookupDict(dict, name) {
+        const value = dict.lookup(key(name));
+        return value instanceof PDFLib.PDFDict ? value : null;
+    }
+
+    function lookupArray(dict, name) {
+        const value = dict.lookup(key(name));
+        return value instanceof PDFLib.PDFArray ? value : null;
+    }
+
+    function uniqueName(name, taken) {
+        let n = 2;
+        while (taken.has(`${name}_${n}`)) n++;
+        return `${name}_${n}`;
+    }
+
+    // ============================================
+    // DESTINATIONS
+    // ============================================
+
+    // Replaces a destination given by name with the page it points to, so
+    // the link survives whatever happens to the names in the merged file.
+    // Destinations on pages left out of the merge go to the page `moveTo`
+    // gives for them, or are removed; returns false if that happened.
+    function retarget(context, dict, dests, dropped, moveTo = () => null) {
+        const resolve = (target, entry) => {
+            let value = target.lookup(key(entry));
+            const name = text(value);
+            if (name !== null) {
+                const dest = PDFOutline.explicitDestination(context, dests.get(name));
+                if (dest) {
+                    target.set(key(entry), dest);
+                    value = dest;
+                }
+            }
+            if (value instanceof PDFLib.PDFArray && dropped.has(value.get(0))) {
+                const page = moveTo(value.get(0));
+                if (page) {
+                    target.set(key(entry), context.obj([page, 'Fit']));
+                    return true;
+                }
+                target.delete(key(entry));
+                return false;
+            }
+            return true;
+        };
+
+        let alive = resolve(dict, 'Dest');
+        const action = lookupDict(dict, 'A');
+        if (action && text(action.lookup(key('S'))) === 'GoTo' && !resolve(action, 'D')) {
+            dict.delete(key('A'));
+            alive = false;
+        }
+        return alive;
+    }
+
+    function retargetLinks(pdf, pages, dests, dropped) {
+        pages.forEach(page => {
+            const annots = lookupArray(page.node, 'Annots');
+            if (!annots) return;
+            for (let i = annots.size() - 1; i >= 0; i--) {
+                const annot = annots.lookup(i);
+                if (annot instanceof PDFLib.PDFDict && text(annot.lookup(key('Subtype'))) === 'Link'
+                    && !retarget(pdf.context, annot, dests, dropped)) {
+                    annots.remove(i);
+                }
+            }
+        });
+    }
+
+    // ============================================
+    // OUTLINES
+    // ============================================
+    // The kept page closest to a page left out, the following one on a tie
+    function nearestKept(allPages, selected) {
+        return (ref) => {
+            const index = allPages.findIndex(page => page.ref === ref);
+            let nearest = null;
+            selected.forEach(page => {
+                const distance = allPages.indexOf(page) - index;
+                if (!nearest || Math.abs(distance) < Math.abs(nearest.distance)
+                    || (Math.abs(distance) === Math.abs(nearest.distance) && distance > 0)) {
+                    nearest = { page, distance };
+                }
+            });
+            return nearest ? nearest.page.ref : null;
+        };
+    }
+
+    // Bookmarks to pages left out move to the nearest page that was kept,
+    // so neither they nor their children lose their place
+    function retargetOutline(pdf, root, dests, dropped, moveTo) {
+        const visit = (first) => PDFOutline.items(first).forEach(item => {
+            retarget(pdf.context, item, dests, dropped, moveTo);
+            visit(item.lookup(key('First')));
+        });
+        visit(root.lookup(key('First')));
+    }
+
+    // Number of items shown under an open item (PDF 32000-1 12.3.3, /Count)
+    function visibleCount(items) {
+        return items.reduce((sum, item) => {
+            const count = item.lookup(key('Count'));
+            return sum + 1 + (count instanceof PDFLib.PDFNumber ? Math.max(0, count.asNumber()) : 0);
+        }, 0);
+    }
+
+    // ============================================
+    // FORMS
+    // ============================================
+
+    // Drops the widgets of pages left out of the merge; returns false when
+    // nothing of the field is left
+    function pruneField(context, ref, droppedWidgets, seen = new Set()) {
+        if (droppedWidgets.has(ref)) return false;
+        const field = context.lookup(ref);
+        if (!(field instanceof PDFLib.PDFDict) || seen.has(field)) return true;
+        seen.add(field);
+
+        const kids = lookupArray(field, 'Kids');
+        if (!kids) return true;
+        for (let i = kids.size() - 1; i >= 0; i--) {
+            if (!pruneField(context, kids.get(i), droppedWidgets, seen)) kids.remove(i);
+        }
+        return kids.size() > 0;
+    }
+
+    function mergeResources(target, source) {
+        source.entries().forEach(([name, value]) => {
+            const resource = source.lookup(name);
+            const existing = target.lookup(name);
+            if (resource instanceof PDFLib.PDFDict && existing instanceof PDFLib.PDFDict) {
+                resource.entries().forEach(([entry, item]) => {
+                    if (!existing.has(entry)) existing.set(entry, item);
+                });
+            } else if (existing === undefined) {
+                target.set(name, value);
+            }
+        });
+    }
+
+    // ============================================
+    // LAYOUT
+    // ============================================
+
+    // A page the size of the file's first page, with its name and page count
+    function titlePage(merged, section, font) {
+        const { width, height } = section.pages[0].getSize();
+        const page = merged.addPage([width, height]);
+
+        // The standard fonts only cover WinAnsi
+        const supported = new Set(font.getCharacterSet());
+        let title = [...section.title].map(c => supported.has(c.codePointAt(0)) ? c : '?').join('');
+        const maxWidth = width * 0.8;
+        let size = 28;
+        while (size > 12 && font.widthOfTextAtSize(title, size) > maxWidth) size--;
+        while (title.length > 1 && font.widthOfTextAtSize(title, size) > maxWidth) title = `${title.slice(0, -2)}…`;
+
+        const detail = `${section.pages.length} ${section.pages.length === 1 ? 'page' : 'pages'}`;
+        page.drawText(title, {
+            x: (width - font.widthOfTextAtSize(title, size)) / 2,
+            y: height / 2,
+            size,
+            font,
+            color: PDFLib.rgb(0.1, 0.1, 0.1)
+        });
+        page.drawText(detail, {
+            x: (width - font.widthOfTextAtSize(detail, 12)) / 2,
+            y: height / 2 - size - 6,
+            size: 12,
+            font,
+            color: PDFLib.rgb(0.45, 0.45, 0.45)
+        });
+        return page;
+    }
+
+    // One file after another, optionally with a blank page between files
+    // or a title page in front of each
+    async function append(merged, sections, separator) {
+        const font = separator === 'title' ? await merged.embedFont(PDFLib.StandardFonts.HelveticaBold) : null;
+
+        sections.forEach((section, index) => {
+            if (section.pages.length === 0) return;
+            if (separator === 'title') {
+                section.start = titlePage(merged, section, font).ref;
+            } else if (separator === 'blank' && index > 0) {
+                const { width, height } = section.pages[0].getSize();
+                merged.addPage([width, height]);
+            }
+            section.pages.forEach(page => merged.addPage(page));
+            section.start = section.start || section.pages[0].ref;
+        });
+    }
+
+    // Duplex scans: fronts from the first file, backs from the second,
+    // which a simplex scanner delivers last page first
+    function interleave(merged, sections, reverseBacks) {
+        const [fronts, backs] = sections;
+        const backPages = reverseBacks ? [...backs.pages].reverse() : backs.pages;
+
+        for (let i = 0; i < Math.max(fronts.pages.length, backPages.length); i++) {
+            if (fronts.pages[i]) merged.addPage(fronts.pages[i]);
+            if (backPages[i]) merged.addPage(backPages[i]);
+        }
+        sections.forEach(section => {
+            section.start = section.pages.length > 0 ? section.pages[0].ref : null;
+        });
+    }
+
+    // ============================================
+    // MERGE
+    // ============================================
+
+    /**
+     * Combines the sources into a new document.
+     * @param {Object[]} sources - { pdf: PDFDocument, name, pages?: zero-based
+     *   indices to take (default all), rotation?: degrees added to each page }
+     * @param {Object} options - mode ('append' | 'interleave'), separator
+     *   ('none' | 'blank' | 'title', append only), reverseBacks (interleave,
+     *   default true), outline (keep bookmarks, default true),
+     *   fileBookmarks (a bookmark for every file, default false)
+     * @param {Function} [progress] - called with the fraction done
+     * @returns {Promise<Object>} { pdf, bookmarks, renamedFields: [{ file, from, to }] }
+     * @throws {Error} code INVALID_OPTIONS when interleaving other than two files
+     */
+    async function merge(sources, options = {}, progress = () => {}) {
+        const keepOutline = options.outline !== false;
+        const fileBookmarks = options.fileBookmarks === true;
+        if (options.mode === 'interleave' && sources.length !== 2) {
+            const error = new Error('Interleaving takes exactly two files: the front sides and the back sides');
+            error.code = 'INVALID_OPTIONS';
+            throw error;
+        }
+
+        const merged = await PDFLib.PDFDocument.create();
+        const context = merged.context;
+
+        const sections = [];
+        const destNames = new Map();
+        const fieldRefs = [];
+        const fieldNames = new Set();
+        const renamedFields = [];
+        const resources = context.obj({});
+        let defaultAppearance = null;
+        let needAppearances = false;
+        let sigFlags = 0;
+
+        sources.forEach((source, index) => {
+            const { pdf } = source;
+            const title = String(source.name || `Document ${index + 1}`).replace(/\.pdf$/i, '');
+            const dests = PDFOutline.namedDestinations(pdf);
+            const copier = PDFLib.PDFObjectCopier.for(pdf.context, context);
+
+            const allPages = pdf.getPages();
+            const selected = (source.pages || pdf.getPageIndices()).map(i => allPages[i]);
+            const dropped = new Set();
+            const droppedWidgets = new Set();
+            allPages.filter(page => !selected.includes(page)).forEach(page => {
+                dropped.add(page.ref);
+                const annots = lookupArray(page.node, 'Annots');
+                for (let i = 0; annots && i < annots.size(); i++) {
+                    if (annots.get(i) instanceof PDFLib.PDFRef) droppedWidgets.add(annots.get(i));
+                }
+            });
+
+            // Reserve a ref for every page first: links, bookmarks and widgets
+            // pointing at a page then land on its copy instead of dragging in a
+            // second, orphaned copy of that page. Whatever still points at a
+            // page left out gets null.
+            [...dropped, ...droppedWidgets].forEach(ref => copier.traversedObjects.set(ref, PDFLib.PDFNull));
+            const pageRefs = selected.map(page => {
+                const ref = context.nextRef();
+                copier.traversedObjects.set(page.ref, ref);
+                return ref;
+            });
+
+            retargetLinks(pdf, selected, dests, dropped);
+
+            const pages = selected.map((page, i) => {
+                const node = copier.copy(page.node);
+                context.assign(pageRefs[i], node);
+                const copy = PDFLib.PDFPage.of(node, pageRefs[i], merged);
+                if (source.rotation) {
+                    copy.setRotation(PDFLib.degrees((copy.getRotation().angle + source.rotation) % 360));
+                }
+                return copy;
+            });
+            const section = { title, pages, item: null, start: null };
+
+            // Bookmarks go under an entry named after the file; copying the
+            // old root as that entry re-parents the top-level items
+            const outlineRef = pdf.catalog.get(key('Outlines'));
+            const outline = keepOutline ? lookupDict(pdf.catalog, 'Outlines') : null;
+            const hasOutline = outline && outline.get(key('First')) instanceof PDFLib.PDFRef;
+            if ((hasOutline || fileBookmarks) && pages.length > 0) {
+                const ref = context.nextRef();
+                const item = context.obj({ Title: pdfText(title) });
+
+                if (hasOutline) {
+                    retargetOutline(pdf, outline, dests, dropped, nearestKept(allPages, selected));
+                    if (outlineRef instanceof PDFLib.PDFRef) copier.traversedObjects.set(outlineRef, ref);
+                    const first = copier.copy(outline.get(key('First')));
+                    const children = PDFOutline.items(context.lookup(first));
+                    children.forEach(child => child.set(key('Parent'), ref));
+                    item.set(key('First'), first);
+                    item.set(key('Last'), copier.copy(outline.get(key('Last'))));
+                    item.set(key('Count'), PDFLib.PDFNumber.of(visibleCount(children)));
+                }
+
+                context.assign(ref, item);
+                section.item = { ref, item };
+            }
+
+            // Named destinations, for links into the merged file from outside
+            dests.forEach((value, destName) => {
+                const dest = PDFOutline.explicitDestination(pdf.context, value);
+                if (dest && dropped.has(dest.get(0))) return;
+                const finalName = destNames.has(destName) ? uniqueName(destName, destNames) : destName;
+                destNames.set(finalName, copier.copy(value));
+            });
+
+            // Form fields: top-level names must stay unique or the fields
+            // would share values
+            const form = lookupDict(pdf.catalog, 'AcroForm');
+            const fields = form && lookupArray(form, 'Fields');
+            if (fields) {
+                for (let i = 0; i < fields.size(); i++) {
+                    if (!pruneField(pdf.context, fields.get(i), droppedWidgets)) continue;
+                    const ref = copier.copy(fields.get(i));
+                    const field = context.lookup(ref);
+                    const partial = field instanceof PDFLib.PDFDict ? text(field.lookup(key('T'))) : null;
+                    if (partial !== null) {
+                        if (fieldNames.has(partial)) {
+                            const renamed = uniqueName(partial, fieldNames);
+                            field.set(key('T'), pdfText(renamed));
+                            renamedFields.push({ file: title, from: partial, to: renamed });
+                            fieldNames.add(renamed);
+                        } else {
+                            fieldNames.add(partial);
+                        }
+                    }
+                    fieldRefs.push(ref);
+                }
+
+                const appearance = text(form.lookup(key('DA')));
+                if (defaultAppearance === null && appearance !== null) defaultAppearance = appearance;
+                if (form.lookup(key('NeedAppearances')) === PDFLib.PDFBool.True) needAppearances = true;
+                const flags = form.lookup(key('SigFlags'));
+                if (flags instanceof PDFLib.PDFNumber) sigFlags |= flags.asNumber();
+                const dr = form.get(key('DR'));
+                if (dr) {
+                    const copied = context.lookup(copier.copy(dr));
+                    if (copied instanceof PDFLib.PDFDict) mergeResources(resources, copied);
+                }
+            }
+
+            sections.push(section);
+            progress((index + 1) / sources.length);
+        });
+
+        if (options.mode === 'interleave') {
+            interleave(merged, sections, options.reverseBacks !== false);
+        } else {
+            await append(merged, sections, options.separator || 'none');
+        }
+
+        const fileItems = sections.filter(section => section.item).map(section => {
+            section.item.item.set(key('Dest'), context.obj([section.start, 'XYZ', null, null, null]));
+            return section.item;
+        });
+        if (fileItems.length > 0) {
+            const rootRef = context.nextRef();
+            fileItems.forEach(({ item }, i) => {
+                item.set(key('Parent'), rootRef);
+                if (i > 0) item.set(key('Prev'), fileItems[i - 1].ref);
+                if (i < fileItems.length - 1) item.set(key('Next'), fileItems[i + 1].ref);
+            });
+            context.assign(rootRef, context.obj({
+                Type: 'Outlines',
+                First: fileItems[0].ref,
+                Last: fileItems[fileItems.length - 1].ref,
+                Count: visibleCount(fileItems.map(({ item }) => item))
+            }));
+            merged.catalog.set(key('Outlines'), rootRef);
+            merged.catalog.set(key('PageMode'), key('UseOutlines'));
+        }
+
+        if (destNames.size > 0) {
+            const entries = [...destNames.keys()].sort();
+            const names = context.obj([]);
+            entries.forEach(name => {
+                names.push(pdfText(name));
+                names.push(destNames.get(name));
+            });
+            merged.catalog.set(key('Names'), context.obj({ Dests: context.obj({ Names: names }) }));
+        }
+
+        if (fieldRefs.length > 0) {
+            const form = context.obj({ Fields: fieldRefs });
+            if (resources.entries().length > 0) form.set(key('DR'), resources);
+            if (defaultAppearance !== null) form.set(key('DA'), pdfText(defaultAppearance));
+            if (needAppearances) form.set(key('NeedAppearances'), PDFLib.PDFBool.True);
+            if (sigFlags) form.set(key('SigFlags'), PDFLib.PDFNumber.of(sigFlags));
+            merged.catalog.set(key('AcroForm'), context.register(form));
+        }
+
+        return { pdf: merged, bookmarks: fileItems.length, renamedFields };
+    }
+
+    return {
+        merge
+    };
+})();
+
+// Export
+window.PDFMerger = PDFMerger;
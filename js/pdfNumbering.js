@@ -0,0 +1,124 @@
+/* ============================================
+   PDF Tools - Page Numbering
+   Numbers in decimal, roman or alphabetic style, Bates numbers, and the
+   page labels readers show in place of page indices (PDF 32000-1 12.4.2).
+   Stamped numbers are marked as pagination artifacts, so text extraction
+   and the remove-watermark tool can tell them from the page content.
+   ============================================ */
+
+const PDFNumbering = (() => {
+    // Number styles and the /S entry of a page label dictionary
+    const STYLES = {
+        decimal: 'D',
+        'lower-roman': 'r',
+        'upper-roman': 'R',
+        'lower-alpha': 'a',
+        'upper-alpha': 'A'
+    };
+
+    const ROMAN = [
+        [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+        [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+    ];
+
+    // Distance of the number from the page edges, in points
+    const MARGIN = 30;
+
+    // ============================================
+    // NUMBERS
+    // ============================================
+    function roman(n) {
+        let text = '';
+        ROMAN.forEach(([value, letters]) => {
+            for (; n >= value; n -= value) text += letters;
+        });
+        return text;
+    }
+
+    // a to z, then aa to zz, aaa... as readers count page labels
+    function alpha(n) {
+        return String.fromCharCode(97 + (n - 1) % 26).repeat(Math.ceil(n / 26));
+    }
+
+    /**
+     * A number in one of STYLES. Roman and alphabetic numbering starts at 1;
+     * smaller numbers stay decimal.
+     */
+    function format(n, style = 'decimal') {
+        if (n < 1 || style === 'decimal') return String(n);
+        if (style === 'lower-roman') return roman(n);
+        if (style === 'upper-roman') return roman(n).toUpperCase();
+        if (style === 'lower-alpha') return alpha(n);
+        if (style === 'upper-alpha') return alpha(n).toUpperCase();
+        return String(n);
+    }
+
+    // "ABC000042": prefix, the counter padded with zeros to digits, suffix
+    function bates(n, { prefix = '', digits = 6, suffix = '' } = {}) {
+        return `${prefix}${String(n).padStart(digits, '0')}${suffix}`;
+    }
+
+    // ============================================
+    // STAMP
+    // ============================================
+
+    /**
+     * Draws a number at an edge of the page as a reader sees it, whatever
+     * the page's /Rotate.
+     * @param {Object} spec - font (PDFFont), size, color (pdf-lib RGB),
+     *   position (top-left, top-center... bottom-right), subtype (PageNum
+     *   or Bates, the PDF 2.0 artifact subtypes)
+     */
+    function stamp(page, text, spec) {
+        const { PDFOperator, PDFOperatorNames, PDFName } = PDFLib;
+        const { font, size, color, position, subtype } = spec;
+        const frame = PDFWatermark.frameOf(page);
+        const width = font.widthOfTextAtSize(text, size);
+
+        let x = (frame.width - width) / 2;
+        if (position.endsWith('left')) x = MARGIN;
+        else if (position.endsWith('right')) x = frame.width - width - MARGIN;
+        const y = position.startsWith('top') ? frame.height - MARGIN - font.heightAtSize(size, { descender: false }) : MARGIN;
+
+        const at = frame.toPage(x, y);
+        const properties = page.doc.context.obj({ Type: 'Pagination', Subtype: subtype });
+        page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [PDFName.of('Artifact'), properties]));
+        page.drawText(text, { x: at.x, y: at.y, size, font, color, rotate: PDFLib.degrees(frame.rotation) });
+        page.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+    }
+
+    // ============================================
+    // PAGE LABELS
+    // ============================================
+
+    /**
+     * Replaces the document's page labels.
+     * @param {Array<{start, style, first, prefix}>} ranges - in page order,
+     *   the first starting at page 0: start is the zero-based page the range
+     *   begins on, style one of STYLES (none for a label that is just the
+     *   prefix), first the number of that page (1 or more)
+     */
+    function setPageLabels(pdf, ranges) {
+        const { PDFName, PDFHexString } = PDFLib;
+        const nums = [];
+        ranges.forEach(range => {
+            const label = {};
+            if (range.style) label.S = STYLES[range.style];
+            if (range.prefix) label.P = PDFHexString.fromText(range.prefix);
+            if (range.style && range.first > 1) label.St = range.first;
+            nums.push(range.start, pdf.context.obj(label));
+        });
+        pdf.catalog.set(PDFName.of('PageLabels'), pdf.context.obj({ Nums: nums }));
+    }
+
+    return {
+        STYLES,
+        format,
+        bates,
+        stamp,
+        setPageLabels
+    };
+})();
+
+// Export
+window.PDFNumbering = PDFNumbering;
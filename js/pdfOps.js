@@ -0,0 +1,1439 @@
+/* ============================================
+   PDF Tools - Operations API
+   DOM-free implementations of every tool.
+   Each operation takes (inputs: Uint8Array[], options, { onProgress, onOutput, signal })
+   and resolves to { outputs: [{ name, type, bytes, tokens? }], ...details }.
+   tokens are the values an output file name template can use for that
+   output ({ page, start, end, bookmark }, see fileNaming.js).
+   ============================================ */
+
+const PDFOps = (() => {
+    const PDF_TYPE = 'application/pdf';
+
+    // Image settings per compression level
+    const COMPRESSION_LEVELS = {
+        low: { imageQuality: 0.85, targetDPI: 300 },
+        medium: { imageQuality: 0.7, targetDPI: 150 },
+        high: { imageQuality: 0.5, targetDPI: 100 }
+    };
+
+    // A scanned page counts as blank when fewer than this share of its
+    // pixels are dark (dust and scanner noise stay below it)
+    const BLANK_INK_RATIO = 0.003;
+
+    // Font choices that need no font file, as pdf-lib StandardFonts
+    const STANDARD_FONTS = {
+        helvetica: 'Helvetica',
+        'helvetica-bold': 'HelveticaBold',
+        times: 'TimesRoman',
+        'times-bold': 'TimesRomanBold',
+        courier: 'Courier',
+        'courier-bold': 'CourierBold'
+    };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            const error = new Error('Operation cancelled');
+            error.name = 'AbortError';
+            error.code = 'ABORTED';
+            throw error;
+        }
+    }
+
+    // Normalises the third argument so operations can call it unconditionally.
+    // emit() hands over an output as soon as it is ready (controls.onOutput);
+    // it is still included in the final result.
+    function context(controls = {}) {
+        const onProgress = typeof controls.onProgress === 'function' ? controls.onProgress : () => {};
+        const onOutput = typeof controls.onOutput === 'function' ? controls.onOutput : () => {};
+        const signal = controls.signal;
+        return {
+            signal,
+            progress(fraction, message) {
+                throwIfAborted(signal);
+                onProgress(Math.max(0, Math.min(1, fraction)), message);
+            },
+            emit(item) {
+                onOutput(item);
+                return item;
+            }
+        };
+    }
+
+    function requireInputs(inputs, count = 1) {
+        if (!Array.isArray(inputs) || inputs.length < count) {
+            throw new Error(count > 1 ? `Please add at least ${count} files` : 'Please add a file first');
+        }
+    }
+
+    function output(name, bytes, type = PDF_TYPE, tokens) {
+        const item = { name, type, bytes: bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes) };
+        if (tokens) item.tokens = tokens;
+        return item;
+    }
+
+    function textOutput(name, text, type) {
+        return output(name, new TextEncoder().encode(text), type);
+    }
+
+    async function loadPDF(bytes, options) {
+        return PDFLib.PDFDocument.load(bytes, options);
+    }
+
+    // pdf.js takes ownership of the buffer it is given, so hand it a copy
+    async function loadPDFJS(bytes) {
+        return pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+    }
+
+    async function copyToNewPDF(pdf, indices) {
+        const newPdf = await PDFLib.PDFDocument.create();
+        const pages = await newPdf.copyPages(pdf, indices);
+        pages.forEach(page => newPdf.addPage(page));
+        return newPdf.save();
+    }
+
+    function createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    async function canvasToBytes(canvas, type, quality) {
+        const blob = canvas.convertToBlob
+            ? await canvas.convertToBlob({ type, quality })
+            : await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+        return new Uint8Array(await blob.arrayBuffer());
+    }
+
+    function parsePageRanges(rangeStr, totalPages) {
+        const pages = [];
+        const parts = String(rangeStr || '').split(',').map(s => s.trim());
+
+        for (const part of parts) {
+            if (part.includes('-')) {
+                // An open range, "5-", runs to the last page
+                const [start, end] = part.split('-').map((s, i) => i === 1 && s.trim() === '' ? totalPages : parseInt(s.trim()));
+                if (!isNaN(start) && !isNaN(end)) {
+                    for (let i = Math.max(1, start); i <= Math.min(totalPages, end); i++) {
+                        if (!pages.includes(i)) pages.push(i);
+                    }
+                }
+            } else {
+                const num = parseInt(part);
+                if (!isNaN(num) && num >= 1 && num <= totalPages && !pages.includes(num)) {
+                    pages.push(num);
+                }
+            }
+        }
+
+        return pages.sort((a, b) => a - b);
+    }
+
+    function pageRange(start, end) {
+        return Array.from({ length: end - start + 1 }, (_, i) => start + i);
+    }
+
+    // Bookmark titles as file names
+    function safeFileName(text, fallback) {
+        const name = String(text)
+            .replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^\.+/, '')
+            .slice(0, 100);
+        return name || fallback;
+    }
+
+    function uniqueFileName(base, used) {
+        let name = `${base}.pdf`;
+        for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base}_${n}.pdf`;
+        used.add(name.toLowerCase());
+        return name;
+    }
+
+    function invalid(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_OPTIONS';
+        return error;
+    }
+
+    // Files passed in options arrive as bytes (CLI, pipelines) or as a File
+    async function bytesOf(value) {
+        if (value instanceof Uint8Array) return value;
+        if (value instanceof ArrayBuffer) return new Uint8Array(value);
+        if (typeof Blob !== 'undefined' && value instanceof Blob) return new Uint8Array(await value.arrayBuffer());
+        return null;
+    }
+
+    // '#rgb' or '#rrggbb' as a pdf-lib colour
+    function parseColor(value, label = 'Colour') {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+        if (!match) throw invalid(`${label} must be a hex colour like #ff0000, not "${value}"`);
+        const hex = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+        const channel = i => parseInt(hex.slice(i, i + 2), 16) / 255;
+        return PDFLib.rgb(channel(0), channel(2), channel(4));
+    }
+
+    /**
+     * Embeds one of STANDARD_FONTS, or with font 'custom' a TrueType or
+     * OpenType file (needs fontkit), and checks it can show the text.
+     */
+    async function embedFont(pdf, font, fontFile, text = '') {
+        let embedded;
+        if (font === 'custom') {
+            const bytes = await bytesOf(fontFile);
+            if (!bytes) throw invalid('Choose a TrueType or OpenType font file');
+            if (typeof fontkit === 'undefined') {
+                const error = new Error('Custom fonts need fontkit (@pdf-lib/fontkit)');
+                error.code = 'UNSUPPORTED';
+                throw error;
+            }
+            pdf.registerFontkit(fontkit);
+            try {
+                embedded = await pdf.embedFont(bytes, { subset: true });
+            } catch (error) {
+                throw invalid(`Cannot read the font file: ${error.message}`);
+            }
+        } else {
+            embedded = await pdf.embedFont(PDFLib.StandardFonts[STANDARD_FONTS[font || 'helvetica']] || PDFLib.StandardFonts.Helvetica);
+        }
+
+        // The standard fonts only cover Latin-1, and custom fonts may lack glyphs
+        const characters = new Set(embedded.getCharacterSet());
+        const missing = [...text].find(char => char.trim() && !characters.has(char.codePointAt(0)));
+        if (missing) {
+            throw invalid(`The font has no "${missing}" character. ${font === 'custom' ? 'Choose a font that does.' : 'Choose a custom font that does.'}`);
+        }
+        return embedded;
+    }
+
+    function canRender() {
+        return typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined';
+    }
+
+    // ============================================
+    // ORGANIZE
+    // ============================================
+    // options.names are the input file names, used for bookmarks and title
+    // pages; options.files[i] ({ range, rotation }) picks and turns pages per file
+    async function merge(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const names = Array.isArray(options.names) ? options.names : [];
+        const files = Array.isArray(options.files) ? options.files : [];
+
+        const sources = [];
+        for (let i = 0; i < inputs.length; i++) {
+            progress(i / inputs.length * 0.4);
+            const pdf = await loadPDF(inputs[i]);
+            const { range, rotation } = files[i] || {};
+
+            let pages = pdf.getPageIndices();
+            if (range && String(range).trim()) {
+                pages = parsePageRanges(range, pdf.getPageCount()).map(n => n - 1);
+                if (pages.length === 0) {
+                    throw invalid(`${names[i] || `File ${i + 1}`}: no pages in ${range} (it has ${pdf.getPageCount()})`);
+                }
+            }
+            sources.push({ pdf, name: names[i], pages, rotation: parseInt(rotation) || 0 });
+        }
+
+        const { pdf, bookmarks, renamedFields } = await PDFMerger.merge(sources, options, fraction => progress(0.4 + fraction * 0.4));
+
+        progress(0.9);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('merged.pdf', bytes)], bookmarks, renamedFields };
+    }
+
+    async function isBlankPage(page) {
+        const { OPS } = pdfjsLib;
+        const { fnArray } = await page.getOperatorList();
+        const text = [OPS.showText, OPS.showSpacedText, OPS.nextLineShowText, OPS.nextLineSetSpacingShowText];
+        if (fnArray.some(fn => text.includes(fn))) return false;
+
+        const paint = [OPS.fill, OPS.eoFill, OPS.stroke, OPS.fillStroke, OPS.eoFillStroke, OPS.closeStroke,
+            OPS.closeFillStroke, OPS.closeEOFillStroke, OPS.shadingFill, OPS.paintImageXObject,
+            OPS.paintInlineImageXObject, OPS.paintImageMaskXObject, OPS.paintImageXObjectRepeat,
+            OPS.paintImageMaskXObjectGroup, OPS.paintImageMaskXObjectRepeat, OPS.paintInlineImageXObjectGroup,
+            OPS.paintSolidColorImageMask];
+        if (!fnArray.some(fn => paint.includes(fn))) return true;
+
+        // Scans and shapes may be nothing but white paper: look at the ink
+        if (!canRender()) return false;
+        const viewport = page.getViewport({ scale: 0.5 });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+        const ctx = canvas.getContext('2d');
+        await page.render({ canvasContext: ctx, viewport }).promise;
+
+        const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        let dark = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] > 127 && data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114 < 160) dark++;
+        }
+        return dark / (data.length / 4) < BLANK_INK_RATIO;
+    }
+
+    // Separator text may be spread over several text items (barcode fonts),
+    // so spaces are ignored
+    async function hasSeparatorText(page, separator) {
+        const content = await page.getTextContent();
+        const compact = value => value.toLowerCase().replace(/\s+/g, '');
+        return compact(content.items.map(item => item.str).join('')).includes(compact(separator));
+    }
+
+    /**
+     * Works out the files a split produces without writing them (except
+     * for 'size', which has to measure). Page indices are zero-based.
+     * @returns {Promise<Object>} { segments: [{ name, pages, title?, bytes? }], ...details }
+     */
+    async function planSplit(bytes, pdf, options, progress) {
+        const totalPages = pdf.getPageCount();
+        const method = options.method || 'all';
+        const segments = [];
+
+        if (method === 'all') {
+            for (let i = 0; i < totalPages; i++) {
+                segments.push({ name: `page_${i + 1}.pdf`, pages: [i] });
+            }
+        } else if (method === 'range') {
+            const pages = parsePageRanges(options.range, totalPages);
+            if (pages.length === 0) throw new Error('No valid pages specified');
+            segments.push({ name: 'extracted_pages.pdf', pages: pages.map(p => p - 1) });
+        } else if (method === 'interval') {
+            const interval = parseInt(options.interval) || 1;
+            for (let start = 0; start < totalPages; start += interval) {
+                const end = Math.min(start + interval, totalPages) - 1;
+                segments.push({ name: `pages_${start + 1}-${end + 1}.pdf`, pages: pageRange(start, end) });
+            }
+        } else if (method === 'bookmarks') {
+            const level = parseInt(options.bookmarkLevel) || 1;
+            const starts = new Map();
+            PDFOutline.bookmarks(pdf)
+                .filter(mark => mark.level <= level && mark.pageIndex !== null)
+                .forEach(mark => {
+                    if (!starts.has(mark.pageIndex)) starts.set(mark.pageIndex, mark.title);
+                });
+            if (starts.size === 0) {
+                throw new Error(level > 1 ? `This PDF has no bookmarks down to level ${level}` : 'This PDF has no bookmarks');
+            }
+
+            // Pages before the first bookmark (cover, contents) get their own file
+            if (!starts.has(0)) starts.set(0, null);
+            const pages = [...starts.keys()].sort((a, b) => a - b);
+            const used = new Set();
+            pages.forEach((start, i) => {
+                const end = i + 1 < pages.length ? pages[i + 1] - 1 : totalPages - 1;
+                const title = starts.get(start);
+                const name = uniqueFileName(safeFileName(title ?? 'Front matter', `pages_${start + 1}-${end + 1}`), used);
+                segments.push({ name, title: title ?? 'Front matter', pages: pageRange(start, end) });
+            });
+        } else if (method === 'size') {
+            const maxBytes = parseFloat(options.maxSizeMB) * 1024 * 1024;
+            if (!(maxBytes > 0)) throw new Error('Enter a maximum file size');
+            const oversized = [];
+
+            // Grows each part by doubling, then narrows down on the largest
+            // that fits: a handful of saves per part rather than one per page
+            let start = 0;
+            while (start < totalPages) {
+                progress(start / totalPages * 0.8);
+                const save = end => copyToNewPDF(pdf, pageRange(start, end));
+                let best = { end: start, bytes: await save(start) };
+
+                if (best.bytes.length > maxBytes) {
+                    oversized.push(start + 1);
+                } else {
+                    let fits = start;
+                    let tooBig = null;
+                    for (let step = 1; fits < totalPages - 1; step *= 2) {
+                        const end = Math.min(totalPages - 1, fits + step);
+                        const saved = await save(end);
+                        if (saved.length > maxBytes) {
+                            tooBig = end;
+                            break;
+                        }
+                        best = { end, bytes: saved };
+                        fits = end;
+                    }
+                    while (tooBig !== null && tooBig - fits > 1) {
+                        const mid = Math.floor((fits + tooBig) / 2);
+                        const saved = await save(mid);
+                        if (saved.length > maxBytes) {
+                            tooBig = mid;
+                        } else {
+                            best = { end: mid, bytes: saved };
+                            fits = mid;
+                        }
+                    }
+                }
+
+                segments.push({ name: `pages_${start + 1}-${best.end + 1}.pdf`, pages: pageRange(start, best.end), bytes: best.bytes });
+                start = best.end + 1;
+            }
+            return { segments, oversized };
+        } else if (method === 'blank' || method === 'separator') {
+            const separator = String(options.separatorText || '').trim();
+            if (method === 'separator' && !separator) throw new Error('Enter the separator text to look for');
+
+            const doc = await loadPDFJS(bytes);
+            const separators = [];
+            try {
+                for (let i = 1; i <= doc.numPages; i++) {
+                    progress(i / doc.numPages * 0.8);
+                    const page = await doc.getPage(i);
+                    const found = method === 'blank' ? await isBlankPage(page) : await hasSeparatorText(page, separator);
+                    if (found) separators.push(i - 1);
+                    page.cleanup();
+                }
+            } finally {
+                doc.destroy();
+            }
+
+            // Separator pages end a file; kept, each one starts the next
+            let current = [];
+            const close = () => {
+                if (current.length === 0) return;
+                const first = current[0] + 1;
+                const last = current[current.length - 1] + 1;
+                segments.push({ name: `pages_${first}-${last}.pdf`, pages: current });
+                current = [];
+            };
+            for (let i = 0; i < totalPages; i++) {
+                if (separators.includes(i)) {
+                    close();
+                    if (!options.keepSeparators) continue;
+                }
+                current.push(i);
+            }
+            close();
+            if (segments.length === 0) throw new Error('Every page is a separator page; there is nothing to split');
+            return { segments, separators: separators.map(i => i + 1) };
+        } else {
+            throw new Error(`Unknown split method: ${method}`);
+        }
+
+        return { segments };
+    }
+
+    // Where a split would cut, for checking before writing the files
+    async function splitPreview(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const { segments, ...details } = await planSplit(inputs[0], pdf, options, progress);
+
+        progress(1);
+        return {
+            outputs: [],
+            totalPages: pdf.getPageCount(),
+            segments: segments.map(segment => ({
+                name: segment.name,
+                title: segment.title,
+                pages: segment.pages.map(i => i + 1),
+                size: segment.bytes ? segment.bytes.length : undefined
+            })),
+            ...details
+        };
+    }
+
+    async function split(inputs, options = {}, controls) {
+        const { progress, emit } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const { segments, ...details } = await planSplit(inputs[0], pdf, options, progress);
+        const outputs = [];
+
+        for (let i = 0; i < segments.length; i++) {
+            progress(0.8 + i / segments.length * 0.2);
+            const segment = segments[i];
+            const tokens = {
+                page: segment.pages[0] + 1,
+                start: segment.pages[0] + 1,
+                end: segment.pages[segment.pages.length - 1] + 1,
+                bookmark: segment.title
+            };
+            outputs.push(emit(output(segment.name, segment.bytes || await copyToNewPDF(pdf, segment.pages), PDF_TYPE, tokens)));
+        }
+
+        progress(1);
+        return { outputs, ...details };
+    }
+
+    async function rotatePages(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const angle = parseInt(options.angle) || 90;
+        const applyTo = options.pages || 'all';
+        const totalPages = pdf.getPageCount();
+
+        for (let i = 0; i < totalPages; i++) {
+            progress(i / totalPages * 0.9);
+
+            let shouldRotate = false;
+            if (applyTo === 'all') shouldRotate = true;
+            else if (applyTo === 'odd' && (i + 1) % 2 === 1) shouldRotate = true;
+            else if (applyTo === 'even' && (i + 1) % 2 === 0) shouldRotate = true;
+
+            if (shouldRotate) {
+                const page = pdf.getPage(i);
+                page.setRotation(PDFLib.degrees(page.getRotation().angle + angle));
+            }
+        }
+
+        progress(0.95);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('rotated.pdf', bytes)] };
+    }
+
+    async function extractPages(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const indices = parsePageRanges(options.range || '1', pdf.getPageCount()).map(p => p - 1);
+
+        if (indices.length === 0) {
+            throw new Error('No valid pages specified');
+        }
+
+        progress(0.5);
+        const bytes = await copyToNewPDF(pdf, indices);
+        progress(1);
+        return { outputs: [output('extracted.pdf', bytes)] };
+    }
+
+    async function deletePages(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const totalPages = pdf.getPageCount();
+        const pagesToDelete = parsePageRanges(options.range, totalPages);
+
+        if (pagesToDelete.length === 0) {
+            throw new Error('No valid pages specified');
+        }
+
+        if (pagesToDelete.length >= totalPages) {
+            throw new Error('Cannot delete all pages');
+        }
+
+        progress(0.5);
+        const pagesToKeep = [];
+        for (let i = 1; i <= totalPages; i++) {
+            if (!pagesToDelete.includes(i)) pagesToKeep.push(i - 1);
+        }
+
+        const bytes = await copyToNewPDF(pdf, pagesToKeep);
+        progress(1);
+        return { outputs: [output('modified.pdf', bytes)], removed: pagesToDelete.length };
+    }
+
+    async function addBlankPages(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        const { PageSizes } = PDFLib;
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const count = parseInt(options.count) || 1;
+        const sizes = { a4: PageSizes.A4, letter: PageSizes.Letter, legal: PageSizes.Legal };
+        const size = sizes[options.pageSize] || PageSizes.A4;
+
+        progress(0.5);
+        for (let i = 0; i < count; i++) {
+            if (options.position === 'start') {
+                pdf.insertPage(i, size);
+            } else {
+                pdf.addPage(size);
+            }
+        }
+
+        progress(0.9);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('modified.pdf', bytes)], added: count };
+    }
+
+    async function duplicatePages(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const pageNums = parsePageRanges(options.range || '1', pdf.getPageCount());
+
+        progress(0.5);
+        // Work backwards so earlier insertions don't shift later page numbers
+        for (const pageNum of [...pageNums].reverse()) {
+            const [copiedPage] = await pdf.copyPages(pdf, [pageNum - 1]);
+            pdf.insertPage(pageNum, copiedPage);
+        }
+
+        progress(0.9);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('duplicated.pdf', bytes)] };
+    }
+
+    async function reorderPages(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const totalPages = pdf.getPageCount();
+        const order = Array.isArray(options.order) ? options.order.join(',') : String(options.order || '');
+
+        if (!order.trim()) {
+            throw new Error('Please specify the new page order (e.g., 3,1,2)');
+        }
+
+        const newOrder = order.split(',').map(s => parseInt(s.trim())).filter(n => !isNaN(n) && n >= 1 && n <= totalPages);
+        if (newOrder.length === 0) {
+            throw new Error('Invalid page order specified');
+        }
+
+        progress(0.5);
+        const bytes = await copyToNewPDF(pdf, newOrder.map(n => n - 1));
+        progress(1);
+        return { outputs: [output('reordered.pdf', bytes)] };
+    }
+
+    // ============================================
+    // OPTIMIZE
+    // ============================================
+    async function compress(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const level = options.level || 'medium';
+        const originalSize = inputs[0].length;
+        const onProgress = fraction => progress(0.1 + fraction * 0.85);
+
+        progress(0.1);
+        let result;
+        if (level === 'target') {
+            const targetMB = parseFloat(options.targetSizeMB);
+            if (!(targetMB > 0)) {
+                throw new Error('Please enter a target size');
+            }
+            result = await PDFOptimizer.compressToTarget(inputs[0], targetMB * 1024 * 1024, {
+                removeMetadata: true,
+                removeThumbnails: true
+            }, onProgress);
+        } else {
+            result = await PDFOptimizer.optimize(inputs[0], {
+                ...(COMPRESSION_LEVELS[level] || COMPRESSION_LEVELS.medium),
+                compressImages: true,
+                reduceDPI: true,
+                removeMetadata: true,
+                removeThumbnails: true
+            }, onProgress);
+        }
+
+        progress(1);
+        return {
+            outputs: [output('compressed.pdf', result.bytes)],
+            originalSize,
+            size: result.bytes.length,
+            imageQuality: result.imageQuality || null,
+            targetDPI: result.targetDPI || null
+        };
+    }
+
+    // ============================================
+    // SECURITY
+    // ============================================
+    async function protect(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        if (!options.password) {
+            throw new Error('Please enter a password');
+        }
+
+        progress(0.3);
+        // Owner password falls back to the open password when left blank
+        const bytes = await PDFEncryption.encrypt(inputs[0], {
+            userPassword: options.password,
+            ownerPassword: options.ownerPassword || '',
+            algorithm: options.algorithm || 'aes-256'
+        });
+        progress(1);
+        return { outputs: [output('protected.pdf', bytes)] };
+    }
+
+    async function permissions(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+
+        if (options.mode === 'report') {
+            progress(0.5);
+            const info = await PDFEncryption.inspect(inputs[0]);
+            progress(1);
+            return { outputs: [], info };
+        }
+
+        const ownerPassword = options.ownerPassword;
+        const userPassword = options.userPassword || '';
+        if (!ownerPassword) {
+            throw new Error('Please enter an owner password');
+        }
+        if (ownerPassword === userPassword) {
+            throw new Error('The owner password must differ from the open password');
+        }
+
+        progress(0.2);
+        // Already protected files are decrypted first so the new flags replace the old ones
+        const { pdf, wasEncrypted, isOwner, permissions: current } = await PDFEncryption.decrypt(inputs[0], options.currentPassword || '');
+
+        // Only the owner may replace restrictions; the open password is not enough
+        const isRestricted = current && Object.values(current).some(allowed => !allowed);
+        if (wasEncrypted && isRestricted && !isOwner) {
+            const error = new Error('This PDF has restrictions. Enter its owner password as the current password to change them.');
+            error.code = 'INCORRECT_PASSWORD';
+            throw error;
+        }
+        const sourceBytes = wasEncrypted ? await pdf.save({ useObjectStreams: false }) : inputs[0];
+
+        progress(0.5);
+        const bytes = await PDFEncryption.encrypt(sourceBytes, {
+            userPassword,
+            ownerPassword,
+            algorithm: options.algorithm || 'aes-256',
+            permissions: options.permissions || {}
+        });
+        progress(1);
+        return { outputs: [output('restricted.pdf', bytes)] };
+    }
+
+    async function unlock(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+
+        progress(0.3);
+        const { pdf, wasEncrypted } = await PDFEncryption.decrypt(inputs[0], options.password || '');
+        if (!wasEncrypted) {
+            throw new Error('This PDF is not password protected');
+        }
+
+        progress(0.7);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('unlocked.pdf', bytes)] };
+    }
+
+    async function changePassword(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        if (!options.newPassword) {
+            throw new Error('Please enter a new password');
+        }
+
+        progress(0.2);
+        const { pdf, wasEncrypted, isOwner, permissions: current } = await PDFEncryption.decrypt(inputs[0], options.currentPassword || '');
+
+        // Restrictions can only be carried over (or lifted) by the owner
+        const isRestricted = current && Object.values(current).some(allowed => !allowed);
+        if (wasEncrypted && isRestricted && !isOwner) {
+            throw new Error('This PDF has restrictions. Enter the owner password to change its password.');
+        }
+
+        // An owner password equal to the open password would hand everyone
+        // who can open the file the right to lift the restrictions copied below
+        let ownerPassword = options.ownerPassword || '';
+        if (isRestricted) {
+            if (!ownerPassword) ownerPassword = options.currentPassword || '';
+            if (!ownerPassword || ownerPassword === options.newPassword) {
+                throw invalid('This PDF has restrictions. Give it an owner password that differs from the new password, or they would no longer be enforced.');
+            }
+        }
+
+        progress(0.5);
+        const decryptedBytes = await pdf.save({ useObjectStreams: false });
+        const bytes = await PDFEncryption.encrypt(decryptedBytes, {
+            userPassword: options.newPassword,
+            ownerPassword,
+            algorithm: options.algorithm || 'aes-256',
+            permissions: current || {}
+        });
+        progress(1);
+        return { outputs: [output('password-changed.pdf', bytes)] };
+    }
+
+    // ============================================
+    // PDF/A
+    // ============================================
+    async function pdfToPdfa(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const level = options.level || '2b';
+
+        progress(0.3);
+        const result = await PDFArchive.convert(inputs[0], { level, password: options.password || '' });
+        progress(1);
+        return {
+            outputs: [output('converted_pdfa.pdf', result.bytes)],
+            level,
+            fixes: result.fixes
+        };
+    }
+
+    async function validatePdfa(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+
+        progress(0.5);
+        const report = await PDFArchive.validate(inputs[0], { level: options.level || undefined });
+        progress(1);
+        return { outputs: [], report };
+    }
+
+    // ============================================
+    // EDIT
+    // ============================================
+    // Zero-based pages options.pages ("1-3, 5"; all when empty) covers
+    function targetPages(pdf, range) {
+        if (!range || !String(range).trim()) return pdf.getPageIndices();
+        const pages = parsePageRanges(range, pdf.getPageCount()).map(n => n - 1);
+        if (pages.length === 0) {
+            throw invalid(`No pages in ${range} (the file has ${pdf.getPageCount()})`);
+        }
+        return pages;
+    }
+
+    // The options of addWatermark as PDFWatermark.stamp takes them
+    async function watermarkSpec(pdf, options) {
+        const spec = {
+            position: options.position || 'center',
+            rotation: parseFloat(options.rotation) || 0,
+            spacing: Number.isFinite(parseFloat(options.spacing)) ? parseFloat(options.spacing) : 0.5,
+            opacity: options.opacity ?? 0.3,
+            behind: Boolean(options.behind)
+        };
+
+        if (options.type === 'image') {
+            const bytes = await bytesOf(options.image);
+            if (!bytes) throw invalid('Choose a PNG or JPEG image for the watermark');
+            spec.image = await embedImage(pdf, bytes);
+            spec.scale = parseFloat(options.scale) || 0;
+            return spec;
+        }
+
+        spec.text = String(options.text || 'WATERMARK').replace(/\s+/g, ' ').trim() || 'WATERMARK';
+        spec.font = await embedFont(pdf, options.font, options.fontFile, spec.text);
+        spec.fontSize = parseFloat(options.fontSize) || 0;
+        spec.color = parseColor(options.color || '#808080');
+        return spec;
+    }
+
+    // options: type (text|image), text, font, fontFile, fontSize, color,
+    // image, scale, position, rotation, spacing, opacity, pages, behind;
+    // see PDFWatermark.stamp
+    async function addWatermark(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+        const pages = targetPages(pdf, options.pages);
+
+        const spec = await watermarkSpec(pdf, options);
+        const { stamps } = PDFWatermark.stamp(pdf, pages, spec, fraction => progress(fraction * 0.9));
+
+        progress(0.95);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('watermarked.pdf', bytes)], pages: pages.length, stamps };
+    }
+
+    // The first page addWatermark would change, watermarked, as a PDF of its own
+    async function watermarkPreview(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const source = await loadPDF(inputs[0]);
+        const [index] = targetPages(source, options.pages);
+
+        progress(0.3);
+        const pdf = await PDFLib.PDFDocument.create();
+        const [page] = await pdf.copyPages(source, [index]);
+        pdf.addPage(page);
+        PDFWatermark.stamp(pdf, [0], await watermarkSpec(pdf, options));
+
+        progress(0.8);
+        const preview = await pdf.save();
+        progress(1);
+        return { outputs: [], page: index + 1, preview };
+    }
+
+    // Watermark candidates for the user to review; see PDFWatermark.detect
+    async function detectWatermarks(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDF(inputs[0]);
+
+        const candidates = PDFWatermark.detect(pdf, fraction => progress(fraction * 0.9));
+        progress(1);
+        return { outputs: [], report: { pages: pdf.getPageCount(), candidates } };
+    }
+
+    // options.remove: candidate ids from detectWatermarks. Without them,
+    // options.scope picks: marked (default) the ones marked as watermarks,
+    // all every candidate
+    async function removeWatermark(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        if (![undefined, '', 'marked', 'all'].includes(options.scope)) {
+            throw invalid(`Unknown scope "${options.scope}". Use marked or all`);
+        }
+        const pdf = await loadPDF(inputs[0]);
+
+        progress(0.1);
+        const ids = Array.isArray(options.remove)
+            ? options.remove
+            : PDFWatermark.detect(pdf)
+                .filter(candidate => options.scope === 'all' || candidate.likely)
+                .map(candidate => candidate.id);
+        const { removed, pages } = PDFWatermark.remove(pdf, ids, fraction => progress(0.1 + fraction * 0.8));
+
+        progress(0.95);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('unwatermarked.pdf', bytes)], watermarks: removed, pages };
+    }
+
+    // Tokens of a page number format, e.g. "Page {page} of {total}"
+    const NUMBER_TOKENS = ['page', 'total'];
+
+    // Formats without tokens are from before there were any: their first
+    // "1" stands for the number
+    function numberFormat(format) {
+        const text = String(format ?? '').trim() || '{page}';
+        if (!text.includes('{')) return text.replace('1', '{page}');
+        const unknown = [...text.matchAll(/\{(\w*)\}/g)].map(([, token]) => token).find(token => !NUMBER_TOKENS.includes(token));
+        if (unknown !== undefined) {
+            throw invalid(`Unknown token {${unknown}} in the format. Use ${NUMBER_TOKENS.map(token => `{${token}}`).join(' and ')}`);
+        }
+        return text;
+    }
+
+    function numberStyle(style) {
+        if (!style) return 'decimal';
+        if (!PDFNumbering.STYLES[style]) {
+            throw invalid(`Unknown number style "${style}". Use ${Object.keys(PDFNumbering.STYLES).join(', ')}`);
+        }
+        return style;
+    }
+
+    /**
+     * The number of every page, as { number, style, last } (last: the
+     * number the page's run ends on), or null for pages left without one.
+     * options.sections ("1: skip; 2-5: lower-roman; 6-: from 1") numbers
+     * each range from its own first number, 1 unless given; pages in no
+     * section are skipped. Otherwise options.pages are numbered from
+     * options.startNumber, by default the first page's own number.
+     */
+    function numberingPlan(pdf, options, style) {
+        const count = pdf.getPageCount();
+        const plan = new Array(count).fill(null);
+        const number = (indices, first, pageStyle) => indices.forEach((index, k) => {
+            plan[index] = { number: first + k, style: pageStyle, last: first + indices.length - 1 };
+        });
+
+        const sections = String(options.sections || '').split(/[;\n]/).map(section => section.trim()).filter(Boolean);
+        if (sections.length === 0) {
+            // startPage is the option from before there were page ranges
+            const range = options.pages || (parseInt(options.startPage) > 1 ? `${parseInt(options.startPage)}-` : '');
+            const indices = targetPages(pdf, range);
+            const first = options.startNumber === undefined || options.startNumber === '' ? indices[0] + 1 : parseInt(options.startNumber);
+            if (!(first >= 1)) throw invalid('The first number must be 1 or more');
+            number(indices, first, style);
+            return plan;
+        }
+
+        const styles = Object.keys(PDFNumbering.STYLES).join(', ');
+        sections.forEach(section => {
+            const match = /^([\d\s,-]+):(.*)$/.exec(section);
+            if (!match) throw invalid(`Cannot read the section "${section}". Write sections like 2-5: lower-roman; 6-: from 1`);
+            const indices = parsePageRanges(match[1], count).map(page => page - 1);
+            const words = match[2].trim().split(/\s+/).filter(Boolean);
+
+            if (words.length === 1 && words[0] === 'skip') {
+                indices.forEach(index => { plan[index] = null; });
+                return;
+            }
+            let sectionStyle = style;
+            let first = 1;
+            for (let i = 0; i < words.length; i++) {
+                if (words[i] === 'from' && /^\d+$/.test(words[i + 1] || '')) first = parseInt(words[++i]);
+                else if (PDFNumbering.STYLES[words[i]]) sectionStyle = words[i];
+                else throw invalid(`"${words[i]}" in the section "${section}": use skip, a style (${styles}) or from and a number`);
+            }
+            if (first < 1) throw invalid(`The first number must be 1 or more, in the section "${section}"`);
+            number(indices, first, sectionStyle);
+        });
+        return plan;
+    }
+
+    // Page label ranges that show the numbers of a plan; pages without a
+    // number are labelled with their place in the file
+    function labelRanges(plan) {
+        const ranges = [];
+        let previous = null;
+        plan.forEach((entry, index) => {
+            const label = entry || { number: index + 1, style: 'decimal' };
+            if (!previous || previous.style !== label.style || label.number !== previous.number + 1) {
+                ranges.push({ start: index, style: label.style, first: label.number });
+            }
+            previous = label;
+        });
+        return ranges;
+    }
+
+    // options.numbering: pages (default) with format, style, pages,
+    // startNumber and sections (see numberingPlan), or bates with
+    // batesPrefix, batesDigits, batesStart and batesSuffix, counting on
+    // from one input to the next. Both: font, fontFile, fontSize, color,
+    // position, pageLabels (on unless false). options.names name the outputs
+    async function pageNumbers(inputs, options = {}, controls) {
+        const { progress, emit } = context(controls);
+        requireInputs(inputs);
+
+        const isBates = options.numbering === 'bates';
+        const format = isBates ? null : numberFormat(options.format);
+        const style = numberStyle(options.style);
+        const batesSpec = {
+            prefix: options.batesPrefix || '',
+            digits: parseInt(options.batesDigits) || 6,
+            suffix: options.batesSuffix || ''
+        };
+        let counter = options.batesStart === undefined || options.batesStart === '' ? 1 : parseInt(options.batesStart);
+        if (isBates && !(counter >= 0)) throw invalid('The first Bates number must be 0 or more');
+
+        const fontSize = parseFloat(options.fontSize) || 12;
+        const color = parseColor(options.color || '#000000');
+        const position = options.position || 'bottom-center';
+        const names = options.names || [];
+        const used = new Set();
+        const outputs = [];
+        const bates = [];
+
+        for (let f = 0; f < inputs.length; f++) {
+            const pdf = await loadPDF(inputs[f]);
+            const pages = pdf.getPages();
+
+            let plan = null;
+            let texts;
+            if (isBates) {
+                texts = pages.map((page, index) => PDFNumbering.bates(counter + index, batesSpec));
+            } else {
+                plan = numberingPlan(pdf, options, style);
+                texts = plan.map(entry => entry && format
+                    .replace(/\{page\}/g, PDFNumbering.format(entry.number, entry.style))
+                    .replace(/\{total\}/g, PDFNumbering.format(entry.last, entry.style)));
+            }
+
+            const font = await embedFont(pdf, options.font, options.fontFile, texts.filter(Boolean).join(''));
+            const spec = { font, size: fontSize, color, position, subtype: isBates ? 'Bates' : 'PageNum' };
+            pages.forEach((page, index) => {
+                progress((f + index / pages.length * 0.9) / inputs.length);
+                if (texts[index]) PDFNumbering.stamp(page, texts[index], spec);
+            });
+
+            if (options.pageLabels !== false) {
+                PDFNumbering.setPageLabels(pdf, isBates
+                    ? texts.map((text, index) => ({ start: index, prefix: text }))
+                    : labelRanges(plan));
+            }
+
+            const bytes = await pdf.save();
+            const name = inputs.length === 1
+                ? 'numbered.pdf'
+                : uniqueFileName(`${safeFileName(String(names[f] || '').replace(/\.pdf$/i, ''), `file_${f + 1}`)}_numbered`, used);
+            outputs.push(emit(output(name, bytes)));
+
+            if (isBates) {
+                bates.push({ file: names[f] || `file ${f + 1}`, first: texts[0], last: texts[texts.length - 1] });
+                counter += pages.length;
+            }
+        }
+
+        progress(1);
+        return isBates ? { outputs, bates } : { outputs };
+    }
+
+    // ============================================
+    // CONVERT FROM PDF
+    // ============================================
+    async function pdfToImage(inputs, options = {}, controls) {
+        const { progress, emit } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDFJS(inputs[0]);
+        const format = options.format === 'jpeg' ? 'jpeg' : 'png';
+        const scale = parseFloat(options.scale) || 2;
+        const outputs = [];
+
+        try {
+            for (let i = 1; i <= pdf.numPages; i++) {
+                progress(i / pdf.numPages * 0.9);
+
+                const page = await pdf.getPage(i);
+                const viewport = page.getViewport({ scale });
+                const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+                await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+                const type = `image/${format}`;
+                outputs.push(emit(output(`page_${i}.${format}`, await canvasToBytes(canvas, type, 0.9), type, { page: i, start: i, end: i })));
+            }
+        } finally {
+            pdf.destroy();
+        }
+
+        progress(1);
+        return { outputs };
+    }
+
+    async function extractText(inputs, controls, onPage) {
+        const { progress } = context(controls);
+        requireInputs(inputs);
+        const pdf = await loadPDFJS(inputs[0]);
+
+        try {
+            for (let i = 1; i <= pdf.numPages; i++) {
+                progress(i / pdf.numPages * 0.9);
+                const page = await pdf.getPage(i);
+                onPage(i, await page.getTextContent());
+            }
+        } finally {
+            pdf.destroy();
+        }
+        progress(1);
+    }
+
+    async function pdfToText(inputs, options = {}, controls) {
+        let fullText = '';
+        await extractText(inputs, controls, (pageNumber, textContent) => {
+            const pageText = textContent.items.map(item => item.str).join(' ');
+            fullText += `--- Page ${pageNumber} ---\n${pageText}\n\n`;
+        });
+        return { outputs: [textOutput('extracted_text.txt', fullText, 'text/plain')] };
+    }
+
+    async function pdfToWord(inputs, options = {}, controls) {
+        // Basic HTML structure that Word opens as a document
+        let htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; margin: 40px; }
+    .page { margin-bottom: 40px; page-break-after: always; }
+    .page:last-child { page-break-after: avoid; }
+  </style>
+</head>
+<body>
+`;
+
+        await extractText(inputs, controls, (pageNumber, textContent) => {
+            htmlContent += '<div class="page">';
+
+            let lastY = null;
+            for (const item of textContent.items) {
+                // Detect paragraph breaks based on Y position
+                if (lastY !== null && Math.abs(item.transform[5] - lastY) > 20) {
+                    htmlContent += '<br><br>';
+                }
+                htmlContent += item.str + ' ';
+                lastY = item.transform[5];
+            }
+
+            htmlContent += '</div>';
+        });
+
+        htmlContent += '</body></html>';
+        return { outputs: [textOutput('document.doc', htmlContent, 'application/vnd.ms-word')] };
+    }
+
+    async function pdfToExcel(inputs, options = {}, controls) {
+        let csvContent = '';
+
+        await extractText(inputs, controls, (pageNumber, textContent) => {
+            // Group items by Y position to detect rows
+            const rows = {};
+            for (const item of textContent.items) {
+                const y = Math.round(item.transform[5]);
+                if (!rows[y]) rows[y] = [];
+                rows[y].push({ x: item.transform[4], text: item.str });
+            }
+
+            // Rows top to bottom, cells left to right
+            Object.keys(rows).map(Number).sort((a, b) => b - a).forEach(y => {
+                const rowItems = rows[y].sort((a, b) => a.x - b.x);
+                csvContent += rowItems.map(item => `"${item.text.replace(/"/g, '""')}"`).join(',') + '\n';
+            });
+
+            csvContent += '\n'; // Page separator
+        });
+
+        return { outputs: [textOutput('spreadsheet.csv', csvContent, 'text/csv')] };
+    }
+
+    // ============================================
+    // CONVERT TO PDF
+    // ============================================
+    const PAGE_SIZES = { a4: 'A4', letter: 'Letter', legal: 'Legal' };
+    const IMAGE_MARGIN = 28.35; // 10 mm
+
+    // JPEG and PNG are embedded as-is; other formats go through a canvas
+    async function embedImage(pdf, bytes) {
+        const isJpeg = bytes[0] === 0xff && bytes[1] === 0xd8;
+        const isPng = bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47;
+        if (isJpeg) return pdf.embedJpg(bytes);
+        if (isPng) return pdf.embedPng(bytes);
+
+        if (typeof createImageBitmap === 'undefined') {
+            throw new Error('Only JPEG and PNG images are supported here');
+        }
+        const bitmap = await createImageBitmap(new Blob([bytes]));
+        const canvas = createCanvas(bitmap.width, bitmap.height);
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        bitmap.close?.();
+        return pdf.embedPng(await canvasToBytes(canvas, 'image/png'));
+    }
+
+    async function imageToPdf(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        const { PDFDocument, PageSizes } = PDFLib;
+        requireInputs(inputs);
+        const pageSize = options.pageSize || 'a4';
+        const orientation = options.orientation || 'auto';
+        const pdf = await PDFDocument.create();
+
+        for (let i = 0; i < inputs.length; i++) {
+            progress(i / inputs.length * 0.9);
+
+            const image = await embedImage(pdf, inputs[i]);
+            let orient = orientation;
+            if (orient === 'auto') {
+                orient = image.width > image.height ? 'landscape' : 'portrait';
+            }
+
+            if (pageSize === 'fit') {
+                // Pixels at 96 DPI
+                const width = image.width * 0.75;
+                const height = image.height * 0.75;
+                pdf.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+                continue;
+            }
+
+            let [pageWidth, pageHeight] = PageSizes[PAGE_SIZES[pageSize] || 'A4'];
+            if (orient === 'landscape') [pageWidth, pageHeight] = [pageHeight, pageWidth];
+
+            // Scale down to fit inside the margins, then centre
+            const maxWidth = pageWidth - IMAGE_MARGIN * 2;
+            const maxHeight = pageHeight - IMAGE_MARGIN * 2;
+            const ratio = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+            const width = image.width * ratio;
+            const height = image.height * ratio;
+
+            pdf.addPage([pageWidth, pageHeight]).drawImage(image, {
+                x: (pageWidth - width) / 2,
+                y: (pageHeight - height) / 2,
+                width,
+                height
+            });
+        }
+
+        progress(0.95);
+        const bytes = await pdf.save();
+        progress(1);
+        return { outputs: [output('images.pdf', bytes)] };
+    }
+
+    function jsPDFOutput(name, pdf) {
+        return output(name, new Uint8Array(pdf.output('arraybuffer')));
+    }
+
+    async function textToPdf(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        const { jsPDF } = window.jspdf;
+        requireInputs(inputs);
+        const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+
+        progress(0.3);
+        const lines = new TextDecoder().decode(inputs[0]).split('\n');
+
+        const margin = 20;
+        const lineHeight = 7;
+        const pageHeight = 280;
+        let y = margin;
+
+        pdf.setFont('helvetica');
+        pdf.setFontSize(11);
+
+        for (let i = 0; i < lines.length; i++) {
+            if (i % 200 === 0) progress(0.3 + i / lines.length * 0.6);
+
+            // Word wrap long lines
+            for (const splitLine of pdf.splitTextToSize(lines[i], 170)) {
+                if (y > pageHeight) {
+                    pdf.addPage();
+                    y = margin;
+                }
+                pdf.text(splitLine, margin, y);
+                y += lineHeight;
+            }
+        }
+
+        progress(1);
+        return { outputs: [jsPDFOutput('document.pdf', pdf)] };
+    }
+
+    // Needs a DOM to lay out the page, so it only runs in the browser
+    async function htmlToPdf(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        const { jsPDF } = window.jspdf;
+        requireInputs(inputs);
+
+        progress(0.3);
+        const container = document.createElement('div');
+        container.innerHTML = new TextDecoder().decode(inputs[0]);
+        container.style.width = '800px';
+        container.style.padding = '20px';
+        container.style.background = 'white';
+        container.style.position = 'absolute';
+        container.style.left = '-9999px';
+        document.body.appendChild(container);
+
+        progress(0.5);
+        try {
+            // Use html2canvas if available, otherwise use basic text extraction
+            if (typeof html2canvas !== 'undefined') {
+                const canvas = await html2canvas(container);
+                const pdf = new jsPDF({
+                    orientation: canvas.width > canvas.height ? 'landscape' : 'portrait',
+                    unit: 'px',
+                    format: [canvas.width, canvas.height]
+                });
+                pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, canvas.width, canvas.height);
+                progress(1);
+                return { outputs: [jsPDFOutput('webpage.pdf', pdf)] };
+            }
+
+            const pdf = new jsPDF();
+            let y = 20;
+            for (const line of pdf.splitTextToSize(container.textContent || '', 180)) {
+                if (y > 280) {
+                    pdf.addPage();
+                    y = 20;
+                }
+                pdf.text(line, 15, y);
+                y += 7;
+            }
+            progress(1);
+            return { outputs: [jsPDFOutput('webpage.pdf', pdf)] };
+        } finally {
+            document.body.removeChild(container);
+        }
+    }
+
+    async function markdownToPdf(inputs, options = {}, controls) {
+        const { progress } = context(controls);
+        const { jsPDF } = window.jspdf;
+        requireInputs(inputs);
+
+        progress(0.2);
+        // Simple Markdown to HTML conversion
+        const html = new TextDecoder().decode(inputs[0])
+            // Headers
+            .replace(/^### (.*$)/gim, '<h3>$1</h3>')
+            .replace(/^## (.*$)/gim, '<h2>$1</h2>')
+            .replace(/^# (.*$)/gim, '<h1>$1</h1>')
+            // Bold and Italic
+            .replace(/\*\*\*(.*?)\*\*\*/g, '<b><i>$1</i></b>')
+            .replace(/\*\*(.*?)\*\*/g, '<b>$1</b>')
+            .replace(/\*(.*?)\*/g, '<i>$1</i>')
+            // Code blocks
+            .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
+            .replace(/`(.*?)`/g, '<code>$1</code>')
+            // Lists
+            .replace(/^\- (.*$)/gim, '• $1')
+            .replace(/^\d+\. (.*$)/gim, '$1')
+            // Links
+            .replace(/\[(.*?)\]\((.*?)\)/g, '$1 ($2)');
+
+        progress(0.5);
+        const pdf = new jsPDF();
+        let y = 20;
+        pdf.setFont('helvetica');
+
+        const headings = [['<h1>', 24, 15], ['<h2>', 18, 12], ['<h3>', 14, 10]];
+        for (const line of html.split('\n')) {
+            if (y > 280) {
+                pdf.addPage();
+                y = 20;
+            }
+
+            const heading = headings.find(([tag]) => line.includes(tag));
+            if (heading) {
+                const [, fontSize, spacing] = heading;
+                pdf.setFontSize(fontSize);
+                pdf.setFont('helvetica', 'bold');
+                pdf.text(line.replace(/<\/?h[1-3]>/g, ''), 15, y);
+                y += spacing;
+                continue;
+            }
+
+            pdf.setFontSize(11);
+            pdf.setFont('helvetica', 'normal');
+            for (const splitLine of pdf.splitTextToSize(line.replace(/<[^>]*>/g, ''), 180)) {
+                if (y > 280) {
+                    pdf.addPage();
+                    y = 20;
+                }
+                pdf.text(splitLine, 15, y);
+                y += 7;
+            }
+        }
+
+        progress(1);
+        return { outputs: [jsPDFOutput('markdown.pdf', pdf)] };
+    }
+
+    return {
+        COMPRESSION_LEVELS,
+        parsePageRanges,
+        throwIfAborted,
+        merge,
+        split,
+        splitPreview,
+        rotatePages,
+        extractPages,
+        deletePages,
+        addBlankPages,
+        duplicatePages,
+        reorderPages,
+        compress,
+        protect,
+        permissions,
+        unlock,
+        changePassword,
+        pdfToPdfa,
+        validatePdfa,
+        addWatermark,
+        watermarkPreview,
+        detectWatermarks,
+        removeWatermark,
+        pageNumbers,
+        pdfToImage,
+        pdfToText,
+        pdfToWord,
+        pdfToExcel,
+        imageToPdf,
+        textToPdf,
+        htmlToPdf,
+        markdownToPdf
+    };
+})();
+
+// Export
+window.PDFOps = PDFOps;
+window.PDFTools = Object.assign(window.PDFTools || {}, { ops: PDFOps });
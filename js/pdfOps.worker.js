@@ -0,0 +1,70 @@
+/* ============================================
+   PDF Tools - Operations Worker
+   Runs PDFTools.ops off the main thread (see pdfOpsWorker.js).
+
+   Messages in:  { type: 'run', id, op, inputs, options }
+   Messages out: { type: 'ready' }
+                 { type: 'progress', id, fraction, message }
+                 { type: 'output', id, output }      (partial result)
+                 { type: 'done', id, result }        (details + remaining outputs)
+                 { type: 'error', id, error: { name, message, code } }
+   ============================================ */
+
+// The shared modules export through window
+self.window = self;
+
+importScripts(
+    'https://unpkg.com/pdf-lib@1.17.1/dist/pdf-lib.min.js',
+    'https://unpkg.com/@pdf-lib/fontkit@1.1.1/dist/fontkit.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+    'pdfCrypto.js',
+    'pdfEncryption.js',
+    'pdfLinearizer.js',
+    'pdfOptimizer.js',
+    'pdfArchive.js',
+    'pdfOutline.js',
+    'pdfMerger.js',
+    'pdfWatermark.js',
+    'pdfNumbering.js',
+    'pdfOps.js'
+);
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+// Output buffers are transferred, not copied
+function transferables(outputs) {
+    return [...new Set(outputs.map(output => output.bytes.buffer))];
+}
+
+self.onmessage = async (event) => {
+    const { type, id, op, inputs, options } = event.data;
+    if (type !== 'run') return;
+
+    const sent = new Set();
+
+    try {
+        if (typeof PDFOps[op] !== 'function') {
+            throw new Error(`Unknown operation: ${op}`);
+        }
+
+        const result = await PDFOps[op](inputs, options, {
+            onProgress: (fraction, message) => self.postMessage({ type: 'progress', id, fraction, message }),
+            onOutput: (output) => {
+                sent.add(output);
+                self.postMessage({ type: 'output', id, output }, transferables([output]));
+            }
+        });
+
+        const outputs = result.outputs.filter(output => !sent.has(output));
+        self.postMessage({ type: 'done', id, result: { ...result, outputs } }, transferables(outputs));
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            id,
+            error: { name: error.name, message: error.message || 'Processing failed', code: error.code }
+        });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,163 @@
+/* ============================================
+   PDF Tools - Operations Worker Client
+   Runs PDFTools.ops in a Web Worker so large jobs don't freeze the page.
+   Cancelling terminates the worker, which frees everything it held.
+   ============================================ */
+
+const PDFOpsWorker = (() => {
+    // Resolved against this script so pages in sub-folders find it too
+    const WORKER_URL = new URL('pdfOps.worker.js', document.currentScript?.src || location.href).href;
+
+    // These need the page itself (DOM layout, canvas rendering through pdf.js)
+    const MAIN_THREAD_OPS = new Set(['htmlToPdf', 'pdfToImage']);
+
+    // Splitting at blank pages renders scanned pages through pdf.js, whose
+    // canvas factory needs a document even when OffscreenCanvas exists
+    const SPLIT_OPS = new Set(['split', 'splitPreview']);
+
+    function needsMainThread(name, options = {}) {
+        return MAIN_THREAD_OPS.has(name) || (SPLIT_OPS.has(name) && options.method === 'blank');
+    }
+
+    // Workers kept warm between runs; more than one only helps parallel batches
+    const MAX_IDLE_WORKERS = 2;
+
+    const idle = [];
+    let nextId = 1;
+    let unavailable = typeof Worker === 'undefined';
+
+    function abortError() {
+        const error = new Error('Operation cancelled');
+        error.name = 'AbortError';
+        error.code = 'ABORTED';
+        return error;
+    }
+
+    function toError(data) {
+        const error = new Error(data.message);
+        if (data.name) error.name = data.name;
+        if (data.code) error.code = data.code;
+        return error;
+    }
+
+    // Resolves once the worker has loaded its scripts; rejects if it cannot start
+    // (file:// pages, blocked CDN), in which case operations run on the main thread
+    function createWorker() {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker(WORKER_URL);
+            } catch (error) {
+                reject(error);
+                return;
+            }
+            worker.onmessage = (event) => {
+                if (event.data.type === 'ready') resolve(worker);
+            };
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                worker.terminate();
+                reject(new Error(event.message || 'Worker failed to start'));
+            };
+        });
+    }
+
+    async function acquire() {
+        return idle.pop() || createWorker();
+    }
+
+    function release(worker) {
+        worker.onmessage = null;
+        worker.onerror = null;
+        if (idle.length < MAX_IDLE_WORKERS) {
+            idle.push(worker);
+        } else {
+            worker.terminate();
+        }
+    }
+
+    function runOnMainThread(name, inputs, options, controls) {
+        return PDFTools.ops[name](inputs, options, controls);
+    }
+
+    /**
+     * Same contract as PDFTools.ops[name](inputs, options, controls).
+     * Input buffers are transferred to the worker and cannot be used afterwards.
+     * @param {Object} controls - { onProgress(fraction, message), onOutput(output), signal }
+     */
+    async function run(name, inputs, options = {}, controls = {}) {
+        const { signal, onProgress, onOutput } = controls;
+        PDFOps.throwIfAborted(signal);
+
+        if (unavailable || needsMainThread(name, options)) {
+            return runOnMainThread(name, inputs, options, controls);
+        }
+
+        let worker;
+        try {
+            worker = await acquire();
+        } catch (error) {
+            console.warn('PDF worker unavailable, running on the main thread:', error.message);
+            unavailable = true;
+            return runOnMainThread(name, inputs, options, controls);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = nextId++;
+            const partial = [];
+
+            const finish = (callback, keepWorker) => {
+                signal?.removeEventListener('abort', cancel);
+                if (keepWorker) {
+                    release(worker);
+                } else {
+                    worker.terminate();
+                }
+                callback();
+            };
+
+            function cancel() {
+                finish(() => reject(abortError()), false);
+            }
+
+            if (signal?.aborted) {
+                cancel();
+                return;
+            }
+            signal?.addEventListener('abort', cancel, { once: true });
+
+            worker.onmessage = (event) => {
+                const data = event.data;
+                if (data.id !== id) return;
+
+                if (data.type === 'progress') {
+                    onProgress?.(data.fraction, data.message);
+                } else if (data.type === 'output') {
+                    partial.push(data.output);
+                    onOutput?.(data.output);
+                } else if (data.type === 'done') {
+                    finish(() => resolve({ ...data.result, outputs: [...partial, ...data.result.outputs] }), true);
+                } else if (data.type === 'error') {
+                    finish(() => reject(toError(data.error)), true);
+                }
+            };
+
+            // An uncaught error (e.g. out of memory) leaves the worker unusable
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                finish(() => reject(new Error(event.message || 'Processing failed')), false);
+            };
+
+            worker.postMessage({ type: 'run', id, op: name, inputs, options }, inputs.map(input => input.buffer));
+        });
+    }
+
+    return {
+        MAIN_THREAD_OPS,
+        needsMainThread,
+        run
+    };
+})();
+
+// Export
+window.PDFOpsWorker = PDFOpsWorker;
@@ -0,0 +1,1371 @@
+/* ============================================
+   PDF Tools - Optimization Engine
+   Image recompression and downsampling on top of pdf-lib
+   ============================================ */
+
+const PDFOptimizer = (() => {
+    // Images with at most this many distinct colours are stored losslessly
+    const LINE_ART_MAX_COLORS = 16;
+
+    // Resample only when the image is noticeably above the target resolution
+    const DOWNSAMPLE_THRESHOLD = 0.9;
+
+    // ============================================
+    // STREAM HELPERS
+    // ============================================
+
+    // Returns the decoded bytes of any pdf-lib stream object
+    function getStreamBytes(stream) {
+        const { PDFRawStream, decodePDFRawStream } = PDFLib;
+        if (stream instanceof PDFRawStream) {
+            return decodePDFRawStream(stream).decode();
+        }
+        if (typeof stream.getUnencodedContents === 'function') {
+            return stream.getUnencodedContents();
+        }
+        return stream.getContents();
+    }
+
+    function filterNames(dict) {
+        const { PDFName, PDFArray } = PDFLib;
+        const filter = dict.lookup(PDFName.of('Filter'));
+        if (filter instanceof PDFName) return [filter.decodeText()];
+        if (filter instanceof PDFArray) {
+            return filter.asArray().map(f => dict.context.lookup(f).decodeText());
+        }
+        return [];
+    }
+
+    function getNumber(dict, key, fallback) {
+        const value = dict.lookup(PDFLib.PDFName.of(key));
+        return value && typeof value.asNumber === 'function' ? value.asNumber() : fallback;
+    }
+
+    // Concatenated, decoded content of a page (Contents may be a stream or an array)
+    function getPageContent(page) {
+        const { PDFArray, PDFStream } = PDFLib;
+        const contents = page.node.Contents();
+        const streams = contents instanceof PDFArray
+            ? contents.asArray().map(ref => page.doc.context.lookup(ref))
+            : [contents];
+
+        const parts = streams
+            .filter(stream => stream instanceof PDFStream)
+            .map(stream => getStreamBytes(stream));
+
+        const total = parts.reduce((sum, part) => sum + part.length + 1, 0);
+        const result = new Uint8Array(total);
+        let offset = 0;
+        for (const part of parts) {
+            result.set(part, offset);
+            result[offset + part.length] = 0x0a;
+            offset += part.length + 1;
+        }
+        return result;
+    }
+
+    // ============================================
+    // CONTENT STREAM SCANNER
+    // ============================================
+    const WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+    const DELIMITERS = new Set([0x28, 0x29, 0x3c, 0x3e, 0x5b, 0x5d, 0x7b, 0x7d, 0x2f, 0x25]);
+
+    function isRegular(byte) {
+        return !WHITESPACE.has(byte) && !DELIMITERS.has(byte);
+    }
+
+    /**
+     * Minimal content stream tokenizer. Calls onOperator(operator, operands,
+     * start, end) for every operator; operands are numbers, names ({ name })
+     * or null for strings, arrays and dictionaries that the callers never
+     * need (a dictionary's names and numbers are passed on flattened).
+     * start and end are the byte offsets of the operands and operator.
+     */
+    function scanContent(bytes, onOperator) {
+        const length = bytes.length;
+        let operands = [];
+        let start = -1;
+        let i = 0;
+
+        while (i < length) {
+            const byte = bytes[i];
+            if (start < 0 && !WHITESPACE.has(byte) && byte !== 0x25) start = i;
+
+            if (WHITESPACE.has(byte)) {
+                i++;
+            } else if (byte === 0x25) { // % comment
+                while (i < length && bytes[i] !== 0x0a && bytes[i] !== 0x0d) i++;
+            } else if (byte === 0x28) { // ( literal string )
+                let depth = 1;
+                i++;
+                while (i < length && depth > 0) {
+                    if (bytes[i] === 0x5c) i++;
+                    else if (bytes[i] === 0x28) depth++;
+                    else if (bytes[i] === 0x29) depth--;
+                    i++;
+                }
+                operands.push(null);
+            } else if (byte === 0x3c && bytes[i + 1] !== 0x3c) { // <hex string>
+                while (i < length && bytes[i] !== 0x3e) i++;
+                i++;
+                operands.push(null);
+            } else if (byte === 0x3c || byte === 0x3e) { // << or >>
+                i += 2;
+            } else if (byte === 0x5b || byte === 0x5d || byte === 0x7b || byte === 0x7d) {
+                i++;
+            } else if (byte === 0x2f) { // /Name
+                let end = i + 1;
+                while (end < length && isRegular(bytes[end])) end++;
+                const raw = String.fromCharCode(...bytes.subarray(i + 1, end));
+                operands.push({ name: raw.replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))) });
+                i = end;
+            } else {
+                let end = i;
+                while (end < length && isRegular(bytes[end])) end++;
+                if (end === i) {
+                    i++;
+                    continue;
+                }
+                const token = String.fromCharCode(...bytes.subarray(i, end));
+                i = end;
+
+                if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+                    operands.push(parseFloat(token));
+                } else if (token === 'BI') {
+                    // Inline image: skip the data up to a standalone EI
+                    while (i < length && !(bytes[i] === 0x49 && bytes[i + 1] === 0x44 && WHITESPACE.has(bytes[i - 1]))) i++;
+                    i += 3;
+                    while (i < length && !(WHITESPACE.has(bytes[i - 1]) && bytes[i] === 0x45 && bytes[i + 1] === 0x49 &&
+                        (i + 2 >= length || WHITESPACE.has(bytes[i + 2])))) i++;
+                    i += 2;
+                    operands = [];
+                    start = -1;
+                } else {
+                    onOperator(token, operands, start, i);
+                    operands = [];
+                    start = -1;
+                }
+            }
+        }
+    }
+
+    function multiplyMatrix(m, n) {
+        return [
+            m[0] * n[0] + m[1] * n[2],
+            m[0] * n[1] + m[1] * n[3],
+            m[2] * n[0] + m[3] * n[2],
+            m[2] * n[1] + m[3] * n[3],
+            m[4] * n[0] + m[5] * n[2] + n[4],
+            m[4] * n[1] + m[5] * n[3] + n[5]
+        ];
+    }
+
+    /**
+     * Walks the content of a page (and nested form XObjects) and reports
+     * every image placement with its size on the page in points.
+     */
+    function collectImagePlacements(page, onImage) {
+        const { PDFName, PDFDict, PDFStream, PDFRef, PDFArray } = PDFLib;
+        const context = page.doc.context;
+
+        const walk = (bytes, resources, baseMatrix, visited) => {
+            const xObjects = resources && resources.lookup(PDFName.of('XObject'));
+            const stack = [];
+            let ctm = baseMatrix;
+
+            scanContent(bytes, (operator, operands) => {
+                if (operator === 'q') {
+                    stack.push(ctm);
+                } else if (operator === 'Q') {
+                    ctm = stack.length ? stack.pop() : baseMatrix;
+                } else if (operator === 'cm' && operands.length === 6 && operands.every(n => typeof n === 'number')) {
+                    ctm = multiplyMatrix(operands, ctm);
+                } else if (operator === 'Do' && operands[0] && operands[0].name && xObjects instanceof PDFDict) {
+                    const ref = xObjects.get(PDFName.of(operands[0].name));
+                    const xObject = context.lookup(ref);
+                    if (!(ref instanceof PDFRef) || !(xObject instanceof PDFStream)) return;
+
+                    const subtype = xObject.dict.get(PDFName.of('Subtype'));
+                    if (subtype === PDFName.of('Image')) {
+                        onImage(ref, Math.hypot(ctm[0], ctm[1]), Math.hypot(ctm[2], ctm[3]));
+                    } else if (subtype === PDFName.of('Form') && !visited.has(ref)) {
+                        const matrix = xObject.dict.lookup(PDFName.of('Matrix'));
+                        const formMatrix = matrix instanceof PDFArray && matrix.size() === 6
+                            ? matrix.asArray().map(n => n.asNumber())
+                            : [1, 0, 0, 1, 0, 0];
+                        const formResources = xObject.dict.lookup(PDFName.of('Resources'));
+                        try {
+                            walk(getStreamBytes(xObject), formResources instanceof PDFDict ? formResources : resources,
+                                multiplyMatrix(formMatrix, ctm), new Set([...visited, ref]));
+                        } catch (error) {
+                            // Undecodable form content: its images keep their resolution
+                        }
+                    }
+                }
+            });
+        };
+
+        walk(getPageContent(page), page.node.Resources(), [1, 0, 0, 1, 0, 0], new Set());
+    }
+
+    // ============================================
+    // IMAGE DECODING
+    // ============================================
+    function canProcessImages() {
+        return typeof createImageBitmap === 'function' &&
+            (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+    }
+
+    function createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    function canvasToJpeg(canvas, quality) {
+        if (typeof canvas.convertToBlob === 'function') {
+            return canvas.convertToBlob({ type: 'image/jpeg', quality });
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+    }
+
+    // Undoes PNG predictors (Predictor >= 10) on Flate image data
+    function removePngPredictor(data, columns, colors) {
+        const rowLength = columns * colors;
+        const rows = Math.floor(data.length / (rowLength + 1));
+        const output = new Uint8Array(rows * rowLength);
+
+        for (let row = 0; row < rows; row++) {
+            const filter = data[row * (rowLength + 1)];
+            const input = row * (rowLength + 1) + 1;
+            const out = row * rowLength;
+            const prev = out - rowLength;
+
+            for (let x = 0; x < rowLength; x++) {
+                const raw = data[input + x];
+                const left = x >= colors ? output[out + x - colors] : 0;
+                const up = row > 0 ? output[prev + x] : 0;
+                const upLeft = row > 0 && x >= colors ? output[prev + x - colors] : 0;
+
+                let value;
+                switch (filter) {
+                    case 1: value = raw + left; break;
+                    case 2: value = raw + up; break;
+                    case 3: value = raw + ((left + up) >> 1); break;
+                    case 4: {
+                        const p = left + up - upLeft;
+                        const pa = Math.abs(p - left), pb = Math.abs(p - up), pc = Math.abs(p - upLeft);
+                        value = raw + (pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft);
+                        break;
+                    }
+                    default: value = raw;
+                }
+                output[out + x] = value & 0xff;
+            }
+        }
+        return output;
+    }
+
+    // Number of colour components for the colour spaces we can re-encode, or 0
+    function colorComponents(dict) {
+        const { PDFName, PDFArray, PDFStream } = PDFLib;
+        const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+
+        if (colorSpace === PDFName.of('DeviceRGB') || colorSpace === PDFName.of('CalRGB')) return 3;
+        if (colorSpace === PDFName.of('DeviceGray') || colorSpace === PDFName.of('CalGray')) return 1;
+
+        if (colorSpace instanceof PDFArray && colorSpace.size() >= 2) {
+            const family = colorSpace.lookup(0);
+            if (family === PDFName.of('ICCBased')) {
+                const profile = colorSpace.lookup(1);
+                const n = profile instanceof PDFStream ? getNumber(profile.dict, 'N', 0) : 0;
+                return n === 1 || n === 3 ? n : 0;
+            }
+            if (family === PDFName.of('CalRGB')) return 3;
+            if (family === PDFName.of('CalGray')) return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Checks that an image XObject is one we can decode and re-encode
+     * without changing its appearance. Returns a description or null.
+     */
+    function describeImage(stream) {
+        const { PDFName, PDFBool, PDFArray } = PDFLib;
+        const dict = stream.dict;
+
+        if (dict.get(PDFName.of('ImageMask')) === PDFBool.True) return null;
+        if (dict.lookup(PDFName.of('Decode')) instanceof PDFArray) return null;
+        if (dict.lookup(PDFName.of('Mask')) instanceof PDFArray) return null; // colour-key masks need exact pixels
+        if (getNumber(dict, 'BitsPerComponent', 8) !== 8) return null;
+
+        const components = colorComponents(dict);
+        if (!components) return null;
+
+        const filters = filterNames(dict);
+        const width = getNumber(dict, 'Width', 0);
+        const height = getNumber(dict, 'Height', 0);
+        if (!width || !height) return null;
+
+        if (filters.length === 1 && filters[0] === 'DCTDecode') {
+            return { kind: 'jpeg', width, height, components };
+        }
+        if (filters.every(f => ['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode'].includes(f))) {
+            return { kind: 'raw', width, height, components };
+        }
+        return null;
+    }
+
+    async function decodeRawPixels(stream, info) {
+        const { PDFName, PDFDict, PDFArray } = PDFLib;
+        let data = getStreamBytes(stream);
+
+        let params = stream.dict.lookup(PDFName.of('DecodeParms'));
+        if (params instanceof PDFArray) params = params.lookup(params.size() - 1);
+        const predictor = params instanceof PDFDict ? getNumber(params, 'Predictor', 1) : 1;
+        if (predictor >= 10) {
+            data = removePngPredictor(data, info.width, info.components);
+        } else if (predictor !== 1) {
+            return null;
+        }
+
+        const pixelCount = info.width * info.height;
+        if (data.length < pixelCount * info.components) return null;
+
+        const rgba = new Uint8ClampedArray(pixelCount * 4);
+        for (let p = 0, s = 0, d = 0; p < pixelCount; p++, d += 4) {
+            if (info.components === 1) {
+                rgba[d] = rgba[d + 1] = rgba[d + 2] = data[s++];
+            } else {
+                rgba[d] = data[s++];
+                rgba[d + 1] = data[s++];
+                rgba[d + 2] = data[s++];
+            }
+            rgba[d + 3] = 255;
+        }
+
+        const canvas = createCanvas(info.width, info.height);
+        canvas.getContext('2d').putImageData(new ImageData(rgba, info.width, info.height), 0, 0);
+        return canvas;
+    }
+
+    async function decodeImage(stream, info) {
+        if (info.kind === 'jpeg') {
+            return createImageBitmap(new Blob([stream.getContents()], { type: 'image/jpeg' }));
+        }
+        return decodeRawPixels(stream, info);
+    }
+
+    // Counts colours (up to a limit) and checks whether every pixel is grey
+    function analysePixels(rgba) {
+        const colors = new Set();
+        let isGray = true;
+        for (let i = 0; i < rgba.length; i += 4) {
+            const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+            if (isGray && (r !== g || g !== b)) isGray = false;
+            if (colors.size <= LINE_ART_MAX_COLORS) colors.add((r << 16) | (g << 8) | b);
+            if (!isGray && colors.size > LINE_ART_MAX_COLORS) break;
+        }
+        return { isGray, isLineArt: colors.size <= LINE_ART_MAX_COLORS };
+    }
+
+    function packPixels(rgba, components) {
+        const pixelCount = rgba.length / 4;
+        const packed = new Uint8Array(pixelCount * components);
+        for (let p = 0, s = 0, d = 0; p < pixelCount; p++, s += 4) {
+            packed[d++] = rgba[s];
+            if (components === 3) {
+                packed[d++] = rgba[s + 1];
+                packed[d++] = rgba[s + 2];
+            }
+        }
+        return packed;
+    }
+
+    // Builds the replacement XObject, keeping masks, intent and other entries
+    function buildImageStream(context, original, contents, width, height, colorSpace, filter) {
+        const { PDFName, PDFRawStream, PDFNumber } = PDFLib;
+        const dict = original.dict.clone(context);
+
+        ['Filter', 'DecodeParms', 'Length', 'ColorSpace'].forEach(key => dict.delete(PDFName.of(key)));
+        dict.set(PDFName.of('Width'), PDFNumber.of(width));
+        dict.set(PDFName.of('Height'), PDFNumber.of(height));
+        dict.set(PDFName.of('BitsPerComponent'), PDFNumber.of(8));
+        dict.set(PDFName.of('ColorSpace'), colorSpace);
+        dict.set(PDFName.of('Filter'), PDFName.of(filter));
+
+        return PDFRawStream.of(dict, contents);
+    }
+
+    /**
+     * Re-encodes one image. Returns the new stream, or null to keep the original.
+     */
+    async function recompressImage(context, stream, info, scale, options) {
+        const { PDFName } = PDFLib;
+        const shouldResample = options.reduceDPI && scale < DOWNSAMPLE_THRESHOLD;
+        if (!shouldResample && !options.compressImages) return null;
+
+        const source = await decodeImage(stream, info);
+        if (!source) return null;
+
+        const width = shouldResample ? Math.max(1, Math.round(info.width * scale)) : info.width;
+        const height = shouldResample ? Math.max(1, Math.round(info.height * scale)) : info.height;
+
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.drawImage(source, 0, 0, width, height);
+        if (typeof source.close === 'function') source.close();
+
+        const rgba = ctx.getImageData(0, 0, width, height).data;
+        const { isGray, isLineArt } = analysePixels(rgba);
+
+        // Keep an ICC profile when the channel count still matches it
+        const originalColorSpace = stream.dict.get(PDFName.of('ColorSpace'));
+        const rgbSpace = info.components === 3 ? originalColorSpace : PDFName.of('DeviceRGB');
+
+        // Without recompression, raw images stay lossless and JPEGs keep near-original quality
+        let replacement;
+        if (isLineArt || (!options.compressImages && info.kind === 'raw')) {
+            const components = isGray ? 1 : 3;
+            const colorSpace = isGray ? (info.components === 1 ? originalColorSpace : PDFName.of('DeviceGray')) : rgbSpace;
+            const flate = context.flateStream(packPixels(rgba, components));
+            replacement = buildImageStream(context, stream, flate.getContents(), width, height, colorSpace, 'FlateDecode');
+        } else {
+            const blob = await canvasToJpeg(canvas, options.compressImages ? options.imageQuality : 0.92);
+            const jpeg = new Uint8Array(await blob.arrayBuffer());
+            replacement = buildImageStream(context, stream, jpeg, width, height, rgbSpace, 'DCTDecode');
+        }
+
+        return replacement.getContents().length < stream.getContents().length ? replacement : null;
+    }
+
+    // ============================================
+    // DOCUMENT STRUCTURE
+    // ============================================
+
+    // Calls visit(ref) for every reference reachable from an object
+    function forEachReference(object, visit) {
+        const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+        if (object instanceof PDFRef) {
+            visit(object);
+        } else if (object instanceof PDFStream) {
+            forEachReference(object.dict, visit);
+        } else if (object instanceof PDFDict) {
+            for (const [, value] of object.entries()) forEachReference(value, visit);
+        } else if (object instanceof PDFArray) {
+            for (const value of object.asArray()) forEachReference(value, visit);
+        }
+    }
+
+    /**
+     * Deletes objects that can no longer be reached from the trailer,
+     * so removed structures actually leave the saved file.
+     * @returns {number} count of deleted objects
+     */
+    function removeUnreachableObjects(pdf) {
+        const context = pdf.context;
+        const reachable = new Set();
+        const queue = [context.trailerInfo.Root, context.trailerInfo.Info, context.trailerInfo.Encrypt].filter(Boolean);
+
+        const mark = (ref) => {
+            if (!reachable.has(ref)) {
+                reachable.add(ref);
+                queue.push(ref);
+            }
+        };
+
+        while (queue.length) {
+            const item = queue.pop();
+            forEachReference(item instanceof PDFLib.PDFRef ? context.lookup(item) : item, mark);
+            if (item instanceof PDFLib.PDFRef) reachable.add(item);
+        }
+
+        let deleted = 0;
+        for (const [ref] of context.enumerateIndirectObjects()) {
+            if (!reachable.has(ref)) {
+                context.delete(ref);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    /**
+     * Approximate serialized size of a document: the bytes of every
+     * indirect object plus its "n g obj ... endobj" wrapper and xref entry.
+     */
+    function estimateSize(pdf) {
+        let total = 0;
+        for (const [ref, object] of pdf.context.enumerateIndirectObjects()) {
+            total += object.sizeInBytes() + ref.sizeInBytes() + 36;
+        }
+        return total;
+    }
+
+    // Removes page annotations matching predicate; returns how many were removed
+    function filterAnnotations(pdf, predicate) {
+        const { PDFName, PDFArray, PDFDict } = PDFLib;
+        let removed = 0;
+
+        pdf.getPages().forEach(page => {
+            const annots = page.node.lookup(PDFName.of('Annots'));
+            if (!(annots instanceof PDFArray)) return;
+
+            // Dangling references (e.g. left by form flattening) are dropped as well
+            const kept = annots.asArray().filter(ref => {
+                const annot = pdf.context.lookup(ref);
+                if (!annot) return false;
+                const remove = annot instanceof PDFDict && predicate(annot);
+                if (remove) removed++;
+                return !remove;
+            });
+
+            if (kept.length === 0) {
+                page.node.delete(PDFName.of('Annots'));
+            } else if (kept.length !== annots.size()) {
+                page.node.set(PDFName.of('Annots'), pdf.context.obj(kept));
+            }
+        });
+
+        return removed;
+    }
+
+    function hasSubtype(dict, subtype) {
+        return dict.get(PDFLib.PDFName.of('Subtype')) === PDFLib.PDFName.of(subtype);
+    }
+
+    function getNamesDict(pdf) {
+        return pdf.catalog.lookup(PDFLib.PDFName.of('Names'));
+    }
+
+    function deleteName(pdf, key) {
+        const { PDFName, PDFDict } = PDFLib;
+        const names = getNamesDict(pdf);
+        if (!(names instanceof PDFDict) || !names.has(PDFName.of(key))) return false;
+
+        names.delete(PDFName.of(key));
+        if (names.entries().length === 0) pdf.catalog.delete(PDFName.of('Names'));
+        return true;
+    }
+
+    // Every field dictionary of the AcroForm tree (including widgets in Kids)
+    function getFieldDicts(pdf) {
+        const { PDFName, PDFDict, PDFArray } = PDFLib;
+        const acroForm = pdf.catalog.lookup(PDFName.of('AcroForm'));
+        const result = [];
+        if (!(acroForm instanceof PDFDict)) return result;
+
+        const visit = (array, depth) => {
+            if (!(array instanceof PDFArray) || depth > 32) return;
+            array.asArray().forEach(ref => {
+                const field = pdf.context.lookup(ref);
+                if (!(field instanceof PDFDict)) return;
+                result.push(field);
+                visit(field.lookup(PDFName.of('Kids')), depth + 1);
+            });
+        };
+        visit(acroForm.lookup(PDFName.of('Fields')), 0);
+        return result;
+    }
+
+    // ============================================
+    // STRIP STEPS
+    // ============================================
+    function isJavaScriptAction(action) {
+        const { PDFName, PDFDict } = PDFLib;
+        return action instanceof PDFDict && action.get(PDFName.of('S')) === PDFName.of('JavaScript');
+    }
+
+    /**
+     * Drops JavaScript from an action entry (and its /Next chain).
+     * Returns the number of scripts removed.
+     */
+    function stripActionEntry(pdf, dict, key) {
+        const { PDFName, PDFDict, PDFArray } = PDFLib;
+        const action = dict.lookup(PDFName.of(key));
+
+        if (isJavaScriptAction(action)) {
+            dict.delete(PDFName.of(key));
+            return 1;
+        }
+        if (!(action instanceof PDFDict)) return 0;
+
+        const next = action.lookup(PDFName.of('Next'));
+        if (next instanceof PDFArray) {
+            const kept = next.asArray().filter(ref => !isJavaScriptAction(pdf.context.lookup(ref)));
+            const removed = next.size() - kept.length;
+            if (removed) action.set(PDFName.of('Next'), pdf.context.obj(kept));
+            return removed + kept.reduce((sum, ref) => {
+                const child = pdf.context.lookup(ref);
+                return sum + (child instanceof PDFDict ? stripActionEntry(pdf, child, 'Next') : 0);
+            }, 0);
+        }
+        return next ? stripActionEntry(pdf, action, 'Next') : 0;
+    }
+
+    // Additional-actions (/AA) dictionaries only ever hold triggers; drop them whole
+    function stripAdditionalActions(dict) {
+        const { PDFName } = PDFLib;
+        if (!dict.has(PDFName.of('AA'))) return 0;
+        dict.delete(PDFName.of('AA'));
+        return 1;
+    }
+
+    function removeJavaScript(pdf) {
+        const { PDFName, PDFDict } = PDFLib;
+        let removed = deleteName(pdf, 'JavaScript') ? 1 : 0;
+
+        removed += stripActionEntry(pdf, pdf.catalog, 'OpenAction');
+        removed += stripAdditionalActions(pdf.catalog);
+
+        pdf.getPages().forEach(page => {
+            removed += stripAdditionalActions(page.node);
+            const annots = page.node.lookup(PDFName.of('Annots'));
+            if (!annots) return;
+            annots.asArray().forEach(ref => {
+                const annot = pdf.context.lookup(ref);
+                if (!(annot instanceof PDFDict)) return;
+                removed += stripActionEntry(pdf, annot, 'A');
+                removed += stripAdditionalActions(annot);
+            });
+        });
+
+        getFieldDicts(pdf).forEach(field => {
+            removed += stripAdditionalActions(field);
+        });
+
+        return removed;
+    }
+
+    function removeAttachments(pdf) {
+        const { PDFName } = PDFLib;
+        let removed = deleteName(pdf, 'EmbeddedFiles') ? 1 : 0;
+        if (pdf.catalog.has(PDFName.of('AF'))) {
+            pdf.catalog.delete(PDFName.of('AF'));
+        }
+        removed += filterAnnotations(pdf, annot => hasSubtype(annot, 'FileAttachment'));
+        return removed;
+    }
+
+    function removeLinks(pdf) {
+        return filterAnnotations(pdf, annot => hasSubtype(annot, 'Link'));
+    }
+
+    function removeAnnotations(pdf) {
+        return filterAnnotations(pdf, () => true);
+    }
+
+    function removeThumbnails(pdf) {
+        const { PDFName } = PDFLib;
+        let removed = 0;
+        pdf.getPages().forEach(page => {
+            if (page.node.has(PDFName.of('Thumb'))) {
+                page.node.delete(PDFName.of('Thumb'));
+                removed++;
+            }
+        });
+        return removed;
+    }
+
+    function removeMetadata(pdf) {
+        const { PDFName } = PDFLib;
+        pdf.setTitle('');
+        pdf.setAuthor('');
+        pdf.setSubject('');
+        pdf.setKeywords([]);
+        pdf.setProducer('');
+        pdf.setCreator('');
+        pdf.setCreationDate(new Date(0));
+        pdf.setModificationDate(new Date(0));
+
+        if (pdf.catalog.has(PDFName.of('Metadata'))) {
+            pdf.catalog.delete(PDFName.of('Metadata'));
+            return 1;
+        }
+        return 0;
+    }
+
+    /**
+     * Removes optional content (layers). Content in layers that are hidden
+     * by default is dropped where it is a separate object (annotations and
+     * form XObjects); everything else becomes permanently visible.
+     */
+    function flattenLayers(pdf) {
+        const { PDFName, PDFDict, PDFArray, PDFStream, PDFRawStream } = PDFLib;
+        const context = pdf.context;
+        const properties = pdf.catalog.lookup(PDFName.of('OCProperties'));
+        if (!(properties instanceof PDFDict)) return 0;
+
+        const groups = properties.lookup(PDFName.of('OCGs'));
+        const defaults = properties.lookup(PDFName.of('D'));
+        const hidden = new Set();
+        const off = defaults instanceof PDFDict ? defaults.lookup(PDFName.of('OFF')) : null;
+        if (off instanceof PDFArray) off.asArray().forEach(ref => hidden.add(ref));
+
+        const isHidden = (dict) => {
+            const oc = dict.get(PDFName.of('OC'));
+            if (hidden.has(oc)) return true;
+            // Membership dictionaries: hidden when every listed group is off
+            const membership = context.lookup(oc);
+            if (membership instanceof PDFDict && membership.get(PDFName.of('Type')) === PDFName.of('OCMD')) {
+                const members = membership.lookup(PDFName.of('OCGs'));
+                const list = members instanceof PDFArray ? members.asArray() : [membership.get(PDFName.of('OCGs'))];
+                return list.length > 0 && list.every(ref => hidden.has(ref));
+            }
+            return false;
+        };
+
+        filterAnnotations(pdf, annot => isHidden(annot));
+
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            const dict = object instanceof PDFStream ? object.dict : object;
+            if (!(dict instanceof PDFDict) || !dict.has(PDFName.of('OC'))) continue;
+
+            if (object instanceof PDFStream && hasSubtype(dict, 'Form') && isHidden(dict)) {
+                dict.delete(PDFName.of('Filter'));
+                dict.delete(PDFName.of('DecodeParms'));
+                context.assign(ref, PDFRawStream.of(dict, new Uint8Array(0)));
+            }
+            dict.delete(PDFName.of('OC'));
+        }
+
+        pdf.catalog.delete(PDFName.of('OCProperties'));
+        return groups instanceof PDFArray ? groups.size() : 1;
+    }
+
+    function flattenForms(pdf) {
+        const { PDFName, PDFDict } = PDFLib;
+        if (!(pdf.catalog.lookup(PDFName.of('AcroForm')) instanceof PDFDict)) return 0;
+
+        const form = pdf.getForm();
+        const count = form.getFields().length;
+        form.deleteXFA();
+
+        try {
+            form.flatten();
+        } catch (error) {
+            // Fields whose appearance cannot be regenerated keep their current one
+            console.warn('Could not update field appearances, flattening as-is:', error);
+            form.flatten({ updateFieldAppearances: false });
+        }
+        filterAnnotations(pdf, () => false);
+        return count;
+    }
+
+    // Applied in this order; ids match the optimizer option names
+    const STRIP_STEPS = [
+        { id: 'removeMetadata', label: 'Metadata', unit: 'entries', run: removeMetadata },
+        { id: 'removeJavaScript', label: 'JavaScript', unit: 'scripts', run: removeJavaScript },
+        { id: 'removeAttachments', label: 'Attachments', unit: 'attachments', run: removeAttachments },
+        { id: 'removeLinks', label: 'Hyperlinks', unit: 'links', run: removeLinks },
+        { id: 'removeAnnotations', label: 'Annotations', unit: 'annotations', run: removeAnnotations },
+        { id: 'removeThumbnails', label: 'Thumbnails', unit: 'thumbnails', run: removeThumbnails },
+        { id: 'flattenForms', label: 'Form fields', unit: 'fields flattened', run: flattenForms },
+        { id: 'flattenLayers', label: 'Layers', unit: 'layers flattened', run: flattenLayers }
+    ];
+
+    // ============================================
+    // SIZE ANALYSIS
+    // ============================================
+    const CATEGORY_LABELS = {
+        images: 'Images',
+        fonts: 'Fonts',
+        contentStreams: 'Content streams',
+        metadata: 'Metadata / XMP',
+        attachments: 'Attachments',
+        annotations: 'Annotations',
+        thumbnails: 'Thumbnails',
+        unused: 'Unused objects',
+        other: 'Document structure'
+    };
+
+    const FONT_KEYS = ['FontDescriptor', 'FontFile', 'FontFile2', 'FontFile3', 'ToUnicode', 'Widths',
+        'DescendantFonts', 'Encoding', 'CIDToGIDMap', 'CIDSystemInfo', 'W', 'CIDSet'];
+
+    function objectSize(ref, object) {
+        return object.sizeInBytes() + ref.sizeInBytes() + 36;
+    }
+
+    function nameText(value) {
+        return value instanceof PDFLib.PDFName ? value.decodeText() : null;
+    }
+
+    function describeColorSpace(dict) {
+        const { PDFName, PDFArray } = PDFLib;
+        const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+        if (colorSpace instanceof PDFArray) return nameText(colorSpace.lookup(0)) || 'Unknown';
+        return nameText(colorSpace) || (dict.get(PDFName.of('ImageMask')) ? 'Mask' : 'Unknown');
+    }
+
+    // Adds a ref (and everything reachable from it, stopping at pages) to a category
+    function claimTree(context, root, category, claimed) {
+        const { PDFRef, PDFDict, PDFName } = PDFLib;
+        const stack = [root];
+        while (stack.length) {
+            const ref = stack.pop();
+            if (!(ref instanceof PDFRef) || claimed.has(ref)) continue;
+            const object = context.lookup(ref);
+            if (!object) continue;
+            const dict = object instanceof PDFDict ? object : object.dict;
+            const type = dict && dict.get(PDFName.of('Type'));
+            if (type === PDFName.of('Page') || type === PDFName.of('Pages') || type === PDFName.of('Catalog')) continue;
+
+            claimed.set(ref, category);
+            forEachReference(object, child => stack.push(child));
+        }
+    }
+
+    function describeFont(context, fontDict) {
+        const { PDFName, PDFDict, PDFArray } = PDFLib;
+        const baseFont = nameText(fontDict.lookup(PDFName.of('BaseFont'))) || 'Unnamed';
+        let descriptor = fontDict.lookup(PDFName.of('FontDescriptor'));
+
+        const descendants = fontDict.lookup(PDFName.of('DescendantFonts'));
+        if (!(descriptor instanceof PDFDict) && descendants instanceof PDFArray) {
+            const descendant = descendants.lookup(0);
+            if (descendant instanceof PDFDict) descriptor = descendant.lookup(PDFName.of('FontDescriptor'));
+        }
+
+        let fileRef = null;
+        if (descriptor instanceof PDFDict) {
+            fileRef = ['FontFile', 'FontFile2', 'FontFile3']
+                .map(key => descriptor.get(PDFName.of(key)))
+                .find(Boolean) || null;
+        }
+        const file = fileRef && context.lookup(fileRef);
+
+        return {
+            name: baseFont.replace(/^[A-Z]{6}\+/, ''),
+            type: nameText(fontDict.lookup(PDFName.of('Subtype'))) || 'Unknown',
+            embedded: Boolean(file),
+            subset: /^[A-Z]{6}\+/.test(baseFont),
+            bytes: file ? file.sizeInBytes() : 0
+        };
+    }
+
+    /**
+     * Breaks the size of a document down by category.
+     * @param {PDFDocument} pdf - document as loaded (before any cleanup)
+     * @param {number} [fileSize] - size of the original file in bytes
+     * @returns {object} JSON-serialisable report
+     */
+    function analyze(pdf, fileSize) {
+        const { PDFName, PDFDict, PDFArray, PDFStream, PDFRef } = PDFLib;
+        const context = pdf.context;
+        const claimed = new Map();
+
+        // Everything reachable from the trailer; the rest is dead weight
+        const reachable = new Set();
+        const queue = [context.trailerInfo.Root, context.trailerInfo.Info].filter(Boolean);
+        while (queue.length) {
+            const item = queue.pop();
+            const object = item instanceof PDFRef ? context.lookup(item) : item;
+            forEachReference(object, ref => {
+                if (!reachable.has(ref)) {
+                    reachable.add(ref);
+                    queue.push(ref);
+                }
+            });
+        }
+        if (context.trailerInfo.Root) reachable.add(context.trailerInfo.Root);
+        if (context.trailerInfo.Info instanceof PDFRef) reachable.add(context.trailerInfo.Info);
+
+        // Attachments first, so their file streams are not counted elsewhere
+        const names = getNamesDict(pdf);
+        if (names instanceof PDFDict && names.get(PDFName.of('EmbeddedFiles')) instanceof PDFRef) {
+            claimTree(context, names.get(PDFName.of('EmbeddedFiles')), 'attachments', claimed);
+        }
+
+        const images = [];
+        const fonts = [];
+        const imageInfo = new Map();
+        let annotationCount = 0;
+
+        pdf.getPages().forEach((page, pageIndex) => {
+            // Page content streams
+            const contents = page.node.get(PDFName.of('Contents'));
+            const contentRefs = contents instanceof PDFRef && context.lookup(contents) instanceof PDFArray
+                ? context.lookup(contents).asArray()
+                : contents instanceof PDFArray ? contents.asArray() : [contents];
+            contentRefs.forEach(ref => {
+                if (ref instanceof PDFRef) claimed.set(ref, 'contentStreams');
+            });
+
+            const thumb = page.node.get(PDFName.of('Thumb'));
+            if (thumb instanceof PDFRef) claimTree(context, thumb, 'thumbnails', claimed);
+
+            const annots = page.node.lookup(PDFName.of('Annots'));
+            if (annots instanceof PDFArray) {
+                annots.asArray().forEach(ref => {
+                    const annot = context.lookup(ref);
+                    if (!(annot instanceof PDFDict)) return;
+                    annotationCount++;
+                    const category = hasSubtype(annot, 'FileAttachment') ? 'attachments' : 'annotations';
+                    if (ref instanceof PDFRef) claimTree(context, ref, category, claimed);
+                });
+            }
+
+            try {
+                collectImagePlacements(page, (ref, placedWidth, placedHeight) => {
+                    const image = context.lookup(ref);
+                    const width = getNumber(image.dict, 'Width', 0);
+                    const height = getNumber(image.dict, 'Height', 0);
+                    if (!placedWidth || !placedHeight) return;
+
+                    const dpi = Math.min(width / (placedWidth / 72), height / (placedHeight / 72));
+                    const info = imageInfo.get(ref) || { pages: new Set(), dpi: Infinity };
+                    info.pages.add(pageIndex + 1);
+                    info.dpi = Math.min(info.dpi, dpi);
+                    imageInfo.set(ref, info);
+                });
+            } catch (error) {
+                console.warn(`Could not read content of page ${pageIndex + 1}:`, error);
+            }
+        });
+
+        const categories = {};
+        Object.keys(CATEGORY_LABELS).forEach(key => {
+            categories[key] = { label: CATEGORY_LABELS[key], bytes: 0, objects: 0 };
+        });
+
+        const fontRefs = new Set();
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            if (object instanceof PDFDict && object.get(PDFName.of('Type')) === PDFName.of('Font')) {
+                FONT_KEYS.forEach(key => {
+                    const value = object.get(PDFName.of(key));
+                    if (value instanceof PDFRef) claimTree(context, value, 'fonts', claimed);
+                });
+                claimed.set(ref, 'fonts');
+                fontRefs.add(ref);
+            }
+        }
+
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            const dict = object instanceof PDFStream ? object.dict : object;
+            const type = dict instanceof PDFDict ? dict.get(PDFName.of('Type')) : null;
+            let category = claimed.get(ref);
+
+            if (!reachable.has(ref)) {
+                category = 'unused';
+            } else if (object instanceof PDFStream && hasSubtype(dict, 'Image') && category !== 'thumbnails') {
+                category = category === 'attachments' || category === 'annotations' ? category : 'images';
+            } else if (!category) {
+                if (type === PDFName.of('Metadata') || ref === context.trailerInfo.Info) category = 'metadata';
+                else if (type === PDFName.of('EmbeddedFile') || type === PDFName.of('Filespec')) category = 'attachments';
+                else if (object instanceof PDFStream && hasSubtype(dict, 'Form')) category = 'contentStreams';
+                else category = 'other';
+            }
+
+            const size = objectSize(ref, object);
+            categories[category].bytes += size;
+            categories[category].objects++;
+
+            if (category === 'images' && object instanceof PDFStream) {
+                const info = imageInfo.get(ref);
+                images.push({
+                    ref: ref.toString(),
+                    width: getNumber(dict, 'Width', 0),
+                    height: getNumber(dict, 'Height', 0),
+                    bytes: object.sizeInBytes(),
+                    filter: filterNames(dict).join(', ') || 'None',
+                    colorSpace: describeColorSpace(dict),
+                    effectiveDPI: info ? Math.round(info.dpi) : null,
+                    pages: info ? [...info.pages] : []
+                });
+            }
+        }
+
+        fontRefs.forEach(ref => {
+            if (reachable.has(ref)) fonts.push({ ref: ref.toString(), ...describeFont(context, context.lookup(ref)) });
+        });
+
+        images.sort((a, b) => b.bytes - a.bytes);
+        fonts.sort((a, b) => b.bytes - a.bytes);
+
+        const objectTotal = Object.values(categories).reduce((sum, c) => sum + c.bytes, 0);
+        const totalBytes = fileSize || objectTotal;
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            fileSize: totalBytes,
+            pageCount: pdf.getPageCount(),
+            objectCount: context.enumerateIndirectObjects().length,
+            categories,
+            images,
+            fonts,
+            annotationCount,
+            hasJavaScript: names instanceof PDFDict && names.has(PDFName.of('JavaScript')),
+            suggestions: []
+        };
+        report.suggestions = suggestOptions(report);
+        return report;
+    }
+
+    /**
+     * Turns an analysis report into optimizer options ranked by expected savings.
+     * Estimates are rough: JPEG recompression is assumed to save about a third.
+     */
+    function suggestOptions(report, targetDPI = 150) {
+        const { categories, images } = report;
+        const suggestions = [];
+
+        const highResolution = images.filter(image => image.effectiveDPI && image.effectiveDPI > targetDPI / DOWNSAMPLE_THRESHOLD);
+        if (highResolution.length) {
+            const bytes = highResolution.reduce((sum, image) =>
+                sum + image.bytes * (1 - Math.pow(targetDPI / image.effectiveDPI, 2)), 0);
+            suggestions.push({
+                option: 'reduceDPI',
+                estimatedSavings: Math.round(bytes),
+                reason: `${highResolution.length} image(s) are above ${targetDPI} DPI at their placed size`
+            });
+        }
+
+        if (categories.images.bytes > 0) {
+            suggestions.push({
+                option: 'compressImages',
+                estimatedSavings: Math.round(categories.images.bytes / 3),
+                reason: `Images make up ${Math.round(categories.images.bytes / report.fileSize * 100)}% of the file`
+            });
+        }
+
+        const direct = [
+            ['attachments', 'removeAttachments', 'Embedded files'],
+            ['thumbnails', 'removeThumbnails', 'Page thumbnails'],
+            ['metadata', 'removeMetadata', 'Document metadata and XMP'],
+            ['annotations', 'removeAnnotations', 'Annotations and their appearances']
+        ];
+        direct.forEach(([category, option, description]) => {
+            if (categories[category].bytes > 0) {
+                suggestions.push({
+                    option,
+                    estimatedSavings: categories[category].bytes,
+                    reason: `${description} take ${categories[category].bytes} bytes`
+                });
+            }
+        });
+
+        if (report.hasJavaScript) {
+            suggestions.push({ option: 'removeJavaScript', estimatedSavings: 0, reason: 'The document contains JavaScript' });
+        }
+
+        if (categories.unused.bytes > 0) {
+            suggestions.push({
+                option: null,
+                estimatedSavings: categories.unused.bytes,
+                reason: `${categories.unused.objects} unused object(s) are dropped by any optimization`
+            });
+        }
+
+        return suggestions
+            .filter(s => s.estimatedSavings > 0 || s.option === 'removeJavaScript')
+            .sort((a, b) => b.estimatedSavings - a.estimatedSavings);
+    }
+
+    // ============================================
+    // PUBLIC API
+    // ============================================
+
+    /**
+     * Downsamples and recompresses the images of a loaded PDFDocument in place.
+     * @param {PDFDocument} pdf
+     * @param {object} options - { compressImages, imageQuality (0-1), reduceDPI, targetDPI }
+     * @param {function} [onProgress] - called with (fraction, message)
+     * @returns {Promise<{found: number, replaced: number, downsampled: number, bytesBefore: number, bytesAfter: number, supported: boolean}>}
+     */
+    async function optimizeImages(pdf, options = {}, onProgress = () => {}) {
+        const { PDFName, PDFRawStream, PDFRef } = PDFLib;
+        const context = pdf.context;
+        const stats = { found: 0, replaced: 0, downsampled: 0, bytesBefore: 0, bytesAfter: 0, supported: canProcessImages() };
+
+        if (!stats.supported || (!options.compressImages && !options.reduceDPI)) {
+            return stats;
+        }
+
+        const targetDPI = options.targetDPI || 150;
+        const quality = options.imageQuality ?? 0.7;
+
+        // Largest scale each image needs to keep targetDPI at its biggest placement
+        const requiredScale = new Map();
+        pdf.getPages().forEach(page => {
+            try {
+                collectImagePlacements(page, (ref, placedWidth, placedHeight) => {
+                    const image = context.lookup(ref);
+                    const width = getNumber(image.dict, 'Width', 0);
+                    const height = getNumber(image.dict, 'Height', 0);
+                    if (!width || !height) return;
+
+                    const scale = Math.max(
+                        (placedWidth / 72) * targetDPI / width,
+                        (placedHeight / 72) * targetDPI / height
+                    );
+                    requiredScale.set(ref, Math.max(requiredScale.get(ref) || 0, scale));
+                });
+            } catch (error) {
+                console.warn('Could not read page content:', error);
+            }
+        });
+
+        // Soft masks and stencil masks are left alone
+        const maskRefs = new Set();
+        const images = [];
+        for (const [ref, object] of context.enumerateIndirectObjects()) {
+            if (!(object instanceof PDFRawStream)) continue;
+            if (object.dict.get(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+            images.push([ref, object]);
+            ['SMask', 'Mask'].forEach(key => {
+                const mask = object.dict.get(PDFName.of(key));
+                if (mask instanceof PDFRef) maskRefs.add(mask);
+            });
+        }
+
+        stats.found = images.length;
+
+        for (let i = 0; i < images.length; i++) {
+            const [ref, stream] = images[i];
+            onProgress(i / images.length, `Optimizing image ${i + 1}/${images.length}...`);
+            if (maskRefs.has(ref)) continue;
+
+            const info = describeImage(stream);
+            if (!info) continue;
+
+            // Unplaced images (e.g. only used by annotations) keep their size
+            const scale = requiredScale.has(ref) ? requiredScale.get(ref) : 1;
+
+            try {
+                const replacement = await recompressImage(context, stream, info, scale, {
+                    compressImages: options.compressImages,
+                    reduceDPI: options.reduceDPI,
+                    imageQuality: quality
+                });
+                if (!replacement) continue;
+
+                stats.bytesBefore += stream.getContents().length;
+                stats.bytesAfter += replacement.getContents().length;
+                stats.replaced++;
+                if (getNumber(replacement.dict, 'Width', 0) !== info.width) stats.downsampled++;
+                context.assign(ref, replacement);
+            } catch (error) {
+                console.warn(`Skipping image ${ref.toString()}:`, error);
+            }
+        }
+
+        onProgress(1, 'Images optimized');
+        return stats;
+    }
+
+    /**
+     * Runs the enabled strip steps and reports what each one removed.
+     * @param {PDFDocument} pdf
+     * @param {object} options - step ids mapped to booleans (see STRIP_STEPS)
+     * @param {function} [onProgress] - called with (fraction, message)
+     * @returns {Array<{id: string, label: string, unit: string, removed: number, bytesSaved: number}>}
+     */
+    function stripDocument(pdf, options = {}, onProgress = () => {}) {
+        const steps = STRIP_STEPS.filter(step => options[step.id]);
+        const report = [];
+
+        removeUnreachableObjects(pdf);
+        let size = estimateSize(pdf);
+
+        steps.forEach((step, index) => {
+            onProgress(index / steps.length, `Removing ${step.label.toLowerCase()}...`);
+            const removed = step.run(pdf);
+            removeUnreachableObjects(pdf);
+
+            const newSize = estimateSize(pdf);
+            report.push({ id: step.id, label: step.label, unit: step.unit, removed, bytesSaved: size - newSize });
+            size = newSize;
+        });
+
+        onProgress(1, 'Document cleaned');
+        return report;
+    }
+
+    // ============================================
+    // PIPELINES
+    // ============================================
+
+    // Quality/DPI steps tried by compressToTarget, best quality first
+    const TARGET_SIZE_STEPS = [
+        { imageQuality: 0.85, targetDPI: 300 },
+        { imageQuality: 0.75, targetDPI: 200 },
+        { imageQuality: 0.65, targetDPI: 150 },
+        { imageQuality: 0.55, targetDPI: 120 },
+        { imageQuality: 0.45, targetDPI: 96 },
+        { imageQuality: 0.35, targetDPI: 72 },
+        { imageQuality: 0.25, targetDPI: 50 }
+    ];
+
+    // Even a PDF of blank pages needs a header, catalog and trailer, and
+    // a dictionary for each page (pdf-lib writes 576 bytes for one, 1.7 KB for 100)
+    const MIN_PDF_BYTES = 500;
+    const MIN_PAGE_BYTES = 10;
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return Math.round(bytes) + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+    }
+
+    /**
+     * Full optimization pass: strip steps, image recompression, then save
+     * (with optional PDF/A conversion and linearization).
+     * @param {Uint8Array|ArrayBuffer} pdfBytes
+     * @param {object} options - optimizer options (see optimize.html)
+     * @param {function} [onProgress] - called with (fraction, message)
+     * @returns {Promise<{bytes: Uint8Array, report: Array, imageStats: object, archive: object|null}>}
+     */
+    async function optimize(pdfBytes, options = {}, onProgress = () => {}) {
+        const { PDFDocument } = PDFLib;
+        const pdf = await PDFDocument.load(pdfBytes);
+
+        const report = stripDocument(pdf, options, (fraction, message) => onProgress(fraction * 0.2, message));
+
+        let imageStats = null;
+        if (options.compressImages || options.reduceDPI) {
+            const sizeBefore = estimateSize(pdf);
+            imageStats = await optimizeImages(pdf, options, (fraction, message) => onProgress(0.2 + fraction * 0.7, message));
+            if (imageStats.supported) {
+                report.push({
+                    id: 'images',
+                    label: 'Images',
+                    unit: `of ${imageStats.found} images optimized (${imageStats.downsampled} downsampled)`,
+                    removed: imageStats.replaced,
+                    bytesSaved: sizeBefore - estimateSize(pdf)
+                });
+            }
+        }
+
+        onProgress(0.9, 'Compressing...');
+        let bytes = await pdf.save({
+            useObjectStreams: options.useObjectStreams !== false && !options.optimizeWeb,
+            addDefaultPage: false,
+            objectsPerTick: 50
+        });
+
+        let archive = null;
+        if (options.convertPDFA) {
+            onProgress(0.93, 'Converting to PDF/A...');
+            archive = await PDFArchive.convert(bytes, { level: options.pdfaLevel });
+            bytes = archive.bytes;
+            report.push({
+                id: 'pdfa',
+                label: PDFArchive.LEVELS[archive.level].label,
+                unit: 'fixes applied',
+                removed: Object.values(archive.fixes).reduce((sum, count) => sum + count, 0),
+                bytesSaved: 0
+            });
+        }
+
+        if (options.optimizeWeb) {
+            onProgress(0.95, 'Linearizing for fast web view...');
+            bytes = await PDFLinearizer.linearize(bytes);
+        }
+
+        onProgress(1, 'Complete!');
+        return { bytes, report, imageStats, archive };
+    }
+
+    /**
+     * Lowers image quality and resolution step by step until the file fits
+     * in targetBytes, keeping the best-quality result that does.
+     * Throws (code TARGET_NOT_REACHED) with a breakdown of what is left otherwise,
+     * or (code INVALID_OPTIONS) up front for a target no PDF of its pages fits in.
+     * @returns {Promise<{bytes: Uint8Array, imageQuality: number|null, targetDPI: number|null, attempts: number}>}
+     */
+    async function compressToTarget(pdfBytes, targetBytes, options = {}, onProgress = () => {}) {
+        const pageCount = (await PDFLib.PDFDocument.load(pdfBytes)).getPageCount();
+        const minimum = MIN_PDF_BYTES + MIN_PAGE_BYTES * pageCount;
+        if (targetBytes < minimum) {
+            const error = new Error(
+                `A target of ${formatBytes(targetBytes)} is too small: a PDF of ${pageCount} ` +
+                `${pageCount === 1 ? 'page' : 'pages'} cannot be smaller than about ${formatBytes(minimum)}.`
+            );
+            error.code = 'INVALID_OPTIONS';
+            throw error;
+        }
+
+        const steps = [null, ...TARGET_SIZE_STEPS];
+        let smallest = null;
+
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const label = step ? `${Math.round(step.imageQuality * 100)}% quality, ${step.targetDPI} DPI` : 'lossless cleanup';
+            const stepOptions = step
+                ? { ...options, ...step, compressImages: true, reduceDPI: true }
+                : { ...options, compressImages: false, reduceDPI: false };
+
+            const result = await optimize(pdfBytes, stepOptions, (fraction) => {
+                onProgress((i + fraction) / steps.length, `Trying ${label}...`);
+            });
+
+            if (!smallest || result.bytes.length < smallest.bytes.length) {
+                smallest = { ...result, step };
+            }
+
+            if (result.bytes.length <= targetBytes) {
+                onProgress(1, 'Target reached');
+                return {
+                    bytes: result.bytes,
+                    report: result.report,
+                    imageQuality: step ? step.imageQuality : null,
+                    targetDPI: step ? step.targetDPI : null,
+                    attempts: i + 1
+                };
+            }
+
+            // Without processable images, further steps cannot change anything
+            if (step && result.imageStats && (!result.imageStats.supported || result.imageStats.found === 0)) break;
+        }
+
+        const remaining = analyze(await PDFLib.PDFDocument.load(smallest.bytes), smallest.bytes.length);
+        const breakdown = Object.values(remaining.categories)
+            .filter(category => category.bytes > 0)
+            .sort((a, b) => b.bytes - a.bytes)
+            .slice(0, 3)
+            .map(category => `${category.label} ${formatBytes(category.bytes)}`)
+            .join(', ');
+
+        const error = new Error(
+            `Could not compress below ${formatBytes(targetBytes)}. ` +
+            `The smallest result was ${formatBytes(smallest.bytes.length)}` +
+            (smallest.step ? ` at ${Math.round(smallest.step.imageQuality * 100)}% quality and ${smallest.step.targetDPI} DPI` : '') +
+            `. Most of the remaining space is: ${breakdown}.`
+        );
+        error.code = 'TARGET_NOT_REACHED';
+        error.analysis = remaining;
+        throw error;
+    }
+
+    return {
+        STRIP_STEPS,
+        CATEGORY_LABELS,
+        TARGET_SIZE_STEPS,
+        optimize,
+        compressToTarget,
+        optimizeImages,
+        stripDocument,
+        analyze,
+        suggestOptions,
+        removeUnreachableObjects,
+        estimateSize,
+        filterAnnotations,
+        collectImagePlacements,
+        scanContent,
+        getStreamBytes,
+        getPageContent,
+        canProcessImages
+    };
+})();
+
+// Export
+window.PDFOptimizer = PDFOptimizer;
@@ -0,0 +1,144 @@
+/* ============================================
+   PDF Tools - Outline
+   Reads bookmarks and named destinations from a pdf-lib document
+   ============================================ */
+
+const PDFOutline = (() => {
+    // ============================================
+    // HELPERS
+    // ============================================
+    function key(name) {
+        return PDFLib.PDFName.of(name);
+    }
+
+    function text(value) {
+        if (value instanceof PDFLib.PDFString || value instanceof PDFLib.PDFHexString || value instanceof PDFLib.PDFName) {
+            return value.decodeText();
+        }
+        return null;
+    }
+
+    function lookupDict(dict, name) {
+        const value = dict.lookup(key(name));
+        return value instanceof PDFLib.PDFDict ? value : null;
+    }
+
+    function lookupArray(dict, name) {
+        const value = dict.lookup(key(name));
+        return value instanceof PDFLib.PDFArray ? value : null;
+    }
+
+    // ============================================
+    // NAMED DESTINATIONS
+    // ============================================
+
+    // Walks a name tree (PDF 32000-1 7.9.6), visiting every key/value pair
+    function walkNameTree(node, visit, seen = new Set()) {
+        if (!(node instanceof PDFLib.PDFDict) || seen.has(node)) return;
+        seen.add(node);
+
+        const names = lookupArray(node, 'Names');
+        if (names) {
+            for (let i = 0; i + 1 < names.size(); i += 2) {
+                const name = text(names.lookup(i));
+                if (name !== null) visit(name, names.get(i + 1));
+            }
+        }
+
+        const kids = lookupArray(node, 'Kids');
+        if (kids) {
+            for (let i = 0; i < kids.size(); i++) walkNameTree(kids.lookup(i), visit, seen);
+        }
+    }
+
+    /**
+     * Destinations by name, from both the PDF 1.1 /Dests dictionary and the
+     * /Names tree. Values are as stored: an array, a { D } dictionary or a ref.
+     */
+    function namedDestinations(pdf) {
+        const dests = new Map();
+
+        const legacy = lookupDict(pdf.catalog, 'Dests');
+        if (legacy) {
+            legacy.entries().forEach(([name, value]) => dests.set(name.decodeText(), value));
+        }
+
+        const names = lookupDict(pdf.catalog, 'Names');
+        if (names) walkNameTree(names.lookup(key('Dests')), (name, value) => dests.set(name, value));
+
+        return dests;
+    }
+
+    // The [page /Fit ...] array of a named destination value
+    function explicitDestination(context, value) {
+        let dest = value instanceof PDFLib.PDFRef ? context.lookup(value) : value;
+        if (dest instanceof PDFLib.PDFDict) dest = dest.lookup(key('D'));
+        return dest instanceof PDFLib.PDFArray ? dest : null;
+    }
+
+    // Where a link or bookmark goes: its /Dest, or the /D of a GoTo action
+    function destinationOf(pdf, dict, dests = namedDestinations(pdf)) {
+        let dest = dict.lookup(key('Dest'));
+        const action = lookupDict(dict, 'A');
+        if (!dest && action && text(action.lookup(key('S'))) === 'GoTo') dest = action.lookup(key('D'));
+
+        const name = text(dest);
+        return name !== null ? explicitDestination(pdf.context, dests.get(name)) : explicitDestination(pdf.context, dest);
+    }
+
+    // ============================================
+    // BOOKMARKS
+    // ============================================
+
+    // An outline level: the item and its /Next siblings
+    function items(first) {
+        const list = [];
+        const seen = new Set();
+        let item = first;
+        while (item instanceof PDFLib.PDFDict && !seen.has(item)) {
+            seen.add(item);
+            list.push(item);
+            item = item.lookup(key('Next'));
+        }
+        return list;
+    }
+
+    /**
+     * Every bookmark in reading order.
+     * @returns {Array<{title, level, pageIndex}>} level 1 is top-level;
+     *   pageIndex is zero-based, null when the bookmark goes nowhere in the file
+     */
+    function bookmarks(pdf) {
+        const root = lookupDict(pdf.catalog, 'Outlines');
+        if (!root) return [];
+
+        const dests = namedDestinations(pdf);
+        const pageIndex = new Map(pdf.getPages().map((page, index) => [page.ref, index]));
+        const list = [];
+
+        const visit = (first, level) => items(first).forEach(item => {
+            const dest = destinationOf(pdf, item, dests);
+            const target = dest ? dest.get(0) : null;
+            let index = null;
+            if (target instanceof PDFLib.PDFRef && pageIndex.has(target)) index = pageIndex.get(target);
+            else if (target instanceof PDFLib.PDFNumber && target.asNumber() < pageIndex.size) index = target.asNumber();
+
+            list.push({ title: text(item.lookup(key('Title'))) || '', level, pageIndex: index });
+            visit(item.lookup(key('First')), level + 1);
+        });
+        visit(root.lookup(key('First')), 1);
+
+        return list;
+    }
+
+    return {
+        namedDestinations,
+        explicitDestination,
+        destinationOf,
+        items,
+        bookmarks
+    };
+})();
+
+// Export
+window.PDFOutline = PDFOutline;
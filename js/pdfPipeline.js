@@ -0,0 +1,235 @@
+/* ============================================
+   PDF Tools - Pipelines
+   Chains tools so each step's output feeds the next, and stores
+   named recipes (lists of steps) in localStorage.
+   A recipe is { name, steps: [{ tool, options }] } where tool is a
+   ToolRegistry id and options are the raw form values, checked with
+   ToolRegistry.validate when the step runs.
+   ============================================ */
+
+const PDFPipeline = (() => {
+    const STORAGE_KEY = 'pdftools_recipes';
+    const FORMAT = 'pdftools-recipe';
+    const VERSION = 1;
+
+    // Extensions accepted by a step, mapped to the output types that satisfy them
+    const TYPES_BY_EXTENSION = {
+        '.pdf': ['application/pdf'],
+        '.png': ['image/png'],
+        '.jpg': ['image/jpeg'],
+        '.jpeg': ['image/jpeg'],
+        '.txt': ['text/plain']
+    };
+
+    // ============================================
+    // HELPERS
+    // ============================================
+    function getTool(id) {
+        const tool = ToolRegistry.get(id);
+        if (!tool?.op) {
+            throw new Error(`Unknown tool: ${id}`);
+        }
+        return tool;
+    }
+
+    function accepts(tool, file) {
+        const extensions = tool.accept.split(',');
+        const ext = '.' + file.name.split('.').pop().toLowerCase();
+        return extensions.includes(ext) ||
+            extensions.some(extension => (TYPES_BY_EXTENSION[extension] || []).includes(file.type));
+    }
+
+    function stem(name) {
+        return name.replace(/\.[^.]+$/, '');
+    }
+
+    // Passwords are never written to storage or exported
+    function withoutSecrets(step) {
+        const secret = new Set(getTool(step.tool).fields
+            .filter(field => field.type === 'password')
+            .map(field => field.name));
+        const options = Object.fromEntries(Object.entries(step.options || {}).filter(([name]) => !secret.has(name)));
+        return { tool: step.tool, options };
+    }
+
+    function runOperation(op, inputs, options, controls) {
+        if (typeof PDFOpsWorker !== 'undefined') {
+            return PDFOpsWorker.run(op, inputs, options, controls);
+        }
+        return PDFTools.ops[op](inputs, options, controls);
+    }
+
+    // ============================================
+    // RUNNING
+    // ============================================
+
+    /**
+     * Runs the steps in order. Combining tools (merge) receive every file at
+     * once; the others run once per file, so a split followed by a watermark
+     * watermarks every part.
+     * @param {Array<{tool, options}>} steps
+     * @param {Array<{name, type, bytes}>} files
+     * @param {Object} controls - { onProgress(fraction, message), onStep(index, tool), signal }
+     * @returns {Promise<{outputs, log}>} log has one entry per step with its details
+     */
+    async function run(steps, files, controls = {}) {
+        const { signal, onProgress, onStep } = controls;
+        if (steps.length === 0) {
+            throw new Error('Add at least one step to the pipeline');
+        }
+        if (files.length === 0) {
+            throw new Error('Please add files first');
+        }
+
+        let current = files;
+        const log = [];
+
+        for (let index = 0; index < steps.length; index++) {
+            PDFOps.throwIfAborted(signal);
+            const step = steps[index];
+            const tool = getTool(step.tool);
+            const label = `Step ${index + 1} of ${steps.length}: ${tool.name}`;
+            onStep?.(index, tool);
+
+            if (current.length === 0) {
+                throw new Error(`${label} has no files to work on; the previous step produced none`);
+            }
+            const rejected = current.find(file => !accepts(tool, file));
+            if (rejected) {
+                throw new Error(`${label} cannot read ${rejected.name}. It accepts ${tool.accept.split(',').join(', ')} files.`);
+            }
+
+            let options;
+            try {
+                options = ToolRegistry.validate(tool, step.options);
+            } catch (error) {
+                error.message = `${label}: ${error.message}`;
+                throw error;
+            }
+
+            const groups = tool.combine ? [current] : current.map(file => [file]);
+            const next = [];
+            const details = [];
+
+            for (let g = 0; g < groups.length; g++) {
+                const group = groups[g];
+                const result = await runOperation(tool.op, group.map(file => file.bytes.slice()), { ...options, names: group.map(file => file.name) }, {
+                    signal,
+                    onProgress: fraction => onProgress?.((index + (g + fraction) / groups.length) / steps.length, label)
+                });
+                const { outputs, ...rest } = result;
+
+                // Several files in flight: keep their source name so the results don't collide
+                const prefix = groups.length > 1 ? `${stem(group[0].name)}_` : '';
+                next.push(...outputs.map(out => ({ ...out, name: prefix + out.name })));
+                if (Object.keys(rest).length) details.push(rest);
+            }
+
+            log.push({ tool: step.tool, name: tool.name, inputs: current.length, outputs: next.length, details });
+            current = next;
+        }
+
+        onProgress?.(1);
+        return { outputs: current, log };
+    }
+
+    // ============================================
+    // RECIPES
+    // ============================================
+    function validate(recipe) {
+        if (!recipe || typeof recipe !== 'object') {
+            throw new Error('Not a recipe');
+        }
+        const name = String(recipe.name || '').trim();
+        if (!name) {
+            throw new Error('A recipe needs a name');
+        }
+        if (!Array.isArray(recipe.steps) || recipe.steps.length === 0) {
+            throw new Error(`Recipe "${name}" has no steps`);
+        }
+        const steps = recipe.steps.map((step, index) => {
+            const tool = step && ToolRegistry.get(step.tool);
+            if (!tool?.op) {
+                throw new Error(`Recipe "${name}", step ${index + 1}: unknown tool ${step?.tool}`);
+            }
+            const options = step.options && typeof step.options === 'object' ? step.options : {};
+            return withoutSecrets({ tool: tool.id, options });
+        });
+        return { name, steps };
+    }
+
+    function list() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function get(name) {
+        return list().find(recipe => recipe.name === name) || null;
+    }
+
+    // Replaces a recipe with the same name
+    function save(recipe) {
+        const clean = { ...validate(recipe), updatedAt: new Date().toISOString() };
+        const recipes = list().filter(saved => saved.name !== clean.name);
+        recipes.push(clean);
+        recipes.sort((a, b) => a.name.localeCompare(b.name));
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(recipes));
+        return clean;
+    }
+
+    function remove(name) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(list().filter(recipe => recipe.name !== name)));
+    }
+
+    /**
+     * @param {Object[]} recipes
+     * @returns {string} JSON that importRecipes() reads back
+     */
+    function exportRecipes(recipes) {
+        return JSON.stringify({
+            format: FORMAT,
+            version: VERSION,
+            recipes: recipes.map(validate)
+        }, null, 2);
+    }
+
+    /**
+     * Reads an export (or a single bare recipe) and saves every recipe in it.
+     * @returns {Object[]} the imported recipes
+     */
+    function importRecipes(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch {
+            throw new Error('The file is not valid JSON');
+        }
+        if (data && data.format === FORMAT && data.version > VERSION) {
+            throw new Error('This recipe file was made by a newer version of PDF Tools');
+        }
+
+        const recipes = Array.isArray(data?.recipes) ? data.recipes : [data];
+        const valid = recipes.map(validate);
+        return valid.map(save);
+    }
+
+    return {
+        STORAGE_KEY,
+        run,
+        accepts,
+        validate,
+        list,
+        get,
+        save,
+        remove,
+        exportRecipes,
+        importRecipes
+    };
+})();
+
+// Export
+window.PDFPipeline = PDFPipeline;
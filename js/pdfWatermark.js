@@ -0,0 +1,682 @@
+/* ============================================
+   PDF Tools - Watermark
+   Lays out a text or image watermark on pdf-lib pages: once, along the
+   diagonal or tiled, over or behind the page content.
+   Every watermark is marked as a /Watermark artifact (PDF 32000-1
+   14.8.2.2), so readers and the remove tool can tell it from the page.
+
+   Also finds what looks like a watermark in any PDF (marked artifacts,
+   watermark layers and annotations, and text or images repeated at the
+   same place on most pages) and removes the candidates picked.
+   ============================================ */
+
+const PDFWatermark = (() => {
+    // Distance from the edge for the top and bottom positions, in points
+    const EDGE_MARGIN = 36;
+
+    // Tiles per page at most; the spacing grows to stay below it
+    const MAX_TILES = 400;
+
+    // Text state outlives the text object that sets it, so removing a text
+    // object leaves these operators in place
+    const TEXT_STATE = new Set(['Tc', 'Tw', 'Tz', 'TL', 'Tf', 'Tr', 'Ts']);
+
+    // Page resources the operators we remove refer to
+    const RESOURCE_OF = { Do: 'XObject', Tf: 'Font', gs: 'ExtGState' };
+
+    // Kinds found by repetition rather than by a mark, and the order
+    // candidates are listed in
+    const REPEATED_KINDS = new Set(['text', 'image', 'form']);
+    const KIND_ORDER = ['artifact', 'layer', 'annotation', 'text', 'image', 'form'];
+
+    const decoder = new TextDecoder('latin1');
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    // The page as a reader sees it: the crop box after /Rotate, and where
+    // a point of that view lies in the page's own coordinates
+    function frameOf(page) {
+        const box = page.getCropBox();
+        const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+        const turned = rotation === 90 || rotation === 270;
+        return {
+            width: turned ? box.height : box.width,
+            height: turned ? box.width : box.height,
+            rotation,
+            toPage(x, y) {
+                if (rotation === 90) return { x: box.x + box.width - y, y: box.y + x };
+                if (rotation === 180) return { x: box.x + box.width - x, y: box.y + box.height - y };
+                if (rotation === 270) return { x: box.x + y, y: box.y + box.height - x };
+                return { x: box.x + x, y: box.y + y };
+            }
+        };
+    }
+
+    // Width and height of the box around an item turned by angle degrees
+    function bounds(item, angle) {
+        const a = angle * Math.PI / 180;
+        const cos = Math.abs(Math.cos(a));
+        const sin = Math.abs(Math.sin(a));
+        return {
+            width: item.width * cos + item.height * sin,
+            height: item.width * sin + item.height * cos
+        };
+    }
+
+    // pdf-lib turns text and images about their origin, so work out the
+    // origin that puts the item's centre on (cx, cy) of the frame
+    function place(page, frame, item, cx, cy, angle) {
+        const turn = angle + frame.rotation;
+        const a = turn * Math.PI / 180;
+        const [dx, dy] = item.centre;
+        const centre = frame.toPage(cx, cy);
+        item.draw(page, {
+            x: centre.x - (dx * Math.cos(a) - dy * Math.sin(a)),
+            y: centre.y - (dx * Math.sin(a) + dy * Math.cos(a)),
+            rotate: PDFLib.degrees(turn)
+        });
+    }
+
+    // ============================================
+    // ITEMS
+    // ============================================
+
+    // Text is centred on its advance width and cap height, from the font metrics
+    function textItem(spec, size) {
+        const { text, font, color, opacity } = spec;
+        const width = font.widthOfTextAtSize(text, size);
+        const height = font.heightAtSize(size, { descender: false });
+        return {
+            width,
+            height,
+            centre: [width / 2, height / 2],
+            draw: (page, at) => page.drawText(text, { ...at, size, font, color, opacity })
+        };
+    }
+
+    function imageItem(spec, width) {
+        const { image, opacity } = spec;
+        const height = width * image.height / image.width;
+        return {
+            width,
+            height,
+            centre: [width / 2, height / 2],
+            draw: (page, at) => page.drawImage(image, { ...at, width, height, opacity })
+        };
+    }
+
+    // Size from the options, or one that suits the page and position
+    function itemFor(spec, frame, position, angle) {
+        const short = Math.min(frame.width, frame.height);
+
+        if (spec.image) {
+            const scale = spec.scale || (position === 'tile' ? 0.2 : 0.5);
+            return imageItem(spec, frame.width * scale);
+        }
+
+        let size = spec.fontSize;
+        if (!size && position === 'tile') {
+            size = short / 20;
+        } else if (!size) {
+            // As large as suits the position, shrunk until the turned text
+            // fits inside the margins
+            const box = bounds(textItem(spec, 1), angle);
+            size = Math.min(
+                position === 'diagonal' ? short / 3 : short / 10,
+                (frame.width - EDGE_MARGIN * 2) / box.width,
+                (frame.height - EDGE_MARGIN * 2) / box.height
+            );
+        }
+        return textItem(spec, size);
+    }
+
+    // ============================================
+    // LAYOUT
+    // ============================================
+    function layoutSingle(page, frame, item, position, angle) {
+        const box = bounds(item, angle);
+        let cy = frame.height / 2;
+        if (position === 'top') cy = frame.height - EDGE_MARGIN - box.height / 2;
+        else if (position === 'bottom') cy = EDGE_MARGIN + box.height / 2;
+        place(page, frame, item, frame.width / 2, cy, angle);
+        return 1;
+    }
+
+    // A brick pattern centred on the page; alternate rows shift half a step
+    function layoutTiles(page, frame, item, angle, spacing) {
+        const box = bounds(item, angle);
+        let stepX = Math.max(box.width * (1 + spacing), 1);
+        let stepY = Math.max(box.height * (1 + spacing), 1);
+
+        const count = () => (Math.ceil(frame.width / stepX) + 2) * (Math.ceil(frame.height / stepY) + 2);
+        if (count() > MAX_TILES) {
+            const grow = Math.sqrt(count() / MAX_TILES);
+            stepX *= grow;
+            stepY *= grow;
+        }
+
+        const columns = Math.ceil(frame.width / stepX) + 2;
+        const rows = Math.ceil(frame.height / stepY) + 2;
+        let drawn = 0;
+        for (let row = 0; row < rows; row++) {
+            const cy = frame.height / 2 + (row - (rows - 1) / 2) * stepY;
+            const shift = row % 2 ? stepX / 2 : 0;
+            for (let column = 0; column < columns; column++) {
+                const cx = frame.width / 2 + (column - (columns - 1) / 2) * stepX + shift;
+                // Skip tiles that would fall wholly outside the page
+                if (cx + box.width / 2 < 0 || cx - box.width / 2 > frame.width) continue;
+                if (cy + box.height / 2 < 0 || cy - box.height / 2 > frame.height) continue;
+                place(page, frame, item, cx, cy, angle);
+                drawn++;
+            }
+        }
+        return drawn;
+    }
+
+    // ============================================
+    // CONTENT STREAMS
+    // ============================================
+    function beginArtifact(page) {
+        const { PDFOperator, PDFOperatorNames, PDFName } = PDFLib;
+        const properties = page.doc.context.obj({ Type: 'Pagination', Subtype: 'Watermark' });
+        page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [PDFName.of('Artifact'), properties]));
+    }
+
+    function endArtifact(page) {
+        const { PDFOperator, PDFOperatorNames } = PDFLib;
+        page.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+    }
+
+    // pdf-lib draws into a content stream it appends to the page;
+    // painting it first puts the watermark under everything else
+    function moveBehind(page) {
+        const contents = page.node.Contents();
+        if (!(contents instanceof PDFLib.PDFArray) || contents.size() < 2) return;
+        const last = contents.size() - 1;
+        const stream = contents.get(last);
+        contents.remove(last);
+        contents.insert(0, stream);
+    }
+
+    // ============================================
+    // STAMP
+    // ============================================
+
+    /**
+     * Draws the watermark on the given pages.
+     * @param {PDFDocument} pdf
+     * @param {number[]} indices - zero-based pages to stamp
+     * @param {Object} spec - image (PDFImage) or text with font (PDFFont),
+     *   fontSize (points; 0 picks one), color (pdf-lib RGB), scale (image
+     *   width as a fraction of the page; 0 picks one), opacity,
+     *   position (center|diagonal|top|bottom|tile), rotation (degrees,
+     *   anticlockwise; not for diagonal), spacing (gap between tiles as a
+     *   fraction of a tile), behind (under the page content)
+     * @param {Function} [progress] - receives the fraction done
+     * @returns {{ pages: number, stamps: number }}
+     */
+    function stamp(pdf, indices, spec, progress = () => {}) {
+        const pages = pdf.getPages();
+        const position = spec.position || 'center';
+        let stamps = 0;
+
+        indices.forEach((index, i) => {
+            progress(i / indices.length);
+            const page = pages[index];
+            const frame = frameOf(page);
+            const angle = position === 'diagonal'
+                ? Math.atan2(frame.height, frame.width) * 180 / Math.PI
+                : Number(spec.rotation) || 0;
+            const item = itemFor(spec, frame, position, angle);
+
+            beginArtifact(page);
+            stamps += position === 'tile'
+                ? layoutTiles(page, frame, item, angle, spec.spacing ?? 0.5)
+                : layoutSingle(page, frame, item, position, angle);
+            endArtifact(page);
+
+            if (spec.behind) moveBehind(page);
+        });
+
+        progress(1);
+        return { pages: indices.length, stamps };
+    }
+
+    // ============================================
+    // CONTENT ANALYSIS
+    // ============================================
+    function multiply(m, n) {
+        return [
+            m[0] * n[0] + m[1] * n[2],
+            m[0] * n[1] + m[1] * n[3],
+            m[2] * n[0] + m[3] * n[2],
+            m[2] * n[1] + m[3] * n[3],
+            m[4] * n[0] + m[5] * n[2] + n[4],
+            m[4] * n[1] + m[5] * n[3] + n[5]
+        ];
+    }
+
+    // 32-bit FNV-1a, to compare content across pages without keeping it
+    function fingerprint(bytes) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return `${hash.toString(16)}:${bytes.length}`;
+    }
+
+    // The text a piece of content shows, when its strings are single-byte
+    // text as with the standard fonts; '' for anything else
+    function shownText(bytes) {
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        let text = '';
+        for (const [string] of decoder.decode(bytes).matchAll(/\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-fA-F\s]+>/g)) {
+            if (string[0] === '(') {
+                text += string.slice(1, -1).replace(/\\([0-7]{1,3}|[\s\S])/g, (match, code) =>
+                    /^[0-7]/.test(code) ? String.fromCharCode(parseInt(code, 8)) : escapes[code] ?? code);
+            } else {
+                const hex = string.slice(1, -1).replace(/\s/g, '');
+                for (let i = 0; i + 1 < hex.length; i += 2) text += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+            }
+        }
+
+        const printable = [...text].filter(char => /[\x20-\x7e\xa0-\xff]/.test(char)).length;
+        if (!text.trim() || printable < text.length * 0.9) return '';
+        // Tiles show the same text over and over; once is enough
+        const [, once] = text.match(/^([\s\S]+?)\1+$/) || [, text];
+        const clean = once.replace(/\s+/g, ' ').trim();
+        return clean.length > 40 ? `${clean.slice(0, 40)}…` : clean;
+    }
+
+    function nameText(value) {
+        if (value instanceof PDFLib.PDFName || value instanceof PDFLib.PDFString || value instanceof PDFLib.PDFHexString) {
+            return value.decodeText();
+        }
+        return '';
+    }
+
+    // What a marked-content sequence is, when it is a watermark candidate:
+    // a pagination artifact (PDF 32000-1 14.8.2.2) or an optional content
+    // layer named like a watermark
+    function classifyMark(operands, resources) {
+        const { PDFName, PDFDict } = PDFLib;
+        const tag = operands[0] && operands[0].name;
+        let type = '';
+        let subtype = '';
+        let layer = '';
+
+        if (operands.length === 2 && operands[1] && operands[1].name) {
+            // Properties named in the page resources
+            const properties = resources && resources.lookup(PDFName.of('Properties'));
+            const dict = properties instanceof PDFDict ? properties.lookup(PDFName.of(operands[1].name)) : null;
+            if (dict instanceof PDFDict) {
+                type = nameText(dict.get(PDFName.of('Type')));
+                subtype = nameText(dict.get(PDFName.of('Subtype')));
+                layer = nameText(dict.lookup(PDFName.of('Name')));
+            }
+        } else {
+            // Inline properties reach us flattened: /Type /Pagination /Subtype /Watermark
+            const after = key => {
+                const index = operands.findIndex(operand => operand && operand.name === key);
+                return index >= 0 && operands[index + 1] && operands[index + 1].name || '';
+            };
+            type = after('Type');
+            subtype = after('Subtype');
+        }
+
+        if (tag === 'Artifact' && (type === 'Pagination' || ['Watermark', 'Header', 'Footer'].includes(subtype))) {
+            const name = subtype || 'Pagination';
+            return { kind: 'artifact', name, likely: name === 'Watermark' };
+        }
+        if (tag === 'OC' && /water\s*mark/i.test(layer)) {
+            return { kind: 'layer', name: layer, likely: true };
+        }
+        return null;
+    }
+
+    // Fingerprint and description of an image or form XObject, once per object
+    function describeXObject(ref, xObject, cache) {
+        if (cache.has(ref)) return cache.get(ref);
+        const { PDFName } = PDFLib;
+        const subtype = nameText(xObject.dict.get(PDFName.of('Subtype')));
+        let info = null;
+        try {
+            if (subtype === 'Image') {
+                const width = xObject.dict.lookup(PDFName.of('Width'));
+                const height = xObject.dict.lookup(PDFName.of('Height'));
+                info = {
+                    kind: 'image',
+                    content: fingerprint(xObject.getContents()),
+                    label: width && height ? `Image ${width.asNumber()}×${height.asNumber()} px` : 'Image'
+                };
+            } else if (subtype === 'Form') {
+                const text = shownText(PDFOptimizer.getStreamBytes(xObject));
+                info = {
+                    kind: 'form',
+                    content: fingerprint(xObject.getContents()),
+                    label: text ? `Drawing with "${text}"` : 'Drawing'
+                };
+            }
+        } catch (error) {
+            // Undecodable XObjects are left alone
+        }
+        cache.set(ref, info);
+        return info;
+    }
+
+    /**
+     * The parts of a page's content that may be a watermark: marked
+     * artifacts and layers, and outside them every text object and every
+     * image or form drawn.
+     * @param {Uint8Array} bytes - the page content (PDFOptimizer.getPageContent)
+     * @returns {Array<{kind, key, group, label, likely, start, end, keep}>}
+     *   key identifies the same content at the same place on other pages;
+     *   group the same content anywhere (tiles); keep holds the ranges
+     *   within start-end that must stay
+     */
+    function pageSegments(page, bytes, cache) {
+        const { PDFName, PDFDict, PDFStream, PDFRef } = PDFLib;
+        const resources = page.node.Resources();
+        const xObjects = resources && resources.lookup(PDFName.of('XObject'));
+        const segments = [];
+        const marks = [];
+        const stack = [];
+        let ctm = [1, 0, 0, 1, 0, 0];
+        let depth = 0;
+        let text = null;
+
+        const fonts = resources && resources.lookup(PDFName.of('Font'));
+        const fontOf = operand => {
+            const ref = operand && operand.name && fonts instanceof PDFDict ? fonts.get(PDFName.of(operand.name)) : null;
+            return ref instanceof PDFRef ? ref.toString() : '';
+        };
+        const inCandidate = () => marks.some(mark => mark.candidate);
+        const where = () => ctm.map(n => n.toFixed(1)).join(' ');
+
+        PDFOptimizer.scanContent(bytes, (operator, operands, start, end) => {
+            if (operator === 'q') {
+                stack.push(ctm);
+                depth++;
+            } else if (operator === 'Q') {
+                if (stack.length) ctm = stack.pop();
+                depth--;
+            } else if (operator === 'cm' && operands.length === 6 && operands.every(n => typeof n === 'number')) {
+                ctm = multiply(operands, ctm);
+            } else if (operator === 'BDC' || operator === 'BMC') {
+                const candidate = operator === 'BDC' && !inCandidate() ? classifyMark(operands, resources) : null;
+                marks.push({ start, depth, candidate });
+            } else if (operator === 'EMC') {
+                const mark = marks.pop();
+                // Only sequences that restore the graphics state can go
+                if (mark && mark.candidate && mark.depth === depth) {
+                    const sequence = bytes.subarray(mark.start, end);
+                    const shown = shownText(sequence);
+                    // Images and forms by object, as their names differ from page to page
+                    const drawn = [...usedResources(sequence)]
+                        .filter(name => name.startsWith('XObject/') && xObjects instanceof PDFDict)
+                        .map(name => String(xObjects.get(PDFName.of(name.slice('XObject/'.length)))));
+                    const { kind, name, likely } = mark.candidate;
+                    const label = kind === 'layer' ? `Layer "${name}"` : name;
+                    // Watermarks go by what they show; headers, footers and page
+                    // numbers change from page to page and go by their kind
+                    const content = likely ? `${kind}:${name}:${shown}:${drawn.join(',')}` : `${kind}:${name}`;
+                    segments.push({
+                        kind,
+                        key: content,
+                        group: content,
+                        label: !likely ? label : shown ? `${label} "${shown}"` : drawn.length ? `${label} image` : label,
+                        likely,
+                        start: mark.start,
+                        end,
+                        keep: []
+                    });
+                }
+            } else if (inCandidate()) {
+                // Part of a candidate already
+            } else if (operator === 'BT') {
+                text = { start, keep: [], fonts: [] };
+            } else if (operator === 'ET' && text) {
+                const block = bytes.subarray(text.start, end);
+                const shown = shownText(block);
+                const content = shown || fingerprint(block);
+                // Compared by the fonts themselves, not the names they have on the page
+                const shape = `${fingerprint(cutSegments(block, text.fonts))}:${text.fonts.map(tf => tf.font).join(',')}`;
+                segments.push({
+                    kind: 'text',
+                    key: `text:${shape}@${where()}`,
+                    group: `text:${content}`,
+                    label: shown ? `Text "${shown}"` : 'Text',
+                    likely: false,
+                    start: text.start,
+                    end,
+                    keep: text.keep
+                });
+                text = null;
+            } else if (text && TEXT_STATE.has(operator)) {
+                text.keep.push([start, end]);
+                if (operator === 'Tf') text.fonts.push({ start: start - text.start, end: end - text.start, font: fontOf(operands[0]), keep: [] });
+            } else if (operator === 'Do' && !text && operands[0] && operands[0].name && xObjects instanceof PDFDict) {
+                const ref = xObjects.get(PDFName.of(operands[0].name));
+                const xObject = ref instanceof PDFRef ? page.doc.context.lookup(ref) : null;
+                const info = xObject instanceof PDFStream ? describeXObject(ref, xObject, cache) : null;
+                if (!info) return;
+                segments.push({
+                    kind: info.kind,
+                    key: `${info.kind}:${info.content}@${where()}`,
+                    group: `${info.kind}:${info.content}`,
+                    label: info.label,
+                    likely: false,
+                    start,
+                    end,
+                    keep: []
+                });
+            }
+        });
+
+        return segments;
+    }
+
+    // Watermark annotations (PDF 32000-1 12.5.6.22) on a page, as refs or dicts
+    function watermarkAnnotations(page) {
+        const { PDFName, PDFArray, PDFDict } = PDFLib;
+        const annots = page.node.lookup(PDFName.of('Annots'));
+        if (!(annots instanceof PDFArray)) return [];
+        return annots.asArray().filter(entry => {
+            const annot = page.doc.context.lookup(entry);
+            return annot instanceof PDFDict && nameText(annot.get(PDFName.of('Subtype'))) === 'Watermark';
+        });
+    }
+
+    // ============================================
+    // DETECTION
+    // ============================================
+
+    // Candidates with the segment keys they stand for
+    function findCandidates(pdf, progress = () => {}) {
+        const pages = pdf.getPages();
+        const cache = new Map();
+        const byKey = new Map();
+
+        pages.forEach((page, index) => {
+            progress(index / pages.length);
+            const found = pageSegments(page, PDFOptimizer.getPageContent(page), cache);
+            if (watermarkAnnotations(page).length) {
+                found.push({ kind: 'annotation', key: 'annotation', group: 'annotation', label: 'Watermark annotations', likely: true });
+            }
+            found.forEach(segment => {
+                let entry = byKey.get(segment.key);
+                if (!entry) {
+                    entry = { kind: segment.kind, group: segment.group, label: segment.label, likely: segment.likely, pages: new Set(), count: 0 };
+                    byKey.set(segment.key, entry);
+                }
+                entry.pages.add(index);
+                entry.count++;
+            });
+        });
+
+        // Repeated content counts when it is on most pages; tiles of the
+        // same content on the same pages make one candidate
+        const enough = Math.max(2, Math.ceil(pages.length / 2));
+        const groups = new Map();
+        byKey.forEach((entry, key) => {
+            if (REPEATED_KINDS.has(entry.kind) && entry.pages.size < enough) return;
+            const id = `${entry.group}|${[...entry.pages].join(',')}`;
+            const group = groups.get(id);
+            if (group) {
+                group.keys.push(key);
+                group.count += entry.count;
+            } else {
+                groups.set(id, { ...entry, keys: [key] });
+            }
+        });
+
+        const counters = {};
+        return [...groups.values()]
+            .sort((a, b) => KIND_ORDER.indexOf(a.kind) - KIND_ORDER.indexOf(b.kind))
+            .map(group => {
+                counters[group.kind] = (counters[group.kind] || 0) + 1;
+                return {
+                    id: `${group.kind}-${counters[group.kind]}`,
+                    kind: group.kind,
+                    label: group.label,
+                    likely: group.likely,
+                    pages: [...group.pages].map(index => index + 1),
+                    count: group.count,
+                    keys: group.keys
+                };
+            });
+    }
+
+    /**
+     * Lists what looks like a watermark, for the user to review.
+     * @returns {Array<{id, kind, label, likely, pages, count}>} kind is
+     *   artifact, layer, annotation (marked as watermarks; likely when the
+     *   mark says watermark) or text, image, form (repeated content);
+     *   pages are 1-based; count is the number of places it is drawn
+     */
+    function detect(pdf, progress) {
+        return findCandidates(pdf, progress).map(({ keys, ...candidate }) => candidate);
+    }
+
+    // ============================================
+    // REMOVAL
+    // ============================================
+
+    // Resource names the content uses, as "Category/Name"
+    function usedResources(bytes) {
+        const names = new Set();
+        PDFOptimizer.scanContent(bytes, (operator, operands) => {
+            const category = RESOURCE_OF[operator];
+            const operand = operator === 'Tf' ? operands[0] : operands[operands.length - 1];
+            if (category && operand && operand.name) names.add(`${category}/${operand.name}`);
+        });
+        return names;
+    }
+
+    // The content without the segments, keeping their text state
+    function cutSegments(bytes, segments) {
+        const parts = [];
+        let position = 0;
+        segments.sort((a, b) => a.start - b.start).forEach(segment => {
+            parts.push(bytes.subarray(position, segment.start));
+            segment.keep.forEach(([start, end]) => parts.push(bytes.subarray(start, end), new Uint8Array([0x0a])));
+            position = segment.end;
+        });
+        parts.push(bytes.subarray(position));
+
+        const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        parts.forEach(part => {
+            result.set(part, offset);
+            offset += part.length;
+        });
+        return result;
+    }
+
+    // Drops resources only the removed content used, unless another page
+    // sharing the same resource dictionary still draws them
+    function pruneResources(pdf, dropped) {
+        const { PDFName, PDFDict } = PDFLib;
+        const stillUsed = new Map();
+        pdf.getPages().forEach(page => {
+            const resources = page.node.Resources();
+            if (!resources || !dropped.has(resources)) return;
+            const used = stillUsed.get(resources) || new Set();
+            usedResources(PDFOptimizer.getPageContent(page)).forEach(name => used.add(name));
+            stillUsed.set(resources, used);
+        });
+
+        dropped.forEach((names, resources) => {
+            names.forEach(name => {
+                if (stillUsed.get(resources)?.has(name)) return;
+                const category = name.slice(0, name.indexOf('/'));
+                const dict = resources.lookup(PDFName.of(category));
+                if (!(dict instanceof PDFDict)) return;
+                dict.delete(PDFName.of(name.slice(category.length + 1)));
+                if (dict.keys().length === 0) resources.delete(PDFName.of(category));
+            });
+        });
+    }
+
+    /**
+     * Removes the candidates with the given ids (from detect) from every page.
+     * Pages keep their content in one stream afterwards.
+     * @returns {{ removed: Array, pages: number }} the candidates removed
+     *   and the number of pages changed
+     */
+    function remove(pdf, ids, progress = () => {}) {
+        const { PDFName } = PDFLib;
+        const chosen = findCandidates(pdf, fraction => progress(fraction * 0.4)).filter(candidate => ids.includes(candidate.id));
+        const keys = new Set(chosen.flatMap(candidate => candidate.keys));
+        if (keys.size === 0) return { removed: [], pages: 0 };
+
+        const pages = pdf.getPages();
+        const cache = new Map();
+        const dropped = new Map();
+        let changed = 0;
+
+        pages.forEach((page, index) => {
+            progress(0.4 + index / pages.length * 0.5);
+            const bytes = PDFOptimizer.getPageContent(page);
+            const cuts = pageSegments(page, bytes, cache).filter(segment => keys.has(segment.key));
+
+            let annotations = [];
+            if (keys.has('annotation')) {
+                annotations = watermarkAnnotations(page);
+                if (annotations.length) {
+                    const kept = page.node.lookup(PDFName.of('Annots')).asArray().filter(entry => !annotations.includes(entry));
+                    page.node.set(PDFName.of('Annots'), pdf.context.obj(kept));
+                }
+            }
+            if (cuts.length === 0 && annotations.length === 0) return;
+            changed++;
+            if (cuts.length === 0) return;
+
+            const names = new Set();
+            cuts.forEach(segment => usedResources(bytes.subarray(segment.start, segment.end)).forEach(name => names.add(name)));
+            const content = pdf.context.flateStream(cutSegments(bytes, cuts));
+            page.node.set(PDFName.of('Contents'), pdf.context.register(content));
+
+            const resources = page.node.Resources();
+            if (resources) dropped.set(resources, new Set([...(dropped.get(resources) || []), ...names]));
+        });
+
+        pruneResources(pdf, dropped);
+        PDFOptimizer.removeUnreachableObjects(pdf);
+        progress(1);
+        return { removed: chosen.map(({ keys, ...candidate }) => candidate), pages: changed };
+    }
+
+    return {
+        frameOf,
+        stamp,
+        detect,
+        remove
+    };
+})();
+
+// Export
+window.PDFWatermark = PDFWatermark;
@@ -0,0 +1,339 @@
+/* ============================================
+   PDF Tools - Pipeline Page
+   Build a chain of tools, save it as a recipe and run it on new uploads
+   ============================================ */
+
+// State
+let pipelineSteps = [];
+let pipelineFiles = [];
+let pipelineController = null;
+let pipelineResult = null;
+
+// The chain most people start from
+const DEFAULT_STEPS = [
+    { tool: 'merge', options: {} },
+    { tool: 'page-numbers', options: {} },
+    { tool: 'add-watermark', options: {} },
+    { tool: 'compress', options: {} }
+];
+
+// DOM Elements
+const PipelineDOM = {
+    recipes: document.getElementById('recipeList'),
+    recipeName: document.getElementById('recipeName'),
+    importInput: document.getElementById('recipeImportInput'),
+    steps: document.getElementById('pipelineSteps'),
+    dropzone: document.getElementById('pipelineDropzone'),
+    fileInput: document.getElementById('pipelineFileInput'),
+    fileList: document.getElementById('pipelineFileList'),
+    runBtn: document.getElementById('runPipelineBtn'),
+    cancelBtn: document.getElementById('cancelPipelineBtn'),
+    progressCard: document.getElementById('pipelineProgress'),
+    progressBar: document.getElementById('pipelineProgressBar'),
+    progressStatus: document.getElementById('pipelineProgressStatus'),
+    progressPercent: document.getElementById('pipelineProgressPercent'),
+    resultCard: document.getElementById('pipelineResult'),
+    resultSummary: document.getElementById('pipelineResultSummary'),
+    resultLog: document.getElementById('pipelineResultLog')
+};
+
+// Initialize
+function initPipeline() {
+    pipelineSteps = DEFAULT_STEPS.map(step => ({ ...step }));
+    renderSteps();
+    renderRecipes();
+
+    // Steps
+    document.getElementById('addStepBtn').addEventListener('click', () => {
+        syncSteps();
+        pipelineSteps.push({ tool: 'compress', options: {} });
+        renderSteps();
+    });
+    PipelineDOM.steps.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        moveStep(Number(button.dataset.index), button.dataset.action);
+    });
+    PipelineDOM.steps.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-step-tool]')) return;
+        syncSteps();
+        const index = Number(e.target.dataset.stepTool);
+        pipelineSteps[index] = { tool: e.target.value, options: {} };
+        renderSteps();
+    });
+
+    // Recipes
+    document.getElementById('saveRecipeBtn').addEventListener('click', saveRecipe);
+    document.getElementById('exportRecipesBtn').addEventListener('click', exportRecipes);
+    document.getElementById('importRecipesBtn').addEventListener('click', () => PipelineDOM.importInput.click());
+    PipelineDOM.importInput.addEventListener('change', importRecipes);
+    PipelineDOM.recipes.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-recipe]');
+        if (!button) return;
+        const recipe = PDFPipeline.get(button.dataset.recipe);
+        if (!recipe) return;
+
+        if (button.dataset.action === 'load') {
+            loadRecipe(recipe);
+        } else if (button.dataset.action === 'run') {
+            loadRecipe(recipe);
+            runPipeline();
+        } else if (button.dataset.action === 'delete') {
+            PDFPipeline.remove(recipe.name);
+            renderRecipes();
+            PDFTools.showToast('info', 'Recipe Deleted', recipe.name);
+        }
+    });
+
+    // File upload
+    PipelineDOM.dropzone.addEventListener('click', () => PipelineDOM.fileInput.click());
+    PipelineDOM.fileInput.addEventListener('change', (e) => {
+        addFiles(e.target.files);
+        PipelineDOM.fileInput.value = '';
+    });
+    PipelineDOM.dropzone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        PipelineDOM.dropzone.classList.add('dragover');
+    });
+    PipelineDOM.dropzone.addEventListener('dragleave', () => PipelineDOM.dropzone.classList.remove('dragover'));
+    PipelineDOM.dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        PipelineDOM.dropzone.classList.remove('dragover');
+        addFiles(e.dataTransfer.files);
+    });
+    PipelineDOM.fileList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-file]');
+        if (!button) return;
+        pipelineFiles.splice(Number(button.dataset.file), 1);
+        renderFiles();
+    });
+
+    // Run
+    PipelineDOM.runBtn.addEventListener('click', runPipeline);
+    PipelineDOM.cancelBtn.addEventListener('click', () => pipelineController?.abort());
+    document.getElementById('downloadPipelineBtn').addEventListener('click', downloadResult);
+}
+
+// ============================================
+// STEPS
+// ============================================
+
+// Copies the values in the step forms back into pipelineSteps
+function syncSteps() {
+    pipelineSteps = pipelineSteps.map((step, index) => ({
+        tool: step.tool,
+        options: OptionFields.read(ToolRegistry.get(step.tool).fields, `step-${index}-`)
+    }));
+}
+
+function moveStep(index, action) {
+    syncSteps();
+    if (action === 'remove') {
+        pipelineSteps.splice(index, 1);
+    } else {
+        const target = action === 'up' ? index - 1 : index + 1;
+        if (target < 0 || target >= pipelineSteps.length) return;
+        [pipelineSteps[index], pipelineSteps[target]] = [pipelineSteps[target], pipelineSteps[index]];
+    }
+    renderSteps();
+}
+
+function renderSteps() {
+    const toolOptions = (selected) => ToolRegistry.operations()
+        .map(tool => `<option value="${tool.id}"${tool.id === selected ? ' selected' : ''}>${escapeHtml(tool.name)}</option>`)
+        .join('');
+
+    if (pipelineSteps.length === 0) {
+        PipelineDOM.steps.innerHTML = '<p class="text-sm text-muted mb-4">No steps yet. Add one to start the pipeline.</p>';
+        return;
+    }
+
+    PipelineDOM.steps.innerHTML = pipelineSteps.map((step, index) => `
+        <div class="card mb-4">
+            <div class="flex items-center gap-4 mb-4">
+                <span class="font-semibold">${index + 1}.</span>
+                <select class="input flex-1" data-step-tool="${index}">${toolOptions(step.tool)}</select>
+                <button class="btn btn-ghost btn-sm" data-action="up" data-index="${index}" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button class="btn btn-ghost btn-sm" data-action="down" data-index="${index}" title="Move down"${index === pipelineSteps.length - 1 ? ' disabled' : ''}>↓</button>
+                <button class="btn btn-ghost btn-sm" data-action="remove" data-index="${index}" title="Remove step">✕</button>
+            </div>
+            <div data-step-options="${index}">
+                ${OptionFields.render(ToolRegistry.get(step.tool).fields, `step-${index}-`, step.options)}
+            </div>
+        </div>
+    `).join('');
+
+    pipelineSteps.forEach((step, index) => {
+        const container = PipelineDOM.steps.querySelector(`[data-step-options="${index}"]`);
+        OptionFields.bind(container, ToolRegistry.get(step.tool).fields, `step-${index}-`);
+    });
+}
+
+// ============================================
+// RECIPES
+// ============================================
+function renderRecipes() {
+    const recipes = PDFPipeline.list();
+    if (recipes.length === 0) {
+        PipelineDOM.recipes.innerHTML = '<p class="text-sm text-muted">No saved recipes yet.</p>';
+        return;
+    }
+
+    PipelineDOM.recipes.innerHTML = recipes.map(recipe => `
+        <div class="file-item">
+            <div class="file-info">
+                <div class="file-name">${escapeHtml(recipe.name)}</div>
+                <div class="file-meta"><span>${recipe.steps.map(step => escapeHtml(ToolRegistry.get(step.tool).name)).join(' → ')}</span></div>
+            </div>
+            <div class="file-actions">
+                <button class="btn btn-primary btn-sm" data-action="run" data-recipe="${escapeHtml(recipe.name)}">Run</button>
+                <button class="btn btn-ghost btn-sm" data-action="load" data-recipe="${escapeHtml(recipe.name)}">Edit</button>
+                <button class="file-action" data-action="delete" data-recipe="${escapeHtml(recipe.name)}" title="Delete">✕</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function loadRecipe(recipe) {
+    pipelineSteps = recipe.steps.map(step => ({ tool: step.tool, options: { ...step.options } }));
+    PipelineDOM.recipeName.value = recipe.name;
+    renderSteps();
+}
+
+function saveRecipe() {
+    syncSteps();
+    try {
+        const recipe = PDFPipeline.save({ name: PipelineDOM.recipeName.value, steps: pipelineSteps });
+        renderRecipes();
+        PDFTools.showToast('success', 'Recipe Saved', `${recipe.name} (passwords are not saved)`);
+    } catch (error) {
+        PDFTools.showToast('error', 'Error', error.message);
+    }
+}
+
+function exportRecipes() {
+    const recipes = PDFPipeline.list();
+    if (recipes.length === 0) {
+        PDFTools.showToast('error', 'Nothing to Export', 'Save a recipe first');
+        return;
+    }
+    saveAs(new Blob([PDFPipeline.exportRecipes(recipes)], { type: 'application/json' }), 'pdf-recipes.json');
+}
+
+async function importRecipes(e) {
+    const file = e.target.files[0];
+    PipelineDOM.importInput.value = '';
+    if (!file) return;
+
+    try {
+        const imported = PDFPipeline.importRecipes(await file.text());
+        renderRecipes();
+        PDFTools.showToast('success', 'Recipes Imported', imported.map(recipe => recipe.name).join(', '));
+    } catch (error) {
+        PDFTools.showToast('error', 'Import Failed', error.message);
+    }
+}
+
+// ============================================
+// RUN
+// ============================================
+function addFiles(fileList) {
+    pipelineFiles.push(...Array.from(fileList));
+    renderFiles();
+}
+
+function renderFiles() {
+    PipelineDOM.fileList.innerHTML = pipelineFiles.map((file, index) => `
+        <div class="file-item">
+            <div class="file-info">
+                <div class="file-name">${escapeHtml(file.name)}</div>
+                <div class="file-meta"><span>${formatFileSize(file.size)}</span></div>
+            </div>
+            <div class="file-actions">
+                <button class="file-action" data-file="${index}" title="Remove">✕</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function updateProgress(fraction, status) {
+    PipelineDOM.progressBar.style.width = (fraction * 100) + '%';
+    PipelineDOM.progressPercent.textContent = Math.round(fraction * 100) + '%';
+    if (status) PipelineDOM.progressStatus.textContent = status;
+}
+
+async function runPipeline() {
+    if (pipelineController) return;
+    if (pipelineFiles.length === 0) {
+        PDFTools.showToast('error', 'No Files', 'Please add files first');
+        return;
+    }
+    syncSteps();
+
+    pipelineController = new AbortController();
+    pipelineResult = null;
+    PipelineDOM.runBtn.disabled = true;
+    PipelineDOM.cancelBtn.classList.remove('hidden');
+    PipelineDOM.resultCard.classList.add('hidden');
+    PipelineDOM.progressCard.classList.remove('hidden');
+    updateProgress(0, 'Reading files...');
+
+    try {
+        const files = await Promise.all(pipelineFiles.map(async file => ({
+            name: file.name,
+            type: file.type,
+            bytes: new Uint8Array(await file.arrayBuffer())
+        })));
+
+        pipelineResult = await PDFPipeline.run(pipelineSteps, files, {
+            signal: pipelineController.signal,
+            onProgress: updateProgress
+        });
+        showPipelineResult(pipelineResult);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            PDFTools.showToast('info', 'Cancelled', 'The pipeline was stopped');
+        } else {
+            console.error(error);
+            PDFTools.showToast('error', 'Error', error.message || 'Processing failed');
+        }
+    } finally {
+        pipelineController = null;
+        PipelineDOM.runBtn.disabled = false;
+        PipelineDOM.cancelBtn.classList.add('hidden');
+        PipelineDOM.progressCard.classList.add('hidden');
+    }
+}
+
+function showPipelineResult({ outputs, log }) {
+    PipelineDOM.resultSummary.textContent = outputs.length === 1 ? outputs[0].name : `${outputs.length} files`;
+    PipelineDOM.resultLog.innerHTML = log.map((entry, index) => `
+        <div class="flex justify-between text-sm mb-2">
+            <span>${index + 1}. ${escapeHtml(entry.name)}</span>
+            <span class="text-muted">${entry.inputs} → ${entry.outputs} file(s)</span>
+        </div>
+    `).join('');
+    PipelineDOM.resultCard.classList.remove('hidden');
+    PDFTools.showToast('success', 'Complete!', 'Your files are ready to download');
+}
+
+async function downloadResult() {
+    if (!pipelineResult || pipelineResult.outputs.length === 0) return;
+    const { outputs } = pipelineResult;
+
+    if (outputs.length === 1) {
+        saveAs(new Blob([outputs[0].bytes], { type: outputs[0].type }), outputs[0].name);
+        return;
+    }
+
+    const zip = new JSZip();
+    outputs.forEach(out => zip.file(out.name, out.bytes));
+    saveAs(await zip.generateAsync({ type: 'blob' }), 'pipeline_results.zip');
+}
+
+// Initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initPipeline);
+} else {
+    initPipeline();
+}
@@ -0,0 +1,307 @@
+/* ============================================
+   PDF Tools - Plugins
+   Adds in-house tools to the ToolRegistry without editing the site.
+   A plugin is a script, installed from a URL or a local file, that calls
+   PluginManager.register once:
+
+     PluginManager.register({
+         id: 'acme-cover-sheet',
+         name: 'ACME Cover Sheet',
+         version: '1.0.0',
+         tools: [{
+             id: 'acme-cover-sheet',
+             name: 'Cover Sheet',
+             description: 'Put the ACME cover sheet in front of a PDF',
+             category: 'edit',
+             fields: [{ name: 'title', label: 'Title', type: 'text', required: true }],
+             async run(inputs, options, { onProgress, signal }) {
+                 const pdf = await PDFLib.PDFDocument.load(inputs[0]);
+                 // ...
+                 return { outputs: [{ name: 'cover.pdf', type: 'application/pdf', bytes: await pdf.save() }] };
+             }
+         }]
+     });
+
+   Tools take the same keys as the built-in ones (see toolRegistry.js)
+   plus run(), which follows the PDFTools.ops contract: Uint8Array inputs
+   in, { outputs: [{ name, type, bytes }], summary? } out. tool.html shows
+   its progress, results and errors like any other tool.
+   Libraries (PDFLib, pdfjsLib) are only loaded on tool pages, so use them
+   inside run(), not when the script loads.
+
+   Installed plugins are kept in localStorage and loaded by loadAll() on
+   pages that list or run tools. Plugins run with full access to the page.
+   ============================================ */
+
+const PluginManager = (() => {
+    const STORAGE_KEY = 'pdftools_plugins';
+
+    // Record of the plugin whose script is executing, so register() knows
+    // which install it belongs to
+    let loading = null;
+    let loaded = null;
+
+    // ============================================
+    // STORAGE
+    // ============================================
+    function list() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch {
+            return [];
+        }
+    }
+
+    function store(plugins) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(plugins));
+    }
+
+    function get(id) {
+        return list().find(plugin => plugin.id === id) || null;
+    }
+
+    function setEnabled(id, enabled) {
+        store(list().map(plugin => plugin.id === id ? { ...plugin, enabled } : plugin));
+    }
+
+    function remove(id) {
+        store(list().filter(plugin => plugin.id !== id));
+    }
+
+    // ============================================
+    // REGISTRATION
+    // ============================================
+
+    // Runs a plugin tool on the tool page: files in, outputs shown for download
+    function toolHandler(plugin, tool) {
+        return async (files, options, controls = {}) => {
+            const inputs = await Promise.all(files.map(async item => new Uint8Array(await item.file.arrayBuffer())));
+            const result = await tool.run(inputs, options, {
+                signal: controls.signal,
+                onProgress: (fraction, message) => showProgress(fraction * 100, message)
+            });
+            PDFOps.throwIfAborted(controls.signal);
+
+            if (!result || !Array.isArray(result.outputs) || result.outputs.length === 0) {
+                throw new Error(`${tool.name} (${plugin.name}) did not produce any files`);
+            }
+            showOutputs(result.outputs, result.summary || `${result.outputs.length} files ready`);
+        };
+    }
+
+    /**
+     * Called by plugin scripts. Adds every tool to the ToolRegistry.
+     * @throws {Error} if the definition is malformed or a tool id is taken
+     */
+    function register(definition) {
+        try {
+            return registerTools(definition);
+        } catch (error) {
+            // Thrown inside the plugin script, where execute() can't see it
+            if (loading) loading.error = error;
+            throw error;
+        }
+    }
+
+    function registerTools(definition) {
+        if (!definition || !/^[a-z0-9][a-z0-9-]*$/.test(definition.id || '')) {
+            throw new Error('A plugin needs an id made of lowercase letters, digits and dashes');
+        }
+        if (!Array.isArray(definition.tools) || definition.tools.length === 0) {
+            throw new Error(`Plugin ${definition.id} has no tools`);
+        }
+        definition.tools.forEach(tool => {
+            if (typeof tool.run !== 'function') {
+                throw new Error(`Plugin ${definition.id}: tool ${tool.id} has no run() function`);
+            }
+        });
+
+        const plugin = {
+            id: definition.id,
+            name: definition.name || definition.id,
+            version: definition.version || '',
+            description: definition.description || ''
+        };
+
+        // Reinstalling replaces the tools the previous version registered
+        ToolRegistry.all()
+            .filter(tool => tool.plugin === plugin.id)
+            .map(tool => tool.id)
+            .forEach(ToolRegistry.unregister);
+
+        const registered = [];
+        try {
+            definition.tools.forEach(tool => {
+                const { run, ...rest } = tool;
+                registered.push(ToolRegistry.register({
+                    category: 'edit',
+                    emoji: '🧩',
+                    icon: 'layers',
+                    ...rest,
+                    op: null,
+                    run,
+                    plugin: plugin.id,
+                    handler: toolHandler(plugin, tool)
+                }));
+            });
+        } catch (error) {
+            registered.forEach(tool => ToolRegistry.unregister(tool.id));
+            throw error;
+        }
+
+        if (loading) {
+            loading.definition = plugin;
+            loading.tools = registered.map(tool => ({ id: tool.id, name: tool.name }));
+        }
+        return registered;
+    }
+
+    // ============================================
+    // LOADING
+    // ============================================
+
+    // Executes a plugin script; resolves with the record filled in by register()
+    function execute(src, record) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            let failure = null;
+
+            // Errors thrown by the script itself surface as window errors,
+            // not as script.onerror
+            const onError = (event) => {
+                if (event.filename === script.src) {
+                    failure = event.error || new Error(event.message);
+                    event.preventDefault();
+                }
+            };
+
+            const done = () => {
+                window.removeEventListener('error', onError);
+                loading = null;
+                script.remove();
+            };
+
+            script.src = src;
+            script.onload = () => {
+                done();
+                if (record.error || failure) {
+                    reject(record.error || failure);
+                } else if (!record.definition) {
+                    reject(new Error('The script did not register a plugin'));
+                } else {
+                    resolve(record);
+                }
+            };
+            script.onerror = () => {
+                done();
+                reject(new Error(`Could not load ${record.url || record.fileName}`));
+            };
+
+            loading = record;
+            window.addEventListener('error', onError);
+            document.head.appendChild(script);
+        });
+    }
+
+    // One script at a time, so register() calls are attributed correctly
+    let queue = Promise.resolve();
+
+    function load(record) {
+        const run = async () => {
+            if (record.source === 'file') {
+                const url = URL.createObjectURL(new Blob([record.code], { type: 'text/javascript' }));
+                try {
+                    return await execute(url, record);
+                } finally {
+                    URL.revokeObjectURL(url);
+                }
+            }
+            return execute(record.url, record);
+        };
+        const result = queue.then(run);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Loads every enabled plugin. Safe to call more than once.
+     * A plugin that fails is reported and skipped.
+     * @returns {Promise<Object[]>} the plugins that failed, with their error
+     */
+    function loadAll() {
+        if (!loaded) {
+            loaded = (async () => {
+                const failed = [];
+                for (const plugin of list().filter(plugin => plugin.enabled)) {
+                    try {
+                        await load({ ...plugin });
+                    } catch (error) {
+                        console.warn(`Plugin ${plugin.id} failed to load:`, error);
+                        failed.push({ plugin, error });
+                        PDFTools.showToast('warning', 'Plugin Not Loaded', `${escapeHtml(plugin.name)}: ${escapeHtml(error.message)}`);
+                    }
+                }
+                return failed;
+            })();
+        }
+        return loaded;
+    }
+
+    // ============================================
+    // INSTALLING
+    // ============================================
+    async function install(record) {
+        const result = await load(record);
+        const saved = {
+            id: result.definition.id,
+            name: result.definition.name,
+            version: result.definition.version,
+            description: result.definition.description,
+            source: record.source,
+            url: record.url || null,
+            fileName: record.fileName || null,
+            code: record.code || null,
+            tools: result.tools,
+            enabled: true,
+            installedAt: new Date().toISOString()
+        };
+        store([...list().filter(plugin => plugin.id !== saved.id), saved]);
+        return saved;
+    }
+
+    function installFromUrl(url) {
+        let resolved;
+        try {
+            resolved = new URL(url, location.href);
+        } catch {
+            throw new Error('Enter a valid script URL');
+        }
+        if (!['http:', 'https:'].includes(resolved.protocol)) {
+            throw new Error('Plugins can only be loaded over http or https');
+        }
+        return install({ source: 'url', url: resolved.href });
+    }
+
+    async function installFromFile(file) {
+        if (!/\.m?js$/i.test(file.name)) {
+            throw new Error('Choose a JavaScript (.js) file');
+        }
+        return install({ source: 'file', fileName: file.name, code: await file.text() });
+    }
+
+    return {
+        STORAGE_KEY,
+        register,
+        list,
+        get,
+        setEnabled,
+        remove,
+        loadAll,
+        installFromUrl,
+        installFromFile
+    };
+})();
+
+// Export
+window.PluginManager = PluginManager;
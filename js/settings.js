@@ -0,0 +1,98 @@
+/* ============================================
+   PDF Tools - Settings Page
+   Install, enable, disable and remove tool plugins
+   ============================================ */
+
+// DOM Elements
+const SettingsDOM = {
+    pluginUrl: document.getElementById('pluginUrl'),
+    installUrlBtn: document.getElementById('installPluginUrlBtn'),
+    installFileBtn: document.getElementById('installPluginFileBtn'),
+    pluginFileInput: document.getElementById('pluginFileInput'),
+    pluginList: document.getElementById('pluginList')
+};
+
+// Initialize
+function initSettings() {
+    renderPlugins();
+
+    SettingsDOM.installUrlBtn.addEventListener('click', () => installPlugin(() => PluginManager.installFromUrl(SettingsDOM.pluginUrl.value.trim())));
+    SettingsDOM.pluginUrl.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') SettingsDOM.installUrlBtn.click();
+    });
+
+    SettingsDOM.installFileBtn.addEventListener('click', () => SettingsDOM.pluginFileInput.click());
+    SettingsDOM.pluginFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        SettingsDOM.pluginFileInput.value = '';
+        if (file) installPlugin(() => PluginManager.installFromFile(file));
+    });
+
+    // Row actions
+    SettingsDOM.pluginList.addEventListener('change', (e) => {
+        if (!e.target.matches('[data-toggle]')) return;
+        PluginManager.setEnabled(e.target.dataset.toggle, e.target.checked);
+        renderPlugins();
+    });
+    SettingsDOM.pluginList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove]');
+        if (!button) return;
+        const plugin = PluginManager.get(button.dataset.remove);
+        PluginManager.remove(plugin.id);
+        renderPlugins();
+        PDFTools.showToast('info', 'Plugin Removed', escapeHtml(plugin.name));
+    });
+}
+
+// ============================================
+// PLUGINS
+// ============================================
+async function installPlugin(install) {
+    SettingsDOM.installUrlBtn.disabled = true;
+    try {
+        const plugin = await install();
+        SettingsDOM.pluginUrl.value = '';
+        renderPlugins();
+        PDFTools.showToast('success', 'Plugin Installed', `${escapeHtml(plugin.name)}: ${plugin.tools.map(tool => escapeHtml(tool.name)).join(', ')}`);
+    } catch (error) {
+        console.error(error);
+        PDFTools.showToast('error', 'Install Failed', escapeHtml(error.message));
+    } finally {
+        SettingsDOM.installUrlBtn.disabled = false;
+    }
+}
+
+function renderPlugins() {
+    const plugins = PluginManager.list();
+    if (plugins.length === 0) {
+        SettingsDOM.pluginList.innerHTML = '<p class="text-sm text-muted">No plugins installed.</p>';
+        return;
+    }
+
+    SettingsDOM.pluginList.innerHTML = plugins.map(plugin => `
+        <div class="file-item">
+            <div class="file-info">
+                <div class="file-name">${escapeHtml(plugin.name)}${plugin.version ? ` <span class="text-muted">${escapeHtml(plugin.version)}</span>` : ''}</div>
+                <div class="file-meta">
+                    <span>${plugin.tools.map(tool => escapeHtml(tool.name)).join(', ')}</span>
+                    <span>${escapeHtml(plugin.source === 'file' ? plugin.fileName : plugin.url)}</span>
+                </div>
+                ${plugin.description ? `<div class="text-xs text-muted">${escapeHtml(plugin.description)}</div>` : ''}
+            </div>
+            <div class="file-actions">
+                <label class="flex items-center gap-2 text-sm">
+                    <input type="checkbox" data-toggle="${escapeHtml(plugin.id)}"${plugin.enabled ? ' checked' : ''}>
+                    <span>${plugin.enabled ? 'Enabled' : 'Disabled'}</span>
+                </label>
+                <button class="file-action" data-remove="${escapeHtml(plugin.id)}" title="Remove">✕</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Initialize
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initSettings);
+} else {
+    initSettings();
+}
@@ -0,0 +1,780 @@
+/* ============================================
+   PDF Tools - Tool Registry
+   The one list of tools. tool.html, tools.html, the tool search,
+   BatchQueue and pipelines are all generated from it.
+
+   Each tool declares:
+     id, name, description, category, icon (tools.html icon), emoji
+     accept      - file extensions, e.g. '.pdf'
+     multiple    - tool.html accepts several files
+     combine     - the operation takes all its inputs in one run (merge;
+                   Bates numbers count on from one file to the next)
+     op          - PDFTools.ops operation; tools with one can run in batches
+     handler     - name of the page function that runs it, or the function
+                   itself (plugins): handler(files, options, { signal })
+     fields      - option schema, see FIELD TYPES below
+     fileFields  - schema of settings made for each input file (combining
+                   tools); they reach the operation as options.files[i]
+     buttonText  - string, or function of the current option values
+     preview     - name of a page function that shows what the tool will
+                   do before it runs: preview(files, options, { signal })
+     livePreview - the preview reruns by itself as files and options change
+   Tools without a handler are listed as coming soon.
+   ============================================ */
+
+const ToolRegistry = (() => {
+    const CATEGORIES = {
+        convert: '📄 Convert',
+        edit: '✏️ Edit',
+        manage: '🗂️ Organize',
+        security: '🔐 Security',
+        annotate: '📌 Annotate',
+        forms: '🧾 Forms',
+        print: '🖨️ Print',
+        share: '📤 Share'
+    };
+
+    // ============================================
+    // FIELD TYPES
+    // select (choices: [[value, label]]), text, number, password,
+    // range (unit, scale: multiplier applied to the value), checkbox,
+    // flags (choices: () => [[name, label]], value is { name: bool }),
+    // color (value '#rrggbb'), file (accept; value is the File or null).
+    // Common: name, label, value (default), placeholder, min, max, step,
+    // required, confirm (name of a field it must match; not passed on),
+    // showIf ({ field: value | [values] }), validate(value, values) → message
+    // ============================================
+    const PAGE_LIST = /^\s*\d+(\s*-\s*\d+)?(\s*,\s*\d+(\s*-\s*\d+)?)*\s*$/;
+
+    function pageRangeField(name, label, extra = {}) {
+        return {
+            name,
+            label,
+            type: 'text',
+            placeholder: '1-3, 5, 7-10',
+            validate: value => !value || PAGE_LIST.test(value) ? null : `${label.replace(/\s*\(.*\)$/, '')}: use page numbers and ranges like 1-3, 5`,
+            ...extra
+        };
+    }
+
+    // The standard PDF fonts, which need no embedding, and a font file
+    const FONT_CHOICES = [
+        ['helvetica', 'Helvetica'], ['helvetica-bold', 'Helvetica Bold'], ['times', 'Times'], ['times-bold', 'Times Bold'],
+        ['courier', 'Courier'], ['courier-bold', 'Courier Bold'], ['custom', 'Custom font file...']
+    ];
+
+    const ENCRYPTION_FIELD = {
+        name: 'algorithm', label: 'Encryption', type: 'select', value: 'aes-256',
+        choices: [['aes-256', 'AES 256-bit (Recommended)'], ['aes-128', 'AES 128-bit'], ['rc4-128', 'RC4 128-bit (Legacy readers)']]
+    };
+
+    const PASSWORD_FIELDS = [
+        { name: 'password', label: 'Password', type: 'password', placeholder: 'Enter password', required: true },
+        { name: 'passwordConfirm', label: 'Confirm Password', type: 'password', placeholder: 'Confirm password', confirm: 'password' },
+        { name: 'ownerPassword', label: 'Owner Password (optional)', type: 'password', placeholder: 'Defaults to the open password' },
+        ENCRYPTION_FIELD
+    ];
+
+    const UNLOCK_FIELDS = [
+        { name: 'password', label: 'Current Password', type: 'password', placeholder: 'Enter current password' }
+    ];
+
+    // ============================================
+    // TOOLS
+    // ============================================
+    const TOOLS = [
+        // Convert
+        {
+            id: 'pdf-to-word', name: 'PDF to Word', description: 'Convert PDF to editable Word document',
+            category: 'convert', icon: 'file-text', emoji: '📝', accept: '.pdf',
+            buttonText: 'Convert to Word', op: 'pdfToWord', handler: 'pdfToWord', fields: []
+        },
+        {
+            id: 'pdf-to-excel', name: 'PDF to Excel', description: 'Convert PDF tables to Excel spreadsheet',
+            category: 'convert', icon: 'table', emoji: '📊', accept: '.pdf',
+            buttonText: 'Convert to Excel', op: 'pdfToExcel', handler: 'pdfToExcel', fields: []
+        },
+        { id: 'pdf-to-ppt', name: 'PDF to PowerPoint', description: 'Convert PDF to PowerPoint presentation', category: 'convert', icon: 'presentation' },
+        {
+            id: 'pdf-to-image', name: 'PDF to Image', description: 'Convert PDF pages to PNG or JPG images',
+            category: 'convert', icon: 'image', emoji: '🖼️', accept: '.pdf',
+            buttonText: 'Convert to Images', op: 'pdfToImage', handler: 'pdfToImage',
+            fields: [
+                { name: 'format', label: 'Image Format', type: 'select', value: 'png', choices: [['png', 'PNG (Lossless)'], ['jpeg', 'JPG (Smaller Size)']] },
+                { name: 'scale', label: 'Quality', type: 'select', value: '2', choices: [['1', 'Standard (72 DPI)'], ['2', 'High (150 DPI)'], ['3', 'Best (300 DPI)']] }
+            ]
+        },
+        {
+            id: 'pdf-to-text', name: 'PDF to Text', description: 'Extract text content from PDF',
+            category: 'convert', icon: 'align-left', emoji: '🔤', accept: '.pdf',
+            buttonText: 'Extract Text', op: 'pdfToText', handler: 'pdfToText', fields: []
+        },
+        { id: 'word-to-pdf', name: 'Word to PDF', description: 'Convert Word documents to PDF', category: 'convert', icon: 'file-plus' },
+        { id: 'excel-to-pdf', name: 'Excel to PDF', description: 'Convert Excel spreadsheets to PDF', category: 'convert', icon: 'file-plus' },
+        { id: 'ppt-to-pdf', name: 'PowerPoint to PDF', description: 'Convert PowerPoint to PDF', category: 'convert', icon: 'file-plus' },
+        {
+            id: 'image-to-pdf', aliases: ['img-to-pdf'], name: 'Image to PDF', description: 'Convert images to a PDF document',
+            category: 'convert', icon: 'image', emoji: '📷', accept: '.png,.jpg,.jpeg,.gif,.webp,.bmp', multiple: true,
+            buttonText: 'Convert to PDF', op: 'imageToPdf', handler: 'imageToPDF',
+            fields: [
+                { name: 'pageSize', label: 'Page Size', type: 'select', value: 'fit', choices: [['fit', 'Fit to Image'], ['a4', 'A4'], ['letter', 'Letter']] },
+                { name: 'orientation', label: 'Orientation', type: 'select', value: 'auto', choices: [['auto', 'Auto'], ['portrait', 'Portrait'], ['landscape', 'Landscape']] }
+            ]
+        },
+        {
+            id: 'html-to-pdf', name: 'HTML to PDF', description: 'Convert HTML pages to PDF',
+            category: 'convert', icon: 'code', emoji: '🌐', accept: '.html,.htm',
+            buttonText: 'Convert to PDF', op: 'htmlToPdf', handler: 'htmlToPDF', fields: []
+        },
+        {
+            id: 'markdown-to-pdf', name: 'Markdown to PDF', description: 'Convert Markdown files to PDF',
+            category: 'convert', icon: 'hash', emoji: '⬇️', accept: '.md,.markdown',
+            buttonText: 'Convert to PDF', op: 'markdownToPdf', handler: 'markdownToPDF', fields: []
+        },
+        {
+            id: 'text-to-pdf', name: 'Text to PDF', description: 'Convert plain text to PDF',
+            category: 'convert', icon: 'file-text', emoji: '📃', accept: '.txt',
+            buttonText: 'Convert to PDF', op: 'textToPdf', handler: 'textToPDF', fields: []
+        },
+        { id: 'epub-to-pdf', name: 'EPUB to PDF', description: 'Convert EPUB ebooks to PDF', category: 'convert', icon: 'book' },
+        {
+            id: 'pdf-to-pdfa', name: 'PDF to PDF/A', description: 'Convert your PDF to PDF/A for long-term archiving',
+            category: 'convert', icon: 'archive', emoji: '🗄️', accept: '.pdf',
+            buttonText: 'Convert to PDF/A', op: 'pdfToPdfa', handler: 'convertToPDFA',
+            fields: [
+                { name: 'level', label: 'Conformance Level', type: 'select', value: '2b', choices: [['2b', 'PDF/A-2b (Recommended)'], ['1b', 'PDF/A-1b (Strictest, no transparency)']] },
+                { name: 'password', label: 'Current Password', type: 'password', placeholder: 'Only if the file is protected' }
+            ]
+        },
+        {
+            id: 'validate-pdfa', name: 'Validate PDF/A', description: 'Check a PDF against PDF/A and list every violation',
+            category: 'convert', icon: 'check-square', emoji: '✅', accept: '.pdf',
+            buttonText: 'Validate PDF', op: 'validatePdfa', handler: 'validatePDFA',
+            fields: [
+                { name: 'level', label: 'Conformance Level', type: 'select', value: '', choices: [['', 'As claimed by the file'], ['1b', 'PDF/A-1b'], ['2b', 'PDF/A-2b']] }
+            ]
+        },
+
+        // Edit
+        { id: 'add-text', name: 'Add Text', description: 'Add new text anywhere on PDF', category: 'edit', icon: 'type' },
+        { id: 'edit-text', name: 'Edit Text', description: 'Modify existing text in PDF', category: 'edit', icon: 'edit-3' },
+        { id: 'remove-text', name: 'Remove Text', description: 'Delete text from PDF', category: 'edit', icon: 'trash-2' },
+        { id: 'add-shapes', name: 'Add Shapes', description: 'Draw rectangles, circles, and lines', category: 'edit', icon: 'square' },
+        { id: 'freehand-draw', name: 'Freehand Draw', description: 'Draw freely on PDF pages', category: 'edit', icon: 'edit-2' },
+        {
+            id: 'add-watermark', name: 'Add Watermark', description: 'Add text or image watermark to PDF',
+            category: 'edit', icon: 'droplet', emoji: '💧', accept: '.pdf',
+            buttonText: 'Add Watermark', op: 'addWatermark', handler: 'addWatermark',
+            preview: 'previewWatermark', livePreview: true,
+            fields: [
+                { name: 'type', label: 'Watermark', type: 'select', value: 'text', choices: [['text', 'Text'], ['image', 'Image (PNG or JPEG)']] },
+                { name: 'text', label: 'Watermark Text', type: 'text', placeholder: 'CONFIDENTIAL', value: 'WATERMARK', required: true, showIf: { type: 'text' } },
+                { name: 'font', label: 'Font', type: 'select', value: 'helvetica', choices: FONT_CHOICES, showIf: { type: 'text' } },
+                { name: 'fontFile', label: 'Font File', type: 'file', accept: '.ttf,.otf', required: true, showIf: { type: 'text', font: 'custom' } },
+                { name: 'fontSize', label: 'Font Size (pt, empty to fit the page)', type: 'number', min: 4, max: 500, showIf: { type: 'text' } },
+                { name: 'color', label: 'Colour', type: 'color', value: '#808080', showIf: { type: 'text' } },
+                { name: 'image', label: 'Image', type: 'file', accept: '.png,.jpg,.jpeg', required: true, showIf: { type: 'image' } },
+                { name: 'scale', label: 'Image Width', type: 'range', value: 50, min: 5, max: 100, unit: '% of page', scale: 0.01, showIf: { type: 'image' } },
+                { name: 'position', label: 'Position', type: 'select', value: 'center', choices: [['center', 'Center'], ['diagonal', 'Diagonal'], ['top', 'Top'], ['bottom', 'Bottom'], ['tile', 'Tiled']] },
+                { name: 'rotation', label: 'Rotation (degrees, anticlockwise)', type: 'number', value: 0, min: -360, max: 360, showIf: { position: ['center', 'top', 'bottom', 'tile'] } },
+                { name: 'spacing', label: 'Tile Spacing', type: 'range', value: 50, min: 0, max: 300, unit: '%', scale: 0.01, showIf: { position: 'tile' } },
+                { name: 'opacity', label: 'Opacity', type: 'range', value: 30, min: 10, max: 100, unit: '%', scale: 0.01 },
+                pageRangeField('pages', 'Pages (all if empty)'),
+                { name: 'behind', label: 'Behind page content', type: 'checkbox', value: false }
+            ]
+        },
+        {
+            id: 'remove-watermark', name: 'Remove Watermark', description: 'Remove watermarks from PDF',
+            category: 'edit', icon: 'x-circle', emoji: '🧽', accept: '.pdf',
+            buttonText: 'Remove Watermarks', op: 'removeWatermark', handler: 'removeWatermark',
+            preview: 'findWatermarks', livePreview: true,
+            fields: [
+                { name: 'scope', label: 'Select', type: 'select', value: 'marked', choices: [['marked', 'Marked watermarks'], ['all', 'Everything repeated on most pages']] }
+            ]
+        },
+        { id: 'add-background', name: 'Add Background', description: 'Add background color or image', category: 'edit', icon: 'layers' },
+        { id: 'crop-pages', name: 'Crop Pages', description: 'Crop PDF page margins', category: 'edit', icon: 'crop' },
+        {
+            id: 'rotate-pages', name: 'Rotate Pages', description: 'Rotate PDF pages by 90, 180, or 270 degrees',
+            category: 'edit', icon: 'rotate-cw', emoji: '🔄', accept: '.pdf',
+            buttonText: 'Rotate Pages', op: 'rotatePages', handler: 'rotatePDF',
+            fields: [
+                { name: 'angle', label: 'Rotation Angle', type: 'select', value: '90', choices: [['90', '90° Clockwise'], ['180', '180°'], ['270', '90° Counter-clockwise']] },
+                { name: 'pages', label: 'Apply to', type: 'select', value: 'all', choices: [['all', 'All Pages'], ['odd', 'Odd Pages Only'], ['even', 'Even Pages Only']] }
+            ]
+        },
+        { id: 'resize-pages', name: 'Resize Pages', description: 'Change PDF page dimensions', category: 'edit', icon: 'maximize-2' },
+        { id: 'add-images', name: 'Add Images', description: 'Insert images into PDF', category: 'edit', icon: 'image' },
+        { id: 'add-links', name: 'Add Links', description: 'Add hyperlinks to PDF', category: 'edit', icon: 'link' },
+        { id: 'change-font', name: 'Change Font', description: 'Modify font size and color', category: 'edit', icon: 'bold' },
+
+        // Organize
+        {
+            id: 'merge', name: 'Merge PDF', description: 'Combine multiple PDF files into one document',
+            category: 'manage', icon: 'git-merge', emoji: '📑', accept: '.pdf', multiple: true, combine: true,
+            buttonText: 'Merge PDFs', op: 'merge', handler: 'mergePDFs',
+            fields: [
+                { name: 'mode', label: 'Page Order', type: 'select', value: 'append', choices: [['append', 'One file after another'], ['interleave', 'Interleave two files (duplex scans)']] },
+                { name: 'reverseBacks', label: 'The second file has the back sides in reverse order', type: 'checkbox', value: true, showIf: { mode: 'interleave' } },
+                { name: 'separator', label: 'Between Files', type: 'select', value: 'none', choices: [['none', 'Nothing'], ['blank', 'A blank page'], ['title', 'A title page with the file name']], showIf: { mode: 'append' } },
+                { name: 'outline', label: 'Keep bookmarks (grouped under each file name)', type: 'checkbox', value: true },
+                { name: 'fileBookmarks', label: 'Add a bookmark for every file', type: 'checkbox', value: false }
+            ],
+            fileFields: [
+                pageRangeField('range', 'Pages (all if empty)'),
+                { name: 'rotation', label: 'Rotate', type: 'select', value: '0', choices: [['0', 'No rotation'], ['90', '90° clockwise'], ['180', '180°'], ['270', '90° counter-clockwise']] }
+            ]
+        },
+        {
+            id: 'split', name: 'Split PDF', description: 'Separate a PDF into multiple files',
+            category: 'manage', icon: 'scissors', emoji: '✂️', accept: '.pdf',
+            buttonText: 'Split PDF', op: 'split', handler: 'splitPDF', preview: 'previewSplit',
+            fields: [
+                {
+                    name: 'method', label: 'Split Method', type: 'select', value: 'all',
+                    choices: [['all', 'Extract all pages separately'], ['range', 'Extract page range'], ['interval', 'Split every N pages'],
+                        ['bookmarks', 'Split at bookmarks'], ['size', 'Split by file size'], ['blank', 'Split at blank pages'],
+                        ['separator', 'Split at separator pages (text or barcode)']]
+                },
+                pageRangeField('range', 'Page Range (e.g., 1-3, 5, 7-10)', { required: true, showIf: { method: 'range' } }),
+                { name: 'interval', label: 'Pages per file', type: 'number', value: 1, min: 1, step: 1, showIf: { method: 'interval' } },
+                { name: 'bookmarkLevel', label: 'Bookmark Level (1 = top level)', type: 'number', value: 1, min: 1, max: 10, step: 1, showIf: { method: 'bookmarks' } },
+                { name: 'maxSizeMB', label: 'Maximum File Size (MB)', type: 'number', value: 10, min: 0.1, step: 0.1, showIf: { method: 'size' } },
+                { name: 'separatorText', label: 'Separator Text', type: 'text', placeholder: 'Text on the separator sheet, or its barcode value', required: true, showIf: { method: 'separator' } },
+                { name: 'keepSeparators', label: 'Keep separator pages (each starts the next file)', type: 'checkbox', value: false, showIf: { method: ['blank', 'separator'] } }
+            ]
+        },
+        {
+            id: 'reorder', name: 'Reorder Pages', description: 'Rearrange PDF page order',
+            category: 'manage', icon: 'list', emoji: '🔀', accept: '.pdf',
+            buttonText: 'Reorder Pages', op: 'reorderPages', handler: 'reorderPages',
+            fields: [pageRangeField('order', 'New Page Order (e.g., 3, 1, 2)', { placeholder: '3, 1, 2', required: true })]
+        },
+        {
+            id: 'delete-pages', name: 'Delete Pages', description: 'Remove specific pages from PDF',
+            category: 'manage', icon: 'trash', emoji: '🗑️', accept: '.pdf',
+            buttonText: 'Delete Pages', op: 'deletePages', handler: 'deletePages',
+            fields: [pageRangeField('range', 'Pages to Delete (e.g., 1-3, 5, 7-10)', { required: true })]
+        },
+        {
+            id: 'extract-pages', name: 'Extract Pages', description: 'Extract specific pages from PDF',
+            category: 'manage', icon: 'file-minus', emoji: '📄', accept: '.pdf',
+            buttonText: 'Extract Pages', op: 'extractPages', handler: 'extractPages',
+            fields: [pageRangeField('range', 'Pages to Extract (e.g., 1-3, 5, 7-10)', { value: '1', required: true })]
+        },
+        {
+            id: 'duplicate-pages', name: 'Duplicate Pages', description: 'Copy pages within PDF',
+            category: 'manage', icon: 'copy', emoji: '📋', accept: '.pdf',
+            buttonText: 'Duplicate Pages', op: 'duplicatePages', handler: 'duplicatePages',
+            fields: [pageRangeField('range', 'Pages to Duplicate (e.g., 1-3, 5)', { value: '1', required: true })]
+        },
+        {
+            id: 'add-blank', name: 'Add Blank Pages', description: 'Insert empty pages into PDF',
+            category: 'manage', icon: 'file', emoji: '📄', accept: '.pdf',
+            buttonText: 'Add Pages', op: 'addBlankPages', handler: 'addBlankPages',
+            fields: [
+                { name: 'position', label: 'Position', type: 'select', value: 'end', choices: [['end', 'At the end'], ['start', 'At the start']] },
+                { name: 'count', label: 'Number of pages', type: 'number', value: 1, min: 1, max: 500, step: 1 },
+                { name: 'pageSize', label: 'Page Size', type: 'select', value: 'a4', choices: [['a4', 'A4'], ['letter', 'Letter'], ['legal', 'Legal']] }
+            ]
+        },
+        {
+            id: 'page-numbers', name: 'Add Page Numbers', description: 'Add page numbering to your PDF',
+            category: 'manage', icon: 'hash', emoji: '#️⃣', accept: '.pdf', multiple: true, combine: true,
+            buttonText: 'Add Numbers', op: 'pageNumbers', handler: 'addPageNumbers',
+            fields: [
+                { name: 'numbering', label: 'Numbering', type: 'select', value: 'pages', choices: [['pages', 'Page numbers'], ['bates', 'Bates numbers (continue across files)']] },
+                { name: 'format', label: 'Format ({page} and {total})', type: 'text', value: '{page}', placeholder: 'Page {page} of {total}', showIf: { numbering: 'pages' } },
+                {
+                    name: 'style', label: 'Style', type: 'select', value: 'decimal', showIf: { numbering: 'pages' },
+                    choices: [['decimal', '1, 2, 3'], ['lower-roman', 'i, ii, iii'], ['upper-roman', 'I, II, III'], ['lower-alpha', 'a, b, c'], ['upper-alpha', 'A, B, C']]
+                },
+                pageRangeField('pages', 'Pages to number (all if empty)', { showIf: { numbering: 'pages' } }),
+                { name: 'startNumber', label: 'First number (empty for the page\'s own)', type: 'number', min: 1, step: 1, showIf: { numbering: 'pages' } },
+                { name: 'sections', label: 'Sections (replace the pages and first number)', type: 'text', placeholder: '1: skip; 2-5: lower-roman; 6-: decimal from 1', showIf: { numbering: 'pages' } },
+                { name: 'batesPrefix', label: 'Prefix', type: 'text', placeholder: 'ACME', showIf: { numbering: 'bates' } },
+                { name: 'batesStart', label: 'First Number', type: 'number', value: 1, min: 0, step: 1, showIf: { numbering: 'bates' } },
+                { name: 'batesDigits', label: 'Digits', type: 'number', value: 6, min: 1, max: 12, step: 1, showIf: { numbering: 'bates' } },
+                { name: 'batesSuffix', label: 'Suffix', type: 'text', showIf: { numbering: 'bates' } },
+                { name: 'position', label: 'Position', type: 'select', value: 'bottom-center', choices: [['bottom-center', 'Bottom Center'], ['bottom-right', 'Bottom Right'], ['bottom-left', 'Bottom Left'], ['top-center', 'Top Center'], ['top-right', 'Top Right'], ['top-left', 'Top Left']] },
+                { name: 'font', label: 'Font', type: 'select', value: 'helvetica', choices: FONT_CHOICES },
+                { name: 'fontFile', label: 'Font File', type: 'file', accept: '.ttf,.otf', required: true, showIf: { font: 'custom' } },
+                { name: 'fontSize', label: 'Font Size (pt)', type: 'number', value: 12, min: 4, max: 200 },
+                { name: 'color', label: 'Colour', type: 'color', value: '#000000' },
+                { name: 'pageLabels', label: 'Show the numbers as page labels in PDF readers', type: 'checkbox', value: true }
+            ]
+        },
+        {
+            id: 'compress', name: 'Compress PDF', description: 'Reduce PDF file size while maintaining quality',
+            category: 'manage', icon: 'minimize-2', emoji: '📦', accept: '.pdf',
+            buttonText: 'Compress PDF', op: 'compress', handler: 'compressPDF',
+            fields: [
+                { name: 'level', label: 'Compression Level', type: 'select', value: 'medium', choices: [['low', 'Low (Best Quality)'], ['medium', 'Medium (Balanced)'], ['high', 'High (Smallest Size)'], ['target', 'Target Size']] },
+                { name: 'targetSizeMB', label: 'Maximum Size (MB)', type: 'number', value: 2, min: 0.1, step: 0.1, showIf: { level: 'target' } }
+            ]
+        },
+        { id: 'table-of-contents', name: 'Table of Contents', description: 'Generate table of contents', category: 'manage', icon: 'list' },
+
+        // Security
+        {
+            id: 'protect', name: 'Protect PDF', description: 'Add password protection to your PDF',
+            category: 'security', icon: 'lock', emoji: '🔒', accept: '.pdf',
+            buttonText: 'Protect PDF', op: 'protect', handler: 'protectPDF', fields: PASSWORD_FIELDS
+        },
+        {
+            id: 'unlock', name: 'Unlock PDF', description: 'Remove password from a protected PDF',
+            category: 'security', icon: 'unlock', emoji: '🔓', accept: '.pdf',
+            buttonText: 'Unlock PDF', op: 'unlock', handler: 'unlockPDF', fields: UNLOCK_FIELDS
+        },
+        {
+            id: 'change-password', name: 'Change Password', description: 'Replace the password of a protected PDF',
+            category: 'security', icon: 'key', emoji: '🔑', accept: '.pdf',
+            buttonText: 'Change Password', op: 'changePassword', handler: 'changePassword',
+            fields: [
+                { name: 'currentPassword', label: 'Current Password', type: 'password', placeholder: 'Enter current password' },
+                { name: 'newPassword', label: 'New Password', type: 'password', placeholder: 'Enter new password', required: true },
+                { name: 'newPasswordConfirm', label: 'Confirm New Password', type: 'password', placeholder: 'Confirm new password', confirm: 'newPassword' },
+                { name: 'ownerPassword', label: 'New Owner Password (optional)', type: 'password', placeholder: 'Keeps the current owner password of a restricted file' },
+                ENCRYPTION_FIELD
+            ]
+        },
+        {
+            id: 'permissions', name: 'Set Permissions', description: 'Control printing, copying and editing of your PDF',
+            category: 'security', icon: 'shield', emoji: '🛡️', accept: '.pdf',
+            buttonText: values => values.mode === 'report' ? 'Show Permissions' : 'Apply Permissions',
+            op: 'permissions', handler: 'setPermissions',
+            fields: [
+                { name: 'mode', label: 'Mode', type: 'select', value: 'set', choices: [['set', 'Set permissions'], ['report', 'Show current permissions']] },
+                { name: 'permissions', label: 'Allowed Actions', type: 'flags', choices: () => Object.entries(PDFEncryption.PERMISSION_LABELS), showIf: { mode: 'set' } },
+                { name: 'ownerPassword', label: 'Owner Password', type: 'password', placeholder: 'Required to change permissions later', showIf: { mode: 'set' } },
+                { name: 'ownerPasswordConfirm', label: 'Confirm Owner Password', type: 'password', placeholder: 'Confirm owner password', confirm: 'ownerPassword', showIf: { mode: 'set' } },
+                { name: 'userPassword', label: 'Open Password (optional)', type: 'password', placeholder: 'Leave blank to open without a password', showIf: { mode: 'set' } },
+                { name: 'currentPassword', label: 'Current Password', type: 'password', placeholder: 'The owner password, if the file is already protected', showIf: { mode: 'set' } },
+                { ...ENCRYPTION_FIELD, showIf: { mode: 'set' } }
+            ]
+        },
+        {
+            id: 'encrypt', name: 'Encrypt PDF', description: 'Encrypt your PDF with AES or RC4',
+            category: 'security', icon: 'shield', emoji: '🔒', accept: '.pdf',
+            buttonText: 'Encrypt PDF', op: 'protect', handler: 'protectPDF', fields: PASSWORD_FIELDS
+        },
+        {
+            id: 'decrypt', name: 'Decrypt PDF', description: 'Remove encryption from a protected PDF',
+            category: 'security', icon: 'shield-off', emoji: '🔓', accept: '.pdf',
+            buttonText: 'Decrypt PDF', op: 'unlock', handler: 'unlockPDF', fields: UNLOCK_FIELDS
+        },
+        { id: 'redact', name: 'Redact Content', description: 'Permanently remove sensitive info', category: 'security', icon: 'eye-off' },
+        { id: 'sign', name: 'Digital Signature', description: 'Add digital signature to PDF', category: 'security', icon: 'pen-tool' },
+
+        // Annotate
+        { id: 'highlight', name: 'Highlight Text', description: 'Highlight text in PDF', category: 'annotate', icon: 'edit-3' },
+        { id: 'underline', name: 'Underline Text', description: 'Underline text in PDF', category: 'annotate', icon: 'underline' },
+        { id: 'strikeout', name: 'Strikeout Text', description: 'Strike through text in PDF', category: 'annotate', icon: 'minus' },
+        { id: 'sticky-notes', name: 'Sticky Notes', description: 'Add sticky note comments', category: 'annotate', icon: 'message-square' },
+        { id: 'comments', name: 'Comment Threads', description: 'Add threaded comments', category: 'annotate', icon: 'message-circle' },
+        { id: 'draw-shapes', name: 'Draw Shapes', description: 'Add annotation shapes', category: 'annotate', icon: 'square' },
+        { id: 'stamps', name: 'Add Stamps', description: 'Add stamps to PDF', category: 'annotate', icon: 'check-square' },
+        { id: 'export-annotations', name: 'Export Annotations', description: 'Export all annotations', category: 'annotate', icon: 'download' },
+
+        // Forms
+        { id: 'fill-form', name: 'Fill Form', description: 'Fill out PDF forms', category: 'forms', icon: 'edit' },
+        { id: 'add-text-field', name: 'Add Text Field', description: 'Insert text input fields', category: 'forms', icon: 'text-cursor' },
+        { id: 'add-checkbox', name: 'Add Checkbox', description: 'Add checkbox fields', category: 'forms', icon: 'check-square' },
+        { id: 'add-radio', name: 'Add Radio Button', description: 'Add radio button fields', category: 'forms', icon: 'circle' },
+        { id: 'add-dropdown', name: 'Add Dropdown', description: 'Add dropdown selection', category: 'forms', icon: 'chevron-down' },
+        { id: 'add-signature', name: 'Signature Field', description: 'Add signature field', category: 'forms', icon: 'pen-tool' },
+        { id: 'clear-form', name: 'Clear Form', description: 'Clear all form fields', category: 'forms', icon: 'x' },
+        { id: 'flatten-form', name: 'Flatten Form', description: 'Convert form to static PDF', category: 'forms', icon: 'layers' },
+
+        // Print
+        { id: 'print', name: 'Print PDF', description: 'Print PDF document', category: 'print', icon: 'printer' },
+        { id: 'page-scaling', name: 'Page Scaling', description: 'Scale pages to fit paper', category: 'print', icon: 'maximize' },
+        {
+            id: 'booklet', name: 'Booklet Layout', description: 'Create booklet print layout',
+            category: 'print', icon: 'book-open', emoji: '📖', accept: '.pdf',
+            buttonText: 'Create Booklet', handler: 'createBooklet', fields: []
+        },
+        { id: 'n-up', name: 'Multiple Per Sheet', description: 'Print multiple pages per sheet', category: 'print', icon: 'grid' },
+        { id: 'margins', name: 'Adjust Margins', description: 'Modify page margins', category: 'print', icon: 'move' },
+
+        // Share
+        { id: 'download', name: 'Download PDF', description: 'Download processed PDF', category: 'share', icon: 'download' },
+        { id: 'share-link', name: 'Share Link', description: 'Create shareable link', category: 'share', icon: 'share-2' },
+        { id: 'email', name: 'Send by Email', description: 'Email PDF directly', category: 'share', icon: 'mail' },
+        { id: 'embed', name: 'Embed Code', description: 'Get embed code for websites', category: 'share', icon: 'code' },
+        { id: 'export-zip', name: 'Export as ZIP', description: 'Download multiple files as ZIP', category: 'share', icon: 'archive' }
+    ];
+
+    const byId = new Map();
+    const tools = [];
+
+    /**
+     * Adds a tool. Built-in tools are registered below; plugins
+     * (pluginManager.js) add theirs at runtime. Fills in the defaults so
+     * consumers never check for missing keys.
+     * @returns {Object} the registered entry
+     */
+    function register(tool) {
+        const entry = {
+            aliases: [],
+            accept: '.pdf',
+            multiple: false,
+            combine: false,
+            op: null,
+            handler: null,
+            preview: null,
+            livePreview: false,
+            fields: [],
+            fileFields: [],
+            ...tool
+        };
+        entry.buttonText = entry.buttonText || entry.name;
+        entry.emoji = entry.emoji || '📄';
+
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(entry.id || '')) {
+            throw new Error(`Invalid tool id: ${entry.id}. Use lowercase letters, digits and dashes.`);
+        }
+        if (!entry.name) {
+            throw new Error(`Tool ${entry.id} needs a name`);
+        }
+        if (!CATEGORIES[entry.category]) {
+            throw new Error(`Tool ${entry.id}: unknown category ${entry.category}`);
+        }
+        const taken = [entry.id, ...entry.aliases].find(key => byId.has(key));
+        if (taken) {
+            throw new Error(`Duplicate tool id: ${taken}`);
+        }
+
+        [entry.id, ...entry.aliases].forEach(key => byId.set(key, entry));
+        tools.push(entry);
+        return entry;
+    }
+
+    function unregister(id) {
+        const entry = byId.get(id);
+        if (!entry) return;
+        [entry.id, ...entry.aliases].forEach(key => byId.delete(key));
+        tools.splice(tools.indexOf(entry), 1);
+    }
+
+    TOOLS.forEach(register);
+
+    // ============================================
+    // LOOKUP
+    // ============================================
+    function all() {
+        return tools;
+    }
+
+    function get(id) {
+        return byId.get(id) || null;
+    }
+
+    function isAvailable(tool) {
+        return Boolean(tool && tool.handler);
+    }
+
+    // Built-in handlers are named page functions; plugin handlers are functions
+    function handlerOf(tool) {
+        const handler = typeof tool?.handler === 'function' ? tool.handler : window[tool?.handler];
+        return typeof handler === 'function' ? handler : null;
+    }
+
+    function previewOf(tool) {
+        const preview = typeof tool?.preview === 'function' ? tool.preview : window[tool?.preview];
+        return typeof preview === 'function' ? preview : null;
+    }
+
+    // Tools that run through PDFTools.ops, so they work in batches and pipelines
+    function operations() {
+        return tools.filter(tool => tool.op);
+    }
+
+    /**
+     * Matches name, description, id and category; name matches rank first
+     * and available tools before coming-soon ones.
+     */
+    function search(query) {
+        const q = String(query || '').toLowerCase().trim();
+        if (!q) return tools;
+
+        const terms = q.split(/\s+/);
+        const score = (tool) => {
+            const name = tool.name.toLowerCase();
+            const haystack = [name, tool.description, tool.id, ...tool.aliases, tool.category, CATEGORIES[tool.category] || '']
+                .join(' ')
+                .toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) return 0;
+
+            let value = 1;
+            if (name.startsWith(q)) value += 4;
+            else if (terms.every(term => name.includes(term))) value += 2;
+            if (isAvailable(tool)) value += 1;
+            return value;
+        };
+
+        return tools
+            .map(tool => ({ tool, value: score(tool) }))
+            .filter(match => match.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .map(match => match.tool);
+    }
+
+    function buttonText(tool, values = {}) {
+        return typeof tool.buttonText === 'function' ? tool.buttonText(values) : tool.buttonText;
+    }
+
+    // ============================================
+    // OPTIONS
+    // ============================================
+    function choicesOf(field) {
+        return typeof field.choices === 'function' ? field.choices() : field.choices || [];
+    }
+
+    function defaults(tool) {
+        return fieldDefaults(tool.fields);
+    }
+
+    function fieldDefaults(fields) {
+        const values = {};
+        fields.forEach(field => {
+            if (field.type === 'flags') {
+                values[field.name] = Object.fromEntries(choicesOf(field).map(([flag]) => [flag, true]));
+            } else if (field.type === 'checkbox') {
+                values[field.name] = Boolean(field.value);
+            } else {
+                values[field.name] = field.value ?? '';
+            }
+        });
+        return values;
+    }
+
+    function isVisible(field, values) {
+        if (!field.showIf) return true;
+        return Object.entries(field.showIf).every(([name, expected]) => {
+            const actual = String(values[name] ?? '');
+            return Array.isArray(expected) ? expected.map(String).includes(actual) : String(expected) === actual;
+        });
+    }
+
+    function invalid(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_OPTIONS';
+        return error;
+    }
+
+    /**
+     * Checks option values against the tool's schema and converts them to
+     * what the operation expects: numbers parsed and scaled, confirmation
+     * fields dropped, hidden fields left out. Missing values take defaults.
+     * values.files, one entry per input, is checked against tool.fileFields.
+     * @throws {Error} code INVALID_OPTIONS, message naming the field
+     */
+    function validate(tool, values = {}) {
+        const options = validateFields(tool.fields, values);
+
+        if (tool.fileFields.length > 0 && Array.isArray(values.files)) {
+            options.files = values.files.map((file, index) => {
+                try {
+                    return validateFields(tool.fileFields, file);
+                } catch (error) {
+                    error.message = `File ${index + 1}: ${error.message}`;
+                    throw error;
+                }
+            });
+        }
+
+        return options;
+    }
+
+    function validateFields(fields, values = {}) {
+        const merged = { ...fieldDefaults(fields), ...values };
+        const options = {};
+
+        for (const field of fields) {
+            if (!isVisible(field, merged)) continue;
+            let value = merged[field.name];
+            const label = field.label.replace(/\s*\(.*\)$/, '');
+
+            if (field.confirm) {
+                if ((value || '') !== (merged[field.confirm] || '')) {
+                    throw invalid('Passwords do not match');
+                }
+                continue;
+            }
+
+            const empty = value === undefined || value === null || String(value).trim() === '';
+            if (field.required && empty) {
+                throw invalid(`${label} is required`);
+            }
+
+            if (field.type === 'number' || field.type === 'range') {
+                if (empty) {
+                    value = field.value;
+                } else {
+                    value = Number(value);
+                    if (!Number.isFinite(value)) {
+                        throw invalid(`${label} must be a number`);
+                    }
+                    if (field.min !== undefined && value < field.min) {
+                        throw invalid(`${label} must be at least ${field.min}${field.unit || ''}`);
+                    }
+                    if (field.max !== undefined && value > field.max) {
+                        throw invalid(`${label} must be at most ${field.max}${field.unit || ''}`);
+                    }
+                }
+                if (field.scale) value = value * field.scale;
+            } else if (field.type === 'select') {
+                const allowed = choicesOf(field).map(([choice]) => String(choice));
+                if (!allowed.includes(String(value))) {
+                    throw invalid(`${label}: "${value}" is not one of ${allowed.filter(Boolean).join(', ')}`);
+                }
+            } else if (field.type === 'checkbox') {
+                value = value === true || value === 'true' || value === 'on';
+            } else if (field.type === 'flags') {
+                const flags = value && typeof value === 'object' ? value : {};
+                value = Object.fromEntries(choicesOf(field).map(([flag]) => [flag, flags[flag] !== false]));
+            }
+
+            const message = field.validate?.(value, merged);
+            if (message) {
+                throw invalid(message);
+            }
+            options[field.name] = value;
+        }
+
+        return options;
+    }
+
+    return {
+        CATEGORIES,
+        register,
+        unregister,
+        all,
+        get,
+        isAvailable,
+        handlerOf,
+        previewOf,
+        operations,
+        search,
+        buttonText,
+        choicesOf,
+        defaults,
+        isVisible,
+        validate
+    };
+})();
+
+// ============================================
+// OPTION FIELDS
+// Renders a tool's fields as a form and reads the raw values back.
+// prefix keeps ids unique when several forms share a page.
+// ============================================
+const OptionFields = {
+    render(fields, prefix, values = {}) {
+        if (fields.length === 0) {
+            return '<p class="text-sm text-muted">This tool has no options.</p>';
+        }
+
+        return fields.map(field => {
+            const id = `${prefix}${field.name}`;
+            const value = values[field.name] ?? field.value ?? '';
+            const label = `<label class="font-medium mb-2" style="display: block;" for="${id}">${escapeHtml(field.label)}</label>`;
+            let control;
+
+            if (field.type === 'select') {
+                const options = ToolRegistry.choicesOf(field).map(([choice, text]) =>
+                    `<option value="${escapeHtml(choice)}"${String(choice) === String(value) ? ' selected' : ''}>${escapeHtml(text)}</option>`
+                ).join('');
+                control = `${label}<select class="input" id="${id}">${options}</select>`;
+            } else if (field.type === 'flags') {
+                const boxes = ToolRegistry.choicesOf(field).map(([flag, text]) => `
+                    <label class="flex items-center gap-2 mb-2">
+                        <input type="checkbox" id="${id}-${flag}"${value[flag] === false ? '' : ' checked'}>
+                        <span>${escapeHtml(text)}</span>
+                    </label>
+                `).join('');
+                control = `<span class="font-medium mb-2" style="display: block;">${escapeHtml(field.label)}</span>${boxes}`;
+            } else if (field.type === 'checkbox') {
+                control = `
+                    <label class="flex items-center gap-2">
+                        <input type="checkbox" id="${id}"${value ? ' checked' : ''}>
+                        <span>${escapeHtml(field.label)}</span>
+                    </label>
+                `;
+            } else if (field.type === 'file') {
+                // Browsers can't preset a file input, so values are not restored
+                const accept = field.accept ? ` accept="${escapeHtml(field.accept)}"` : '';
+                control = `${label}<input type="file" class="input" id="${id}"${accept}>`;
+            } else {
+                const attributes = ['min', 'max', 'step', 'placeholder']
+                    .filter(name => field[name] !== undefined)
+                    .map(name => `${name}="${escapeHtml(field[name])}"`)
+                    .join(' ');
+                const input = field.type === 'range'
+                    ? `<input type="range" id="${id}" value="${escapeHtml(value)}" ${attributes} style="width: 100%;">
+                       <span id="${id}-value">${escapeHtml(value)}${field.unit || ''}</span>`
+                    : `<input type="${field.type}" class="input" id="${id}" value="${escapeHtml(value)}" ${attributes}>`;
+                control = `${label}${input}`;
+            }
+
+            return `<div class="mb-4" data-field="${id}">${control}</div>`;
+        }).join('');
+    },
+
+    read(fields, prefix) {
+        const values = {};
+        fields.forEach(field => {
+            const id = `${prefix}${field.name}`;
+            if (field.type === 'flags') {
+                values[field.name] = Object.fromEntries(ToolRegistry.choicesOf(field).map(([flag]) =>
+                    [flag, document.getElementById(`${id}-${flag}`)?.checked ?? true]
+                ));
+            } else if (field.type === 'checkbox') {
+                values[field.name] = document.getElementById(id)?.checked ?? Boolean(field.value);
+            } else if (field.type === 'file') {
+                values[field.name] = document.getElementById(id)?.files?.[0] || null;
+            } else {
+                values[field.name] = document.getElementById(id)?.value ?? field.value;
+            }
+        });
+        return values;
+    },
+
+    // Listeners already bound, by container, so re-rendering doesn't stack them
+    bound: new WeakMap(),
+
+    /**
+     * Keeps showIf fields and range labels in step with the form.
+     * onChange(values) runs after every edit.
+     */
+    bind(container, fields, prefix, onChange) {
+        const refresh = () => {
+            const values = this.read(fields, prefix);
+            fields.forEach(field => {
+                const id = `${prefix}${field.name}`;
+                container.querySelector(`[data-field="${id}"]`)?.classList.toggle('hidden', !ToolRegistry.isVisible(field, values));
+                if (field.type === 'range') {
+                    const label = document.getElementById(`${id}-value`);
+                    if (label) label.textContent = values[field.name] + (field.unit || '');
+                }
+            });
+            onChange?.(values);
+        };
+
+        const previous = this.bound.get(container);
+        if (previous) {
+            container.removeEventListener('input', previous);
+            container.removeEventListener('change', previous);
+        }
+        this.bound.set(container, refresh);
+
+        container.addEventListener('input', refresh);
+        container.addEventListener('change', refresh);
+        refresh();
+    }
+};
+
+// Export
+window.ToolRegistry = ToolRegistry;
+window.OptionFields = OptionFields;
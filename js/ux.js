@@ -480,39 +480,6 @@ const SettingsMemory = {
     }
 };
 
-// ============================================
-// FILE VALIDATION
-// ============================================
-const FileValidator = {
-    maxSize: 100 * 1024 * 1024, // 100MB
-
-    allowedTypes: {
-        pdf: ['application/pdf'],
-        image: ['image/png', 'image/jpeg', 'image/jpg', 'image/gif', 'image/webp', 'image/bmp'],
-        document: ['application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
-    },
-
-    validate(file, acceptedTypes = ['pdf']) {
-        const errors = [];
-
-        // Check size
-        if (file.size > this.maxSize) {
-            errors.push('file-too-large');
-        }
-
-        // Check type
-        const allowedMimes = acceptedTypes.flatMap(t => this.allowedTypes[t] || []);
-        if (allowedMimes.length && !allowedMimes.includes(file.type)) {
-            errors.push('invalid-format');
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors
-        };
-    }
-};
-
 // ============================================
 // INITIALIZE ALL UX FEATURES
 // ============================================
@@ -562,7 +529,6 @@ window.KeyboardShortcuts = KeyboardShortcuts;
 window.A11y = A11y;
 window.ContextualHelp = ContextualHelp;
 window.SettingsMemory = SettingsMemory;
-window.FileValidator = FileValidator;
 
 // Initialize on DOM ready
 if (document.readyState === 'loading') {
@@ -186,7 +186,22 @@ function handleFileSelect(e) {
 async function loadPDF(file) {
     try {
         const arrayBuffer = await file.arrayBuffer();
-        ViewerState.pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+        const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
+
+        // Ask for the password of encrypted files
+        loadingTask.onPassword = (updatePassword, reason) => {
+            const message = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD ?
+                'Incorrect password. Please try again:' :
+                `"${file.name}" is password protected. Enter password:`;
+            const password = prompt(message);
+            if (password === null) {
+                loadingTask.destroy();
+                return;
+            }
+            updatePassword(password);
+        };
+
+        ViewerState.pdfDoc = await loadingTask.promise;
         ViewerState.totalPages = ViewerState.pdfDoc.numPages;
         ViewerState.currentPage = 1;
         ViewerState.pagesRead.clear();